@@ -5,6 +5,13 @@
  */
 
 const contactService = require('../services/contact.service');
+const optInService = require('../services/optIn.service');
+const timelineService = require('../services/timeline.service');
+const emailValidationService = require('../services/emailValidation.service');
+const duplicateService = require('../services/duplicate.service');
+const bulkOperationService = require('../services/bulkOperation.service');
+
+const DUPLICATE_MATCHES = ['email', 'name_company', 'all'];
 
 class ContactController {
     /**
@@ -43,6 +50,7 @@ class ContactController {
                 listId: req.query.listId,
                 tag: req.query.tag,
                 engagementLevel: req.query.engagementLevel,
+                q: req.query.q,
                 sortBy: req.query.sortBy,
                 sortOrder: req.query.sortOrder,
             });
@@ -77,6 +85,28 @@ class ContactController {
         }
     }
 
+    /**
+     * GET /api/contacts/:id/timeline
+     * Get contact activity timeline
+     */
+    async getTimeline(req, res, next) {
+        try {
+            const result = await timelineService.getTimeline(req.user.orgId, req.params.id, {
+                page: parseInt(req.query.page) || 1,
+                limit: Math.min(parseInt(req.query.limit) || 50, 200),
+                categories: req.query.categories ? String(req.query.categories).split(',') : [],
+            });
+
+            res.json({
+                success: true,
+                data: result.entries,
+                pagination: result.pagination,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * PATCH /api/contacts/:id
      * Update contact
@@ -340,6 +370,118 @@ class ContactController {
         }
     }
 
+    /**
+     * POST /api/contacts/:id/resend-confirmation
+     * Resend the double opt-in confirmation email
+     */
+    async resendConfirmation(req, res, next) {
+        try {
+            const result = await optInService.resendConfirmation(
+                req.user.orgId,
+                req.params.id
+            );
+
+            res.json({
+                success: true,
+                message: 'Confirmation email sent',
+                data: result,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/contacts/:id/validate-email
+     * Validate contact's email address and store the result
+     */
+    async validateEmail(req, res, next) {
+        try {
+            const result = await emailValidationService.validateContact(
+                req.user.orgId,
+                req.params.id
+            );
+
+            res.json({
+                success: true,
+                data: result,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/contacts/validate-emails
+     * Queue bulk email validation (never-validated contacts unless revalidate)
+     */
+    async validateEmails(req, res, next) {
+        try {
+            const { contactIds, revalidate } = req.body;
+
+            if (contactIds !== undefined && !Array.isArray(contactIds)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'contactIds must be an array',
+                });
+            }
+
+            const job = await emailValidationService.queueValidation(
+                req.user.orgId,
+                { contactIds, revalidate: revalidate === true },
+                req.user.userId
+            );
+
+            res.status(202).json({
+                success: true,
+                message: 'Email validation queued',
+                data: job,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/contacts/validate-emails
+     * Get recent bulk validation jobs
+     */
+    async getValidationJobs(req, res, next) {
+        try {
+            const jobs = await emailValidationService.getRecentValidationJobs(
+                req.user.orgId,
+                Math.min(parseInt(req.query.limit) || 20, 100)
+            );
+
+            res.json({
+                success: true,
+                data: jobs,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/contacts/validate-emails/:jobId
+     * Get bulk validation progress and counts
+     */
+    async getValidationJob(req, res, next) {
+        try {
+            const job = await emailValidationService.getValidationJob(
+                req.user.orgId,
+                req.params.jobId
+            );
+
+            res.json({
+                success: true,
+                data: job,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * POST /api/contacts/import
      * Import contacts from CSV
@@ -353,23 +495,55 @@ class ContactController {
                 });
             }
 
-            const options = {
-                listId: req.body.listId,
-                tags: req.body.tags ? JSON.parse(req.body.tags) : [],
-                updateExisting: req.body.updateExisting === 'true',
-            };
+            let options;
+            try {
+                options = {
+                    listId: req.body.listId,
+                    tags: req.body.tags ? JSON.parse(req.body.tags) : [],
+                    updateExisting: req.body.updateExisting === 'true',
+                    fieldMapping: req.body.fieldMapping ? JSON.parse(req.body.fieldMapping) : {},
+                };
+            } catch {
+                await contactService.discardUpload(req.file);
 
-            const result = await contactService.importCSV(
+                return res.status(400).json({
+                    success: false,
+                    message: 'tags and fieldMapping must be valid JSON',
+                });
+            }
+
+            // The service removes the upload if the import can't be queued
+            const importJob = await contactService.importCSV(
                 req.user.orgId,
-                req.file.buffer,
+                req.file,
                 options,
                 req.user.userId
             );
 
+            res.status(202).json({
+                success: true,
+                message: 'Import queued',
+                data: importJob,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/contacts/imports
+     * Get recent imports
+     */
+    async getImports(req, res, next) {
+        try {
+            const imports = await contactService.getImports(
+                req.user.orgId,
+                Math.min(parseInt(req.query.limit) || 20, 100)
+            );
+
             res.json({
                 success: true,
-                message: `Import completed: ${result.created} created, ${result.updated} updated, ${result.skipped} skipped`,
-                data: result,
+                data: imports,
             });
         } catch (error) {
             next(error);
@@ -377,34 +551,209 @@ class ContactController {
     }
 
     /**
-     * GET /api/contacts/export
-     * Export contacts to CSV
+     * GET /api/contacts/imports/:importId
+     * Get import progress and row errors
      */
-    async exportCSV(req, res, next) {
+    async getImport(req, res, next) {
         try {
-            const rows = await contactService.exportCSV(req.user.orgId, {
-                listId: req.query.listId,
-                status: req.query.status,
-                tags: req.query.tags ? req.query.tags.split(',') : undefined,
+            const importJob = await contactService.getImport(
+                req.user.orgId,
+                req.params.importId
+            );
+
+            res.json({
+                success: true,
+                data: importJob,
             });
+        } catch (error) {
+            next(error);
+        }
+    }
 
-            // Generate CSV content
-            if (rows.length === 0) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'No contacts to export',
-                });
+    /**
+     * POST /api/contacts/exports
+     * Queue a contact export
+     */
+    async createExport(req, res, next) {
+        try {
+            const exportJob = await contactService.createExport(
+                req.user.orgId,
+                req.body,
+                req.user.userId
+            );
+
+            res.status(202).json({
+                success: true,
+                message: 'Export queued',
+                data: exportJob,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/contacts/exports
+     * Get recent exports
+     */
+    async getExports(req, res, next) {
+        try {
+            const exports = await contactService.getExports(
+                req.user.orgId,
+                Math.min(parseInt(req.query.limit) || 20, 100)
+            );
+
+            res.json({
+                success: true,
+                data: exports,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/contacts/exports/:exportId
+     * Get export progress
+     */
+    async getExport(req, res, next) {
+        try {
+            const exportJob = await contactService.getExport(
+                req.user.orgId,
+                req.params.exportId
+            );
+
+            res.json({
+                success: true,
+                data: exportJob,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/contacts/exports/:exportId/download-token
+     * Issue a time-limited download link
+     */
+    async createExportDownloadToken(req, res, next) {
+        try {
+            const { token, expiresAt } = await contactService.createExportDownloadToken(
+                req.user.orgId,
+                req.params.exportId
+            );
+
+            res.json({
+                success: true,
+                data: {
+                    token,
+                    expiresAt,
+                    url: `/api/contacts/exports/download/${token}`,
+                },
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/contacts/exports/download/:token
+     * Download an export file (token authenticated)
+     */
+    async downloadExport(req, res, next) {
+        try {
+            const file = await contactService.getExportDownload(req.params.token);
+
+            res.setHeader('Content-Type', file.contentType);
+            res.setHeader('Content-Disposition', `attachment; filename=${file.fileName}`);
+            if (file.size) {
+                res.setHeader('Content-Length', file.size);
             }
 
-            const headers = Object.keys(rows[0]);
-            const csvContent = [
-                headers.join(','),
-                ...rows.map(row => headers.map(h => `"${row[h] || ''}"`).join(',')),
-            ].join('\n');
+            file.stream.on('error', next);
+            file.stream.pipe(res);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/contacts/bulk-operations/preview
+     * Count the contacts a bulk operation would change
+     */
+    async previewBulkOperation(req, res, next) {
+        try {
+            const preview = await bulkOperationService.preview(
+                req.user.orgId,
+                req.body.target
+            );
 
-            res.setHeader('Content-Type', 'text/csv');
-            res.setHeader('Content-Disposition', `attachment; filename=contacts_${Date.now()}.csv`);
-            res.send(csvContent);
+            res.json({
+                success: true,
+                data: preview,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/contacts/bulk-operations
+     * Queue a bulk operation
+     */
+    async createBulkOperation(req, res, next) {
+        try {
+            const operation = await bulkOperationService.create(
+                req.user.orgId,
+                req.body,
+                req.user.userId
+            );
+
+            res.status(202).json({
+                success: true,
+                message: 'Bulk operation queued',
+                data: operation,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/contacts/bulk-operations
+     * Get recent bulk operations
+     */
+    async getBulkOperations(req, res, next) {
+        try {
+            const operations = await bulkOperationService.getRecent(
+                req.user.orgId,
+                Math.min(parseInt(req.query.limit) || 20, 100)
+            );
+
+            res.json({
+                success: true,
+                data: operations,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/contacts/bulk-operations/:operationId
+     * Get bulk operation progress
+     */
+    async getBulkOperation(req, res, next) {
+        try {
+            const operation = await bulkOperationService.getById(
+                req.user.orgId,
+                req.params.operationId
+            );
+
+            res.json({
+                success: true,
+                data: operation,
+            });
         } catch (error) {
             next(error);
         }
@@ -412,19 +761,58 @@ class ContactController {
 
     /**
      * GET /api/contacts/duplicates
-     * Find duplicate contacts
+     * Find likely duplicate contacts (match: email, name_company or all)
      */
     async findDuplicates(req, res, next) {
         try {
-            const field = req.query.field || 'email';
-            const duplicates = await contactService.findDuplicates(
+            const match = req.query.match || 'email';
+
+            if (!DUPLICATE_MATCHES.includes(match)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `match must be one of: ${DUPLICATE_MATCHES.join(', ')}`,
+                });
+            }
+
+            const duplicates = await duplicateService.findDuplicates(req.user.orgId, {
+                match,
+                limit: Math.min(parseInt(req.query.limit) || 100, 500),
+            });
+
+            res.json({
+                success: true,
+                data: duplicates,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/contacts/merge/preview
+     * Preview a merge: field conflicts and the merged contact
+     */
+    async previewMerge(req, res, next) {
+        try {
+            const { primaryId, duplicateIds, resolutions } = req.body;
+
+            if (!primaryId || !duplicateIds || !Array.isArray(duplicateIds)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'primaryId and duplicateIds array are required',
+                });
+            }
+
+            const preview = await duplicateService.previewMerge(
                 req.user.orgId,
-                field
+                primaryId,
+                duplicateIds,
+                resolutions
             );
 
             res.json({
                 success: true,
-                data: duplicates,
+                data: preview,
             });
         } catch (error) {
             next(error);
@@ -433,11 +821,11 @@ class ContactController {
 
     /**
      * POST /api/contacts/merge
-     * Merge duplicate contacts
+     * Merge duplicate contacts (resolutions: { field: contactId } for conflicts)
      */
     async mergeDuplicates(req, res, next) {
         try {
-            const { primaryId, duplicateIds } = req.body;
+            const { primaryId, duplicateIds, resolutions } = req.body;
 
             if (!primaryId || !duplicateIds || !Array.isArray(duplicateIds)) {
                 return res.status(400).json({
@@ -446,10 +834,11 @@ class ContactController {
                 });
             }
 
-            const contact = await contactService.mergeDuplicates(
+            const contact = await duplicateService.mergeDuplicates(
                 req.user.orgId,
                 primaryId,
-                duplicateIds
+                duplicateIds,
+                resolutions
             );
 
             res.json({
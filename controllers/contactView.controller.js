@@ -0,0 +1,142 @@
+/**
+ * Contact View Controller
+ *
+ * HTTP request handlers for saved contact list views.
+ */
+
+const contactViewService = require('../services/contactView.service');
+
+class ContactViewController {
+    /**
+     * GET /api/contact-views
+     * Get the current user's saved views
+     */
+    async getAll(req, res, next) {
+        try {
+            const views = await contactViewService.getAll(req.user.orgId, req.user.userId);
+
+            res.json({
+                success: true,
+                data: views,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/contact-views
+     * Save a new view
+     */
+    async create(req, res, next) {
+        try {
+            const view = await contactViewService.create(
+                req.user.orgId,
+                req.user.userId,
+                req.body
+            );
+
+            res.status(201).json({
+                success: true,
+                message: 'Contact view saved successfully',
+                data: view,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/contact-views/:id
+     * Get saved view by ID
+     */
+    async getById(req, res, next) {
+        try {
+            const view = await contactViewService.getById(
+                req.user.orgId,
+                req.user.userId,
+                req.params.id
+            );
+
+            res.json({
+                success: true,
+                data: view,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * PATCH /api/contact-views/:id
+     * Update a saved view
+     */
+    async update(req, res, next) {
+        try {
+            const view = await contactViewService.update(
+                req.user.orgId,
+                req.user.userId,
+                req.params.id,
+                req.body
+            );
+
+            res.json({
+                success: true,
+                message: 'Contact view updated successfully',
+                data: view,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/contact-views/:id
+     * Delete a saved view
+     */
+    async delete(req, res, next) {
+        try {
+            await contactViewService.delete(req.user.orgId, req.user.userId, req.params.id);
+
+            res.json({
+                success: true,
+                message: 'Contact view deleted successfully',
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/contact-views/:id/contacts
+     * Get the contacts matching a saved view
+     */
+    async getContacts(req, res, next) {
+        try {
+            const result = await contactViewService.getContacts(
+                req.user.orgId,
+                req.user.userId,
+                req.params.id,
+                {
+                    page: parseInt(req.query.page) || 1,
+                    limit: parseInt(req.query.limit) || 50,
+                }
+            );
+
+            res.json({
+                success: true,
+                data: result.contacts,
+                view: {
+                    name: result.view.name,
+                    columns: result.view.columns,
+                    sort: result.view.sort,
+                },
+                pagination: result.pagination,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new ContactViewController();
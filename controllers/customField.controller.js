@@ -0,0 +1,109 @@
+/**
+ * Custom Field Controller
+ *
+ * HTTP request handlers for the custom field registry.
+ */
+
+const customFieldService = require('../services/customField.service');
+
+class CustomFieldController {
+    /**
+     * POST /api/custom-fields
+     * Create a custom field definition
+     */
+    async create(req, res, next) {
+        try {
+            const field = await customFieldService.create(
+                req.user.orgId,
+                req.body,
+                req.user.userId
+            );
+
+            res.status(201).json({
+                success: true,
+                message: 'Custom field created successfully',
+                data: field,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/custom-fields
+     * Get all custom field definitions
+     */
+    async getAll(req, res, next) {
+        try {
+            const fields = await customFieldService.getAll(req.user.orgId);
+
+            res.json({
+                success: true,
+                data: fields,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/custom-fields/:id
+     * Get custom field definition by ID
+     */
+    async getById(req, res, next) {
+        try {
+            const field = await customFieldService.getById(
+                req.user.orgId,
+                req.params.id
+            );
+
+            res.json({
+                success: true,
+                data: field,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * PATCH /api/custom-fields/:id
+     * Update custom field definition
+     */
+    async update(req, res, next) {
+        try {
+            const field = await customFieldService.update(
+                req.user.orgId,
+                req.params.id,
+                req.body
+            );
+
+            res.json({
+                success: true,
+                message: 'Custom field updated successfully',
+                data: field,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/custom-fields/:id
+     * Delete custom field definition
+     */
+    async delete(req, res, next) {
+        try {
+            await customFieldService.delete(req.user.orgId, req.params.id);
+
+            res.json({
+                success: true,
+                message: 'Custom field deleted successfully',
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new CustomFieldController();
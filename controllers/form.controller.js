@@ -0,0 +1,195 @@
+/**
+ * Form Controller
+ *
+ * HTTP request handlers for subscribe form management and
+ * public form submissions.
+ */
+
+const formService = require('../services/form.service');
+
+class FormController {
+    /**
+     * POST /api/forms
+     * Create a new form
+     */
+    async create(req, res, next) {
+        try {
+            const form = await formService.create(
+                req.user.orgId,
+                req.body,
+                req.user.userId
+            );
+
+            res.status(201).json({
+                success: true,
+                message: 'Form created successfully',
+                data: form,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/forms
+     * Get all forms
+     */
+    async getAll(req, res, next) {
+        try {
+            const result = await formService.getAll(req.user.orgId, {
+                page: parseInt(req.query.page) || 1,
+                limit: parseInt(req.query.limit) || 20,
+                status: req.query.status,
+                listId: req.query.listId,
+            });
+
+            res.json({
+                success: true,
+                data: result.forms,
+                pagination: result.pagination,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/forms/:id
+     * Get form by ID
+     */
+    async getById(req, res, next) {
+        try {
+            const form = await formService.getById(
+                req.user.orgId,
+                req.params.id
+            );
+
+            res.json({
+                success: true,
+                data: form,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * PATCH /api/forms/:id
+     * Update form
+     */
+    async update(req, res, next) {
+        try {
+            const form = await formService.update(
+                req.user.orgId,
+                req.params.id,
+                req.body
+            );
+
+            res.json({
+                success: true,
+                message: 'Form updated successfully',
+                data: form,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/forms/:id
+     * Delete form
+     */
+    async delete(req, res, next) {
+        try {
+            await formService.delete(req.user.orgId, req.params.id);
+
+            res.json({
+                success: true,
+                message: 'Form deleted successfully',
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/forms/:id/embed
+     * Get the embeddable HTML snippet
+     */
+    async getEmbedCode(req, res, next) {
+        try {
+            const html = await formService.getEmbedCode(
+                req.user.orgId,
+                req.params.id
+            );
+
+            res.json({
+                success: true,
+                data: { html },
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /f/:formId
+     * Public form submission (urlencoded from the embed snippet, or JSON)
+     * Browser posts are redirected; JSON requests get a JSON response.
+     */
+    async submit(req, res) {
+        const wantsJson = req.is('application/json') || req.accepts(['html', 'json']) === 'json';
+
+        try {
+            const { form, outcome } = await formService.submit(req.params.formId, req.body, {
+                ipAddress: req.ip || req.headers['x-forwarded-for'],
+                userAgent: req.headers['user-agent'],
+                referer: req.headers['referer'],
+            });
+
+            // Rejected submissions get the same response as accepted ones
+            const status = outcome === 'pending' ? 'pending' : 'received';
+
+            if (wantsJson) {
+                return res.json({
+                    success: true,
+                    message: status === 'pending'
+                        ? 'Please check your email to confirm your subscription'
+                        : 'Thanks for subscribing',
+                    data: { status },
+                });
+            }
+
+            const redirectUrl = new URL(form.redirectUrl || `${process.env.APP_URL}/subscribed`);
+            redirectUrl.searchParams.set('status', status);
+
+            res.redirect(303, redirectUrl.toString());
+
+        } catch (error) {
+            if (error.message === 'Form not found') {
+                return wantsJson
+                    ? res.status(404).json({ success: false, message: error.message })
+                    : res.status(404).send('This form is no longer available');
+            }
+
+            if (error.errors) {
+                // Submission errors are a list; a Mongoose ValidationError keys them by path
+                const errors = Array.isArray(error.errors)
+                    ? error.errors
+                    : Object.values(error.errors).map(e => e.message);
+
+                return wantsJson
+                    ? res.status(400).json({ success: false, message: 'Validation failed', errors })
+                    : res.status(400).type('text/plain').send(errors.join('\n'));
+            }
+
+            console.error('❌ Form submission error:', error.message);
+
+            return wantsJson
+                ? res.status(500).json({ success: false, message: 'An error occurred' })
+                : res.status(500).send('An error occurred');
+        }
+    }
+}
+
+module.exports = new FormController();
@@ -0,0 +1,307 @@
+/**
+ * List Controller
+ *
+ * HTTP request handlers for list management.
+ */
+
+const listService = require('../services/list.service');
+const bulkOperationService = require('../services/bulkOperation.service');
+
+class ListController {
+    /**
+     * POST /api/lists
+     * Create a new list
+     */
+    async create(req, res, next) {
+        try {
+            const list = await listService.create(
+                req.user.orgId,
+                req.body,
+                req.user.userId
+            );
+
+            res.status(201).json({
+                success: true,
+                message: 'List created successfully',
+                data: list,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/lists
+     * Get all lists with filters
+     */
+    async getAll(req, res, next) {
+        try {
+            const result = await listService.getAll(req.user.orgId, {
+                page: parseInt(req.query.page) || 1,
+                limit: parseInt(req.query.limit) || 20,
+                search: req.query.search,
+                status: req.query.status,
+                type: req.query.type,
+                sortBy: req.query.sortBy,
+                sortOrder: req.query.sortOrder,
+            });
+
+            res.json({
+                success: true,
+                data: result.lists,
+                pagination: result.pagination,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/lists/seeds
+     * Get the organization's seed lists
+     */
+    async getSeedLists(req, res, next) {
+        try {
+            const lists = await listService.getSeedLists(req.user.orgId);
+
+            res.json({
+                success: true,
+                data: lists,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * PUT /api/lists/seeds
+     * Replace the organization's seed lists
+     */
+    async setSeedLists(req, res, next) {
+        try {
+            const lists = await listService.setSeedLists(
+                req.user.orgId,
+                req.body.listIds
+            );
+
+            res.json({
+                success: true,
+                message: 'Seed lists updated successfully',
+                data: lists,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/lists/:id
+     * Get list by ID
+     */
+    async getById(req, res, next) {
+        try {
+            const list = await listService.getById(
+                req.user.orgId,
+                req.params.id
+            );
+
+            res.json({
+                success: true,
+                data: list,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * PATCH /api/lists/:id
+     * Update list
+     */
+    async update(req, res, next) {
+        try {
+            const list = await listService.update(
+                req.user.orgId,
+                req.params.id,
+                req.body,
+                req.user.userId
+            );
+
+            res.json({
+                success: true,
+                message: 'List updated successfully',
+                data: list,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/lists/:id/archive
+     * Archive list
+     */
+    async archive(req, res, next) {
+        try {
+            const list = await listService.archive(
+                req.user.orgId,
+                req.params.id,
+                req.user.userId
+            );
+
+            res.json({
+                success: true,
+                message: 'List archived',
+                data: list,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/lists/:id/restore
+     * Restore archived list
+     */
+    async restore(req, res, next) {
+        try {
+            const list = await listService.restore(
+                req.user.orgId,
+                req.params.id,
+                req.user.userId
+            );
+
+            res.json({
+                success: true,
+                message: 'List restored',
+                data: list,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/lists/:id/contacts
+     * Get list members
+     */
+    async getMembers(req, res, next) {
+        try {
+            const result = await listService.getMembers(
+                req.user.orgId,
+                req.params.id,
+                {
+                    page: parseInt(req.query.page) || 1,
+                    limit: parseInt(req.query.limit) || 50,
+                    status: req.query.status,
+                    search: req.query.search,
+                }
+            );
+
+            res.json({
+                success: true,
+                data: result.contacts,
+                pagination: result.pagination,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/lists/:id/contacts
+     * Bulk add contacts to list
+     */
+    async addMembers(req, res, next) {
+        try {
+            // A filter can match the whole organization - run it in the background
+            if (!req.body.contactIds) {
+                return queueMembershipOperation(req, res, 'add_to_list');
+            }
+
+            const result = await listService.addMembers(
+                req.user.orgId,
+                req.params.id,
+                req.body
+            );
+
+            res.json({
+                success: true,
+                message: result.message,
+                addedCount: result.addedCount,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/lists/:id/contacts
+     * Bulk remove contacts from list
+     */
+    async removeMembers(req, res, next) {
+        try {
+            if (!req.body.contactIds) {
+                return queueMembershipOperation(req, res, 'remove_from_list');
+            }
+
+            const result = await listService.removeMembers(
+                req.user.orgId,
+                req.params.id,
+                req.body
+            );
+
+            res.json({
+                success: true,
+                message: result.message,
+                removedCount: result.removedCount,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/lists/:id/refresh-stats
+     * Recalculate list stats
+     */
+    async refreshStats(req, res, next) {
+        try {
+            const list = await listService.refreshStats(
+                req.user.orgId,
+                req.params.id
+            );
+
+            res.json({
+                success: true,
+                message: 'List stats refreshed',
+                data: list,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+/**
+ * Helper: Queue a filter-based membership change as a bulk operation
+ */
+async function queueMembershipOperation(req, res, action) {
+    const operation = await bulkOperationService.create(
+        req.user.orgId,
+        {
+            target: { filter: req.body.filter },
+            action,
+            params: { listId: req.params.id },
+        },
+        req.user.userId
+    );
+
+    res.status(202).json({
+        success: true,
+        message: 'Bulk operation queued',
+        data: operation,
+    });
+}
+
+module.exports = new ListController();
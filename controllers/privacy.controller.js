@@ -0,0 +1,62 @@
+/**
+ * Privacy Controller
+ *
+ * HTTP request handlers for GDPR data subject requests.
+ */
+
+const privacyService = require('../services/privacy.service');
+const Suppression = require('../models/Suppression.model');
+const { logAction } = require('../middlewares/audit.middleware');
+
+class PrivacyController {
+    /**
+     * POST /api/privacy/access
+     * Download everything held about an address as a JSON archive
+     */
+    async access(req, res, next) {
+        try {
+            const archive = await privacyService.getAccessArchive(req.user.orgId, req.body.email);
+
+            // The audit entry identifies the address by hash only
+            await logAction(req, 'contact_access_request', {
+                resource: { type: 'contact', id: archive.contact?._id },
+                metadata: { emailHash: Suppression.hashEmail(req.user.orgId, req.body.email) },
+            });
+
+            const date = archive.generatedAt.toISOString().slice(0, 10);
+
+            res.setHeader('Content-Disposition', `attachment; filename=data-access-${date}.json`);
+            res.json(archive);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/privacy/erasure
+     * Erase an address across all collections and suppress it
+     */
+    async erase(req, res, next) {
+        try {
+            const report = await privacyService.erase(req.user.orgId, req.body.email, req.user.userId);
+
+            await logAction(req, 'contact_erase', {
+                resource: { type: 'contact' },
+                metadata: {
+                    emailHash: Suppression.hashEmail(req.user.orgId, req.body.email),
+                    ...report,
+                },
+            });
+
+            res.json({
+                success: true,
+                message: 'Address erased and suppressed',
+                data: report,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new PrivacyController();
@@ -0,0 +1,227 @@
+/**
+ * Segment Controller
+ *
+ * HTTP request handlers for segment management.
+ */
+
+const segmentService = require('../services/segment.service');
+
+class SegmentController {
+    /**
+     * POST /api/segments
+     * Create a new segment
+     */
+    async create(req, res, next) {
+        try {
+            const segment = await segmentService.create(
+                req.user.orgId,
+                req.body,
+                req.user.userId
+            );
+
+            res.status(201).json({
+                success: true,
+                message: 'Segment created successfully',
+                data: segment,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/segments
+     * Get all segments with filters
+     */
+    async getAll(req, res, next) {
+        try {
+            const result = await segmentService.getAll(req.user.orgId, {
+                page: parseInt(req.query.page) || 1,
+                limit: parseInt(req.query.limit) || 20,
+                search: req.query.search,
+                status: req.query.status,
+                type: req.query.type,
+                sortBy: req.query.sortBy,
+                sortOrder: req.query.sortOrder,
+            });
+
+            res.json({
+                success: true,
+                data: result.segments,
+                pagination: result.pagination,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/segments/:id
+     * Get segment by ID
+     */
+    async getById(req, res, next) {
+        try {
+            const segment = await segmentService.getById(
+                req.user.orgId,
+                req.params.id
+            );
+
+            res.json({
+                success: true,
+                data: segment,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * PATCH /api/segments/:id
+     * Update segment
+     */
+    async update(req, res, next) {
+        try {
+            const segment = await segmentService.update(
+                req.user.orgId,
+                req.params.id,
+                req.body,
+                req.user.userId
+            );
+
+            res.json({
+                success: true,
+                message: 'Segment updated successfully',
+                data: segment,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/segments/:id
+     * Delete segment
+     */
+    async delete(req, res, next) {
+        try {
+            const result = await segmentService.delete(
+                req.user.orgId,
+                req.params.id
+            );
+
+            res.json({
+                success: true,
+                message: result.message,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/segments/preview
+     * Preview unsaved conditions
+     */
+    async preview(req, res, next) {
+        try {
+            const result = await segmentService.preview(
+                req.user.orgId,
+                req.body,
+                { limit: Math.min(parseInt(req.query.limit) || 10, 100) }
+            );
+
+            res.json({
+                success: true,
+                data: result,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/segments/:id/contacts
+     * Get contacts matching segment
+     */
+    async getContacts(req, res, next) {
+        try {
+            const result = await segmentService.getContacts(
+                req.user.orgId,
+                req.params.id,
+                {
+                    page: parseInt(req.query.page) || 1,
+                    limit: parseInt(req.query.limit) || 50,
+                }
+            );
+
+            res.json({
+                success: true,
+                data: result.contacts,
+                pagination: result.pagination,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/segments/:id/refresh
+     * Recalculate cached count
+     */
+    async refresh(req, res, next) {
+        try {
+            const segment = await segmentService.refresh(
+                req.user.orgId,
+                req.params.id
+            );
+
+            res.json({
+                success: true,
+                message: 'Segment count refreshed',
+                data: segment,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/segments/templates
+     * Get pre-built segment templates
+     */
+    async getTemplates(req, res, next) {
+        try {
+            res.json({
+                success: true,
+                data: segmentService.getTemplates(),
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/segments/templates/:key
+     * Create segment from template
+     */
+    async createFromTemplate(req, res, next) {
+        try {
+            const segment = await segmentService.createFromTemplate(
+                req.user.orgId,
+                req.params.key,
+                req.body,
+                req.user.userId
+            );
+
+            res.status(201).json({
+                success: true,
+                message: 'Segment created from template',
+                data: segment,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new SegmentController();
@@ -0,0 +1,81 @@
+/**
+ * Sunset Policy Controller
+ *
+ * HTTP request handlers for the organization's sunset policy.
+ */
+
+const sunsetService = require('../services/sunset.service');
+
+class SunsetController {
+    /**
+     * GET /api/sunset-policy
+     * Get the sunset policy
+     */
+    async getPolicy(req, res, next) {
+        try {
+            const policy = await sunsetService.getPolicy(req.user.orgId);
+
+            res.json({
+                success: true,
+                data: policy,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * PATCH /api/sunset-policy
+     * Update the sunset policy
+     */
+    async updatePolicy(req, res, next) {
+        try {
+            const policy = await sunsetService.updatePolicy(req.user.orgId, req.body);
+
+            res.json({
+                success: true,
+                message: 'Sunset policy updated successfully',
+                data: policy,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/sunset-policy/preview
+     * Dry-run report (body: optional policy overrides)
+     */
+    async preview(req, res, next) {
+        try {
+            const report = await sunsetService.preview(req.user.orgId, req.body);
+
+            res.json({
+                success: true,
+                data: report,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/sunset-policy/run
+     * Apply the sunset policy now
+     */
+    async run(req, res, next) {
+        try {
+            const report = await sunsetService.run(req.user.orgId);
+
+            res.json({
+                success: true,
+                message: `Sunset policy applied: ${report.cleaned} cleaned, ${report.reengaged} re-engagement emails queued`,
+                data: report,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new SunsetController();
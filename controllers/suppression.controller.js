@@ -0,0 +1,160 @@
+/**
+ * Suppression Controller
+ *
+ * HTTP request handlers for the organization suppression list.
+ */
+
+const { Readable } = require('stream');
+const suppressionService = require('../services/suppression.service');
+
+class SuppressionController {
+    /**
+     * GET /api/suppressions
+     * Get suppression entries with filters
+     */
+    async getAll(req, res, next) {
+        try {
+            const result = await suppressionService.getAll(req.user.orgId, {
+                page: parseInt(req.query.page) || 1,
+                limit: Math.min(parseInt(req.query.limit) || 50, 500),
+                type: req.query.type,
+                reason: req.query.reason,
+                search: req.query.search,
+            });
+
+            res.json({
+                success: true,
+                data: result.entries,
+                pagination: result.pagination,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/suppressions
+     * Suppress an address or domain
+     */
+    async create(req, res, next) {
+        try {
+            const entry = await suppressionService.create(
+                req.user.orgId,
+                req.body,
+                req.user.userId
+            );
+
+            res.status(201).json({
+                success: true,
+                message: 'Suppression entry created successfully',
+                data: entry,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/suppressions/:id
+     * Get suppression entry by ID
+     */
+    async getById(req, res, next) {
+        try {
+            const entry = await suppressionService.getById(req.user.orgId, req.params.id);
+
+            res.json({
+                success: true,
+                data: entry,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * PATCH /api/suppressions/:id
+     * Update an entry's reason, note or expiry
+     */
+    async update(req, res, next) {
+        try {
+            const entry = await suppressionService.update(
+                req.user.orgId,
+                req.params.id,
+                req.body
+            );
+
+            res.json({
+                success: true,
+                message: 'Suppression entry updated successfully',
+                data: entry,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/suppressions/:id
+     * Remove a suppression entry
+     */
+    async delete(req, res, next) {
+        try {
+            await suppressionService.delete(req.user.orgId, req.params.id);
+
+            res.json({
+                success: true,
+                message: 'Suppression entry removed successfully',
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/suppressions/import
+     * Import entries from a CSV file
+     */
+    async importCSV(req, res, next) {
+        try {
+            const results = await suppressionService.importCSV(
+                req.user.orgId,
+                req.file.buffer,
+                req.user.userId,
+                { reason: req.body.reason, note: req.body.note }
+            );
+
+            res.json({
+                success: true,
+                message: `Suppression import finished: ${results.created} created, ${results.updated} updated, ${results.skipped} skipped`,
+                data: results,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/suppressions/export
+     * Download entries as CSV
+     */
+    async exportCSV(req, res, next) {
+        try {
+            const lines = suppressionService.exportCSV(req.user.orgId, {
+                type: req.query.type,
+                reason: req.query.reason,
+                search: req.query.search,
+            });
+
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', `attachment; filename=suppressions-${new Date().toISOString().slice(0, 10)}.csv`);
+
+            const stream = Readable.from(lines);
+            stream.on('error', next);
+            stream.pipe(res);
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new SuppressionController();
@@ -7,6 +7,7 @@
 const EmailLog = require('../models/EmailLog.model');
 const Contact = require('../models/Contact.model');
 const Campaign = require('../models/Campaign.model');
+const optInService = require('../services/optIn.service');
 const { analyticsQueue } = require('../queues');
 
 // 1x1 transparent GIF (smallest valid GIF)
@@ -215,7 +216,7 @@ class TrackingController {
 
         try {
             const emailLog = await EmailLog.findOne({ trackingId })
-                .select('contactId campaignId orgId email');
+                .select('contactId campaignId orgId email isSeed');
 
             if (!emailLog) {
                 return res.status(404).send('Invalid unsubscribe link');
@@ -250,8 +251,8 @@ class TrackingController {
                 }
             );
 
-            // Update campaign stats
-            if (emailLog.campaignId) {
+            // Update campaign stats (seed copies are left out)
+            if (emailLog.campaignId && !emailLog.isSeed) {
                 await Campaign.updateOne(
                     { _id: emailLog.campaignId },
                     { $inc: { 'analytics.unsubscribed': 1 } }
@@ -267,6 +268,7 @@ class TrackingController {
                     campaignId: emailLog.campaignId,
                     email: emailLog.email,
                     reason,
+                    isSeed: emailLog.isSeed,
                 },
             });
 
@@ -308,6 +310,32 @@ class TrackingController {
         }
     }
 
+    /**
+     * GET /t/confirm/:token
+     * Double opt-in confirmation
+     */
+    async confirmSubscription(req, res) {
+        const { token } = req.params;
+        const { ip, userAgent } = this.extractMetadata(req);
+
+        try {
+            const contact = await optInService.confirm(token, { ipAddress: ip, userAgent });
+
+            console.log(`✅ Subscription confirmed: ${contact.email}`);
+
+            const confirmedUrl = `${process.env.APP_URL}/subscription-confirmed?email=${encodeURIComponent(contact.email)}`;
+            res.redirect(302, confirmedUrl);
+
+        } catch (error) {
+            if (error.message.includes('invalid or has expired')) {
+                return res.status(404).send('This confirmation link is invalid or has expired');
+            }
+
+            console.error('❌ Confirmation error:', error.message);
+            res.status(500).send('An error occurred');
+        }
+    }
+
     /**
      * Extract metadata from request
      */
@@ -16,10 +16,15 @@ const {
   sanitizeRequest,
 } = require('./middlewares/security.middleware');
 const { auditLogger } = require('./middlewares/audit.middleware');
+const triggerService = require('./services/trigger.service');
+const welcomeService = require('./services/welcome.service');
+const timelineService = require('./services/timeline.service');
 
 // Import routes
 const authRoutes = require('./routes/auth.routes');
 const contactRoutes = require('./routes/contact.routes');
+const listRoutes = require('./routes/list.routes');
+const segmentRoutes = require('./routes/segment.routes');
 const templateRoutes = require('./routes/template.routes');
 const campaignRoutes = require('./routes/campaign.routes');
 const queueRoutes = require('./routes/queue.routes');
@@ -28,6 +33,13 @@ const trackingRoutes = require('./routes/tracking.routes');
 const analyticsRoutes = require('./routes/analytics.routes');
 const automationRoutes = require('./routes/automation.routes');
 const adminRoutes = require('./routes/admin.routes');
+const formRoutes = require('./routes/form.routes');
+const customFieldRoutes = require('./routes/customField.routes');
+const sunsetRoutes = require('./routes/sunset.routes');
+const privacyRoutes = require('./routes/privacy.routes');
+const suppressionRoutes = require('./routes/suppression.routes');
+const contactViewRoutes = require('./routes/contactView.routes');
+const subscribeRoutes = require('./routes/subscribe.routes');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -37,6 +49,9 @@ app.use(checkBlockedIP);
 app.use(securityHeaders);
 app.use(globalLimiter);
 
+// Public form submissions (own CORS, body parsing and rate limit)
+app.use('/f', subscribeRoutes);
+
 // CORS configuration
 app.use(cors({
   origin: [
@@ -76,10 +91,18 @@ app.use('/t', trackingRoutes);
 // API Routes - Auth with stricter rate limiting
 app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/contacts', contactRoutes);
+app.use('/api/lists', listRoutes);
+app.use('/api/segments', segmentRoutes);
 app.use('/api/templates', templateRoutes);
 app.use('/api/campaigns', campaignRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/automations', automationRoutes);
+app.use('/api/forms', formRoutes);
+app.use('/api/custom-fields', customFieldRoutes);
+app.use('/api/sunset-policy', sunsetRoutes);
+app.use('/api/privacy', privacyRoutes);
+app.use('/api/suppressions', suppressionRoutes);
+app.use('/api/contact-views', contactViewRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/admin/queues', queueRoutes);
 app.use('/api/webhooks', webhookRoutes);
@@ -90,6 +113,15 @@ app.use(notFoundHandler);
 // Global error handler
 app.use(errorHandler);
 
+// Enroll contacts into automations on domain events
+triggerService.register();
+
+// Send list welcome emails on subscription
+welcomeService.register();
+
+// Record contact activity for the timeline
+timelineService.register();
+
 // Connect to database and start server
 connectDB().then(() => {
   app.listen(PORT, () => {
@@ -7,7 +7,19 @@
 
 const cron = require('node-cron');
 const Campaign = require('../models/Campaign.model');
+const campaignService = require('../services/campaign.service');
+const sendTimeService = require('../services/sendTime.service');
+const engagementService = require('../services/engagement.service');
+const sunsetService = require('../services/sunset.service');
+const optInService = require('../services/optIn.service');
 const { campaignQueue } = require('../queues');
+const { getZonedParts, isValidTimezone, zonedTimeToUtc } = require('../utils/timezone');
+
+// Furthest any timezone can be from another (UTC-12 to UTC+14)
+const MAX_TIMEZONE_SPREAD_MS = 26 * 60 * 60 * 1000;
+
+// First timezone to reach a wall-clock time (UTC+14)
+const EARLIEST_TIMEZONE = 'Etc/GMT-14';
 
 /**
  * Check for scheduled campaigns and queue them
@@ -15,10 +27,21 @@ const { campaignQueue } = require('../queues');
 async function checkScheduledCampaigns() {
     try {
         // Find campaigns that are scheduled and ready to send
-        const campaigns = await Campaign.find({
+        const now = new Date();
+
+        // Recipient-timezone campaigns start when the earliest timezone reaches scheduledAt
+        const candidates = await Campaign.find({
             status: 'scheduled',
-            'schedule.scheduledAt': { $lte: new Date() },
-        }).select('_id orgId name');
+            $or: [
+                { 'schedule.scheduledAt': { $lte: now } },
+                {
+                    'schedule.useRecipientTimezone': true,
+                    'schedule.scheduledAt': { $lte: new Date(now.getTime() + MAX_TIMEZONE_SPREAD_MS) },
+                },
+            ],
+        }).select('_id orgId name schedule');
+
+        const campaigns = candidates.filter(c => getFirstSendAt(c) <= now);
 
         if (campaigns.length === 0) {
             return;
@@ -57,6 +80,20 @@ async function checkScheduledCampaigns() {
     }
 }
 
+/**
+ * Earliest moment a scheduled campaign can start sending
+ */
+function getFirstSendAt(campaign) {
+    const { scheduledAt, timezone, useRecipientTimezone } = campaign.schedule;
+
+    if (!useRecipientTimezone) {
+        return scheduledAt;
+    }
+
+    const wallClock = getZonedParts(scheduledAt, isValidTimezone(timezone) ? timezone : 'UTC');
+    return zonedTimeToUtc(wallClock, EARLIEST_TIMEZONE);
+}
+
 /**
  * Check for stalled campaigns and handle them
  */
@@ -65,11 +102,20 @@ async function checkStalledCampaigns() {
         // Find campaigns that have been "sending" for too long
         const staleThreshold = new Date(Date.now() - 2 * 60 * 60 * 1000); // 2 hours
 
+        // Throttled batches, timezone waves and A/B tests awaiting a winner
+        // send over hours by design - re-queuing them would skip the wait
         const stalledCampaigns = await Campaign.find({
             status: 'sending',
             startedAt: { $lt: staleThreshold },
             'progress.percentage': { $lt: 100 },
-        }).select('_id name');
+            'schedule.batchSending.enabled': { $ne: true },
+            'schedule.useRecipientTimezone': { $ne: true },
+            $nor: [{
+                'abTest.enabled': true,
+                'abTest.testStartedAt': { $ne: null },
+                'abTest.winnerSelectedAt': null,
+            }],
+        }).select('_id orgId name');
 
         for (const campaign of stalledCampaigns) {
             console.warn(`⚠️ Campaign ${campaign.name} appears stalled, re-queuing`);
@@ -93,6 +139,101 @@ async function checkStalledCampaigns() {
     }
 }
 
+/**
+ * Pick winners for A/B tests whose test window has elapsed,
+ * then queue the winning variant to the remaining audience
+ */
+async function checkABTestWinners() {
+    let campaigns;
+    try {
+        campaigns = await Campaign.findABTestsAwaitingWinner();
+    } catch (error) {
+        console.error('❌ A/B winner check error:', error.message);
+        return;
+    }
+
+    // One failing campaign doesn't hold up the others
+    for (const campaign of campaigns) {
+        try {
+            const winner = await campaignService.selectABWinner(campaign._id);
+
+            console.log(`🏆 Campaign ${campaign.name}: variant "${winner.name}" wins A/B test`);
+
+            await campaignQueue.add(
+                'process-campaign',
+                {
+                    campaignId: campaign._id.toString(),
+                    orgId: campaign.orgId.toString(),
+                },
+                {
+                    priority: 1,
+                    attempts: 3,
+                    backoff: {
+                        type: 'exponential',
+                        delay: 30000,
+                    },
+                }
+            );
+        } catch (error) {
+            console.error(`❌ A/B winner check error for campaign ${campaign._id}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Relearn each contact's preferred send hour from recent opens
+ */
+async function updatePreferredSendTimes() {
+    try {
+        const { updated } = await sendTimeService.learnPreferredHours();
+        console.log(`🕘 Updated preferred send hour for ${updated} contacts`);
+    } catch (error) {
+        console.error('❌ Send-time learning error:', error.message);
+    }
+}
+
+/**
+ * Recompute engagement scores and levels with time decay
+ */
+async function recalculateEngagementScores() {
+    try {
+        const { updated, levelChanged } = await engagementService.recalculateScores();
+        console.log(`📉 Recalculated engagement for ${updated} contacts (${levelChanged} changed level)`);
+    } catch (error) {
+        console.error('❌ Engagement scoring error:', error.message);
+    }
+}
+
+/**
+ * Apply organization sunset policies to inactive contacts
+ */
+async function applySunsetPolicies() {
+    try {
+        const { organizations, reengaged, cleaned } = await sunsetService.runAll();
+
+        if (organizations > 0) {
+            console.log(`🌅 Sunset policies: ${cleaned} contacts cleaned, ${reengaged} re-engagement emails queued (${organizations} orgs)`);
+        }
+    } catch (error) {
+        console.error('❌ Sunset policy error:', error.message);
+    }
+}
+
+/**
+ * Clean up double opt-ins that were never confirmed
+ */
+async function purgeExpiredPendingContacts() {
+    try {
+        const { deleted, restored, expiredMemberships } = await optInService.purgeExpired();
+
+        if (deleted > 0 || restored > 0 || expiredMemberships > 0) {
+            console.log(`🧹 Unconfirmed opt-ins: ${deleted} contacts purged, ${restored} restored, ${expiredMemberships} list memberships dropped`);
+        }
+    } catch (error) {
+        console.error('❌ Pending contact purge error:', error.message);
+    }
+}
+
 /**
  * Start the scheduler
  */
@@ -102,11 +243,36 @@ function startScheduler() {
         checkScheduledCampaigns();
     });
 
+    // Check for A/B tests ready for winner selection every 5 minutes
+    cron.schedule('*/5 * * * *', () => {
+        checkABTestWinners();
+    });
+
     // Check for stalled campaigns every 15 minutes
     cron.schedule('*/15 * * * *', () => {
         checkStalledCampaigns();
     });
 
+    // Recalculate engagement scores nightly at 2am
+    cron.schedule('0 2 * * *', () => {
+        recalculateEngagementScores();
+    });
+
+    // Relearn preferred send hours daily at 3am
+    cron.schedule('0 3 * * *', () => {
+        updatePreferredSendTimes();
+    });
+
+    // Apply sunset policies daily at 4am (after engagement scoring)
+    cron.schedule('0 4 * * *', () => {
+        applySunsetPolicies();
+    });
+
+    // Purge expired double opt-in contacts hourly
+    cron.schedule('30 * * * *', () => {
+        purgeExpiredPendingContacts();
+    });
+
     console.log('⏰ Campaign scheduler started');
 
     // Run initial check
@@ -135,5 +301,10 @@ module.exports = {
     startScheduler,
     checkScheduledCampaigns,
     checkStalledCampaigns,
+    checkABTestWinners,
+    updatePreferredSendTimes,
+    recalculateEngagementScores,
+    applySunsetPolicies,
+    purgeExpiredPendingContacts,
     triggerCampaign,
 };
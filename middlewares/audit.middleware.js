@@ -22,7 +22,11 @@ const actionMap = {
     'PATCH:/api/contacts/:id': 'contact_update',
     'DELETE:/api/contacts/:id': 'contact_delete',
     'POST:/api/contacts/import': 'contact_import',
-    'GET:/api/contacts/export': 'contact_export',
+
+    // Lists
+    'POST:/api/lists': 'list_create',
+    'PATCH:/api/lists/:id': 'list_update',
+    'POST:/api/lists/:id/archive': 'list_delete',
 
     // Campaigns
     'POST:/api/campaigns': 'campaign_create',
@@ -104,6 +108,7 @@ function extractResource(req, action) {
     if (action.includes('contact')) resource.type = 'contact';
     else if (action.includes('campaign')) resource.type = 'campaign';
     else if (action.includes('template')) resource.type = 'template';
+    else if (action.startsWith('list')) resource.type = 'list';
     else if (action.includes('automation')) resource.type = 'automation';
     else if (action.includes('user')) resource.type = 'user';
     else if (action.includes('org')) resource.type = 'organization';
@@ -4,11 +4,29 @@
  * Multer configuration for handling file uploads.
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
 const multer = require('multer');
 
 // Memory storage for processing files without saving to disk
 const storage = multer.memoryStorage();
 
+// CSV imports are written to disk for the import worker (must be shared with worker hosts)
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(os.tmpdir(), 'mailengine-uploads');
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+const csvStorage = multer.diskStorage({
+    destination: UPLOAD_DIR,
+    filename: (req, file, cb) => {
+        cb(null, `import-${Date.now()}-${crypto.randomBytes(8).toString('hex')}.csv`);
+    },
+});
+
+// Max CSV size (large imports run in the background)
+const CSV_MAX_SIZE = 200 * 1024 * 1024;
+
 // File filter for CSV files
 const csvFilter = (req, file, cb) => {
     const allowedMimes = ['text/csv', 'application/vnd.ms-excel', 'text/plain'];
@@ -36,10 +54,10 @@ const imageFilter = (req, file, cb) => {
 
 // CSV upload configuration
 const uploadCSV = multer({
-    storage,
+    storage: csvStorage,
     fileFilter: csvFilter,
     limits: {
-        fileSize: 10 * 1024 * 1024, // 10MB max
+        fileSize: CSV_MAX_SIZE, // 200MB max
     },
 });
 
@@ -66,7 +84,7 @@ const handleUploadError = (err, req, res, next) => {
         if (err.code === 'LIMIT_FILE_SIZE') {
             return res.status(400).json({
                 success: false,
-                message: 'File too large. Maximum size is 10MB.',
+                message: 'File too large.',
             });
         }
         return res.status(400).json({
@@ -90,4 +108,5 @@ module.exports = {
     uploadImage,
     upload,
     handleUploadError,
+    UPLOAD_DIR,
 };
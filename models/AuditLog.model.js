@@ -40,6 +40,7 @@ const auditLogSchema = new mongoose.Schema({
             // Contact actions
             'contact_create', 'contact_update', 'contact_delete', 'contact_import',
             'contact_export', 'contact_unsubscribe', 'contact_resubscribe',
+            'contact_access_request', 'contact_erase', 'contact_bulk_operation',
 
             // Campaign actions
             'campaign_create', 'campaign_update', 'campaign_delete',
@@ -56,9 +56,9 @@ const actionSchema = new mongoose.Schema({
                 'on_list', 'has_tag'],
         },
         value: mongoose.Schema.Types.Mixed,
-        // Branch paths
-        trueBranch: { type: mongoose.Schema.Types.ObjectId }, // Reference to next step
-        falseBranch: { type: mongoose.Schema.Types.ObjectId },
+        // Branch paths (stepId to follow; takes precedence over nextSteps)
+        trueBranch: String,
+        falseBranch: String,
     },
 
     // For update_contact
@@ -132,7 +132,7 @@ const triggerSchema = new mongoose.Schema({
         type: String,
         enum: ['list_subscription', 'tag_added', 'tag_removed', 'contact_created',
             'contact_updated', 'email_opened', 'email_clicked', 'link_clicked',
-            'date_field', 'api', 'manual'],
+            'date_field', 'engagement_level_changed', 'api', 'manual'],
         required: true,
     },
 
@@ -155,6 +155,12 @@ const triggerSchema = new mongoose.Schema({
         time: String,   // Time to trigger, e.g., "09:00"
     },
 
+    // For engagement_level_changed (e.g. 'cold' for "became cold"; empty = any level)
+    engagementLevel: {
+        type: String,
+        enum: ['cold', 'cooling', 'warm', 'hot'],
+    },
+
     // For api trigger
     apiKey: String,
 
@@ -353,8 +359,28 @@ automationSchema.methods.getNextSteps = function (stepId, branchCondition = 'def
         .filter(Boolean);
 };
 
-// Validate workflow
-automationSchema.methods.validate = function () {
+// Resolve the single step to follow from a given step.
+// A condition's trueBranch/falseBranch wins; otherwise prefers an edge
+// matching the branch ('true'/'false'), falling back to 'default'.
+automationSchema.methods.resolveNextStep = function (stepId, branch = 'default') {
+    const step = this.getStep(stepId);
+    if (!step) return null;
+
+    const branchStepId = getBranchRef(step, branch);
+    if (branchStepId) {
+        return this.getStep(branchStepId) || null;
+    }
+
+    if (!step.nextSteps?.length) return null;
+
+    const edge = step.nextSteps.find(ns => ns.condition === branch)
+        || step.nextSteps.find(ns => !ns.condition || ns.condition === 'default');
+
+    return edge ? this.getStep(edge.stepId) || null : null;
+};
+
+// Validate workflow (named to avoid shadowing Document#validate)
+automationSchema.methods.validateWorkflow = function () {
     const errors = [];
 
     // Check entry step exists
@@ -372,6 +398,13 @@ automationSchema.methods.validate = function () {
             }
         }
 
+        for (const branch of ['true', 'false']) {
+            const branchStepId = getBranchRef(step, branch);
+            if (branchStepId && !this.getStep(branchStepId)) {
+                errors.push(`Step ${step.stepId} ${branch} branch references non-existent step ${branchStepId}`);
+            }
+        }
+
         // Check email steps have templates
         if (step.action.type === 'send_email' && !step.action.email?.templateId) {
             errors.push(`Email step ${step.stepId} missing template`);
@@ -443,4 +476,14 @@ automationSchema.statics.findByTagAdded = function (orgId, tag) {
     return this.findByTrigger(orgId, 'tag_added', { tag });
 };
 
+/**
+ * Helper: The stepId a condition step names for a branch ('true'/'false')
+ */
+function getBranchRef(step, branch) {
+    if (step.action?.type !== 'condition') return null;
+
+    const { trueBranch, falseBranch } = step.action.condition || {};
+    return { true: trueBranch, false: falseBranch }[branch] || null;
+}
+
 module.exports = mongoose.model('Automation', automationSchema);
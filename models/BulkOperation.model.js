@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+/**
+ * Bulk Operation Model
+ *
+ * Tracks a background change to every contact matching a segment or an
+ * ad-hoc filter (status, field, tags, list membership or delete),
+ * processed by the bulk worker.
+ *
+ * Relations:
+ * - Belongs to Organization
+ * - Optionally targets a Segment / List
+ * - Created by User
+ */
+
+const bulkOperationSchema = new mongoose.Schema({
+    // Organization reference (tenant isolation)
+    orgId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true,
+        index: true,
+    },
+
+    // Which contacts to change: a segment, or contact list filters
+    target: {
+        segmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Segment' },
+        filter: {
+            status: String,
+            listId: { type: mongoose.Schema.Types.ObjectId, ref: 'List' },
+            tag: String,
+            engagementLevel: String,
+            search: String,
+        },
+    },
+
+    action: {
+        type: String,
+        enum: ['set_status', 'set_field', 'add_tags', 'remove_tags', 'add_to_list', 'remove_from_list', 'delete'],
+        required: true,
+    },
+
+    // Action arguments (value is already coerced to the field's type)
+    params: {
+        status: String,
+        reason: String,
+        field: String,
+        value: mongoose.Schema.Types.Mixed,
+        tags: [String],
+        listId: { type: mongoose.Schema.Types.ObjectId, ref: 'List' },
+    },
+
+    status: {
+        type: String,
+        enum: ['queued', 'processing', 'completed', 'failed'],
+        default: 'queued',
+        index: true,
+    },
+
+    progress: {
+        total: { type: Number, default: 0 },
+        processed: { type: Number, default: 0 },
+        // Contacts actually changed (already-matching contacts are skipped)
+        affected: { type: Number, default: 0 },
+        percentage: { type: Number, default: 0 },
+        // Cursor for resuming a retried job
+        lastContactId: { type: mongoose.Schema.Types.ObjectId, select: false },
+    },
+
+    // Failure reason
+    failedReason: String,
+
+    startedAt: Date,
+    completedAt: Date,
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+
+}, {
+    timestamps: true,
+});
+
+// ============ INDEXES ============
+
+// Operation history per organization
+bulkOperationSchema.index({ orgId: 1, createdAt: -1 });
+
+// ============ STATICS ============
+
+// Recent operations for an organization
+bulkOperationSchema.statics.findRecent = function (orgId, limit = 20) {
+    return this.find({ orgId })
+        .sort({ createdAt: -1 })
+        .limit(limit);
+};
+
+module.exports = mongoose.model('BulkOperation', bulkOperationSchema);
@@ -75,6 +75,12 @@ const campaignSchema = new mongoose.Schema({
             fromName: String,
             percentage: Number,   // Percentage of audience to receive this variant
             isWinner: { type: Boolean, default: false },
+            // Snapshot taken when the winner is selected
+            stats: {
+                sent: { type: Number, default: 0 },
+                opened: { type: Number, default: 0 },
+                clicked: { type: Number, default: 0 },
+            },
         }],
         testSize: {
             type: Number,
@@ -91,6 +97,8 @@ const campaignSchema = new mongoose.Schema({
             type: Number,
             default: 4,
         },
+        testStartedAt: Date,      // Test group queued; winner due after testDurationHours
+        testRecipients: { type: Number, default: 0 },
         winnerSelectedAt: Date,
     },
 
@@ -114,12 +122,27 @@ const campaignSchema = new mongoose.Schema({
             ref: 'List',
         }],
 
+        // Seed lists for this campaign (on top of the organization's)
+        seedLists: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'List',
+        }],
+
         // Exclusion segments  
         excludeSegments: [{
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Segment',
         }],
 
+        // Leave out contacts whose email validation has one of these statuses
+        excludeEmailStatuses: {
+            type: [{
+                type: String,
+                enum: ['invalid', 'risky', 'catch-all', 'unknown'],
+            }],
+            default: ['invalid'],
+        },
+
         // Exclude contacts who received campaign in last X days
         excludeRecentRecipients: {
             enabled: { type: Boolean, default: false },
@@ -141,6 +164,9 @@ const campaignSchema = new mongoose.Schema({
         scheduledAt: Date,
         timezone: String,
 
+        // Treat scheduledAt as a wall-clock time in each recipient's timezone
+        useRecipientTimezone: { type: Boolean, default: false },
+
         // Smart send: optimize send time per contact
         optimizeSendTime: { type: Boolean, default: false },
 
@@ -185,6 +211,22 @@ const campaignSchema = new mongoose.Schema({
         pausedAt: Date,
         estimatedCompletion: Date,
         lastProcessedAt: Date,
+        lastContactId: mongoose.Schema.Types.ObjectId,  // Batch sending cursor
+
+        // Recipient-timezone waves (one per distinct local send instant)
+        waves: [{
+            sendAt: Date,
+            timezones: [String],
+            includesDefault: { type: Boolean, default: false },  // Contacts without a valid timezone
+            recipients: { type: Number, default: 0 },
+            queued: { type: Number, default: 0 },
+            status: {
+                type: String,
+                enum: ['pending', 'sent'],
+                default: 'pending',
+            },
+            sentAt: Date,
+        }],
     },
 
     // Analytics (updated by analytics worker)
@@ -205,6 +247,8 @@ const campaignSchema = new mongoose.Schema({
         // Negative metrics
         unsubscribed: { type: Number, default: 0 },
         complained: { type: Number, default: 0 },
+        // Skipped at send time by the suppression gate
+        suppressed: { type: Number, default: 0 },
 
         // Rates (calculated)
         deliveryRate: { type: Number, default: 0 },
@@ -376,8 +420,10 @@ campaignSchema.methods.calculateRecipients = async function () {
         }
     }
 
-    // Remove excluded lists
-    for (const listId of this.recipients.excludeLists || []) {
+    // Remove excluded lists (seed list members get seed copies instead)
+    const seedListIds = await mongoose.model('List').getSeedListIds(this.orgId, this.recipients.seedLists);
+
+    for (const listId of [...(this.recipients.excludeLists || []), ...seedListIds]) {
         const contacts = await Contact.find({
             orgId: this.orgId,
             'lists.listId': listId,
@@ -396,6 +442,16 @@ campaignSchema.methods.calculateRecipients = async function () {
         }
     }
 
+    // Remove addresses excluded by email validation
+    if (this.recipients.excludeEmailStatuses?.length > 0) {
+        const contacts = await Contact.find({
+            orgId: this.orgId,
+            'deliverability.emailValidation.status': { $in: this.recipients.excludeEmailStatuses },
+        }).select('_id');
+
+        contacts.forEach(c => excludeIds.add(c._id.toString()));
+    }
+
     // Calculate final count
     const finalIds = [...includeIds].filter(id => !excludeIds.has(id));
     this.recipients.estimatedCount = finalIds.length;
@@ -494,6 +550,11 @@ campaignSchema.methods.clone = function (newName) {
     return new (mongoose.model('Campaign'))(cloned);
 };
 
+// Get the winning A/B variant (if selected)
+campaignSchema.methods.getWinningVariant = function () {
+    return this.abTest?.variants?.find(v => v.isWinner) || null;
+};
+
 // ============ STATICS ============
 
 // Find campaigns ready to send
@@ -504,6 +565,21 @@ campaignSchema.statics.findReadyToSend = function () {
     });
 };
 
+// Find A/B tests whose test window has elapsed without a winner
+campaignSchema.statics.findABTestsAwaitingWinner = async function () {
+    const campaigns = await this.find({
+        status: 'sending',
+        'abTest.enabled': true,
+        'abTest.testStartedAt': { $ne: null },
+        'abTest.winnerSelectedAt': null,
+    });
+
+    const now = Date.now();
+    return campaigns.filter(c =>
+        c.abTest.testStartedAt.getTime() + c.abTest.testDurationHours * 60 * 60 * 1000 <= now
+    );
+};
+
 // Find active sending campaigns
 campaignSchema.statics.findSending = function () {
     return this.find({ status: 'sending' });
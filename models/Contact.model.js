@@ -13,6 +13,10 @@ const mongoose = require('mongoose');
  * - Has many EmailLogs
  */
 
+// Engagement decay: scores start halving after the grace period without opens/clicks
+const ENGAGEMENT_DECAY_GRACE_DAYS = parseInt(process.env.ENGAGEMENT_DECAY_GRACE_DAYS) || 14;
+const ENGAGEMENT_DECAY_HALF_LIFE_DAYS = parseInt(process.env.ENGAGEMENT_DECAY_HALF_LIFE_DAYS) || 60;
+
 const contactSchema = new mongoose.Schema({
     // Organization reference (tenant isolation)
     orgId: {
@@ -100,6 +104,11 @@ const contactSchema = new mongoose.Schema({
         confirmedAt: Date,
         confirmationToken: String,
         confirmationExpires: Date,
+        // Status before the contact was held as pending (restored if it never confirms)
+        previousStatus: {
+            type: String,
+            enum: ['subscribed', 'unsubscribed', 'cleaned', 'bounced', 'complained'],
+        },
         ipAddress: String,
         userAgent: String,
     },
@@ -137,6 +146,13 @@ const contactSchema = new mongoose.Schema({
             enum: ['cold', 'cooling', 'warm', 'hot', 'new'],
             default: 'new',
         },
+        previousLevel: String,
+        levelChangedAt: Date,
+        scoreUpdatedAt: Date,
+
+        // Send-time optimization: local hour (0-23) the contact usually opens
+        preferredSendHour: { type: Number, min: 0, max: 23 },
+        preferredSendHourUpdatedAt: Date,
     },
 
     // Email deliverability
@@ -159,6 +175,10 @@ const contactSchema = new mongoose.Schema({
                 enum: ['unknown', 'valid', 'invalid', 'risky', 'catch-all'],
                 default: 'unknown',
             },
+            // Failed checks: syntax, no_mx, disposable, role_account, possible_typo, mx_lookup_failed
+            reasons: [String],
+            // Corrected address for a likely typo
+            suggestion: String,
             validatedAt: Date,
         },
     },
@@ -190,9 +210,37 @@ const contactSchema = new mongoose.Schema({
         },
         status: {
             type: String,
-            enum: ['active', 'unsubscribed', 'removed'],
+            enum: ['active', 'pending', 'unsubscribed', 'removed'],
             default: 'active',
         },
+        // Double opt-in for an existing contact joining the list (status 'pending')
+        confirmationToken: String,
+        confirmationExpires: Date,
+    }],
+
+    // Automation enrollments (workflow position per automation)
+    automations: [{
+        automationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Automation',
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: ['active', 'waiting', 'completed', 'exited', 'error'],
+            default: 'active',
+        },
+        currentStepId: String,
+        enteredAt: {
+            type: Date,
+            default: Date.now,
+        },
+        nextActionAt: Date,
+        lastActionAt: Date,
+        completedAt: Date,
+        exitedAt: Date,
+        exitReason: String,
+        error: String,
     }],
 
     // Metadata
@@ -220,6 +268,12 @@ contactSchema.index({ orgId: 1, email: 1 }, { unique: true });
 // List membership queries - find all contacts in a list
 contactSchema.index({ orgId: 1, 'lists.listId': 1, 'lists.status': 1 });
 
+// List confirmation links
+contactSchema.index({ 'lists.confirmationToken': 1 }, { sparse: true });
+
+// Automation processing - contacts due for their next workflow step
+contactSchema.index({ 'automations.automationId': 1, 'automations.status': 1, 'automations.nextActionAt': 1 });
+
 // Status-based queries (e.g., get all subscribed contacts)
 contactSchema.index({ orgId: 1, status: 1 });
 
@@ -240,6 +294,9 @@ contactSchema.index({ orgId: 1, 'location.country': 1 });
 // Deliverability management
 contactSchema.index({ orgId: 1, 'deliverability.bounceCount': 1 });
 
+// Excluding invalid/risky addresses (segments, campaign recipients)
+contactSchema.index({ orgId: 1, 'deliverability.emailValidation.status': 1 });
+
 // Source tracking for analytics
 contactSchema.index({ orgId: 1, 'source.type': 1, createdAt: -1 });
 
@@ -298,7 +355,7 @@ contactSchema.methods.removeFromList = function (listId) {
 };
 
 // Unsubscribe contact
-contactSchema.methods.unsubscribe = function (reason, campaignId) {
+contactSchema.methods.markUnsubscribed = function (reason, campaignId) {
     this.status = 'unsubscribed';
     this.statusReason = reason;
     this.statusChangedAt = new Date();
@@ -312,41 +369,75 @@ contactSchema.methods.unsubscribe = function (reason, campaignId) {
 
 // Update engagement score
 contactSchema.methods.updateEngagementScore = function () {
-    const { emailsReceived, emailsOpened, emailsClicked } = this.engagement;
+    const result = this.constructor.calculateEngagement(this.engagement);
+
+    if (result.level !== this.engagement.level) {
+        this.engagement.previousLevel = this.engagement.level;
+        this.engagement.levelChangedAt = new Date();
+    }
+
+    Object.assign(this.engagement, result, { scoreUpdatedAt: new Date() });
+
+    return this.save();
+};
+
+// ============ STATICS ============
+
+// Compute engagement score, level and rates, decayed by time since last open/click
+contactSchema.statics.calculateEngagement = function (engagement = {}, now = new Date()) {
+    const {
+        emailsReceived = 0,
+        emailsOpened = 0,
+        emailsClicked = 0,
+        lastOpenedAt,
+        lastClickedAt,
+    } = engagement;
 
     if (emailsReceived === 0) {
-        this.engagement.score = 50; // New contact
-        this.engagement.level = 'new';
-        return this.save();
+        return { score: 50, level: 'new', openRate: 0, clickRate: 0 };
     }
 
     // Calculate rates
     const openRate = (emailsOpened / emailsReceived) * 100;
-    const clickRate = emailsReceived > 0 ? (emailsClicked / emailsReceived) * 100 : 0;
-
-    this.engagement.openRate = Math.round(openRate * 100) / 100;
-    this.engagement.clickRate = Math.round(clickRate * 100) / 100;
+    const clickRate = (emailsClicked / emailsReceived) * 100;
 
     // Weighted score: 40% open rate + 60% click rate (clicks are more valuable)
-    const score = Math.round((openRate * 0.4) + (clickRate * 0.6) * 2);
-    this.engagement.score = Math.min(100, Math.max(0, score));
+    let score = (openRate * 0.4) + (clickRate * 0.6) * 2;
+
+    // Time decay since the last open or click
+    const lastActivity = Math.max(
+        lastOpenedAt ? new Date(lastOpenedAt).getTime() : 0,
+        lastClickedAt ? new Date(lastClickedAt).getTime() : 0
+    );
+
+    if (lastActivity > 0) {
+        const idleDays = (now.getTime() - lastActivity) / (24 * 60 * 60 * 1000);
+        const decayDays = Math.max(0, idleDays - ENGAGEMENT_DECAY_GRACE_DAYS);
+        score *= Math.pow(0.5, decayDays / ENGAGEMENT_DECAY_HALF_LIFE_DAYS);
+    }
+
+    score = Math.min(100, Math.max(0, Math.round(score)));
 
     // Determine engagement level
-    if (this.engagement.score >= 70) {
-        this.engagement.level = 'hot';
-    } else if (this.engagement.score >= 40) {
-        this.engagement.level = 'warm';
-    } else if (this.engagement.score >= 20) {
-        this.engagement.level = 'cooling';
+    let level;
+    if (score >= 70) {
+        level = 'hot';
+    } else if (score >= 40) {
+        level = 'warm';
+    } else if (score >= 20) {
+        level = 'cooling';
     } else {
-        this.engagement.level = 'cold';
+        level = 'cold';
     }
 
-    return this.save();
+    return {
+        score,
+        level,
+        openRate: Math.round(openRate * 100) / 100,
+        clickRate: Math.round(clickRate * 100) / 100,
+    };
 };
 
-// ============ STATICS ============
-
 // Find contacts by list
 contactSchema.statics.findByList = function (orgId, listId, status = 'active') {
     return this.find({
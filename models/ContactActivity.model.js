@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+/**
+ * Contact Activity Model
+ *
+ * Append-only history of contact changes recorded from domain events:
+ * list joins/leaves, tag changes, status changes, engagement level
+ * changes, field updates and automation progress. Email events and audit entries are read from
+ * EmailLog / AuditLog when the timeline is built.
+ *
+ * Relations:
+ * - Belongs to Organization
+ * - Belongs to Contact
+ * - Optionally references List / Automation / Campaign
+ */
+
+const contactActivitySchema = new mongoose.Schema({
+    // Organization reference (tenant isolation)
+    orgId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true,
+    },
+
+    contactId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Contact',
+        required: true,
+    },
+
+    type: {
+        type: String,
+        required: true,
+        enum: [
+            'list_joined', 'list_left',
+            'tag_added', 'tag_removed',
+            'status_changed', 'contact_updated', 'contact_merged', 'engagement_level_changed',
+            'automation_entered', 'automation_step', 'automation_exited',
+        ],
+    },
+
+    occurredAt: {
+        type: Date,
+        default: Date.now,
+    },
+
+    listId: { type: mongoose.Schema.Types.ObjectId, ref: 'List' },
+    automationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Automation' },
+    campaignId: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign' },
+
+    // Event details (tags, status/reason, fields, step, exit reason...)
+    data: mongoose.Schema.Types.Mixed,
+
+}, {
+    versionKey: false,
+});
+
+// ============ INDEXES ============
+
+// Contact timeline (newest first)
+contactActivitySchema.index({ orgId: 1, contactId: 1, occurredAt: -1 });
+
+module.exports = mongoose.model('ContactActivity', contactActivitySchema);
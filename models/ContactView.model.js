@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+/**
+ * Contact View Model
+ *
+ * A user's saved contact list view: a query language expression
+ * (see utils/contactQuery), the columns to show and the sort order.
+ * Views are private to the user who saved them.
+ *
+ * Relations:
+ * - Belongs to Organization
+ * - Belongs to User
+ */
+
+const contactViewSchema = new mongoose.Schema({
+    // Organization reference (tenant isolation)
+    orgId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true,
+    },
+
+    // Owner
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    name: {
+        type: String,
+        required: [true, 'View name is required'],
+        trim: true,
+        maxlength: [100, 'View name cannot exceed 100 characters'],
+    },
+
+    // Query language expression (empty = all contacts)
+    expression: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Expression cannot exceed 2000 characters'],
+        default: '',
+    },
+
+    // Contact fields to show (empty = default columns)
+    columns: [String],
+
+    sort: {
+        field: { type: String, default: 'createdAt' },
+        order: { type: String, enum: ['asc', 'desc'], default: 'desc' },
+    },
+
+}, {
+    timestamps: true,
+});
+
+// ============ INDEXES ============
+
+// One view per name per user
+contactViewSchema.index({ orgId: 1, userId: 1, name: 1 }, { unique: true });
+
+// ============ STATICS ============
+
+// A user's views, by name
+contactViewSchema.statics.findForUser = function (orgId, userId) {
+    return this.find({ orgId, userId }).sort({ name: 1 });
+};
+
+module.exports = mongoose.model('ContactView', contactViewSchema);
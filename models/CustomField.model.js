@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+/**
+ * Custom Field Model
+ *
+ * Declares the type of a contact custom field (Contact.customFields.<key>)
+ * for an organization. Contact writes and imports are coerced to the
+ * declared type, and segment conditions compare with it.
+ * Keys without a definition stay untyped.
+ *
+ * Relations:
+ * - Belongs to Organization
+ * - Created by User
+ */
+
+const customFieldSchema = new mongoose.Schema({
+    // Organization reference (tenant isolation)
+    orgId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true,
+        index: true,
+    },
+
+    // Key in Contact.customFields (matched case-insensitively)
+    key: {
+        type: String,
+        required: [true, 'Field key is required'],
+        trim: true,
+        maxlength: [50, 'Field key cannot exceed 50 characters'],
+        match: [/^[^.$][^.]*$/, 'Field key cannot contain dots or start with $'],
+    },
+
+    label: {
+        type: String,
+        required: [true, 'Field label is required'],
+        trim: true,
+        maxlength: [100, 'Field label cannot exceed 100 characters'],
+    },
+
+    type: {
+        type: String,
+        enum: ['text', 'number', 'date', 'boolean', 'enum'],
+        default: 'text',
+    },
+
+    // Allowed values for enum fields
+    options: [{
+        type: String,
+        trim: true,
+    }],
+
+    required: {
+        type: Boolean,
+        default: false,
+    },
+
+    // Applied to new contacts that don't provide a value
+    defaultValue: mongoose.Schema.Types.Mixed,
+
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+
+}, {
+    timestamps: true,
+});
+
+// ============ INDEXES ============
+
+// One definition per key per organization (case-insensitive)
+customFieldSchema.index(
+    { orgId: 1, key: 1 },
+    { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+module.exports = mongoose.model('CustomField', customFieldSchema);
@@ -71,6 +71,12 @@ const emailLogSchema = new mongoose.Schema({
         index: true,
     },
 
+    // List reference (for list welcome emails)
+    listId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'List',
+    },
+
     // Contact reference
     contactId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -82,7 +88,7 @@ const emailLogSchema = new mongoose.Schema({
     // Email type
     type: {
         type: String,
-        enum: ['campaign', 'automation', 'transactional', 'test'],
+        enum: ['campaign', 'automation', 'transactional', 'welcome', 'reengagement', 'test'],
         default: 'campaign',
         index: true,
     },
@@ -95,6 +101,12 @@ const emailLogSchema = new mongoose.Schema({
         index: true,
     },
 
+    // Seed copy (inbox placement monitoring) - left out of campaign analytics
+    isSeed: {
+        type: Boolean,
+        default: false,
+    },
+
     // Email content snapshot
     content: {
         subject: String,
@@ -123,7 +135,7 @@ const emailLogSchema = new mongoose.Schema({
     // Current status
     status: {
         type: String,
-        enum: ['queued', 'sent', 'delivered', 'bounced', 'dropped', 'failed', 'complained'],
+        enum: ['queued', 'sent', 'delivered', 'bounced', 'dropped', 'failed', 'complained', 'suppressed'],
         default: 'queued',
         index: true,
     },
@@ -168,6 +180,13 @@ const emailLogSchema = new mongoose.Schema({
     // A/B test variant (if applicable)
     abVariant: String,
 
+    // A/B phase - winner sends carry no abVariant, so the variant
+    // comparison only counts the test group
+    abPhase: {
+        type: String,
+        enum: ['test', 'winner'],
+    },
+
     // Queue job reference (for debugging)
     jobId: String,
 
@@ -224,6 +243,12 @@ emailLogSchema.index({ orgId: 1, createdAt: -1 });
 // Automation tracking
 emailLogSchema.index({ automationId: 1, contactId: 1 });
 
+// One welcome email per contact per list
+emailLogSchema.index(
+    { listId: 1, contactId: 1 },
+    { unique: true, partialFilterExpression: { type: 'welcome' } }
+);
+
 // ============ METHODS ============
 
 // Record an event
@@ -332,7 +357,7 @@ emailLogSchema.statics.findByMessageId = function (messageId) {
 // Get campaign analytics
 emailLogSchema.statics.getCampaignAnalytics = async function (campaignId) {
     return this.aggregate([
-        { $match: { campaignId: new mongoose.Types.ObjectId(campaignId) } },
+        { $match: { campaignId: new mongoose.Types.ObjectId(campaignId), isSeed: { $ne: true } } },
         {
             $group: {
                 _id: '$status',
@@ -345,7 +370,7 @@ emailLogSchema.statics.getCampaignAnalytics = async function (campaignId) {
 // Get engagement analytics
 emailLogSchema.statics.getEngagementAnalytics = async function (campaignId) {
     return this.aggregate([
-        { $match: { campaignId: new mongoose.Types.ObjectId(campaignId) } },
+        { $match: { campaignId: new mongoose.Types.ObjectId(campaignId), isSeed: { $ne: true } } },
         {
             $group: {
                 _id: null,
@@ -361,6 +386,28 @@ emailLogSchema.statics.getEngagementAnalytics = async function (campaignId) {
     ]);
 };
 
+// Get per-variant results for an A/B test campaign
+emailLogSchema.statics.getVariantAnalytics = async function (campaignId) {
+    return this.aggregate([
+        {
+            $match: {
+                campaignId: new mongoose.Types.ObjectId(campaignId),
+                abVariant: { $ne: null },
+                isSeed: { $ne: true },
+            },
+        },
+        {
+            $group: {
+                _id: '$abVariant',
+                total: { $sum: 1 },
+                sent: { $sum: { $cond: [{ $ifNull: ['$sentAt', false] }, 1, 0] } },
+                opened: { $sum: { $cond: ['$engagement.opened', 1, 0] } },
+                clicked: { $sum: { $cond: ['$engagement.clicked', 1, 0] } },
+            },
+        },
+    ]);
+};
+
 // Get contact email history
 emailLogSchema.statics.getContactHistory = function (orgId, contactId, limit = 50) {
     return this.find({ orgId, contactId })
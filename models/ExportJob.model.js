@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+/**
+ * Export Job Model
+ *
+ * Tracks a background contact export processed by the export worker.
+ * Finished files are downloaded with a short-lived token.
+ *
+ * Relations:
+ * - Belongs to Organization
+ * - Optionally filters by List / Segment
+ * - Created by User
+ */
+
+const exportJobSchema = new mongoose.Schema({
+    // Organization reference (tenant isolation)
+    orgId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true,
+        index: true,
+    },
+
+    // Which contacts to export
+    filter: {
+        listId: { type: mongoose.Schema.Types.ObjectId, ref: 'List' },
+        segmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Segment' },
+        tags: [String],
+        status: String,
+    },
+
+    // Contact fields to include (e.g. 'email', 'location.country', 'customFields.plan')
+    fields: [String],
+
+    format: {
+        type: String,
+        enum: ['csv', 'json', 'ndjson'],
+        default: 'csv',
+    },
+
+    status: {
+        type: String,
+        enum: ['queued', 'processing', 'completed', 'failed'],
+        default: 'queued',
+        index: true,
+    },
+
+    progress: {
+        total: { type: Number, default: 0 },
+        processed: { type: Number, default: 0 },
+        percentage: { type: Number, default: 0 },
+    },
+
+    // Generated file
+    file: {
+        key: { type: String, select: false },  // Storage provider key
+        name: String,
+        size: Number,
+    },
+
+    // Download token (only the hash is stored)
+    download: {
+        tokenHash: { type: String, select: false, index: true },
+        expiresAt: Date,
+    },
+
+    // Failure reason
+    failedReason: String,
+
+    startedAt: Date,
+    completedAt: Date,
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+
+}, {
+    timestamps: true,
+});
+
+// ============ INDEXES ============
+
+// Export history per organization
+exportJobSchema.index({ orgId: 1, createdAt: -1 });
+
+// ============ STATICS ============
+
+// Recent exports for an organization
+exportJobSchema.statics.findRecent = function (orgId, limit = 20) {
+    return this.find({ orgId })
+        .sort({ createdAt: -1 })
+        .limit(limit);
+};
+
+module.exports = mongoose.model('ExportJob', exportJobSchema);
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+/**
+ * Form Model
+ *
+ * A public subscribe form. Submissions to POST /f/:formId create or
+ * update a contact and add it to the form's list, following the
+ * list's opt-in rules.
+ *
+ * Relations:
+ * - Belongs to Organization
+ * - Subscribes contacts to a List
+ * - Created by User
+ */
+
+const formFieldSchema = new mongoose.Schema({
+    // Contact field the value is stored in (e.g. 'firstName', 'customFields.plan')
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    label: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+    },
+    type: {
+        type: String,
+        enum: ['text', 'email', 'tel', 'number', 'date', 'hidden'],
+        default: 'text',
+    },
+    required: {
+        type: Boolean,
+        default: false,
+    },
+    // Preset value (e.g. a hidden field tagging where the form is embedded)
+    value: {
+        type: String,
+        maxlength: 500,
+    },
+}, { _id: false });
+
+const formSchema = new mongoose.Schema({
+    // Organization reference (tenant isolation)
+    orgId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true,
+        index: true,
+    },
+
+    name: {
+        type: String,
+        required: [true, 'Form name is required'],
+        trim: true,
+        maxlength: [100, 'Form name cannot exceed 100 characters'],
+    },
+
+    // List new subscribers join
+    listId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'List',
+        required: true,
+    },
+
+    // Fields shown on the form (email is always included)
+    fields: [formFieldSchema],
+
+    // Tags added to every contact submitted through this form
+    tags: [{
+        type: String,
+        trim: true,
+        lowercase: true,
+    }],
+
+    // Where browsers are sent after submitting
+    redirectUrl: String,
+
+    // Hidden input that humans leave empty; filled submissions are dropped
+    honeypotField: {
+        type: String,
+        default: 'website',
+    },
+
+    status: {
+        type: String,
+        enum: ['active', 'inactive', 'deleted'],
+        default: 'active',
+        index: true,
+    },
+
+    stats: {
+        submissions: { type: Number, default: 0 },
+        subscribed: { type: Number, default: 0 },
+        pending: { type: Number, default: 0 },
+        rejected: { type: Number, default: 0 },
+        lastSubmittedAt: Date,
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+
+}, {
+    timestamps: true,
+});
+
+// ============ INDEXES ============
+
+formSchema.index({ orgId: 1, status: 1, createdAt: -1 });
+
+// ============ METHODS ============
+
+// Record a submission outcome ('subscribed', 'pending' or 'rejected')
+formSchema.methods.recordSubmission = function (outcome) {
+    return this.constructor.updateOne(
+        { _id: this._id },
+        {
+            $inc: { 'stats.submissions': 1, [`stats.${outcome}`]: 1 },
+            'stats.lastSubmittedAt': new Date(),
+        }
+    );
+};
+
+module.exports = mongoose.model('Form', formSchema);
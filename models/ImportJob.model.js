@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+/**
+ * Import Job Model
+ *
+ * Tracks a background CSV contact import processed by the import worker.
+ *
+ * Relations:
+ * - Belongs to Organization
+ * - Optionally targets a List
+ * - Created by User
+ */
+
+// Cap on stored per-row errors (errorCount keeps the full total)
+const MAX_ROW_ERRORS = 1000;
+
+const importJobSchema = new mongoose.Schema({
+    // Organization reference (tenant isolation)
+    orgId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true,
+        index: true,
+    },
+
+    // Uploaded file
+    file: {
+        originalName: String,
+        path: { type: String, required: true, select: false },  // Shared upload dir, removed once finished
+        size: Number,
+    },
+
+    // Import options
+    options: {
+        listId: { type: mongoose.Schema.Types.ObjectId, ref: 'List' },
+        tags: [String],
+        updateExisting: { type: Boolean, default: false },
+        fieldMapping: {
+            type: Map,
+            of: [String],
+        },
+    },
+
+    status: {
+        type: String,
+        enum: ['queued', 'processing', 'completed', 'failed'],
+        default: 'queued',
+        index: true,
+    },
+
+    // Row counts
+    progress: {
+        total: { type: Number, default: 0 },
+        processed: { type: Number, default: 0 },
+        created: { type: Number, default: 0 },
+        updated: { type: Number, default: 0 },
+        skipped: { type: Number, default: 0 },
+        percentage: { type: Number, default: 0 },
+    },
+
+    // Per-row errors (row is the CSV line number, header = 1)
+    rowErrors: [{
+        row: Number,
+        error: String,
+        data: mongoose.Schema.Types.Mixed,
+        _id: false,
+    }],
+    errorCount: { type: Number, default: 0 },
+
+    // Failure reason when the whole job fails
+    failedReason: String,
+
+    startedAt: Date,
+    completedAt: Date,
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+
+}, {
+    timestamps: true,
+});
+
+// ============ INDEXES ============
+
+// Import history per organization
+importJobSchema.index({ orgId: 1, createdAt: -1 });
+
+// ============ METHODS ============
+
+// Record the results of one chunk of rows
+importJobSchema.methods.recordChunk = function (results) {
+    const { processed, created, updated, skipped, errors } = results;
+
+    const done = this.progress.processed + processed;
+    const percentage = this.progress.total > 0
+        ? Math.min(100, Math.round((done / this.progress.total) * 100))
+        : 0;
+
+    this.progress.processed = done;
+    this.progress.percentage = percentage;
+
+    return this.constructor.updateOne(
+        { _id: this._id },
+        {
+            $inc: {
+                'progress.processed': processed,
+                'progress.created': created,
+                'progress.updated': updated,
+                'progress.skipped': skipped,
+                errorCount: errors.length,
+            },
+            $set: { 'progress.percentage': percentage },
+            $push: { rowErrors: { $each: errors, $slice: MAX_ROW_ERRORS } },
+        }
+    );
+};
+
+// ============ STATICS ============
+
+// Recent imports for an organization
+importJobSchema.statics.findRecent = function (orgId, limit = 20) {
+    return this.find({ orgId })
+        .select('-rowErrors')
+        .sort({ createdAt: -1 })
+        .limit(limit);
+};
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
@@ -257,4 +257,16 @@ listSchema.statics.getSuppressionList = function (orgId) {
     return this.findOne({ orgId, type: 'suppression', status: 'active' });
 };
 
+// Active seed lists for a send: the organization's defaults plus the given ones
+listSchema.statics.getSeedListIds = async function (orgId, listIds = []) {
+    const org = await mongoose.model('Organization').findById(orgId).select('settings.seedLists');
+
+    return this.distinct('_id', {
+        _id: { $in: [...(org?.settings?.seedLists || []), ...listIds] },
+        orgId,
+        type: 'seed',
+        status: 'active',
+    });
+};
+
 module.exports = mongoose.model('List', listSchema);
@@ -119,6 +119,29 @@ const organizationSchema = new mongoose.Schema({
             default: 'default',
         },
         customUnsubscribeUrl: String,
+        // Seed lists (type 'seed') copied on every campaign send
+        seedLists: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'List',
+        }],
+        // Sunset policy: clean contacts with no opens/clicks in inactiveDays
+        // after at least minEmailsReceived emails
+        sunsetPolicy: {
+            enabled: { type: Boolean, default: false },
+            inactiveDays: { type: Number, default: 365, min: 30 },
+            minEmailsReceived: { type: Number, default: 5, min: 1 },
+            // Optional last-chance email before cleaning
+            reengagement: {
+                enabled: { type: Boolean, default: false },
+                templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'Template' },
+                waitDays: { type: Number, default: 14, min: 1 },
+            },
+            lastRunAt: Date,
+            lastRunStats: {
+                reengaged: Number,
+                cleaned: Number,
+            },
+        },
     },
 
     // Status
@@ -54,6 +54,11 @@ const conditionSchema = new mongoose.Schema({
         type: String,
         enum: ['minutes', 'hours', 'days', 'weeks', 'months'],
     },
+    // Declared type of a customFields.* field (set by resolveFieldTypes)
+    fieldType: {
+        type: String,
+        enum: ['text', 'number', 'date', 'boolean', 'enum'],
+    },
 }, { _id: false });
 
 const conditionGroupSchema = new mongoose.Schema({
@@ -228,9 +233,39 @@ segmentSchema.methods.buildQuery = function () {
     return baseQuery;
 };
 
+// Look up declared custom field types for customFields.* conditions
+segmentSchema.methods.resolveFieldTypes = async function () {
+    const conditions = this.conditionGroups.flatMap(group => group.conditions);
+    const keys = conditions
+        .filter(c => c.field?.startsWith('customFields.'))
+        .map(c => c.field.slice('customFields.'.length));
+
+    const definitions = keys.length > 0
+        ? await mongoose.model('CustomField')
+            .find({ orgId: this.orgId, key: { $in: keys } })
+            .select('key type')
+            .lean()
+        : [];
+    const types = new Map(definitions.map(d => [`customFields.${d.key}`, d.type]));
+
+    conditions.forEach(condition => {
+        condition.fieldType = types.get(condition.field);
+    });
+
+    return this;
+};
+
 // Build query for a single condition
 segmentSchema.methods._buildConditionQuery = function (condition) {
-    const { field, operator, value, valueEnd, unit } = condition;
+    const { field, operator, unit, fieldType } = condition;
+    let { value, valueEnd } = condition;
+
+    // Compare custom fields as their declared type (regex operators stay text,
+    // within_last takes a count)
+    if (fieldType && !UNCAST_OPERATORS.includes(operator)) {
+        value = castConditionValue(fieldType, value);
+        valueEnd = castConditionValue(fieldType, valueEnd);
+    }
 
     switch (operator) {
         case 'equals':
@@ -288,6 +323,9 @@ segmentSchema.methods._buildConditionQuery = function (condition) {
             return { [field]: { $gt: new Date(value) } };
 
         case 'between':
+            if (fieldType === 'number') {
+                return { [field]: { $gte: value, $lte: valueEnd } };
+            }
             return { [field]: { $gte: new Date(value), $lte: new Date(valueEnd) } };
 
         case 'within_last': {
@@ -384,6 +422,16 @@ segmentSchema.statics.TEMPLATES = {
             ],
         }],
     },
+    RISKY_EMAILS: {
+        name: 'Risky Email Addresses',
+        description: 'Contacts whose email validation found an invalid, risky or catch-all address',
+        conditionGroups: [{
+            operator: 'AND',
+            conditions: [
+                { field: 'deliverability.emailValidation.status', operator: 'in_list', value: ['invalid', 'risky', 'catch-all'] },
+            ],
+        }],
+    },
     NEW_SUBSCRIBERS: {
         name: 'New Subscribers (7 days)',
         description: 'Contacts who subscribed in the last 7 days',
@@ -396,6 +444,35 @@ segmentSchema.statics.TEMPLATES = {
     },
 };
 
+// ============ HELPERS ============
+
+// Operators whose values aren't field values
+const UNCAST_OPERATORS = ['contains', 'not_contains', 'starts_with', 'ends_with', 'within_last'];
+
+// Cast a condition value to a custom field type (unconvertible values are kept)
+function castConditionValue(type, value) {
+    if (value === undefined || value === null) return value;
+    if (Array.isArray(value)) return value.map(v => castConditionValue(type, v));
+
+    switch (type) {
+        case 'number': {
+            const number = Number(value);
+            return value === '' || isNaN(number) ? value : number;
+        }
+        case 'date': {
+            const date = new Date(value);
+            return isNaN(date.getTime()) ? value : date;
+        }
+        case 'boolean':
+            if (typeof value === 'boolean') return value;
+            if (['true', 'yes', '1'].includes(String(value).toLowerCase())) return true;
+            if (['false', 'no', '0'].includes(String(value).toLowerCase())) return false;
+            return value;
+        default:
+            return String(value);
+    }
+}
+
 // ============ MIDDLEWARE ============
 
 // Mark cache as stale when conditions change
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * Suppression Model
+ *
+ * Organization-wide block list checked before every send. Entries
+ * block one address or a whole domain (and its subdomains), with a
+ * reason and an optional expiry. Erased addresses (GDPR right to
+ * erasure) are kept only as a salted hash, so the entry can be matched
+ * but not read back - every address entry is looked up by its hash.
+ *
+ * Relations:
+ * - Belongs to Organization
+ * - Created by User
+ */
+
+// Keyed hash secret - rotating it orphans existing hashed entries
+const HASH_SECRET = process.env.SUPPRESSION_HASH_SECRET || 'suppression-hash-secret-change-in-production';
+
+const suppressionSchema = new mongoose.Schema({
+    // Organization reference (tenant isolation)
+    orgId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true,
+    },
+
+    type: {
+        type: String,
+        enum: ['email', 'domain'],
+        required: true,
+    },
+
+    // Address entries (not stored for erasure entries)
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+    },
+
+    // HMAC-SHA256 of orgId + normalized address (all address entries)
+    emailHash: {
+        type: String,
+        select: false,
+    },
+
+    // Domain entries
+    domain: {
+        type: String,
+        lowercase: true,
+        trim: true,
+    },
+
+    reason: {
+        type: String,
+        enum: ['manual', 'bounce', 'complaint', 'unsubscribe', 'legal', 'erasure'],
+        default: 'manual',
+    },
+
+    note: {
+        type: String,
+        maxlength: 500,
+    },
+
+    // Removed by MongoDB once passed (none = permanent)
+    expiresAt: {
+        type: Date,
+        index: { expires: 0 },
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+
+}, {
+    timestamps: true,
+});
+
+// ============ INDEXES ============
+
+// One entry per address / domain per organization
+suppressionSchema.index(
+    { orgId: 1, emailHash: 1 },
+    { unique: true, partialFilterExpression: { type: 'email' } }
+);
+suppressionSchema.index(
+    { orgId: 1, domain: 1 },
+    { unique: true, partialFilterExpression: { type: 'domain' } }
+);
+
+// Entry list per organization
+suppressionSchema.index({ orgId: 1, createdAt: -1 });
+
+// ============ STATICS ============
+
+// Salted hash of an address (the orgId salts it per organization)
+suppressionSchema.statics.hashEmail = function (orgId, email) {
+    return crypto
+        .createHmac('sha256', HASH_SECRET)
+        .update(`${orgId}:${email.trim().toLowerCase()}`)
+        .digest('hex');
+};
+
+// Domain and parent domains an address falls under (mail.example.com -> example.com)
+suppressionSchema.statics.domainsOf = function (email) {
+    const labels = email.trim().toLowerCase().split('@').pop().split('.');
+    return labels.slice(0, -1).map((_, i) => labels.slice(i).join('.'));
+};
+
+// Entries still in force (the TTL monitor only runs once a minute)
+suppressionSchema.statics.activeFilter = function (now = new Date()) {
+    return { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] };
+};
+
+// Add an erased address (hash only, permanent - replaces a plain entry)
+suppressionSchema.statics.suppressErased = function (orgId, email, userId = null) {
+    return this.findOneAndUpdate(
+        { orgId, type: 'email', emailHash: this.hashEmail(orgId, email) },
+        {
+            $set: { reason: 'erasure' },
+            $unset: { email: 1, expiresAt: 1, note: 1 },
+            $setOnInsert: { createdBy: userId },
+        },
+        { upsert: true, new: true }
+    );
+};
+
+// Entry blocking an address, or null (filter narrows the entries, e.g. { reason: 'erasure' })
+suppressionSchema.statics.findMatch = function (orgId, email, filter = {}) {
+    return this.findOne({
+        orgId,
+        ...filter,
+        $and: [
+            this.activeFilter(),
+            {
+                $or: [
+                    { type: 'email', emailHash: this.hashEmail(orgId, email) },
+                    { type: 'domain', domain: { $in: this.domainsOf(email) } },
+                ],
+            },
+        ],
+    });
+};
+
+// Whether an address is suppressed
+suppressionSchema.statics.isSuppressed = async function (orgId, email, filter = {}) {
+    return Boolean(await this.findMatch(orgId, email, filter));
+};
+
+// The subset of addresses that are suppressed (as a Set)
+suppressionSchema.statics.findSuppressed = async function (orgId, emails, filter = {}) {
+    const byHash = new Map(emails.map(email => [this.hashEmail(orgId, email), email]));
+    const domains = [...new Set(emails.flatMap(email => this.domainsOf(email)))];
+
+    const entries = await this.find({
+        orgId,
+        ...filter,
+        $and: [
+            this.activeFilter(),
+            {
+                $or: [
+                    { type: 'email', emailHash: { $in: [...byHash.keys()] } },
+                    { type: 'domain', domain: { $in: domains } },
+                ],
+            },
+        ],
+    })
+        .select('type domain +emailHash')
+        .lean();
+
+    const blockedDomains = new Set(entries.filter(e => e.type === 'domain').map(e => e.domain));
+    const suppressed = new Set(
+        entries.filter(e => e.type === 'email').map(e => byHash.get(e.emailHash))
+    );
+
+    for (const email of emails) {
+        if (this.domainsOf(email).some(domain => blockedDomains.has(domain))) {
+            suppressed.add(email);
+        }
+    }
+
+    return suppressed;
+};
+
+module.exports = mongoose.model('Suppression', suppressionSchema);
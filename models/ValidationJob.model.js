@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+/**
+ * Validation Job Model
+ *
+ * Tracks a background bulk email validation processed by the
+ * validation worker. Results are stored on each contact
+ * (deliverability.emailValidation); the job keeps the counts.
+ *
+ * Relations:
+ * - Belongs to Organization
+ * - Optionally limited to Contacts
+ * - Created by User
+ */
+
+const validationJobSchema = new mongoose.Schema({
+    // Organization reference (tenant isolation)
+    orgId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true,
+        index: true,
+    },
+
+    // Contacts to validate (none = the whole organization)
+    contactIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Contact' }],
+
+    // Also validate contacts with a stored result (default: never validated or unknown only)
+    revalidate: {
+        type: Boolean,
+        default: false,
+    },
+
+    status: {
+        type: String,
+        enum: ['queued', 'processing', 'completed', 'failed'],
+        default: 'queued',
+        index: true,
+    },
+
+    progress: {
+        total: { type: Number, default: 0 },
+        processed: { type: Number, default: 0 },
+        percentage: { type: Number, default: 0 },
+        // Cursor for resuming a retried job
+        lastContactId: { type: mongoose.Schema.Types.ObjectId, select: false },
+    },
+
+    // Contacts per validation status (valid, risky, invalid, unknown)
+    byStatus: {
+        type: Map,
+        of: Number,
+        default: {},
+    },
+
+    // Failure reason
+    failedReason: String,
+
+    startedAt: Date,
+    completedAt: Date,
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+
+}, {
+    timestamps: true,
+});
+
+// ============ INDEXES ============
+
+// Job history per organization
+validationJobSchema.index({ orgId: 1, createdAt: -1 });
+
+// ============ STATICS ============
+
+// Recent jobs for an organization
+validationJobSchema.statics.findRecent = function (orgId, limit = 20) {
+    return this.find({ orgId })
+        .select('-contactIds')
+        .sort({ createdAt: -1 })
+        .limit(limit);
+};
+
+module.exports = mongoose.model('ValidationJob', validationJobSchema);
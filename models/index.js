@@ -7,6 +7,15 @@ const Template = require('./Template.model');
 const Campaign = require('./Campaign.model');
 const EmailLog = require('./EmailLog.model');
 const Automation = require('./Automation.model');
+const ImportJob = require('./ImportJob.model');
+const ExportJob = require('./ExportJob.model');
+const BulkOperation = require('./BulkOperation.model');
+const ValidationJob = require('./ValidationJob.model');
+const Form = require('./Form.model');
+const CustomField = require('./CustomField.model');
+const ContactActivity = require('./ContactActivity.model');
+const Suppression = require('./Suppression.model');
+const ContactView = require('./ContactView.model');
 
 module.exports = {
     User,
@@ -18,4 +27,13 @@ module.exports = {
     Campaign,
     EmailLog,
     Automation,
+    ImportJob,
+    ExportJob,
+    BulkOperation,
+    ValidationJob,
+    Form,
+    CustomField,
+    ContactActivity,
+    Suppression,
+    ContactView,
 };
@@ -0,0 +1,83 @@
+/**
+ * MX Resolver Provider
+ *
+ * Looks up whether a domain accepts mail, for email validation.
+ * MX_RESOLVER selects the adapter:
+ * - dns (default): live DNS lookups (MX, falling back to A/AAAA)
+ * - static: no network; every domain accepts mail except reserved
+ *   test TLDs (.test, .example, .invalid, .localhost). For local
+ *   development and tests.
+ */
+
+const dns = require('dns');
+require('dotenv').config();
+
+const LOOKUP_TIMEOUT_MS = parseInt(process.env.MX_LOOKUP_TIMEOUT_MS) || 5000;
+
+// DNS answers meaning the domain has no such record
+const NO_RECORD_CODES = ['ENOTFOUND', 'ENODATA', 'ENONAME'];
+
+// RFC 2606 / 6761 reserved TLDs
+const RESERVED_TLDS = ['test', 'example', 'invalid', 'localhost'];
+
+class DnsMxResolver {
+    constructor() {
+        this.resolver = new dns.promises.Resolver({ timeout: LOOKUP_TIMEOUT_MS, tries: 2 });
+    }
+
+    /**
+     * Resolve a domain's mail servers
+     * Returns { hasMx, records }; throws on lookup failures (timeouts, SERVFAIL)
+     */
+    async resolve(domain) {
+        const records = await this.lookup(() => this.resolver.resolveMx(domain));
+
+        if (records.length > 0) {
+            // A null MX (RFC 7505) means the domain accepts no mail
+            const hosts = records.filter(r => r.exchange && r.exchange !== '.');
+            return {
+                hasMx: hosts.length > 0,
+                records: hosts.sort((a, b) => a.priority - b.priority).map(r => r.exchange),
+            };
+        }
+
+        // No MX: mail goes to the domain's address records (implicit MX)
+        const addresses = [
+            ...await this.lookup(() => this.resolver.resolve4(domain)),
+            ...await this.lookup(() => this.resolver.resolve6(domain)),
+        ];
+
+        return { hasMx: addresses.length > 0, records: addresses.length > 0 ? [domain] : [] };
+    }
+
+    /**
+     * Run a lookup, treating "no such record" answers as empty
+     */
+    async lookup(query) {
+        try {
+            return await query();
+        } catch (error) {
+            if (NO_RECORD_CODES.includes(error.code)) return [];
+            throw error;
+        }
+    }
+}
+
+class StaticMxResolver {
+    /**
+     * Resolve without network access
+     */
+    async resolve(domain) {
+        const tld = domain.split('.').pop();
+
+        if (RESERVED_TLDS.includes(tld)) {
+            return { hasMx: false, records: [] };
+        }
+
+        return { hasMx: true, records: [`mx.${domain}`] };
+    }
+}
+
+module.exports = process.env.MX_RESOLVER === 'static'
+    ? new StaticMxResolver()
+    : new DnsMxResolver();
@@ -0,0 +1,72 @@
+/**
+ * Storage Provider
+ *
+ * File storage for generated artifacts (contact exports).
+ * Local disk adapter - STORAGE_DIR must be shared by the API and workers.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('dotenv').config();
+
+class LocalStorageProvider {
+    constructor() {
+        this.root = process.env.STORAGE_DIR || path.join(os.tmpdir(), 'mailengine-storage');
+    }
+
+    /**
+     * Absolute path for a storage key (keys can't escape the root)
+     */
+    resolve(key) {
+        const filePath = path.resolve(this.root, key);
+
+        if (!filePath.startsWith(path.resolve(this.root) + path.sep)) {
+            throw new Error('Invalid storage key');
+        }
+
+        return filePath;
+    }
+
+    /**
+     * Open a write stream, creating parent directories
+     */
+    createWriteStream(key) {
+        const filePath = this.resolve(key);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        return fs.createWriteStream(filePath);
+    }
+
+    /**
+     * Open a read stream
+     */
+    createReadStream(key) {
+        return fs.createReadStream(this.resolve(key));
+    }
+
+    /**
+     * File size in bytes, or null if missing
+     */
+    async size(key) {
+        try {
+            const stats = await fs.promises.stat(this.resolve(key));
+            return stats.size;
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a file (missing files are ignored)
+     */
+    async remove(key) {
+        try {
+            await fs.promises.unlink(this.resolve(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+}
+
+module.exports = new LocalStorageProvider();
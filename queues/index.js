@@ -96,6 +96,26 @@ const exportQueue = createQueue('export', {
     },
 });
 
+/**
+ * Bulk Queue - For filter-based bulk contact operations
+ */
+const bulkQueue = createQueue('bulk', {
+    defaultJobOptions: {
+        attempts: 2,
+        timeout: 30 * 60 * 1000,
+    },
+});
+
+/**
+ * Validation Queue - For bulk email validation (live MX lookups)
+ */
+const validationQueue = createQueue('validation', {
+    defaultJobOptions: {
+        attempts: 2,
+        timeout: 30 * 60 * 1000,
+    },
+});
+
 /**
  * Webhook Queue - For outgoing webhooks
  */
@@ -175,6 +195,8 @@ module.exports = {
     analyticsQueue,
     importQueue,
     exportQueue,
+    bulkQueue,
+    validationQueue,
     webhookQueue,
     cleanupQueue,
     getAllQueues,
@@ -13,10 +13,20 @@ const { uploadCSV, handleUploadError } = require('../middlewares/upload.middlewa
 const {
     validateCreateContact,
     validateUpdateContact,
+    validateCreateExport,
+    validateBulkTarget,
+    validateBulkOperation,
     validateObjectId,
 } = require('../validators/contact.validator');
 
-// All routes require authentication
+/**
+ * @route   GET /api/contacts/exports/download/:token
+ * @desc    Download an export file
+ * @access  Public (download token)
+ */
+router.get('/exports/download/:token', contactController.downloadExport);
+
+// All other routes require authentication
 router.use(authenticate);
 
 /**
@@ -35,21 +45,47 @@ router.get('/tags', contactController.getAllTags);
 
 /**
  * @route   GET /api/contacts/duplicates
- * @desc    Find duplicate contacts
+ * @desc    Find likely duplicate contacts
  * @access  Private
+ * @query   match - email (normalized), name_company or all; limit
  */
 router.get('/duplicates', contactController.findDuplicates);
 
 /**
- * @route   GET /api/contacts/export
- * @desc    Export contacts to CSV
+ * @route   POST /api/contacts/exports
+ * @desc    Queue a contact export (CSV, JSON or NDJSON)
+ * @access  Private
+ */
+router.post('/exports', validateCreateExport, contactController.createExport);
+
+/**
+ * @route   GET /api/contacts/exports
+ * @desc    Get recent exports
+ * @access  Private
+ */
+router.get('/exports', contactController.getExports);
+
+/**
+ * @route   GET /api/contacts/exports/:exportId
+ * @desc    Get export progress
  * @access  Private
  */
-router.get('/export', contactController.exportCSV);
+router.get('/exports/:exportId', validateObjectId('exportId'), contactController.getExport);
+
+/**
+ * @route   POST /api/contacts/exports/:exportId/download-token
+ * @desc    Issue a time-limited download link
+ * @access  Private
+ */
+router.post(
+    '/exports/:exportId/download-token',
+    validateObjectId('exportId'),
+    contactController.createExportDownloadToken
+);
 
 /**
  * @route   POST /api/contacts/import
- * @desc    Import contacts from CSV
+ * @desc    Queue a CSV contact import
  * @access  Private
  */
 router.post(
@@ -59,9 +95,30 @@ router.post(
     contactController.importCSV
 );
 
+/**
+ * @route   GET /api/contacts/imports
+ * @desc    Get recent CSV imports
+ * @access  Private
+ */
+router.get('/imports', contactController.getImports);
+
+/**
+ * @route   GET /api/contacts/imports/:importId
+ * @desc    Get CSV import progress
+ * @access  Private
+ */
+router.get('/imports/:importId', validateObjectId('importId'), contactController.getImport);
+
+/**
+ * @route   POST /api/contacts/merge/preview
+ * @desc    Preview a merge (field conflicts, merged lists/tags/engagement)
+ * @access  Private
+ */
+router.post('/merge/preview', contactController.previewMerge);
+
 /**
  * @route   POST /api/contacts/merge
- * @desc    Merge duplicate contacts
+ * @desc    Merge duplicate contacts, choosing conflicting values per field
  * @access  Private
  */
 router.post('/merge', contactController.mergeDuplicates);
@@ -80,9 +137,66 @@ router.post('/bulk-delete', contactController.bulkDelete);
  */
 router.post('/bulk-tags', contactController.bulkAddTags);
 
+/**
+ * @route   POST /api/contacts/bulk-operations/preview
+ * @desc    Count the contacts matching a segment or filter (with a sample)
+ * @access  Private
+ */
+router.post('/bulk-operations/preview', validateBulkTarget, contactController.previewBulkOperation);
+
+/**
+ * @route   POST /api/contacts/bulk-operations
+ * @desc    Queue a bulk operation (set status/field, add/remove tags or list, delete)
+ * @access  Private
+ */
+router.post('/bulk-operations', validateBulkOperation, contactController.createBulkOperation);
+
+/**
+ * @route   GET /api/contacts/bulk-operations
+ * @desc    Get recent bulk operations
+ * @access  Private
+ */
+router.get('/bulk-operations', contactController.getBulkOperations);
+
+/**
+ * @route   GET /api/contacts/bulk-operations/:operationId
+ * @desc    Get bulk operation progress
+ * @access  Private
+ */
+router.get(
+    '/bulk-operations/:operationId',
+    validateObjectId('operationId'),
+    contactController.getBulkOperation
+);
+
+/**
+ * @route   POST /api/contacts/validate-emails
+ * @desc    Queue bulk email validation (syntax, disposable, role, typo, MX)
+ * @access  Private
+ */
+router.post('/validate-emails', contactController.validateEmails);
+
+/**
+ * @route   GET /api/contacts/validate-emails
+ * @desc    Get recent bulk validation jobs
+ * @access  Private
+ */
+router.get('/validate-emails', contactController.getValidationJobs);
+
+/**
+ * @route   GET /api/contacts/validate-emails/:jobId
+ * @desc    Get bulk validation progress and counts per status
+ * @access  Private
+ */
+router.get(
+    '/validate-emails/:jobId',
+    validateObjectId('jobId'),
+    contactController.getValidationJob
+);
+
 /**
  * @route   GET /api/contacts
- * @desc    Get all contacts with filters
+ * @desc    Get all contacts with filters (q: query language expression)
  * @access  Private
  */
 router.get('/', contactController.getAll);
@@ -120,6 +234,14 @@ router.patch(
  */
 router.delete('/:id', validateObjectId('id'), contactController.delete);
 
+/**
+ * @route   GET /api/contacts/:id/timeline
+ * @desc    Get contact activity timeline (emails, lists, tags, automations, status, audit)
+ * @access  Private
+ * @query   page, limit, categories - comma-separated (email,list,tag,status,engagement,automation,contact,audit)
+ */
+router.get('/:id/timeline', validateObjectId('id'), contactController.getTimeline);
+
 /**
  * @route   POST /api/contacts/:id/tags
  * @desc    Add tags to contact
@@ -172,4 +294,18 @@ router.post('/:id/unsubscribe', validateObjectId('id'), contactController.unsubs
  */
 router.post('/:id/resubscribe', validateObjectId('id'), contactController.resubscribe);
 
+/**
+ * @route   POST /api/contacts/:id/resend-confirmation
+ * @desc    Resend double opt-in confirmation email
+ * @access  Private
+ */
+router.post('/:id/resend-confirmation', validateObjectId('id'), contactController.resendConfirmation);
+
+/**
+ * @route   POST /api/contacts/:id/validate-email
+ * @desc    Validate contact's email address
+ * @access  Private
+ */
+router.post('/:id/validate-email', validateObjectId('id'), contactController.validateEmail);
+
 module.exports = router;
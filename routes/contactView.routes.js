@@ -0,0 +1,61 @@
+/**
+ * Contact View Routes
+ *
+ * All routes for saved contact list views (private to each user).
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const contactViewController = require('../controllers/contactView.controller');
+const { authenticate } = require('../middlewares/auth.middleware');
+const { validateCreateView, validateUpdateView } = require('../validators/contactView.validator');
+const { validateObjectId } = require('../validators/contact.validator');
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/contact-views
+ * @desc    Get the current user's saved views
+ * @access  Private
+ */
+router.get('/', contactViewController.getAll);
+
+/**
+ * @route   POST /api/contact-views
+ * @desc    Save a view (name, expression, columns, sort { field, order })
+ * @access  Private
+ */
+router.post('/', validateCreateView, contactViewController.create);
+
+/**
+ * @route   GET /api/contact-views/:id
+ * @desc    Get saved view by ID
+ * @access  Private
+ */
+router.get('/:id', validateObjectId('id'), contactViewController.getById);
+
+/**
+ * @route   PATCH /api/contact-views/:id
+ * @desc    Update a saved view
+ * @access  Private
+ */
+router.patch('/:id', validateObjectId('id'), validateUpdateView, contactViewController.update);
+
+/**
+ * @route   DELETE /api/contact-views/:id
+ * @desc    Delete a saved view
+ * @access  Private
+ */
+router.delete('/:id', validateObjectId('id'), contactViewController.delete);
+
+/**
+ * @route   GET /api/contact-views/:id/contacts
+ * @desc    Get contacts matching the view, with its columns and sort
+ * @access  Private
+ * @query   page, limit
+ */
+router.get('/:id/contacts', validateObjectId('id'), contactViewController.getContacts);
+
+module.exports = router;
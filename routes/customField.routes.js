@@ -0,0 +1,61 @@
+/**
+ * Custom Field Routes
+ *
+ * All routes for the organization's custom field registry.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const customFieldController = require('../controllers/customField.controller');
+const { authenticate } = require('../middlewares/auth.middleware');
+const {
+    validateCreateCustomField,
+    validateUpdateCustomField,
+} = require('../validators/customField.validator');
+const { validateObjectId } = require('../validators/contact.validator');
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/custom-fields
+ * @desc    Get all custom field definitions
+ * @access  Private
+ */
+router.get('/', customFieldController.getAll);
+
+/**
+ * @route   POST /api/custom-fields
+ * @desc    Create a custom field definition (existing values are converted)
+ * @access  Private
+ */
+router.post('/', validateCreateCustomField, customFieldController.create);
+
+/**
+ * @route   GET /api/custom-fields/:id
+ * @desc    Get custom field definition by ID
+ * @access  Private
+ */
+router.get('/:id', validateObjectId('id'), customFieldController.getById);
+
+/**
+ * @route   PATCH /api/custom-fields/:id
+ * @desc    Update custom field definition (type changes convert existing values)
+ * @access  Private
+ */
+router.patch(
+    '/:id',
+    validateObjectId('id'),
+    validateUpdateCustomField,
+    customFieldController.update
+);
+
+/**
+ * @route   DELETE /api/custom-fields/:id
+ * @desc    Delete custom field definition (contact values are kept)
+ * @access  Private
+ */
+router.delete('/:id', validateObjectId('id'), customFieldController.delete);
+
+module.exports = router;
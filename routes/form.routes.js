@@ -0,0 +1,66 @@
+/**
+ * Form Routes
+ *
+ * All routes for subscribe form management.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const formController = require('../controllers/form.controller');
+const { authenticate } = require('../middlewares/auth.middleware');
+const { validateCreateForm, validateUpdateForm } = require('../validators/form.validator');
+const { validateObjectId } = require('../validators/contact.validator');
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/forms
+ * @desc    Get all forms
+ * @access  Private
+ * @query   status, listId, page, limit
+ */
+router.get('/', formController.getAll);
+
+/**
+ * @route   POST /api/forms
+ * @desc    Create a new form
+ * @access  Private
+ */
+router.post('/', validateCreateForm, formController.create);
+
+/**
+ * @route   GET /api/forms/:id
+ * @desc    Get form by ID
+ * @access  Private
+ */
+router.get('/:id', validateObjectId('id'), formController.getById);
+
+/**
+ * @route   PATCH /api/forms/:id
+ * @desc    Update form
+ * @access  Private
+ */
+router.patch(
+    '/:id',
+    validateObjectId('id'),
+    validateUpdateForm,
+    formController.update
+);
+
+/**
+ * @route   DELETE /api/forms/:id
+ * @desc    Delete form
+ * @access  Private
+ */
+router.delete('/:id', validateObjectId('id'), formController.delete);
+
+/**
+ * @route   GET /api/forms/:id/embed
+ * @desc    Get the embeddable HTML snippet
+ * @access  Private
+ */
+router.get('/:id/embed', validateObjectId('id'), formController.getEmbedCode);
+
+module.exports = router;
@@ -0,0 +1,125 @@
+/**
+ * List Routes
+ *
+ * All routes for list management.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const listController = require('../controllers/list.controller');
+const { authenticate, requireAdmin } = require('../middlewares/auth.middleware');
+const {
+    validateCreateList,
+    validateUpdateList,
+    validateMembership,
+    validateSeedLists,
+} = require('../validators/list.validator');
+const { validateObjectId } = require('../validators/contact.validator');
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/lists
+ * @desc    Get all lists with filters
+ * @access  Private
+ */
+router.get('/', listController.getAll);
+
+/**
+ * @route   POST /api/lists
+ * @desc    Create a new list
+ * @access  Private
+ */
+router.post('/', validateCreateList, listController.create);
+
+/**
+ * @route   GET /api/lists/seeds
+ * @desc    Get the organization's seed lists (copied on every campaign send)
+ * @access  Private
+ */
+router.get('/seeds', listController.getSeedLists);
+
+/**
+ * @route   PUT /api/lists/seeds
+ * @desc    Replace the organization's seed lists
+ * @access  Private (admin)
+ */
+router.put('/seeds', requireAdmin, validateSeedLists, listController.setSeedLists);
+
+/**
+ * @route   GET /api/lists/:id
+ * @desc    Get list by ID
+ * @access  Private
+ */
+router.get('/:id', validateObjectId('id'), listController.getById);
+
+/**
+ * @route   PATCH /api/lists/:id
+ * @desc    Update list
+ * @access  Private
+ */
+router.patch(
+    '/:id',
+    validateObjectId('id'),
+    validateUpdateList,
+    listController.update
+);
+
+/**
+ * @route   POST /api/lists/:id/archive
+ * @desc    Archive list
+ * @access  Private
+ */
+router.post('/:id/archive', validateObjectId('id'), listController.archive);
+
+/**
+ * @route   POST /api/lists/:id/restore
+ * @desc    Restore archived list
+ * @access  Private
+ */
+router.post('/:id/restore', validateObjectId('id'), listController.restore);
+
+/**
+ * @route   POST /api/lists/:id/refresh-stats
+ * @desc    Recalculate list stats
+ * @access  Private
+ */
+router.post('/:id/refresh-stats', validateObjectId('id'), listController.refreshStats);
+
+/**
+ * @route   GET /api/lists/:id/contacts
+ * @desc    Get list members (paginated)
+ * @access  Private
+ * @query   status - Membership status (active, unsubscribed, removed)
+ */
+router.get('/:id/contacts', validateObjectId('id'), listController.getMembers);
+
+/**
+ * @route   POST /api/lists/:id/contacts
+ * @desc    Bulk add contacts to list by contactIds or filter
+ *          (a filter is queued as a bulk operation and returns 202)
+ * @access  Private
+ */
+router.post(
+    '/:id/contacts',
+    validateObjectId('id'),
+    validateMembership,
+    listController.addMembers
+);
+
+/**
+ * @route   DELETE /api/lists/:id/contacts
+ * @desc    Bulk remove contacts from list by contactIds or filter
+ *          (a filter is queued as a bulk operation and returns 202)
+ * @access  Private
+ */
+router.delete(
+    '/:id/contacts',
+    validateObjectId('id'),
+    validateMembership,
+    listController.removeMembers
+);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+/**
+ * Privacy Routes
+ *
+ * GDPR data subject requests: access archive and right to erasure.
+ * Addresses are sent in the body so they stay out of URLs and access logs.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const privacyController = require('../controllers/privacy.controller');
+const { authenticate, requireAdmin } = require('../middlewares/auth.middleware');
+const { validateSubjectRequest } = require('../validators/privacy.validator');
+
+// All routes require authentication and admin role
+router.use(authenticate);
+router.use(requireAdmin);
+
+/**
+ * @route   POST /api/privacy/access
+ * @desc    Download everything held about an address (JSON archive)
+ * @access  Private (admin)
+ */
+router.post('/access', validateSubjectRequest, privacyController.access);
+
+/**
+ * @route   POST /api/privacy/erasure
+ * @desc    Erase an address across contacts, activity, email/SES logs and audit entries
+ * @access  Private (admin)
+ */
+router.post('/erasure', validateSubjectRequest, privacyController.erase);
+
+module.exports = router;
@@ -0,0 +1,98 @@
+/**
+ * Segment Routes
+ *
+ * All routes for segment management.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const segmentController = require('../controllers/segment.controller');
+const { authenticate } = require('../middlewares/auth.middleware');
+const {
+    validateCreateSegment,
+    validateUpdateSegment,
+    validatePreviewSegment,
+} = require('../validators/segment.validator');
+const { validateObjectId } = require('../validators/contact.validator');
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/segments/templates
+ * @desc    Get pre-built segment templates
+ * @access  Private
+ */
+router.get('/templates', segmentController.getTemplates);
+
+/**
+ * @route   POST /api/segments/templates/:key
+ * @desc    Create segment from a pre-built template
+ * @access  Private
+ */
+router.post('/templates/:key', segmentController.createFromTemplate);
+
+/**
+ * @route   POST /api/segments/preview
+ * @desc    Preview count and sample contacts for unsaved conditions
+ * @access  Private
+ * @query   limit - Number of sample contacts (max 100)
+ */
+router.post('/preview', validatePreviewSegment, segmentController.preview);
+
+/**
+ * @route   GET /api/segments
+ * @desc    Get all segments with filters
+ * @access  Private
+ */
+router.get('/', segmentController.getAll);
+
+/**
+ * @route   POST /api/segments
+ * @desc    Create a new segment
+ * @access  Private
+ */
+router.post('/', validateCreateSegment, segmentController.create);
+
+/**
+ * @route   GET /api/segments/:id
+ * @desc    Get segment by ID
+ * @access  Private
+ */
+router.get('/:id', validateObjectId('id'), segmentController.getById);
+
+/**
+ * @route   PATCH /api/segments/:id
+ * @desc    Update segment
+ * @access  Private
+ */
+router.patch(
+    '/:id',
+    validateObjectId('id'),
+    validateUpdateSegment,
+    segmentController.update
+);
+
+/**
+ * @route   DELETE /api/segments/:id
+ * @desc    Delete segment
+ * @access  Private
+ */
+router.delete('/:id', validateObjectId('id'), segmentController.delete);
+
+/**
+ * @route   GET /api/segments/:id/contacts
+ * @desc    Get contacts matching segment (paginated)
+ * @access  Private
+ */
+router.get('/:id/contacts', validateObjectId('id'), segmentController.getContacts);
+
+/**
+ * @route   POST /api/segments/:id/refresh
+ * @desc    Recalculate cached contact count
+ * @access  Private
+ */
+router.post('/:id/refresh', validateObjectId('id'), segmentController.refresh);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+/**
+ * Subscribe Routes
+ *
+ * Public form submission endpoint. Mounted before the app's CORS and
+ * body parsers: embedded forms post from any origin, and bodies are small.
+ */
+
+const express = require('express');
+const cors = require('cors');
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+const router = express.Router();
+
+const formController = require('../controllers/form.controller');
+const { validateObjectId } = require('../validators/contact.validator');
+
+// Submissions allowed per IP and form in each window
+const SUBMISSION_LIMIT = parseInt(process.env.FORM_SUBMISSION_LIMIT) || 10;
+const SUBMISSION_WINDOW_MS = 15 * 60 * 1000;
+
+const submissionLimiter = rateLimit({
+    windowMs: SUBMISSION_WINDOW_MS,
+    limit: SUBMISSION_LIMIT,
+    standardHeaders: 'draft-8',
+    legacyHeaders: false,
+    keyGenerator: (req) => `${ipKeyGenerator(req.ip)}:${req.params.formId}`,
+    message: { success: false, message: 'Too many submissions, please try again later' },
+});
+
+router.use(cors());
+router.use(express.json({ limit: '100kb' }));
+router.use(express.urlencoded({ extended: false, limit: '100kb' }));
+
+/**
+ * @route   POST /f/:formId
+ * @desc    Submit a subscribe form (urlencoded or JSON)
+ * @access  Public
+ */
+router.post(
+    '/:formId',
+    validateObjectId('formId'),
+    submissionLimiter,
+    formController.submit
+);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+/**
+ * Sunset Policy Routes
+ *
+ * All routes for the organization's sunset policy (cleaning
+ * chronically inactive contacts).
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const sunsetController = require('../controllers/sunset.controller');
+const { authenticate, requireAdmin } = require('../middlewares/auth.middleware');
+const { validateSunsetPolicy } = require('../validators/sunset.validator');
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/sunset-policy
+ * @desc    Get the sunset policy
+ * @access  Private
+ */
+router.get('/', sunsetController.getPolicy);
+
+/**
+ * @route   PATCH /api/sunset-policy
+ * @desc    Update the sunset policy
+ * @access  Private (admin)
+ */
+router.patch('/', requireAdmin, validateSunsetPolicy, sunsetController.updatePolicy);
+
+/**
+ * @route   POST /api/sunset-policy/preview
+ * @desc    Dry-run report of contacts the policy would email or clean
+ * @access  Private
+ */
+router.post('/preview', validateSunsetPolicy, sunsetController.preview);
+
+/**
+ * @route   POST /api/sunset-policy/run
+ * @desc    Apply the sunset policy now
+ * @access  Private (admin)
+ */
+router.post('/run', requireAdmin, sunsetController.run);
+
+module.exports = router;
@@ -0,0 +1,86 @@
+/**
+ * Suppression Routes
+ *
+ * All routes for the organization suppression list (addresses and
+ * domains that are never mailed).
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const suppressionController = require('../controllers/suppression.controller');
+const { authenticate, requireAdmin } = require('../middlewares/auth.middleware');
+const { upload, handleUploadError } = require('../middlewares/upload.middleware');
+const {
+    validateCreateSuppression,
+    validateUpdateSuppression,
+    validateImportSuppressions,
+} = require('../validators/suppression.validator');
+const { validateObjectId } = require('../validators/contact.validator');
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/suppressions
+ * @desc    Get suppression entries
+ * @access  Private
+ * @query   page, limit, type (email/domain), reason, search
+ */
+router.get('/', suppressionController.getAll);
+
+/**
+ * @route   POST /api/suppressions
+ * @desc    Suppress an address or domain (optional reason, note, expiresAt)
+ * @access  Private
+ */
+router.post('/', validateCreateSuppression, suppressionController.create);
+
+/**
+ * @route   GET /api/suppressions/export
+ * @desc    Download entries as CSV (erased addresses are not included)
+ * @access  Private
+ * @query   type, reason, search
+ */
+router.get('/export', suppressionController.exportCSV);
+
+/**
+ * @route   POST /api/suppressions/import
+ * @desc    Import entries from CSV (columns: email or domain, reason, note, expiresAt)
+ * @access  Private
+ */
+router.post(
+    '/import',
+    upload.single('file'),
+    handleUploadError,
+    validateImportSuppressions,
+    suppressionController.importCSV
+);
+
+/**
+ * @route   GET /api/suppressions/:id
+ * @desc    Get suppression entry by ID
+ * @access  Private
+ */
+router.get('/:id', validateObjectId('id'), suppressionController.getById);
+
+/**
+ * @route   PATCH /api/suppressions/:id
+ * @desc    Update an entry's reason, note or expiry
+ * @access  Private
+ */
+router.patch(
+    '/:id',
+    validateObjectId('id'),
+    validateUpdateSuppression,
+    suppressionController.update
+);
+
+/**
+ * @route   DELETE /api/suppressions/:id
+ * @desc    Remove a suppression entry (the address or domain can be mailed again)
+ * @access  Private (admin)
+ */
+router.delete('/:id', validateObjectId('id'), requireAdmin, suppressionController.delete);
+
+module.exports = router;
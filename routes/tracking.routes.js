@@ -33,6 +33,13 @@ router.get('/c/:trackingId/:linkIndex', trackingController.trackClick.bind(track
  */
 router.get('/u/:trackingId', trackingController.trackUnsubscribe.bind(trackingController));
 
+/**
+ * @route   POST /t/u/:trackingId
+ * @desc    One-click unsubscribe (List-Unsubscribe-Post, RFC 8058)
+ * @access  Public
+ */
+router.post('/u/:trackingId', trackingController.trackUnsubscribe.bind(trackingController));
+
 /**
  * @route   GET /t/v/:trackingId
  * @desc    View in browser redirect
@@ -40,4 +47,11 @@ router.get('/u/:trackingId', trackingController.trackUnsubscribe.bind(trackingCo
  */
 router.get('/v/:trackingId', trackingController.viewInBrowser.bind(trackingController));
 
+/**
+ * @route   GET /t/confirm/:token
+ * @desc    Confirm a double opt-in subscription
+ * @access  Public
+ */
+router.get('/confirm/:token', trackingController.confirmSubscription.bind(trackingController));
+
 module.exports = router;
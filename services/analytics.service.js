@@ -251,6 +251,7 @@ class AnalyticsService {
             {
                 $match: {
                     campaignId: new mongoose.Types.ObjectId(campaignId),
+                    isSeed: { $ne: true },
                 },
             },
             {
@@ -299,6 +300,7 @@ class AnalyticsService {
             {
                 $match: {
                     campaignId: new mongoose.Types.ObjectId(campaignId),
+                    isSeed: { $ne: true },
                     'engagement.opened': true,
                 },
             },
@@ -457,26 +459,37 @@ class AnalyticsService {
             throw new Error('A/B test campaign not found');
         }
 
-        const variants = campaign.abTest.variants.map(v => ({
-            name: v.name,
-            subject: v.subject,
-            sent: v.stats?.sent || 0,
-            opens: v.stats?.opened || 0,
-            clicks: v.stats?.clicked || 0,
-            openRate: this.calculateRate(v.stats?.opened, v.stats?.sent),
-            clickRate: this.calculateRate(v.stats?.clicked, v.stats?.sent),
-        }));
+        // Live results from email logs (variant stats are only snapshotted at selection)
+        const results = await EmailLog.getVariantAnalytics(campaign._id);
+        const byName = Object.fromEntries(results.map(r => [r._id, r]));
+
+        const variants = campaign.abTest.variants.map(v => {
+            const stats = byName[v.name] || {};
+            return {
+                name: v.name,
+                subject: v.subject,
+                percentage: v.percentage,
+                isWinner: v.isWinner,
+                sent: stats.sent || 0,
+                opens: stats.opened || 0,
+                clicks: stats.clicked || 0,
+                openRate: this.calculateRate(stats.opened, stats.sent),
+                clickRate: this.calculateRate(stats.clicked, stats.sent),
+            };
+        });
 
-        // Determine winner
-        const metric = campaign.abTest.winnerCriteria || 'openRate';
-        const winner = variants.reduce((best, v) => {
-            return v[metric] > (best?.[metric] || 0) ? v : best;
+        // Selected winner, or current leader while the test is running
+        const metric = campaign.abTest.winnerCriteria === 'click_rate' ? 'clickRate' : 'openRate';
+        const winner = variants.find(v => v.isWinner) || variants.reduce((best, v) => {
+            return v[metric] > (best?.[metric] ?? -1) ? v : best;
         }, null);
 
         return {
             campaignId: campaign._id,
             campaignName: campaign.name,
             testMetric: metric,
+            testStartedAt: campaign.abTest.testStartedAt,
+            winnerSelectedAt: campaign.abTest.winnerSelectedAt,
             variants,
             winner: winner?.name,
             winnerStats: winner,
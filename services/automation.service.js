@@ -9,7 +9,9 @@ const Automation = require('../models/Automation.model');
 const Contact = require('../models/Contact.model');
 const Template = require('../models/Template.model');
 const List = require('../models/List.model');
+const EmailLog = require('../models/EmailLog.model');
 const { emailQueue, campaignQueue } = require('../queues');
+const { domainEvents, EVENTS } = require('../utils/events');
 const mongoose = require('mongoose');
 
 class AutomationService {
@@ -255,15 +257,15 @@ class AutomationService {
      */
     async validateSteps(orgId, steps) {
         for (const step of steps) {
-            if (step.type === 'email' && step.config?.templateId) {
+            if (step.action?.type === 'send_email' && step.action.email?.templateId) {
                 const template = await Template.findOne({
-                    _id: step.config.templateId,
+                    _id: step.action.email.templateId,
                     orgId,
                     status: { $ne: 'deleted' },
                 });
 
                 if (!template) {
-                    throw new Error(`Template not found for step: ${step.name}`);
+                    throw new Error(`Template not found for step: ${step.name || step.stepId}`);
                 }
             }
         }
@@ -302,7 +304,7 @@ class AutomationService {
                 email: c.email,
                 firstName: c.firstName,
                 lastName: c.lastName,
-                currentStep: autoData?.currentStep,
+                currentStepId: autoData?.currentStepId,
                 status: autoData?.status,
                 enteredAt: autoData?.enteredAt,
                 nextActionAt: autoData?.nextActionAt,
@@ -354,7 +356,7 @@ class AutomationService {
         contact.automations.push({
             automationId,
             status: 'active',
-            currentStep: 0,
+            currentStepId: automation.entryStepId,
             enteredAt: new Date(),
             nextActionAt: new Date(),
         });
@@ -367,9 +369,215 @@ class AutomationService {
             { $inc: { 'stats.totalEntered': 1, 'stats.currentlyActive': 1 } }
         );
 
+        domainEvents.emit(EVENTS.AUTOMATION_ENTERED, {
+            orgId,
+            contactId: contact._id,
+            automationId: automation._id,
+            trigger: 'manual',
+        });
+
         return { message: 'Contact enrolled successfully' };
     }
 
+    /**
+     * Enroll contact from a trigger, respecting re-entry settings
+     * Returns true if the contact was enrolled
+     */
+    async enroll(automation, contact) {
+        if (automation.status !== 'active' || contact.status !== 'subscribed') {
+            return false;
+        }
+
+        const previous = (contact.automations || []).filter(
+            a => a.automationId.toString() === automation._id.toString()
+        );
+
+        if (previous.some(a => ['active', 'waiting'].includes(a.status))) {
+            return false;
+        }
+
+        if (previous.length > 0) {
+            if (!automation.settings?.allowReentry) {
+                return false;
+            }
+
+            const lastEnteredAt = Math.max(...previous.map(a => new Date(a.enteredAt).getTime()));
+            const waitMs = (automation.settings.reentryWaitDays || 0) * 24 * 60 * 60 * 1000;
+
+            if (Date.now() - lastEnteredAt < waitMs) {
+                return false;
+            }
+        }
+
+        // Guard against concurrent triggers enrolling twice
+        const now = new Date();
+        const result = await Contact.updateOne(
+            {
+                _id: contact._id,
+                automations: {
+                    $not: {
+                        $elemMatch: {
+                            automationId: automation._id,
+                            status: { $in: ['active', 'waiting'] },
+                        },
+                    },
+                },
+            },
+            {
+                $push: {
+                    automations: {
+                        automationId: automation._id,
+                        status: 'active',
+                        currentStepId: automation.entryStepId,
+                        enteredAt: now,
+                        nextActionAt: now,
+                    },
+                },
+            }
+        );
+
+        if (result.modifiedCount === 0) {
+            return false;
+        }
+
+        await Automation.updateOne(
+            { _id: automation._id },
+            {
+                $inc: { 'stats.totalEntered': 1, 'stats.currentlyActive': 1 },
+                $set: { 'stats.lastTriggeredAt': now },
+            }
+        );
+
+        domainEvents.emit(EVENTS.AUTOMATION_ENTERED, {
+            orgId: automation.orgId,
+            contactId: contact._id,
+            automationId: automation._id,
+            trigger: automation.trigger?.type,
+        });
+
+        return true;
+    }
+
+    /**
+     * Check goal and exit conditions for an enrolled contact
+     * Returns 'goal_reached', 'exit_condition' or null
+     */
+    async getExitReason(automation, contact, enrollment) {
+        const { goal, exitConditions = [] } = automation.settings || {};
+
+        if (goal?.enabled && await this.isGoalReached(automation, contact, enrollment)) {
+            return 'goal_reached';
+        }
+
+        const hasTag = tag => contact.tags?.includes(String(tag).toLowerCase());
+        const onList = listId => contact.lists?.some(
+            l => l.listId.toString() === String(listId) && l.status === 'active'
+        );
+
+        for (const condition of exitConditions) {
+            switch (condition.type) {
+                case 'unsubscribed':
+                    if (contact.status !== 'subscribed') return 'exit_condition';
+                    break;
+                case 'tag_added':
+                    if (hasTag(condition.value)) return 'exit_condition';
+                    break;
+                case 'tag_removed':
+                    if (!hasTag(condition.value)) return 'exit_condition';
+                    break;
+                case 'list_removed':
+                    if (!onList(condition.value)) return 'exit_condition';
+                    break;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check automation goal against the contact
+     */
+    async isGoalReached(automation, contact, enrollment) {
+        const { type, value } = automation.settings.goal;
+
+        switch (type) {
+            case 'tag_added':
+                return contact.tags?.includes(String(value).toLowerCase());
+
+            case 'list_added':
+                return contact.lists?.some(
+                    l => l.listId.toString() === String(value) && l.status === 'active'
+                );
+
+            case 'email_opened':
+            case 'email_clicked': {
+                // Engagement with this automation's emails since enrollment
+                const query = {
+                    contactId: contact._id,
+                    automationId: automation._id,
+                    createdAt: { $gte: enrollment.enteredAt },
+                };
+
+                if (type === 'email_opened') {
+                    query['engagement.opened'] = true;
+                } else {
+                    query['engagement.clicked'] = true;
+                    if (value) query['engagement.clickedLinks'] = value;
+                }
+
+                return !!(await EmailLog.exists(query));
+            }
+
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Exit contact from automation (goal reached or exit condition)
+     */
+    async exitContact(automation, contactId, reason) {
+        const result = await Contact.updateOne(
+            { _id: contactId },
+            {
+                $set: {
+                    'automations.$[auto].status': reason === 'goal_reached' ? 'completed' : 'exited',
+                    'automations.$[auto].exitedAt': new Date(),
+                    'automations.$[auto].exitReason': reason,
+                },
+            },
+            {
+                arrayFilters: [{
+                    'auto.automationId': automation._id,
+                    'auto.status': { $in: ['active', 'waiting'] },
+                }],
+            }
+        );
+
+        if (result.modifiedCount === 0) {
+            return false;
+        }
+
+        await Automation.updateOne(
+            { _id: automation._id },
+            {
+                $inc: {
+                    'stats.currentlyActive': -1,
+                    [reason === 'goal_reached' ? 'stats.goalReached' : 'stats.exited']: 1,
+                },
+            }
+        );
+
+        domainEvents.emit(EVENTS.AUTOMATION_EXITED, {
+            orgId: automation.orgId,
+            contactId,
+            automationId: automation._id,
+            reason,
+        });
+
+        return true;
+    }
+
     /**
      * Remove contact from automation
      */
@@ -402,10 +610,17 @@ class AutomationService {
         await Automation.updateOne(
             { _id: automationId },
             {
-                $inc: { 'stats.currentlyActive': -1, 'stats.totalExited': 1 },
+                $inc: { 'stats.currentlyActive': -1, 'stats.exited': 1 },
             }
         );
 
+        domainEvents.emit(EVENTS.AUTOMATION_EXITED, {
+            orgId,
+            contactId: contact._id,
+            automationId,
+            reason: 'manual',
+        });
+
         return { message: 'Contact removed from automation' };
     }
 
@@ -430,8 +645,9 @@ class AutomationService {
                     _id: null,
                     totalEntered: { $sum: '$stats.totalEntered' },
                     currentlyActive: { $sum: '$stats.currentlyActive' },
-                    totalCompleted: { $sum: '$stats.totalCompleted' },
-                    totalExited: { $sum: '$stats.totalExited' },
+                    totalCompleted: { $sum: '$stats.completed' },
+                    totalExited: { $sum: '$stats.exited' },
+                    goalReached: { $sum: '$stats.goalReached' },
                     emailsSent: { $sum: '$stats.emailsSent' },
                 },
             },
@@ -0,0 +1,236 @@
+/**
+ * Bulk Operation Service
+ *
+ * Filter-based bulk contact changes: preview the matching contacts,
+ * queue an operation for the bulk worker, and apply an action to one
+ * batch of contacts. Apart from list subscriptions and removals (welcome
+ * emails, list triggers, automation exits), bulk changes don't fire
+ * per-contact domain events (like the ID-based bulk endpoints); the audit
+ * entry records them.
+ */
+
+const Contact = require('../models/Contact.model');
+const List = require('../models/List.model');
+const Segment = require('../models/Segment.model');
+const BulkOperation = require('../models/BulkOperation.model');
+const contactService = require('./contact.service');
+const listService = require('./list.service');
+const customFieldService = require('./customField.service');
+const { bulkQueue } = require('../queues');
+const AppError = require('../utils/AppError');
+
+// Contacts shown in a preview
+const PREVIEW_SAMPLE_SIZE = 10;
+
+class BulkOperationService {
+    /**
+     * Count the contacts an operation would change, with a sample
+     */
+    async preview(orgId, target) {
+        const query = await this.buildTargetQuery(orgId, target);
+
+        const [total, sample] = await Promise.all([
+            Contact.countDocuments(query),
+            Contact.find(query)
+                .select('email firstName lastName status')
+                .sort({ _id: 1 })
+                .limit(PREVIEW_SAMPLE_SIZE)
+                .lean(),
+        ]);
+
+        return { total, sample };
+    }
+
+    /**
+     * Queue a bulk operation (processed by the bulk worker)
+     */
+    async create(orgId, { target, action, params = {} }, userId) {
+        // Fail fast on a missing segment/list or a bad field value
+        await this.buildTargetQuery(orgId, target);
+        const resolvedParams = await this.resolveParams(orgId, action, params);
+
+        const operation = await BulkOperation.create({
+            orgId,
+            target: {
+                segmentId: target.segmentId,
+                filter: target.segmentId ? undefined : target.filter,
+            },
+            action,
+            params: resolvedParams,
+            createdBy: userId,
+        });
+
+        await bulkQueue.add('bulk-operation', {
+            bulkOperationId: operation._id.toString(),
+        });
+
+        return operation;
+    }
+
+    /**
+     * Get bulk operation by ID
+     */
+    async getById(orgId, operationId) {
+        const operation = await BulkOperation.findOne({ _id: operationId, orgId });
+
+        if (!operation) {
+            throw new Error('Bulk operation not found');
+        }
+
+        return operation;
+    }
+
+    /**
+     * Get recent bulk operations for organization
+     */
+    async getRecent(orgId, limit) {
+        return BulkOperation.findRecent(orgId, limit);
+    }
+
+    /**
+     * Build the contact query for a { segmentId } or { filter } target
+     */
+    async buildTargetQuery(orgId, target = {}) {
+        if (target.segmentId) {
+            const segment = await Segment.findOne({ _id: target.segmentId, orgId });
+
+            if (!segment) {
+                throw new Error('Segment not found');
+            }
+
+            return { orgId, $and: [segment.buildQuery()] };
+        }
+
+        return contactService.buildFilterQuery(orgId, target.filter || {});
+    }
+
+    /**
+     * Check action arguments against the organization's data
+     * set_field values are coerced once here, so every batch writes the same value.
+     */
+    async resolveParams(orgId, action, params) {
+        switch (action) {
+            case 'set_status':
+                return { status: params.status, reason: params.reason };
+
+            case 'set_field':
+                return this.resolveFieldParams(orgId, params);
+
+            case 'add_tags':
+            case 'remove_tags':
+                return { tags: [...new Set(params.tags.map(t => t.toLowerCase().trim()))] };
+
+            case 'add_to_list':
+            case 'remove_from_list': {
+                const list = await List.findOne({
+                    _id: params.listId,
+                    orgId,
+                    ...(action === 'add_to_list' ? { status: 'active' } : { status: { $ne: 'deleted' } }),
+                });
+
+                if (!list) {
+                    throw new Error(action === 'add_to_list' ? 'List not found or not active' : 'List not found');
+                }
+
+                return { listId: list._id };
+            }
+
+            default:
+                return {};
+        }
+    }
+
+    /**
+     * Resolve set_field params (custom field values are validated against their definition)
+     * A blank value clears the field.
+     */
+    async resolveFieldParams(orgId, { field, value }) {
+        const blank = value === null || value === undefined || value === '';
+
+        if (!field.startsWith('customFields.')) {
+            return { field, value: blank ? null : String(value).trim() };
+        }
+
+        const key = field.slice('customFields.'.length);
+        const definition = await customFieldService.findByKey(orgId, key);
+
+        if (blank) {
+            return { field: `customFields.${definition?.key || key}`, value: null };
+        }
+
+        const values = await customFieldService.applyDefinitions(orgId, { [key]: value });
+        const [[resolvedKey, resolvedValue]] = Object.entries(values);
+
+        return { field: `customFields.${resolvedKey}`, value: resolvedValue };
+    }
+
+    /**
+     * Apply an operation's action to a batch of contact IDs
+     * Returns the number of contacts changed
+     */
+    async applyAction(operation, contactIds) {
+        const { orgId, action, params } = operation;
+        const query = { orgId, _id: { $in: contactIds } };
+
+        switch (action) {
+            case 'set_status': {
+                const now = new Date();
+                const update = {
+                    status: params.status,
+                    statusReason: params.reason || 'Bulk operation',
+                    statusChangedAt: now,
+                };
+
+                if (params.status === 'unsubscribed') {
+                    update['unsubscribe.unsubscribedAt'] = now;
+                    update['unsubscribe.reason'] = params.reason || 'bulk';
+                }
+
+                const result = await Contact.updateMany({ ...query, status: { $ne: params.status } }, update);
+                return result.modifiedCount;
+            }
+
+            case 'set_field': {
+                const update = params.value === null
+                    ? { $unset: { [params.field]: 1 } }
+                    : { $set: { [params.field]: params.value } };
+
+                const result = await Contact.updateMany(query, update);
+                return result.modifiedCount;
+            }
+
+            case 'add_tags': {
+                const result = await Contact.updateMany(query, { $addToSet: { tags: { $each: params.tags } } });
+                return result.modifiedCount;
+            }
+
+            case 'remove_tags': {
+                const result = await Contact.updateMany(query, { $pull: { tags: { $in: params.tags } } });
+                return result.modifiedCount;
+            }
+
+            case 'add_to_list':
+            case 'remove_from_list': {
+                const list = await List.findById(params.listId);
+
+                if (!list) {
+                    throw new Error('List not found');
+                }
+
+                return action === 'add_to_list'
+                    ? listService.activateMemberships(list, query)
+                    : listService.deactivateMemberships(list, query);
+            }
+
+            case 'delete': {
+                const result = await contactService.bulkDelete(orgId, contactIds);
+                return result.deletedCount;
+            }
+
+            default:
+                throw new AppError(`Unknown bulk action: ${action}`, 400, 'INVALID_BULK_OPERATION');
+        }
+    }
+}
+
+module.exports = new BulkOperationService();
@@ -10,6 +10,7 @@ const Contact = require('../models/Contact.model');
 const List = require('../models/List.model');
 const Segment = require('../models/Segment.model');
 const Template = require('../models/Template.model');
+const { campaignQueue } = require('../queues');
 const mongoose = require('mongoose');
 
 class CampaignService {
@@ -282,6 +283,20 @@ class CampaignService {
             }
         }
 
+        // Validate seed lists
+        if (recipients.seedLists && recipients.seedLists.length > 0) {
+            const validSeedLists = await List.countDocuments({
+                _id: { $in: recipients.seedLists },
+                orgId,
+                type: 'seed',
+                status: 'active',
+            });
+
+            if (validSeedLists !== recipients.seedLists.length) {
+                throw new Error('One or more seed lists are invalid');
+            }
+        }
+
         campaign.recipients = recipients;
         campaign.lastModifiedBy = userId;
 
@@ -375,6 +390,12 @@ class CampaignService {
             query['lists.listId'] = { $nin: campaign.recipients.excludeLists };
         }
 
+        // Seed list members get seed copies instead
+        const seedListIds = await List.getSeedListIds(campaign.orgId, campaign.recipients.seedLists);
+        if (seedListIds.length > 0) {
+            query.lists = { $not: { $elemMatch: { listId: { $in: seedListIds }, status: 'active' } } };
+        }
+
         if (campaign.recipients.excludeSegments && campaign.recipients.excludeSegments.length > 0) {
             for (const segmentId of campaign.recipients.excludeSegments) {
                 const segment = await Segment.findById(segmentId);
@@ -385,6 +406,10 @@ class CampaignService {
             }
         }
 
+        if (campaign.recipients.excludeEmailStatuses?.length > 0) {
+            query['deliverability.emailValidation.status'] = { $nin: campaign.recipients.excludeEmailStatuses };
+        }
+
         return query;
     }
 
@@ -402,19 +427,18 @@ class CampaignService {
             throw new Error('Campaign not found or cannot be scheduled');
         }
 
+        // Set schedule (keeps batch sending and send-time settings)
+        campaign.schedule.type = scheduleData.type || 'scheduled';
+        campaign.schedule.scheduledAt = new Date(scheduleData.scheduledAt);
+        campaign.schedule.timezone = scheduleData.timezone || 'UTC';
+        campaign.schedule.useRecipientTimezone = Boolean(scheduleData.useRecipientTimezone);
+
         // Validate campaign is ready
         const validation = await this.validateForSend(campaign);
         if (!validation.valid) {
             throw new Error(`Campaign not ready: ${validation.errors.join(', ')}`);
         }
 
-        // Set schedule
-        campaign.schedule = {
-            type: scheduleData.type || 'scheduled',
-            scheduledAt: new Date(scheduleData.scheduledAt),
-            timezone: scheduleData.timezone || 'UTC',
-        };
-
         campaign.status = 'scheduled';
         campaign.lastModifiedBy = userId;
 
@@ -495,6 +519,19 @@ class CampaignService {
         campaign.lastModifiedBy = userId;
         await campaign.save();
 
+        // Pick up where sending stopped (next batch when throttled)
+        await campaignQueue.add(
+            'process-campaign',
+            {
+                campaignId: campaign._id.toString(),
+                orgId: campaign.orgId.toString(),
+                ...(campaign.schedule?.batchSending?.enabled && {
+                    batch: (campaign.progress.currentBatch || 0) + 1,
+                }),
+            },
+            { priority: 1 }
+        );
+
         return campaign;
     }
 
@@ -551,16 +588,49 @@ class CampaignService {
             errors.push('No recipients to send to');
         }
 
+        // Validate batch sending settings
+        const batchSending = campaign.schedule?.batchSending;
+        if (batchSending?.enabled && !(batchSending.batchSize >= 1 && batchSending.intervalMinutes >= 1)) {
+            errors.push('Batch sending requires batchSize and intervalMinutes of at least 1');
+        }
+
+        // Recipient-timezone waves replace batching, send-time optimization and A/B testing
+        if (campaign.schedule?.useRecipientTimezone) {
+            if (!campaign.schedule.scheduledAt) {
+                errors.push('Recipient timezone sending requires a scheduled time');
+            }
+            if (batchSending?.enabled || campaign.schedule.optimizeSendTime || campaign.abTest?.enabled) {
+                errors.push('Recipient timezone sending cannot be combined with batch sending, send-time optimization or A/B testing');
+            }
+        }
+
         // Validate A/B test if enabled
         if (campaign.abTest?.enabled) {
             if (!campaign.abTest.variants || campaign.abTest.variants.length < 2) {
                 errors.push('A/B test requires at least 2 variants');
+            } else if (campaign.abTest.variants.some(v => !v.name || !(v.percentage > 0))) {
+                errors.push('Each A/B variant needs a name and a positive percentage');
             }
         }
 
+        // Flag risky addresses the campaign will still send to
+        const warnings = [];
+        const recipientQuery = await this.buildRecipientQuery(campaign);
+        const flagged = await Contact.countDocuments({
+            $and: [
+                recipientQuery,
+                { 'deliverability.emailValidation.status': { $in: ['invalid', 'risky', 'catch-all'] } },
+            ],
+        });
+
+        if (flagged > 0) {
+            warnings.push(`${flagged} recipients have invalid, risky or catch-all email addresses`);
+        }
+
         return {
             valid: errors.length === 0,
             errors,
+            warnings,
             recipientCount: campaign.recipients.estimatedTotal,
         };
     }
@@ -617,7 +687,7 @@ class CampaignService {
 
         const [logs, total] = await Promise.all([
             EmailLog.find(query)
-                .select('email status events createdAt')
+                .select('email status isSeed events createdAt')
                 .sort({ createdAt: -1 })
                 .skip(skip)
                 .limit(limit)
@@ -683,6 +753,52 @@ class CampaignService {
         };
     }
 
+    /**
+     * Select the A/B test winner from test-group results (called by scheduler)
+     */
+    async selectABWinner(campaignId) {
+        const EmailLog = require('../models/EmailLog.model');
+
+        const campaign = await Campaign.findById(campaignId);
+        if (!campaign || !campaign.abTest?.enabled) {
+            throw new Error('A/B test campaign not found');
+        }
+
+        if (campaign.abTest.winnerSelectedAt) {
+            return campaign.getWinningVariant();
+        }
+
+        const results = await EmailLog.getVariantAnalytics(campaign._id);
+        const byName = Object.fromEntries(results.map(r => [r._id, r]));
+
+        // Revenue is not tracked per variant - fall back to open rate
+        const metric = campaign.abTest.winnerCriteria === 'click_rate' ? 'clicked' : 'opened';
+
+        let winner = null;
+        let bestRate = -1;
+
+        for (const variant of campaign.abTest.variants) {
+            const result = byName[variant.name] || {};
+            variant.stats = {
+                sent: result.sent || 0,
+                opened: result.opened || 0,
+                clicked: result.clicked || 0,
+            };
+
+            const rate = this.calculateRate(variant.stats[metric], variant.stats.sent);
+            if (rate > bestRate) {
+                bestRate = rate;
+                winner = variant;
+            }
+        }
+
+        winner.isWinner = true;
+        campaign.abTest.winnerSelectedAt = new Date();
+        await campaign.save();
+
+        return winner;
+    }
+
     /**
      * Helper: Calculate rate percentage
      */
@@ -5,16 +5,55 @@
  * CSV import, duplicate detection, tags, and unsubscribe.
  */
 
+const fs = require('fs');
 const Contact = require('../models/Contact.model');
 const List = require('../models/List.model');
-const csv = require('csv-parser');
-const { Readable } = require('stream');
+const Segment = require('../models/Segment.model');
+const ImportJob = require('../models/ImportJob.model');
+const ExportJob = require('../models/ExportJob.model');
+const ContactActivity = require('../models/ContactActivity.model');
+const Suppression = require('../models/Suppression.model');
+const storage = require('../providers/storage.provider');
+const optInService = require('./optIn.service');
+const customFieldService = require('./customField.service');
+const emailValidationService = require('./emailValidation.service');
+const { importQueue, exportQueue } = require('../queues');
+const { domainEvents, EVENTS, emitAndWait } = require('../utils/events');
+const { generateRandomToken, hashToken } = require('../utils/token.utils');
+const AppError = require('../utils/AppError');
+const { parseQuery, compileQuery, customFieldKeys } = require('../utils/contactQuery');
+
+// Default CSV column names for each contact field
+const DEFAULT_FIELD_MAPPING = {
+    email: ['email', 'e-mail', 'email_address', 'emailaddress'],
+    firstName: ['firstname', 'first_name', 'first name', 'fname'],
+    lastName: ['lastname', 'last_name', 'last name', 'lname'],
+    phone: ['phone', 'telephone', 'mobile', 'phone_number'],
+    company: ['company', 'organization', 'org', 'company_name'],
+};
+
+// Contact fields a CSV column can be mapped to (plus customFields.<key>)
+const IMPORT_FIELDS = ['email', 'firstName', 'lastName', 'phone', 'company', 'jobTitle'];
+const CUSTOM_FIELD_TARGET = /^customFields\.([A-Za-z0-9_-]+)$/;
+
+const DEFAULT_EXPORT_FIELDS = [
+    'email', 'firstName', 'lastName', 'phone', 'company', 'tags', 'status', 'engagement.score', 'createdAt',
+];
+
+const EXPORT_CONTENT_TYPES = {
+    csv: 'text/csv',
+    json: 'application/json',
+    ndjson: 'application/x-ndjson',
+};
+
+// How long a download link stays valid
+const EXPORT_DOWNLOAD_TTL_MS = 60 * 60 * 1000;
 
 class ContactService {
     /**
      * Create a new contact
      */
-    async create(orgId, contactData, userId) {
+    async create(orgId, contactData, userId, source = { type: 'manual', detail: 'Created via API' }) {
         // Check for duplicate email in organization
         const existing = await Contact.findOne({
             orgId,
@@ -25,23 +64,52 @@ class ContactService {
             throw new Error('Contact with this email already exists');
         }
 
+        await this.assertNotSuppressed(orgId, contactData.email);
+
+        const customFields = await customFieldService.applyDefinitions(
+            orgId,
+            contactData.customFields,
+            { complete: true }
+        );
+
+        // Double opt-in lists hold the contact as pending until confirmed
+        const listIds = (contactData.lists || []).map(l => l.listId);
+        const optIn = await optInService.getPolicy(orgId, listIds);
+
         // Create contact
         const contact = await Contact.create({
             orgId,
             ...contactData,
             email: contactData.email.toLowerCase(),
+            customFields,
+            ...(optIn.required && { status: 'pending' }),
             createdBy: userId,
-            source: {
-                type: 'manual',
-                detail: 'Created via API',
-            },
+            source,
         });
 
         // Update list stats if contact is added to lists
-        if (contactData.lists && contactData.lists.length > 0) {
-            await this.updateListStats(contactData.lists.map(l => l.listId));
+        if (listIds.length > 0) {
+            await this.updateListStats(listIds);
         }
 
+        // Triggers fire once the contact confirms
+        if (optIn.required) {
+            await optInService.requestConfirmation(contact, optIn.templateId);
+            return Contact.findById(contact._id);
+        }
+
+        // Notify automation triggers
+        const payload = { orgId, contactId: contact._id };
+        domainEvents.emit(EVENTS.CONTACT_CREATED, payload);
+
+        if (contact.tags.length > 0) {
+            domainEvents.emit(EVENTS.TAG_ADDED, { ...payload, tags: contact.tags });
+        }
+
+        contact.lists
+            .filter(l => l.status === 'active')
+            .forEach(l => domainEvents.emit(EVENTS.LIST_SUBSCRIBED, { ...payload, listId: l.listId }));
+
         return contact;
     }
 
@@ -66,14 +134,59 @@ class ContactService {
         const {
             page = 1,
             limit = 50,
+            sortBy = 'createdAt',
+            sortOrder = 'desc',
+            q,
+            fields,
+        } = options;
+
+        const query = this.buildFilterQuery(orgId, options);
+
+        // Query language expression narrows the other filters
+        if (q) {
+            query.$and = [await this.buildExpressionQuery(orgId, q)];
+        }
+
+        const skip = (page - 1) * limit;
+        const sort = { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
+
+        let find = Contact.find(query)
+            .sort(sort)
+            .skip(skip)
+            .limit(limit);
+
+        // Column selection (email is always returned)
+        if (fields?.length) {
+            find = find.select(['email', ...fields]);
+        }
+
+        const [contacts, total] = await Promise.all([
+            find.populate('lists.listId', 'name'),
+            Contact.countDocuments(query),
+        ]);
+
+        return {
+            contacts,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit),
+            },
+        };
+    }
+
+    /**
+     * Build MongoDB query from contact filter options
+     */
+    buildFilterQuery(orgId, filters = {}) {
+        const {
             search,
             status,
             listId,
             tag,
             engagementLevel,
-            sortBy = 'createdAt',
-            sortOrder = 'desc',
-        } = options;
+        } = filters;
 
         const query = { orgId };
 
@@ -108,27 +221,24 @@ class ContactService {
             ];
         }
 
-        const skip = (page - 1) * limit;
-        const sort = { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
+        return query;
+    }
 
-        const [contacts, total] = await Promise.all([
-            Contact.find(query)
-                .sort(sort)
-                .skip(skip)
-                .limit(limit)
-                .populate('lists.listId', 'name'),
-            Contact.countDocuments(query),
-        ]);
+    /**
+     * Build MongoDB query from a query language expression (see utils/contactQuery)
+     * Custom fields referenced by the expression compare as their defined type.
+     */
+    async buildExpressionQuery(orgId, expression) {
+        const ast = parseQuery(expression);
+
+        const definitions = customFieldKeys(ast).length > 0
+            ? await customFieldService.getDefinitions(orgId)
+            : [];
+        const customFields = new Map(
+            definitions.map(d => [d.key.toLowerCase(), { key: d.key, type: d.type }])
+        );
 
-        return {
-            contacts,
-            pagination: {
-                page,
-                limit,
-                total,
-                pages: Math.ceil(total / limit),
-            },
-        };
+        return { orgId, $and: [compileQuery(ast, { customFields })] };
     }
 
     /**
@@ -146,6 +256,20 @@ class ContactService {
             if (existing) {
                 throw new Error('Another contact with this email already exists');
             }
+
+            await this.assertNotSuppressed(orgId, updateData.email);
+        }
+
+        // customFields replaces the contact's whole set
+        if (updateData.customFields !== undefined) {
+            updateData = {
+                ...updateData,
+                customFields: await customFieldService.applyDefinitions(
+                    orgId,
+                    updateData.customFields,
+                    { complete: true }
+                ),
+            };
         }
 
         const contact = await Contact.findOneAndUpdate(
@@ -161,6 +285,12 @@ class ContactService {
             throw new Error('Contact not found');
         }
 
+        domainEvents.emit(EVENTS.CONTACT_UPDATED, {
+            orgId,
+            contactId: contact._id,
+            fields: Object.keys(updateData),
+        });
+
         return contact;
     }
 
@@ -178,6 +308,7 @@ class ContactService {
         const listIds = contact.lists.map(l => l.listId);
 
         await Contact.deleteOne({ _id: contactId, orgId });
+        await ContactActivity.deleteMany({ orgId, contactId });
 
         // Update list stats
         if (listIds.length > 0) {
@@ -196,6 +327,8 @@ class ContactService {
             orgId,
         });
 
+        await ContactActivity.deleteMany({ orgId, contactId: { $in: contactIds } });
+
         return {
             message: `${result.deletedCount} contacts deleted`,
             deletedCount: result.deletedCount,
@@ -208,17 +341,22 @@ class ContactService {
     async addTags(orgId, contactId, tags) {
         const normalizedTags = tags.map(t => t.toLowerCase().trim());
 
-        const contact = await Contact.findOneAndUpdate(
+        const previous = await Contact.findOneAndUpdate(
             { _id: contactId, orgId },
-            { $addToSet: { tags: { $each: normalizedTags } } },
-            { new: true }
+            { $addToSet: { tags: { $each: normalizedTags } } }
         );
 
-        if (!contact) {
+        if (!previous) {
             throw new Error('Contact not found');
         }
 
-        return contact;
+        // Only newly added tags fire triggers
+        const addedTags = normalizedTags.filter(t => !previous.tags.includes(t));
+        if (addedTags.length > 0) {
+            domainEvents.emit(EVENTS.TAG_ADDED, { orgId, contactId: previous._id, tags: addedTags });
+        }
+
+        return Contact.findById(previous._id);
     }
 
     /**
@@ -227,17 +365,21 @@ class ContactService {
     async removeTags(orgId, contactId, tags) {
         const normalizedTags = tags.map(t => t.toLowerCase().trim());
 
-        const contact = await Contact.findOneAndUpdate(
+        const previous = await Contact.findOneAndUpdate(
             { _id: contactId, orgId },
-            { $pull: { tags: { $in: normalizedTags } } },
-            { new: true }
+            { $pull: { tags: { $in: normalizedTags } } }
         );
 
-        if (!contact) {
+        if (!previous) {
             throw new Error('Contact not found');
         }
 
-        return contact;
+        const removedTags = normalizedTags.filter(t => previous.tags.includes(t));
+        if (removedTags.length > 0) {
+            domainEvents.emit(EVENTS.TAG_REMOVED, { orgId, contactId: previous._id, tags: removedTags });
+        }
+
+        return Contact.findById(previous._id);
     }
 
     /**
@@ -267,9 +409,27 @@ class ContactService {
             throw new Error('Contact not found');
         }
 
+        const wasActive = contact.lists.some(
+            l => l.listId.equals(listId) && l.status === 'active'
+        );
+
         await contact.addToList(listId);
+
+        // Double opt-in lists hold an unconfirmed contact's membership as pending
+        const held = wasActive
+            ? new Set()
+            : await optInService.holdForConfirmation(orgId, listId, [contact._id]);
+
         await this.updateListStats([listId]);
 
+        if (held.size > 0) {
+            return Contact.findById(contact._id);
+        }
+
+        if (!wasActive) {
+            domainEvents.emit(EVENTS.LIST_SUBSCRIBED, { orgId, contactId: contact._id, listId });
+        }
+
         return contact;
     }
 
@@ -286,6 +446,8 @@ class ContactService {
         await contact.removeFromList(listId);
         await this.updateListStats([listId]);
 
+        domainEvents.emit(EVENTS.LIST_REMOVED, { orgId, contactId: contact._id, listId });
+
         return contact;
     }
 
@@ -323,6 +485,15 @@ class ContactService {
             await this.updateListStats(listIds);
         }
 
+        domainEvents.emit(EVENTS.CONTACT_UNSUBSCRIBED, { orgId, contactId: contact._id });
+        domainEvents.emit(EVENTS.CONTACT_STATUS_CHANGED, {
+            orgId,
+            contactId: contact._id,
+            status: 'unsubscribed',
+            reason,
+            campaignId,
+        });
+
         return contact;
     }
 
@@ -345,13 +516,20 @@ class ContactService {
             throw new Error('Contact not found or not unsubscribed');
         }
 
+        domainEvents.emit(EVENTS.CONTACT_STATUS_CHANGED, {
+            orgId,
+            contactId: contact._id,
+            status: 'subscribed',
+            reason: 'Resubscribed',
+        });
+
         return contact;
     }
 
     /**
-     * Import contacts from CSV
+     * Queue a CSV import (processed by the import worker)
      */
-    async importCSV(orgId, fileBuffer, options, userId) {
+    async importCSV(orgId, file, options, userId) {
         const {
             listId,
             tags = [],
@@ -359,122 +537,335 @@ class ContactService {
             fieldMapping = {},
         } = options;
 
+        let importJob;
+        try {
+            if (!Array.isArray(tags) || tags.some(t => typeof t !== 'string')) {
+                throw new AppError('tags must be an array of strings', 400, 'INVALID_IMPORT');
+            }
+
+            importJob = await ImportJob.create({
+                orgId,
+                file: {
+                    originalName: file.originalname,
+                    path: file.path,
+                    size: file.size,
+                },
+                options: {
+                    listId,
+                    tags: tags.map(t => t.toLowerCase().trim()),
+                    updateExisting,
+                    fieldMapping: this.normalizeFieldMapping(fieldMapping),
+                },
+                createdBy: userId,
+            });
+
+            await importQueue.add('import-contacts', {
+                importJobId: importJob._id.toString(),
+            });
+        } catch (error) {
+            // Nothing will process the upload
+            await this.discardUpload(file);
+
+            if (importJob) {
+                await ImportJob.updateOne(
+                    { _id: importJob._id },
+                    { status: 'failed', failedReason: error.message, completedAt: new Date() }
+                );
+            }
+
+            throw error;
+        }
+
+        // Re-read so the upload path isn't returned
+        return this.getImport(orgId, importJob._id);
+    }
+
+    /**
+     * Delete an uploaded CSV that won't be imported
+     */
+    async discardUpload(file) {
+        try {
+            await fs.promises.unlink(file.path);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⚠️ Could not remove import file ${file.path}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Check an import field mapping: { field: column or [columns] }
+     * Only IMPORT_FIELDS and customFields.<key> can be targeted.
+     * Returns the mapping with lowercased column lists
+     */
+    normalizeFieldMapping(fieldMapping) {
+        if (typeof fieldMapping !== 'object' || fieldMapping === null || Array.isArray(fieldMapping)) {
+            throw new AppError('fieldMapping must be an object', 400, 'INVALID_IMPORT');
+        }
+
+        const mapping = {};
+
+        for (const [field, columns] of Object.entries(fieldMapping)) {
+            if (!isImportField(field)) {
+                throw new AppError(
+                    `fieldMapping cannot target "${field}" (allowed: ${IMPORT_FIELDS.join(', ')}, customFields.<key>)`,
+                    400,
+                    'INVALID_IMPORT'
+                );
+            }
+
+            const names = [].concat(columns);
+            if (names.length === 0 || names.some(c => typeof c !== 'string' || !c.trim())) {
+                throw new AppError(`fieldMapping.${field} must be a column name or an array of column names`, 400, 'INVALID_IMPORT');
+            }
+
+            mapping[field] = names.map(c => c.toLowerCase().trim());
+        }
+
+        return mapping;
+    }
+
+    /**
+     * Get import job by ID
+     */
+    async getImport(orgId, importId) {
+        const importJob = await ImportJob.findOne({ _id: importId, orgId });
+
+        if (!importJob) {
+            throw new Error('Import not found');
+        }
+
+        return importJob;
+    }
+
+    /**
+     * Get recent imports for organization
+     */
+    async getImports(orgId, limit) {
+        return ImportJob.findRecent(orgId, limit);
+    }
+
+    /**
+     * Import one chunk of CSV rows with a single bulkWrite
+     * firstRow is the CSV line number of rows[0] (header = line 1).
+     */
+    async importRows(importJob, rows, firstRow) {
+        const { orgId, createdBy } = importJob;
+        const { listId, tags = [], updateExisting } = importJob.options;
+        const mapping = {
+            ...DEFAULT_FIELD_MAPPING,
+            // Checked when queued - re-checked so no job can write other fields
+            ...Object.fromEntries(
+                [...(importJob.options.fieldMapping || new Map())].filter(([field]) => isImportField(field))
+            ),
+        };
+
+        const definitions = await customFieldService.getDefinitions(orgId);
+
+        // Double opt-in lists hold new contacts as pending until confirmed
+        const optIn = listId ? await optInService.getPolicy(orgId, [listId]) : { required: false };
+
         const results = {
-            total: 0,
+            processed: rows.length,
             created: 0,
             updated: 0,
             skipped: 0,
             errors: [],
         };
 
-        // Default field mapping
-        const defaultMapping = {
-            email: ['email', 'e-mail', 'email_address', 'emailaddress'],
-            firstName: ['firstname', 'first_name', 'first name', 'fname'],
-            lastName: ['lastname', 'last_name', 'last name', 'lname'],
-            phone: ['phone', 'telephone', 'mobile', 'phone_number'],
-            company: ['company', 'organization', 'org', 'company_name'],
+        const skip = (row, data, error) => {
+            results.errors.push({ row, error, data });
+            results.skipped++;
         };
 
-        const mapping = { ...defaultMapping, ...fieldMapping };
+        // Valid rows keyed by email (first occurrence in the chunk wins)
+        const rowsByEmail = new Map();
+        rows.forEach((data, index) => {
+            const row = firstRow + index;
+            const contactData = this.mapCSVRow(data, mapping);
 
-        // Parse CSV
-        const rows = await this.parseCSV(fileBuffer);
-        results.total = rows.length;
+            if (!contactData.email || !this.isValidEmail(contactData.email)) {
+                return skip(row, data, 'Invalid or missing email');
+            }
 
-        // Process each row
-        for (let i = 0; i < rows.length; i++) {
-            const row = rows[i];
+            contactData.email = contactData.email.toLowerCase();
 
-            try {
-                const contactData = this.mapCSVRow(row, mapping);
+            if (rowsByEmail.has(contactData.email)) {
+                return skip(row, data, 'Duplicate email in file');
+            }
 
-                if (!contactData.email || !this.isValidEmail(contactData.email)) {
-                    results.errors.push({
-                        row: i + 2,
-                        error: 'Invalid or missing email',
-                        data: row,
-                    });
-                    results.skipped++;
+            const custom = customFieldService.validateValues(definitions, contactData.customFields);
+            if (custom.errors.length > 0) {
+                return skip(row, data, custom.errors.join('; '));
+            }
+            contactData.customFields = custom.values;
+
+            rowsByEmail.set(contactData.email, { row, data, contactData });
+        });
+
+        // Erased addresses can't come back (row data isn't kept for them)
+        const suppressed = await Suppression.findSuppressed(orgId, [...rowsByEmail.keys()], { reason: 'erasure' });
+        for (const email of suppressed) {
+            skip(rowsByEmail.get(email).row, undefined, 'Address was erased and cannot be imported');
+            rowsByEmail.delete(email);
+        }
+
+        const existing = await Contact.find({
+            orgId,
+            email: { $in: [...rowsByEmail.keys()] },
+        }).select('_id email lists');
+        const existingByEmail = new Map(existing.map(c => [c.email, c]));
+
+        // Stored so segments and campaigns can exclude bad addresses
+        const validations = await emailValidationService.validateMany([...rowsByEmail.keys()]);
+
+        const now = new Date();
+        const operations = [];
+        const operationRows = [];
+
+        for (const [email, entry] of rowsByEmail) {
+            const contact = existingByEmail.get(email);
+            const emailValidation = emailValidationService.toValidationRecord(validations.get(email));
+
+            if (!contact) {
+                // New contacts get defaults and must have required fields
+                const custom = customFieldService.validateValues(
+                    definitions,
+                    entry.contactData.customFields,
+                    { complete: true }
+                );
+
+                if (custom.errors.length > 0) {
+                    skip(entry.row, entry.data, custom.errors.join('; '));
                     continue;
                 }
 
-                // Check for duplicate
-                const existing = await Contact.findOne({
+                const document = {
                     orgId,
-                    email: contactData.email.toLowerCase(),
-                });
-
-                if (existing) {
-                    if (updateExisting) {
-                        // Update existing contact
-                        Object.assign(existing, contactData);
-
-                        // Add to list if specified
-                        if (listId) {
-                            await existing.addToList(listId);
-                        }
-
-                        // Add tags
-                        if (tags.length > 0) {
-                            const normalizedTags = tags.map(t => t.toLowerCase().trim());
-                            existing.tags = [...new Set([...existing.tags, ...normalizedTags])];
-                        }
-
-                        await existing.save();
-                        results.updated++;
-                    } else {
-                        results.skipped++;
-                    }
-                } else {
-                    // Create new contact
-                    const newContact = await Contact.create({
-                        orgId,
-                        ...contactData,
-                        email: contactData.email.toLowerCase(),
-                        tags: tags.map(t => t.toLowerCase().trim()),
-                        lists: listId ? [{ listId, status: 'active', addedAt: new Date() }] : [],
-                        source: {
-                            type: 'import',
-                            detail: `CSV import by user ${userId}`,
-                        },
-                        createdBy: userId,
-                    });
-
-                    results.created++;
+                    ...entry.contactData,
+                    customFields: custom.values,
+                    tags,
+                    lists: listId ? [{ listId, status: 'active', addedAt: now }] : [],
+                    ...(optIn.required && { status: 'pending' }),
+                    source: {
+                        type: 'import',
+                        detail: `csv_import_${importJob._id}`,
+                    },
+                    deliverability: { emailValidation },
+                    importId: importJob._id.toString(),
+                    createdBy,
+                };
+
+                const validationError = new Contact(document).validateSync();
+                if (validationError) {
+                    skip(entry.row, entry.data, validationError.message);
+                    continue;
                 }
-            } catch (error) {
-                results.errors.push({
-                    row: i + 2,
-                    error: error.message,
-                    data: row,
-                });
+
+                operations.push({ insertOne: { document } });
+                operationRows.push({ ...entry, result: 'created', joinsList: Boolean(listId) });
+            } else if (updateExisting) {
+                const updateOne = this.buildImportUpdate(contact, entry.contactData, { listId, tags, userId: createdBy, now });
+                updateOne.update.$set['deliverability.emailValidation'] = emailValidation;
+
+                const joinsList = Boolean(listId) && !contact.lists.some(
+                    l => l.listId.equals(listId) && l.status === 'active'
+                );
+
+                operations.push({ updateOne });
+                operationRows.push({ ...entry, result: 'updated', joinsList });
+            } else {
                 results.skipped++;
             }
         }
 
-        // Update list stats
-        if (listId) {
-            await this.updateListStats([listId]);
+        if (operations.length === 0) {
+            return results;
+        }
+
+        // Unordered so one bad row (e.g. a concurrent duplicate) doesn't fail the chunk
+        const failedOperations = new Map();
+        try {
+            await Contact.bulkWrite(operations, { ordered: false });
+        } catch (error) {
+            if (!error.writeErrors) throw error;
+
+            for (const writeError of [].concat(error.writeErrors)) {
+                failedOperations.set(writeError.index, writeError.errmsg);
+            }
+        }
+
+        const joinedEmails = [];
+        const createdEmails = new Set();
+        operationRows.forEach((entry, index) => {
+            if (failedOperations.has(index)) {
+                skip(entry.row, entry.data, failedOperations.get(index));
+            } else {
+                results[entry.result]++;
+                if (entry.joinsList) joinedEmails.push(entry.contactData.email);
+                if (entry.result === 'created') createdEmails.add(entry.contactData.email);
+            }
+        });
+
+        if (joinedEmails.length > 0) {
+            const joined = await Contact.find({ orgId, email: { $in: joinedEmails } }).select('_id email');
+            const joinedIds = joined.map(c => c._id);
+
+            // Only contacts this import created are held as pending contacts
+            const held = optIn.required
+                ? await optInService.holdForConfirmation(orgId, listId, joinedIds, {
+                    createdIds: joined.filter(c => createdEmails.has(c.email)).map(c => c._id),
+                })
+                : new Set();
+
+            // Held contacts are notified once they confirm
+            for (const contactId of joinedIds) {
+                if (held.has(contactId.toString())) continue;
+                await emitAndWait(EVENTS.LIST_SUBSCRIBED, { orgId, contactId, listId });
+            }
         }
 
         return results;
     }
 
     /**
-     * Parse CSV buffer to array of objects
+     * Build the bulkWrite update for an existing contact during import
      */
-    parseCSV(buffer) {
-        return new Promise((resolve, reject) => {
-            const rows = [];
-            const stream = Readable.from(buffer.toString());
+    buildImportUpdate(contact, contactData, { listId, tags, userId, now }) {
+        const $set = { lastModifiedBy: userId };
 
-            stream
-                .pipe(csv())
-                .on('data', (row) => rows.push(row))
-                .on('end', () => resolve(rows))
-                .on('error', (error) => reject(error));
-        });
+        for (const [field, value] of Object.entries(contactData)) {
+            if (field === 'email') continue;
+
+            if (field === 'customFields') {
+                for (const [key, customValue] of Object.entries(value)) {
+                    $set[`customFields.${key}`] = customValue;
+                }
+            } else {
+                $set[field] = value;
+            }
+        }
+
+        const update = { $set };
+        const operation = { filter: { _id: contact._id }, update };
+
+        if (tags.length > 0) {
+            update.$addToSet = { tags: { $each: tags } };
+        }
+
+        if (listId) {
+            const entry = contact.lists.find(l => l.listId.equals(listId));
+
+            if (!entry) {
+                update.$push = { lists: { listId, status: 'active', addedAt: now } };
+            } else if (entry.status !== 'active') {
+                $set['lists.$[entry].status'] = 'active';
+                $set['lists.$[entry].addedAt'] = now;
+                operation.arrayFilters = [{ 'entry.listId': entry.listId }];
+            }
+        }
+
+        return operation;
     }
 
     /**
@@ -489,12 +880,20 @@ class ContactService {
             rowLower[key.toLowerCase().trim()] = row[key];
         });
 
-        // Map fields
+        // Map fields (customFields.<key> targets go into customFields)
+        const mappedCustomFields = {};
+
         Object.keys(mapping).forEach(field => {
             const possibleKeys = mapping[field];
             for (const key of possibleKeys) {
                 if (rowLower[key] !== undefined && rowLower[key] !== '') {
-                    contact[field] = rowLower[key].trim();
+                    const custom = CUSTOM_FIELD_TARGET.exec(field);
+
+                    if (custom) {
+                        mappedCustomFields[custom[1]] = rowLower[key].trim();
+                    } else {
+                        contact[field] = rowLower[key].trim();
+                    }
                     break;
                 }
             }
@@ -505,11 +904,16 @@ class ContactService {
         const customFields = {};
 
         Object.keys(rowLower).forEach(key => {
+            // Dots and leading $ aren't valid Map keys or update paths
+            if (key.includes('.') || key.startsWith('$')) return;
+
             if (!mappedKeys.includes(key) && rowLower[key]) {
                 customFields[key] = rowLower[key];
             }
         });
 
+        Object.assign(customFields, mappedCustomFields);
+
         if (Object.keys(customFields).length > 0) {
             contact.customFields = customFields;
         }
@@ -521,122 +925,170 @@ class ContactService {
      * Validate email format
      */
     isValidEmail(email) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email);
+        return emailValidationService.isValidSyntax(email);
     }
 
     /**
-     * Export contacts to CSV format
+     * Queue a contact export (processed by the export worker)
      */
-    async exportCSV(orgId, options = {}) {
-        const { listId, status, tags } = options;
+    async createExport(orgId, options, userId) {
+        const {
+            listId,
+            segmentId,
+            tags,
+            status,
+            fields = DEFAULT_EXPORT_FIELDS,
+            format = 'csv',
+        } = options;
 
-        const query = { orgId };
+        const exportJob = await ExportJob.create({
+            orgId,
+            filter: { listId, segmentId, tags, status },
+            fields,
+            format,
+            createdBy: userId,
+        });
 
-        if (listId) {
-            query['lists.listId'] = listId;
-            query['lists.status'] = 'active';
-        }
+        await exportQueue.add('export-contacts', {
+            exportJobId: exportJob._id.toString(),
+        });
 
-        if (status) {
-            query.status = status;
+        return exportJob;
+    }
+
+    /**
+     * Get export job by ID
+     */
+    async getExport(orgId, exportId) {
+        const exportJob = await ExportJob.findOne({ _id: exportId, orgId });
+
+        if (!exportJob) {
+            throw new Error('Export not found');
         }
 
-        if (tags && tags.length > 0) {
-            query.tags = { $in: tags };
+        return exportJob;
+    }
+
+    /**
+     * Get recent exports for organization
+     */
+    async getExports(orgId, limit) {
+        return ExportJob.findRecent(orgId, limit);
+    }
+
+    /**
+     * Issue a time-limited download token for a completed export
+     */
+    async createExportDownloadToken(orgId, exportId) {
+        const exportJob = await this.getExport(orgId, exportId);
+
+        if (exportJob.status !== 'completed') {
+            throw new Error('Export is not ready for download');
         }
 
-        const contacts = await Contact.find(query)
-            .select('email firstName lastName phone company tags status engagement.score createdAt')
-            .lean();
+        const { token, hashedToken } = generateRandomToken();
+        const expiresAt = new Date(Date.now() + EXPORT_DOWNLOAD_TTL_MS);
 
-        // Convert to CSV rows
-        const rows = contacts.map(c => ({
-            email: c.email,
-            first_name: c.firstName || '',
-            last_name: c.lastName || '',
-            phone: c.phone || '',
-            company: c.company || '',
-            tags: (c.tags || []).join(', '),
-            status: c.status,
-            engagement_score: c.engagement?.score || 0,
-            subscribed_at: c.createdAt?.toISOString() || '',
-        }));
+        await ExportJob.updateOne(
+            { _id: exportJob._id },
+            { 'download.tokenHash': hashedToken, 'download.expiresAt': expiresAt }
+        );
 
-        return rows;
+        return { token, expiresAt };
     }
 
     /**
-     * Find duplicate contacts
+     * Resolve a download token to a readable export file
      */
-    async findDuplicates(orgId, field = 'email') {
-        const duplicates = await Contact.aggregate([
-            { $match: { orgId } },
-            {
-                $group: {
-                    _id: `$${field}`,
-                    count: { $sum: 1 },
-                    contacts: { $push: { _id: '$_id', email: '$email', firstName: '$firstName', lastName: '$lastName' } },
-                },
-            },
-            { $match: { count: { $gt: 1 } } },
-            { $sort: { count: -1 } },
-        ]);
+    async getExportDownload(token) {
+        const exportJob = await ExportJob.findOne({
+            'download.tokenHash': hashToken(token),
+            'download.expiresAt': { $gt: new Date() },
+            status: 'completed',
+        }).select('+file.key');
+
+        if (!exportJob) {
+            throw new Error('Download link is invalid or has expired');
+        }
 
-        return duplicates;
+        return {
+            stream: storage.createReadStream(exportJob.file.key),
+            fileName: exportJob.file.name,
+            contentType: EXPORT_CONTENT_TYPES[exportJob.format],
+            size: exportJob.file.size,
+        };
     }
 
     /**
-     * Merge duplicate contacts
+     * Build the contact query for an export filter
      */
-    async mergeDuplicates(orgId, primaryId, duplicateIds) {
-        const primary = await Contact.findOne({ _id: primaryId, orgId });
+    async buildExportQuery(orgId, filter = {}) {
+        const query = { orgId };
+        const conditions = [];
 
-        if (!primary) {
-            throw new Error('Primary contact not found');
+        if (filter.listId) {
+            conditions.push({
+                lists: { $elemMatch: { listId: filter.listId, status: 'active' } },
+            });
         }
 
-        // Get all duplicates
-        const duplicates = await Contact.find({
-            _id: { $in: duplicateIds },
-            orgId,
-        });
+        if (filter.segmentId) {
+            const segment = await Segment.findOne({ _id: filter.segmentId, orgId });
+            if (!segment) {
+                throw new Error('Segment not found');
+            }
+            conditions.push(segment.buildQuery());
+        }
 
-        // Merge data from duplicates into primary
-        for (const dup of duplicates) {
-            // Merge tags
-            primary.tags = [...new Set([...primary.tags, ...dup.tags])];
+        if (filter.tags?.length > 0) {
+            query.tags = { $in: filter.tags };
+        }
 
-            // Merge lists
-            for (const list of dup.lists) {
-                if (!primary.lists.some(l => l.listId.equals(list.listId))) {
-                    primary.lists.push(list);
-                }
-            }
+        if (filter.status) {
+            query.status = filter.status;
+        }
 
-            // Merge custom fields
-            if (dup.customFields) {
-                primary.customFields = primary.customFields || new Map();
-                dup.customFields.forEach((value, key) => {
-                    if (!primary.customFields.has(key)) {
-                        primary.customFields.set(key, value);
-                    }
-                });
-            }
+        if (conditions.length > 0) {
+            query.$and = conditions;
+        }
+
+        return query;
+    }
 
-            // Sum engagement stats
-            primary.engagement.emailsReceived += dup.engagement.emailsReceived;
-            primary.engagement.emailsOpened += dup.engagement.emailsOpened;
-            primary.engagement.emailsClicked += dup.engagement.emailsClicked;
+    /**
+     * Expand the 'customFields' field to one column per custom field key
+     */
+    async resolveExportFields(query, fields) {
+        if (!fields.includes('customFields')) {
+            return fields;
         }
 
-        // Recalculate engagement score
-        await primary.updateEngagementScore();
+        const keys = await Contact.aggregate([
+            { $match: query },
+            { $project: { fields: { $objectToArray: { $ifNull: ['$customFields', {}] } } } },
+            { $unwind: '$fields' },
+            { $group: { _id: '$fields.k' } },
+            { $sort: { _id: 1 } },
+        ]).allowDiskUse(true);
+
+        return fields.flatMap(field => (
+            field === 'customFields'
+                ? keys.map(k => `customFields.${k._id}`)
+                : [field]
+        ));
+    }
 
-        // Delete duplicates
-        await Contact.deleteMany({ _id: { $in: duplicateIds }, orgId });
+    /**
+     * Pick export fields from a lean contact
+     */
+    toExportRecord(contact, fields) {
+        const record = {};
+
+        for (const field of fields) {
+            record[field] = field.split('.').reduce((value, key) => value?.[key], contact) ?? null;
+        }
 
-        return primary;
+        return record;
     }
 
     /**
@@ -659,6 +1111,15 @@ class ContactService {
         }
     }
 
+    /**
+     * Reject addresses erased at the subject's request
+     */
+    async assertNotSuppressed(orgId, email) {
+        if (await Suppression.isSuppressed(orgId, email, { reason: 'erasure' })) {
+            throw new AppError('This address was erased and cannot be added again', 400, 'ADDRESS_SUPPRESSED');
+        }
+    }
+
     /**
      * Get contact statistics for organization
      */
@@ -708,4 +1169,11 @@ class ContactService {
     }
 }
 
+/**
+ * Helper: Whether an import mapping can target a field
+ */
+function isImportField(field) {
+    return IMPORT_FIELDS.includes(field) || CUSTOM_FIELD_TARGET.test(field);
+}
+
 module.exports = new ContactService();
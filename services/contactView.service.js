@@ -0,0 +1,131 @@
+/**
+ * Contact View Service
+ *
+ * Saved contact list views (expression, columns and sort) per user.
+ * Views are only visible to the user who saved them.
+ */
+
+const ContactView = require('../models/ContactView.model');
+const contactService = require('./contact.service');
+const { fieldPath } = require('../utils/contactQuery');
+
+class ContactViewService {
+    /**
+     * Get the user's saved views
+     */
+    async getAll(orgId, userId) {
+        return ContactView.findForUser(orgId, userId);
+    }
+
+    /**
+     * Get a saved view by ID
+     */
+    async getById(orgId, userId, viewId) {
+        const view = await ContactView.findOne({ _id: viewId, orgId, userId });
+
+        if (!view) {
+            throw new Error('Contact view not found');
+        }
+
+        return view;
+    }
+
+    /**
+     * Save a new view
+     */
+    async create(orgId, userId, viewData) {
+        const existing = await ContactView.findOne({ orgId, userId, name: viewData.name });
+
+        if (existing) {
+            throw new Error('Contact view with this name already exists');
+        }
+
+        await this.validateExpression(orgId, viewData.expression);
+
+        return ContactView.create({
+            orgId,
+            userId,
+            name: viewData.name,
+            expression: viewData.expression,
+            columns: viewData.columns,
+            sort: viewData.sort,
+        });
+    }
+
+    /**
+     * Update a saved view
+     */
+    async update(orgId, userId, viewId, updateData) {
+        const view = await this.getById(orgId, userId, viewId);
+
+        // Check name uniqueness if name is being changed
+        if (updateData.name && updateData.name !== view.name) {
+            const existing = await ContactView.findOne({
+                orgId,
+                userId,
+                name: updateData.name,
+                _id: { $ne: viewId },
+            });
+
+            if (existing) {
+                throw new Error('Contact view with this name already exists');
+            }
+        }
+
+        if (updateData.expression !== undefined) {
+            await this.validateExpression(orgId, updateData.expression);
+        }
+
+        ['name', 'expression', 'columns', 'sort'].forEach(field => {
+            if (updateData[field] !== undefined) {
+                view[field] = updateData[field];
+            }
+        });
+
+        await view.save();
+
+        return view;
+    }
+
+    /**
+     * Delete a saved view
+     */
+    async delete(orgId, userId, viewId) {
+        const view = await ContactView.findOneAndDelete({ _id: viewId, orgId, userId });
+
+        if (!view) {
+            throw new Error('Contact view not found');
+        }
+
+        return view;
+    }
+
+    /**
+     * Get the contacts matching a saved view, with its columns and sort
+     */
+    async getContacts(orgId, userId, viewId, { page, limit } = {}) {
+        const view = await this.getById(orgId, userId, viewId);
+
+        const result = await contactService.getAll(orgId, {
+            page,
+            limit,
+            q: view.expression || undefined,
+            fields: view.columns.map(fieldPath),
+            sortBy: fieldPath(view.sort.field),
+            sortOrder: view.sort.order,
+        });
+
+        return { view, ...result };
+    }
+
+    /**
+     * Reject expressions that don't parse (throws a 400 with the position)
+     */
+    async validateExpression(orgId, expression) {
+        if (expression) {
+            await contactService.buildExpressionQuery(orgId, expression);
+        }
+    }
+}
+
+module.exports = new ContactViewService();
@@ -0,0 +1,324 @@
+/**
+ * Custom Field Service
+ *
+ * Organization custom field registry: CRUD for definitions and
+ * validation/coercion of Contact.customFields against them.
+ */
+
+const CustomField = require('../models/CustomField.model');
+const Contact = require('../models/Contact.model');
+const Segment = require('../models/Segment.model');
+const AppError = require('../utils/AppError');
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'on'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'off'];
+
+// $convert targets used when existing values are retyped
+const CONVERT_TYPES = {
+    text: 'string',
+    enum: 'string',
+    number: 'double',
+    date: 'date',
+};
+
+class CustomFieldService {
+    /**
+     * Create a custom field definition
+     * Existing contact values for the key are converted to the type.
+     */
+    async create(orgId, fieldData, userId) {
+        const existing = await this.findByKey(orgId, fieldData.key);
+
+        if (existing) {
+            throw new Error('Custom field with this key already exists');
+        }
+
+        const field = new CustomField({
+            orgId,
+            ...fieldData,
+            createdBy: userId,
+        });
+
+        field.defaultValue = this.resolveDefault(field);
+        await field.save();
+
+        await this.convertExistingValues(field);
+        await this.refreshSegments(orgId, field.key);
+
+        return field;
+    }
+
+    /**
+     * Get all custom field definitions
+     */
+    async getAll(orgId) {
+        return CustomField.find({ orgId }).sort({ key: 1 });
+    }
+
+    /**
+     * Get custom field definition by ID
+     */
+    async getById(orgId, fieldId) {
+        const field = await CustomField.findOne({ _id: fieldId, orgId });
+
+        if (!field) {
+            throw new Error('Custom field not found');
+        }
+
+        return field;
+    }
+
+    /**
+     * Update a custom field definition
+     * The key can't change; changing the type converts existing values.
+     */
+    async update(orgId, fieldId, updateData) {
+        const field = await this.getById(orgId, fieldId);
+
+        const { key, orgId: _orgId, createdBy, ...allowed } = updateData;
+
+        Object.assign(field, allowed);
+
+        if (field.type === 'enum' && field.options.length === 0) {
+            throw new Error('Enum fields require at least one option');
+        }
+
+        field.defaultValue = this.resolveDefault(field);
+
+        const typeChanged = field.isModified('type');
+        await field.save();
+
+        if (typeChanged) {
+            await this.convertExistingValues(field);
+            await this.refreshSegments(orgId, field.key);
+        }
+
+        return field;
+    }
+
+    /**
+     * Delete a custom field definition (contact values are kept, untyped)
+     */
+    async delete(orgId, fieldId) {
+        const field = await CustomField.findOneAndDelete({ _id: fieldId, orgId });
+
+        if (!field) {
+            throw new Error('Custom field not found');
+        }
+
+        await this.refreshSegments(orgId, field.key);
+
+        return field;
+    }
+
+    /**
+     * Find a definition by key (case-insensitive)
+     */
+    findByKey(orgId, key) {
+        return CustomField.findOne({ orgId, key })
+            .collation({ locale: 'en', strength: 2 });
+    }
+
+    /**
+     * All definitions for an organization (lean, for validation)
+     */
+    getDefinitions(orgId) {
+        return CustomField.find({ orgId }).lean();
+    }
+
+    /**
+     * Validate and coerce customFields for a contact write, throwing a 400 on errors
+     * complete: the values replace the contact's custom fields (create, full update),
+     * so defaults and required fields apply.
+     */
+    async applyDefinitions(orgId, customFields, { complete = false } = {}) {
+        const definitions = await this.getDefinitions(orgId);
+        const { values, errors } = this.validateValues(definitions, customFields, { complete });
+
+        if (errors.length > 0) {
+            const error = new AppError(`Invalid custom fields: ${errors.join('; ')}`, 400, 'INVALID_CUSTOM_FIELDS');
+            error.errors = errors;
+            throw error;
+        }
+
+        return values;
+    }
+
+    /**
+     * Coerce custom field values to their declared types
+     * Keys match definitions case-insensitively and are rewritten to the
+     * definition's key. Undeclared keys pass through unchanged; blank values are dropped.
+     * Returns { values, errors }
+     */
+    validateValues(definitions, customFields, { complete = false } = {}) {
+        const values = {};
+        const errors = [];
+
+        const definitionsByKey = new Map(definitions.map(d => [d.key.toLowerCase(), d]));
+        const input = customFields instanceof Map
+            ? Object.fromEntries(customFields)
+            : customFields || {};
+
+        for (const [key, raw] of Object.entries(input)) {
+            const definition = definitionsByKey.get(key.toLowerCase());
+
+            if (!definition) {
+                values[key] = raw;
+                continue;
+            }
+
+            if (isBlank(raw)) continue;
+
+            const { value, error } = this.coerceValue(definition, raw);
+            if (error) {
+                errors.push(error);
+            } else {
+                values[definition.key] = value;
+            }
+        }
+
+        if (complete) {
+            for (const definition of definitions) {
+                if (values[definition.key] !== undefined) continue;
+
+                if (!isBlank(definition.defaultValue)) {
+                    values[definition.key] = definition.defaultValue;
+                } else if (definition.required) {
+                    errors.push(`${definition.label} is required`);
+                }
+            }
+        }
+
+        return { values, errors };
+    }
+
+    /**
+     * Coerce one value to a definition's type
+     * Returns { value } or { error }
+     */
+    coerceValue(definition, raw) {
+        const { label, type } = definition;
+        const text = typeof raw === 'string' ? raw.trim() : raw;
+
+        switch (type) {
+            case 'number': {
+                const number = typeof text === 'number' ? text : Number(text);
+                if (typeof text === 'boolean' || text === '' || !Number.isFinite(number)) {
+                    return { error: `${label} must be a number` };
+                }
+                return { value: number };
+            }
+
+            case 'date': {
+                const date = text instanceof Date ? text : new Date(text);
+                if (typeof text === 'boolean' || isNaN(date.getTime())) {
+                    return { error: `${label} must be a valid date` };
+                }
+                return { value: date };
+            }
+
+            case 'boolean': {
+                if (typeof text === 'boolean') return { value: text };
+
+                const normalized = String(text).toLowerCase();
+                if (TRUE_VALUES.includes(normalized)) return { value: true };
+                if (FALSE_VALUES.includes(normalized)) return { value: false };
+
+                return { error: `${label} must be true or false` };
+            }
+
+            case 'enum': {
+                const option = (definition.options || [])
+                    .find(o => o.toLowerCase() === String(text).toLowerCase());
+
+                if (!option) {
+                    return { error: `${label} must be one of: ${(definition.options || []).join(', ')}` };
+                }
+                return { value: option };
+            }
+
+            default:
+                if (typeof text === 'object') {
+                    return { error: `${label} must be text` };
+                }
+                return { value: String(text) };
+        }
+    }
+
+    /**
+     * Coerce a definition's default value to its type
+     */
+    resolveDefault(field) {
+        if (isBlank(field.defaultValue)) {
+            return undefined;
+        }
+
+        const { value, error } = this.coerceValue(field, field.defaultValue);
+
+        if (error) {
+            throw new AppError(`Invalid default value: ${error}`, 400, 'INVALID_CUSTOM_FIELDS');
+        }
+
+        return value;
+    }
+
+    /**
+     * Convert stored contact values to the field's type
+     * Values that don't convert are left as they are.
+     */
+    async convertExistingValues(field) {
+        const path = `customFields.${field.key}`;
+        const input = `$${path}`;
+
+        let converted;
+        if (field.type === 'boolean') {
+            const normalized = { $toLower: { $toString: input } };
+            converted = {
+                $switch: {
+                    branches: [
+                        { case: { $in: [normalized, TRUE_VALUES] }, then: true },
+                        { case: { $in: [normalized, FALSE_VALUES] }, then: false },
+                    ],
+                    default: input,
+                },
+            };
+        } else {
+            converted = {
+                $convert: { input, to: CONVERT_TYPES[field.type], onError: input, onNull: input },
+            };
+        }
+
+        const result = await Contact.updateMany(
+            { orgId: field.orgId, [path]: { $exists: true } },
+            [{ $set: { [path]: converted } }],
+            { updatePipeline: true }
+        );
+
+        return { converted: result.modifiedCount };
+    }
+
+    /**
+     * Re-resolve condition types for segments filtering on a key
+     */
+    async refreshSegments(orgId, key) {
+        const segments = await Segment.find({
+            orgId,
+            status: { $ne: 'deleted' },
+            'conditionGroups.conditions.field': `customFields.${key}`,
+        });
+
+        for (const segment of segments) {
+            await segment.resolveFieldTypes();
+            await segment.save();
+        }
+    }
+}
+
+/**
+ * Helper: Missing or empty value
+ */
+function isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+module.exports = new CustomFieldService();
@@ -0,0 +1,620 @@
+/**
+ * Duplicate Service
+ *
+ * Duplicate contact detection (normalized emails, name + company
+ * similarity) and merging: a preview with per-field conflicts, then a
+ * merge that applies the caller's choices, unions lists, tags,
+ * automations and engagement, and re-points history to the survivor.
+ */
+
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact.model');
+const EmailLog = require('../models/EmailLog.model');
+const ContactActivity = require('../models/ContactActivity.model');
+const contactService = require('./contact.service');
+const { domainEvents, EVENTS } = require('../utils/events');
+const AppError = require('../utils/AppError');
+
+// Fields compared (and chosen per field) when merging
+const MERGE_FIELDS = [
+    'email', 'firstName', 'lastName', 'phone', 'company', 'jobTitle', 'status',
+    'location.city', 'location.state', 'location.country', 'location.zipCode', 'location.timezone',
+];
+
+// Providers that ignore dots in the local part
+const DOTLESS_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+// Most restrictive status first - the default when statuses conflict
+const STATUS_PRECEDENCE = ['complained', 'bounced', 'unsubscribed', 'cleaned', 'pending', 'subscribed'];
+
+// List membership kept when both contacts are on a list (opt-outs win)
+const LIST_STATUS_PRECEDENCE = ['unsubscribed', 'active', 'pending', 'removed'];
+
+// Company suffixes ignored when comparing companies
+const COMPANY_SUFFIXES = /\b(inc|llc|ltd|limited|gmbh|corp|corporation|co|company|plc|sa|ag|bv)\b\.?/g;
+
+// Name + company matching thresholds (Jaro-Winkler similarity)
+const NAME_SIMILARITY = 0.9;
+const COMPANY_SIMILARITY = 0.85;
+
+// Contacts per last-name block compared pairwise
+const MAX_BLOCK_SIZE = 200;
+
+class DuplicateService {
+    /**
+     * Find groups of likely duplicate contacts
+     * match: 'email' (normalized email), 'name_company' or 'all'
+     */
+    async findDuplicates(orgId, options = {}) {
+        const { match = 'email', limit = 100 } = options;
+        const groups = [];
+
+        if (match === 'email' || match === 'all') {
+            groups.push(...await this.findByNormalizedEmail(orgId));
+        }
+
+        if (match === 'name_company' || match === 'all') {
+            groups.push(...await this.findByNameAndCompany(orgId));
+        }
+
+        return groups
+            .sort((a, b) => b.count - a.count)
+            .slice(0, limit);
+    }
+
+    /**
+     * Group contacts whose emails normalize to the same mailbox
+     * (case, plus-addressing, Gmail dots)
+     */
+    async findByNormalizedEmail(orgId) {
+        const local = { $arrayElemAt: [{ $split: ['$email', '@'] }, 0] };
+        const domain = { $toLower: { $arrayElemAt: [{ $split: ['$email', '@'] }, 1] } };
+
+        const groups = await Contact.aggregate([
+            { $match: { orgId: new mongoose.Types.ObjectId(String(orgId)) } },
+            {
+                $project: {
+                    email: 1,
+                    firstName: 1,
+                    lastName: 1,
+                    company: 1,
+                    status: 1,
+                    createdAt: 1,
+                    local: { $toLower: { $arrayElemAt: [{ $split: [local, '+'] }, 0] } },
+                    domain,
+                },
+            },
+            {
+                $project: {
+                    email: 1,
+                    firstName: 1,
+                    lastName: 1,
+                    company: 1,
+                    status: 1,
+                    createdAt: 1,
+                    normalizedEmail: {
+                        $cond: [
+                            { $in: ['$domain', DOTLESS_DOMAINS] },
+                            { $concat: [{ $replaceAll: { input: '$local', find: '.', replacement: '' } }, '@gmail.com'] },
+                            { $concat: ['$local', '@', '$domain'] },
+                        ],
+                    },
+                },
+            },
+            {
+                $group: {
+                    _id: '$normalizedEmail',
+                    count: { $sum: 1 },
+                    contacts: {
+                        $push: {
+                            _id: '$_id',
+                            email: '$email',
+                            firstName: '$firstName',
+                            lastName: '$lastName',
+                            company: '$company',
+                            status: '$status',
+                            createdAt: '$createdAt',
+                        },
+                    },
+                },
+            },
+            { $match: { count: { $gt: 1 } } },
+        ]).allowDiskUse(true);
+
+        return groups.map(group => ({
+            match: 'email',
+            key: group._id,
+            count: group.count,
+            contacts: group.contacts,
+        }));
+    }
+
+    /**
+     * Group contacts with similar names at a similar company
+     * Contacts are blocked by normalized last name, then compared pairwise.
+     */
+    async findByNameAndCompany(orgId) {
+        const blocks = await Contact.aggregate([
+            {
+                $match: {
+                    orgId: new mongoose.Types.ObjectId(String(orgId)),
+                    firstName: { $nin: [null, ''] },
+                    lastName: { $nin: [null, ''] },
+                    company: { $nin: [null, ''] },
+                },
+            },
+            {
+                $group: {
+                    _id: { $toLower: { $trim: { input: '$lastName' } } },
+                    count: { $sum: 1 },
+                    contacts: {
+                        $push: {
+                            _id: '$_id',
+                            email: '$email',
+                            firstName: '$firstName',
+                            lastName: '$lastName',
+                            company: '$company',
+                            status: '$status',
+                            createdAt: '$createdAt',
+                        },
+                    },
+                },
+            },
+            { $match: { count: { $gt: 1, $lte: MAX_BLOCK_SIZE } } },
+        ]).allowDiskUse(true);
+
+        const groups = [];
+
+        for (const block of blocks) {
+            const { contacts } = block;
+            const parent = contacts.map((_, i) => i);
+            const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+            for (let i = 0; i < contacts.length; i++) {
+                for (let j = i + 1; j < contacts.length; j++) {
+                    if (this.isSimilarPerson(contacts[i], contacts[j])) {
+                        parent[find(j)] = find(i);
+                    }
+                }
+            }
+
+            const clusters = new Map();
+            contacts.forEach((contact, i) => {
+                const root = find(i);
+                clusters.set(root, [...(clusters.get(root) || []), contact]);
+            });
+
+            for (const cluster of clusters.values()) {
+                if (cluster.length < 2) continue;
+
+                groups.push({
+                    match: 'name_company',
+                    key: `${normalizeName(cluster[0].firstName)} ${block._id} @ ${normalizeCompany(cluster[0].company)}`,
+                    count: cluster.length,
+                    contacts: cluster,
+                });
+            }
+        }
+
+        return groups;
+    }
+
+    /**
+     * Same person by name and company similarity
+     */
+    isSimilarPerson(a, b) {
+        const nameA = `${normalizeName(a.firstName)} ${normalizeName(a.lastName)}`;
+        const nameB = `${normalizeName(b.firstName)} ${normalizeName(b.lastName)}`;
+
+        return jaroWinkler(nameA, nameB) >= NAME_SIMILARITY
+            && jaroWinkler(normalizeCompany(a.company), normalizeCompany(b.company)) >= COMPANY_SIMILARITY;
+    }
+
+    /**
+     * Normalize an email to its mailbox (case, plus-addressing, Gmail dots)
+     */
+    normalizeEmail(email) {
+        const [local = '', domain = ''] = String(email).toLowerCase().split('@');
+        const base = local.split('+')[0];
+
+        if (DOTLESS_DOMAINS.includes(domain)) {
+            return `${base.replace(/\./g, '')}@gmail.com`;
+        }
+
+        return `${base}@${domain}`;
+    }
+
+    /**
+     * Preview a merge: field conflicts (with the default choice) and the merged result
+     */
+    async previewMerge(orgId, primaryId, duplicateIds, resolutions = {}) {
+        const { primary, duplicates } = await this.loadContacts(orgId, primaryId, duplicateIds);
+        const plan = this.buildMergePlan(primary, duplicates, resolutions);
+
+        const contactIds = duplicates.map(d => d._id);
+        const [emailLogs, activities] = await Promise.all([
+            EmailLog.countDocuments({ orgId, contactId: { $in: contactIds } }),
+            ContactActivity.countDocuments({ orgId, contactId: { $in: contactIds } }),
+        ]);
+
+        return {
+            primary: { _id: primary._id, email: primary.email },
+            duplicates: duplicates.map(d => ({ _id: d._id, email: d.email })),
+            conflicts: plan.conflicts,
+            merged: plan.merged,
+            repoint: { emailLogs, activities },
+        };
+    }
+
+    /**
+     * Merge duplicates into the primary contact
+     * resolutions: { [field]: contactId } picks the contact whose value wins
+     * for a conflicting field (customFields.<key> for custom fields).
+     */
+    async mergeDuplicates(orgId, primaryId, duplicateIds, resolutions = {}) {
+        const { primary, duplicates } = await this.loadContacts(orgId, primaryId, duplicateIds);
+        const { merged } = this.buildMergePlan(primary, duplicates, resolutions);
+        const contactIds = duplicates.map(d => d._id);
+
+        const previousLevel = primary.engagement.level;
+        const score = Contact.calculateEngagement(merged.engagement);
+
+        // Save the survivor before anything is deleted, so a failed save
+        // leaves the duplicates intact. An email still held by a duplicate
+        // is switched once the duplicates are gone.
+        const { email, ...fields } = merged;
+        const takesDuplicateEmail = duplicates.some(d => d.email === email);
+
+        primary.set({
+            ...fields,
+            ...(!takesDuplicateEmail && { email }),
+            engagement: {
+                ...merged.engagement,
+                ...score,
+                scoreUpdatedAt: new Date(),
+                previousLevel: score.level !== previousLevel ? previousLevel : primary.engagement.previousLevel,
+                levelChangedAt: score.level !== previousLevel ? new Date() : primary.engagement.levelChangedAt,
+            },
+        });
+        await primary.save();
+
+        // History follows the surviving contact
+        await this.repointHistory(orgId, primary._id, contactIds);
+
+        await Contact.deleteMany({ _id: { $in: contactIds }, orgId });
+
+        if (takesDuplicateEmail) {
+            primary.email = email;
+            await primary.save();
+        }
+
+        await contactService.updateListStats(primary.lists.map(l => l.listId));
+
+        domainEvents.emit(EVENTS.CONTACT_MERGED, {
+            orgId,
+            contactId: primary._id,
+            mergedContactIds: contactIds,
+            mergedEmails: duplicates.map(d => d.email),
+        });
+
+        return primary;
+    }
+
+    /**
+     * Load the primary and duplicate contacts (all must exist)
+     */
+    async loadContacts(orgId, primaryId, duplicateIds) {
+        const ids = [...new Set(duplicateIds.map(String))].filter(id => id !== String(primaryId));
+
+        if (ids.length === 0) {
+            throw new AppError('At least one duplicate other than the primary is required', 400, 'INVALID_MERGE');
+        }
+
+        const primary = await Contact.findOne({ _id: primaryId, orgId });
+
+        if (!primary) {
+            throw new Error('Primary contact not found');
+        }
+
+        const duplicates = await Contact.find({ _id: { $in: ids }, orgId });
+
+        if (duplicates.length !== ids.length) {
+            throw new Error('One or more duplicate contacts not found');
+        }
+
+        return { primary, duplicates };
+    }
+
+    /**
+     * Work out conflicts and the merged contact
+     * Returns { conflicts, merged }
+     */
+    buildMergePlan(primary, duplicates, resolutions = {}) {
+        const contacts = [primary, ...duplicates];
+        const byId = new Map(contacts.map(c => [c._id.toString(), c]));
+        const conflicts = [];
+        const merged = {};
+
+        const customKeys = new Set(contacts.flatMap(c => [...(c.customFields || new Map()).keys()]));
+        const fields = [...MERGE_FIELDS, ...[...customKeys].map(key => `customFields.${key}`)];
+
+        for (const field of Object.keys(resolutions)) {
+            if (!fields.includes(field)) {
+                throw new AppError(`Unknown merge field: ${field}`, 400, 'INVALID_MERGE');
+            }
+            if (!byId.has(String(resolutions[field]))) {
+                throw new AppError(`Resolution for ${field} must be one of the merged contacts`, 400, 'INVALID_MERGE');
+            }
+        }
+
+        for (const field of fields) {
+            const values = contacts
+                .map(c => ({ contactId: c._id, value: c.get(field) }))
+                .filter(v => !isBlank(v.value));
+
+            if (values.length === 0) continue;
+
+            const distinct = new Set(values.map(v => JSON.stringify(v.value)));
+            let selected = values[0];
+
+            if (field === 'status') {
+                selected = values.reduce((best, v) =>
+                    STATUS_PRECEDENCE.indexOf(v.value) < STATUS_PRECEDENCE.indexOf(best.value) ? v : best
+                );
+            }
+
+            const chosen = resolutions[field] && byId.get(String(resolutions[field]));
+            if (chosen) {
+                const value = chosen.get(field);
+                selected = { contactId: chosen._id, value };
+            }
+
+            if (distinct.size > 1) {
+                conflicts.push({ field, values, selected: selected.contactId });
+            }
+
+            if (!isBlank(selected.value)) {
+                merged[field] = selected.value;
+            }
+        }
+
+        merged.tags = [...new Set(contacts.flatMap(c => c.tags))];
+        merged.lists = this.mergeLists(contacts);
+        merged.automations = this.mergeAutomations(contacts);
+        merged.engagement = this.mergeEngagement(contacts);
+        merged.deliverability = this.mergeDeliverability(
+            contacts.find(c => c.email === merged.email) || primary,
+            contacts
+        );
+
+        if (merged.status !== primary.status) {
+            const source = contacts.find(c => c.status === merged.status);
+            merged.statusReason = source?.statusReason;
+        }
+
+        return { conflicts, merged: expandPaths(merged) };
+    }
+
+    /**
+     * Union list memberships (opt-outs win, earliest addedAt kept)
+     */
+    mergeLists(contacts) {
+        const lists = new Map();
+
+        for (const entry of contacts.flatMap(c => c.lists)) {
+            const key = entry.listId.toString();
+            const current = lists.get(key);
+
+            // A pending membership keeps its confirmation link
+            const membership = {
+                status: entry.status,
+                confirmationToken: entry.confirmationToken,
+                confirmationExpires: entry.confirmationExpires,
+            };
+
+            if (!current) {
+                lists.set(key, { listId: entry.listId, addedAt: entry.addedAt, ...membership });
+                continue;
+            }
+
+            if (LIST_STATUS_PRECEDENCE.indexOf(entry.status) < LIST_STATUS_PRECEDENCE.indexOf(current.status)) {
+                Object.assign(current, membership);
+            }
+            if (entry.addedAt < current.addedAt) {
+                current.addedAt = entry.addedAt;
+            }
+        }
+
+        return [...lists.values()];
+    }
+
+    /**
+     * Union automation enrollments (in-progress enrollments win, then the latest)
+     */
+    mergeAutomations(contacts) {
+        const automations = new Map();
+        const inProgress = a => ['active', 'waiting'].includes(a.status);
+
+        for (const enrollment of contacts.flatMap(c => c.automations || [])) {
+            const key = enrollment.automationId.toString();
+            const current = automations.get(key);
+            const candidate = enrollment.toObject();
+
+            if (!current
+                || (inProgress(candidate) && !inProgress(current))
+                || (inProgress(candidate) === inProgress(current) && candidate.enteredAt > current.enteredAt)) {
+                automations.set(key, candidate);
+            }
+        }
+
+        return [...automations.values()];
+    }
+
+    /**
+     * Sum engagement counters and keep the latest activity dates
+     */
+    mergeEngagement(contacts) {
+        const engagement = contacts.map(c => c.engagement || {});
+        const sum = field => engagement.reduce((total, e) => total + (e[field] || 0), 0);
+        const latest = field => engagement
+            .map(e => e[field])
+            .filter(Boolean)
+            .reduce((max, date) => (!max || date > max ? date : max), undefined);
+
+        return {
+            emailsReceived: sum('emailsReceived'),
+            emailsOpened: sum('emailsOpened'),
+            emailsClicked: sum('emailsClicked'),
+            lastEmailSentAt: latest('lastEmailSentAt'),
+            lastOpenedAt: latest('lastOpenedAt'),
+            lastClickedAt: latest('lastClickedAt'),
+            preferredSendHour: contacts[0].engagement?.preferredSendHour,
+            preferredSendHourUpdatedAt: contacts[0].engagement?.preferredSendHourUpdatedAt,
+        };
+    }
+
+    /**
+     * Sum bounce/complaint counts; validation comes from the contact whose email survives
+     */
+    mergeDeliverability(emailSource, contacts) {
+        const deliverability = contacts.map(c => c.deliverability || {});
+        const latest = field => deliverability
+            .filter(d => d[field])
+            .reduce((max, d) => (!max || d[field] > max[field] ? d : max), null);
+
+        const lastBounce = latest('lastBounceAt');
+        const lastComplaint = latest('lastComplaintAt');
+
+        return {
+            bounceCount: deliverability.reduce((total, d) => total + (d.bounceCount || 0), 0),
+            lastBounceAt: lastBounce?.lastBounceAt,
+            lastBounceType: lastBounce?.lastBounceType,
+            lastBounceReason: lastBounce?.lastBounceReason,
+            complaintCount: deliverability.reduce((total, d) => total + (d.complaintCount || 0), 0),
+            lastComplaintAt: lastComplaint?.lastComplaintAt,
+            emailValidation: emailSource.deliverability?.emailValidation?.toObject?.()
+                || emailSource.deliverability?.emailValidation,
+        };
+    }
+
+    /**
+     * Re-point email logs and recorded activity to the surviving contact
+     */
+    async repointHistory(orgId, primaryId, contactIds) {
+        await EmailLog.updateMany(
+            { orgId, contactId: { $in: contactIds }, type: { $ne: 'welcome' } },
+            { contactId: primaryId }
+        );
+
+        // One welcome email per contact per list - when the survivor (or an
+        // earlier duplicate) already has one for the list, drop the duplicate's
+        const welcomeLogs = await EmailLog.find({
+            orgId,
+            contactId: { $in: contactIds },
+            type: 'welcome',
+        }).select('_id');
+
+        for (const log of welcomeLogs) {
+            try {
+                await EmailLog.updateOne({ _id: log._id }, { contactId: primaryId });
+            } catch (error) {
+                if (error.code !== 11000) throw error;
+                await EmailLog.deleteOne({ _id: log._id });
+            }
+        }
+
+        await ContactActivity.updateMany(
+            { orgId, contactId: { $in: contactIds } },
+            { contactId: primaryId }
+        );
+    }
+}
+
+/**
+ * Helper: Missing or empty value
+ */
+function isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+/**
+ * Helper: Turn dotted keys (location.city, customFields.x) into nested objects
+ */
+function expandPaths(flat) {
+    const result = {};
+
+    for (const [path, value] of Object.entries(flat)) {
+        const [root, key] = path.split(/\.(.+)/);
+
+        if (key === undefined) {
+            result[root] = value;
+        } else {
+            result[root] = { ...result[root], [key]: value };
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Helper: Lowercase, strip accents and punctuation
+ */
+function normalizeName(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9 ]/g, '')
+        .trim();
+}
+
+/**
+ * Helper: Normalized company without legal suffixes
+ */
+function normalizeCompany(company) {
+    return normalizeName(company).replace(COMPANY_SUFFIXES, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Helper: Jaro-Winkler similarity (0-1)
+ */
+function jaroWinkler(a, b) {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+
+    const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+    const matchedA = new Array(a.length).fill(false);
+    const matchedB = new Array(b.length).fill(false);
+    let matches = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        const start = Math.max(0, i - window);
+        const end = Math.min(b.length, i + window + 1);
+
+        for (let j = start; j < end; j++) {
+            if (matchedB[j] || a[i] !== b[j]) continue;
+            matchedA[i] = matchedB[j] = true;
+            matches++;
+            break;
+        }
+    }
+
+    if (matches === 0) return 0;
+
+    let transpositions = 0;
+    for (let i = 0, j = 0; i < a.length; i++) {
+        if (!matchedA[i]) continue;
+        while (!matchedB[j]) j++;
+        if (a[i] !== b[j]) transpositions++;
+        j++;
+    }
+
+    const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+    let prefix = 0;
+    while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+
+    return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+module.exports = new DuplicateService();
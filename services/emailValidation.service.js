@@ -0,0 +1,397 @@
+/**
+ * Email Validation Service
+ *
+ * Offline email address validation: RFC syntax, disposable domains,
+ * role accounts, typo suggestions for common providers and an MX
+ * lookup through a pluggable resolver (providers/mx.provider).
+ * Results are stored on Contact.deliverability.emailValidation; bulk
+ * validation runs as a background job (validation worker).
+ */
+
+const Contact = require('../models/Contact.model');
+const ValidationJob = require('../models/ValidationJob.model');
+const mxResolver = require('../providers/mx.provider');
+const disposableDomains = require('../utils/disposableDomains');
+const { validationQueue } = require('../queues');
+
+// Mailboxes that belong to a function rather than a person
+const ROLE_ACCOUNTS = new Set([
+    'abuse', 'admin', 'administrator', 'billing', 'compliance', 'contact',
+    'customerservice', 'enquiries', 'feedback', 'help', 'helpdesk',
+    'hostmaster', 'info', 'inquiries', 'jobs', 'list', 'mail', 'marketing',
+    'media', 'no-reply', 'noc', 'noreply', 'office', 'orders', 'postmaster',
+    'press', 'privacy', 'sales', 'security', 'service', 'support', 'team',
+    'webmaster',
+]);
+
+// Providers checked for typos (gmial.com -> gmail.com)
+const COMMON_DOMAINS = [
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'hotmail.com',
+    'hotmail.co.uk', 'outlook.com', 'live.com', 'msn.com', 'icloud.com',
+    'me.com', 'aol.com', 'protonmail.com', 'proton.me', 'gmx.com', 'gmx.de',
+    'mail.com', 'email.com', 'yandex.com', 'zoho.com', 'comcast.net', 'verizon.net',
+];
+
+// Mistyped top-level domains
+const TLD_TYPOS = {
+    con: 'com',
+    cmo: 'com',
+    ocm: 'com',
+    vom: 'com',
+    xom: 'com',
+    comm: 'com',
+    nte: 'net',
+    nett: 'net',
+    ogr: 'org',
+};
+
+// Characters allowed in an unquoted local part (RFC 5322 atext)
+const ATEXT = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+$/;
+
+// Addresses validated in parallel by validateMany
+const VALIDATION_CONCURRENCY = 20;
+
+// MX lookups are cached per domain across batches (imports, bulk validation)
+const MX_CACHE_TTL_MS = 60 * 60 * 1000;
+const MX_CACHE_MAX_DOMAINS = 10000;
+
+class EmailValidationService {
+    constructor() {
+        this.resolver = mxResolver;
+        this.mxCache = new Map();
+    }
+
+    /**
+     * Replace the MX resolver (any object with resolve(domain) -> { hasMx })
+     */
+    setResolver(resolver) {
+        this.resolver = resolver;
+        this.mxCache.clear();
+    }
+
+    /**
+     * Look up a domain's MX through the cache
+     * Failed lookups aren't kept, so the next batch retries them.
+     * Resolves to the resolver's result or { error }
+     */
+    lookupMx(domain) {
+        const cached = this.mxCache.get(domain);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.lookup;
+        }
+
+        const lookup = this.resolver.resolve(domain).catch((error) => {
+            if (this.mxCache.get(domain)?.lookup === lookup) {
+                this.mxCache.delete(domain);
+            }
+            return { error };
+        });
+
+        // Oldest entry goes first once full
+        if (this.mxCache.size >= MX_CACHE_MAX_DOMAINS) {
+            this.mxCache.delete(this.mxCache.keys().next().value);
+        }
+        this.mxCache.set(domain, { lookup, expiresAt: Date.now() + MX_CACHE_TTL_MS });
+
+        return lookup;
+    }
+
+    /**
+     * Validate one address
+     * Returns { status, reasons, suggestion }
+     */
+    async validate(email, options = {}) {
+        const { checkMx = true } = options;
+        const reasons = [];
+
+        const parts = this.parse(email);
+
+        if (!parts) {
+            return { status: 'invalid', reasons: ['syntax'], suggestion: null };
+        }
+
+        const { local, domain } = parts;
+
+        if (this.isDisposable(domain)) reasons.push('disposable');
+        if (ROLE_ACCOUNTS.has(local.toLowerCase().replace(/\+.*$/, ''))) reasons.push('role_account');
+
+        const suggestedDomain = this.suggestDomain(domain);
+        if (suggestedDomain) reasons.push('possible_typo');
+
+        if (checkMx) {
+            const mx = await this.lookupMx(domain);
+
+            if (mx.error) {
+                reasons.push('mx_lookup_failed');
+            } else if (!mx.hasMx) {
+                reasons.push('no_mx');
+            }
+        }
+
+        let status = 'valid';
+        if (reasons.includes('no_mx')) {
+            status = 'invalid';
+        } else if (reasons.some(r => ['disposable', 'role_account', 'possible_typo'].includes(r))) {
+            status = 'risky';
+        } else if (reasons.includes('mx_lookup_failed')) {
+            status = 'unknown';
+        }
+
+        return {
+            status,
+            reasons,
+            suggestion: suggestedDomain ? `${local}@${suggestedDomain}` : null,
+        };
+    }
+
+    /**
+     * Validate many addresses (each domain is looked up once)
+     * Returns Map of email -> result
+     */
+    async validateMany(emails, options = {}) {
+        const results = new Map();
+        const pending = [...emails];
+
+        const next = async () => {
+            while (pending.length > 0) {
+                const email = pending.shift();
+                results.set(email, await this.validate(email, options));
+            }
+        };
+
+        await Promise.all(
+            Array.from({ length: Math.min(VALIDATION_CONCURRENCY, pending.length) }, next)
+        );
+
+        return results;
+    }
+
+    /**
+     * Check address syntax only (RFC 5321/5322 addr-spec, no comments or IP literals)
+     */
+    isValidSyntax(email) {
+        return this.parse(email) !== null;
+    }
+
+    /**
+     * Split a syntactically valid address into { local, domain } (domain lowercased)
+     * Returns null when the address is invalid.
+     */
+    parse(email) {
+        if (typeof email !== 'string' || email.length > 254) return null;
+
+        const at = email.lastIndexOf('@');
+        if (at < 1) return null;
+
+        const local = email.slice(0, at);
+        const domain = email.slice(at + 1).toLowerCase();
+
+        if (local.length > 64) return null;
+
+        const validLocal = /^"([^"\\\r\n]|\\[\x20-\x7e])+"$/.test(local)
+            || local.split('.').every(atom => ATEXT.test(atom));
+        if (!validLocal) return null;
+
+        const labels = domain.split('.');
+        const validDomain = domain.length <= 253
+            && labels.length >= 2
+            && labels.every(label => /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/.test(label))
+            && /^([a-z]{2,63}|xn--[a-z0-9-]{1,59})$/.test(labels[labels.length - 1]);
+        if (!validDomain) return null;
+
+        return { local, domain };
+    }
+
+    /**
+     * Disposable domain (or subdomain of one)
+     */
+    isDisposable(domain) {
+        const labels = domain.split('.');
+
+        for (let i = 0; i < labels.length - 1; i++) {
+            if (disposableDomains.has(labels.slice(i).join('.'))) return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Suggest a correction for a likely mistyped domain, or null
+     * Fixes mistyped TLDs, then compares the provider name with common
+     * providers on the same suffix (hotmail.fr is not a typo of hotmail.com).
+     */
+    suggestDomain(domain) {
+        if (COMMON_DOMAINS.includes(domain)) return null;
+
+        const labels = domain.split('.');
+        const fixedTld = TLD_TYPOS[labels[labels.length - 1]];
+        const candidate = fixedTld ? [...labels.slice(0, -1), fixedTld].join('.') : domain;
+
+        if (COMMON_DOMAINS.includes(candidate)) return candidate;
+
+        const [name, ...suffix] = candidate.split('.');
+        let best = null;
+        let bestDistance = Infinity;
+
+        for (const common of COMMON_DOMAINS) {
+            const [commonName, ...commonSuffix] = common.split('.');
+            if (commonSuffix.join('.') !== suffix.join('.')) continue;
+
+            const distance = editDistance(name, commonName);
+            if (distance < bestDistance) {
+                best = common;
+                bestDistance = distance;
+            }
+        }
+
+        // One edit for short names, two for longer ones
+        const maxDistance = name.length > 5 ? 2 : 1;
+        if (bestDistance <= maxDistance) {
+            return best;
+        }
+
+        return fixedTld ? candidate : null;
+    }
+
+    /**
+     * Validate a contact's address and store the result
+     */
+    async validateContact(orgId, contactId) {
+        const contact = await Contact.findOne({ _id: contactId, orgId }).select('email');
+
+        if (!contact) {
+            throw new Error('Contact not found');
+        }
+
+        const result = await this.validate(contact.email);
+
+        await Contact.updateOne(
+            { _id: contact._id },
+            { 'deliverability.emailValidation': this.toValidationRecord(result) }
+        );
+
+        return { email: contact.email, ...result };
+    }
+
+    /**
+     * Queue a bulk validation (processed by the validation worker)
+     * options: { contactIds, revalidate } - by default only never-validated contacts
+     */
+    async queueValidation(orgId, { contactIds, revalidate = false } = {}, userId) {
+        const job = await ValidationJob.create({
+            orgId,
+            contactIds,
+            revalidate,
+            createdBy: userId,
+        });
+
+        await validationQueue.add('validate-emails', {
+            validationJobId: job._id.toString(),
+        });
+
+        return job;
+    }
+
+    /**
+     * Get validation job by ID
+     */
+    async getValidationJob(orgId, jobId) {
+        const job = await ValidationJob.findOne({ _id: jobId, orgId }).select('-contactIds');
+
+        if (!job) {
+            throw new Error('Validation job not found');
+        }
+
+        return job;
+    }
+
+    /**
+     * Get recent validation jobs for organization
+     */
+    async getRecentValidationJobs(orgId, limit) {
+        return ValidationJob.findRecent(orgId, limit);
+    }
+
+    /**
+     * Build the contact query for a validation job
+     */
+    buildValidationQuery(orgId, { contactIds, revalidate }) {
+        const query = { orgId };
+
+        if (contactIds?.length > 0) {
+            query._id = { $in: contactIds };
+        }
+
+        if (!revalidate) {
+            // Never validated, or the last lookup couldn't finish
+            query.$or = [
+                { 'deliverability.emailValidation.validatedAt': null },
+                { 'deliverability.emailValidation.status': 'unknown' },
+            ];
+        }
+
+        return query;
+    }
+
+    /**
+     * Validate a batch of contacts ({ _id, email }) and store the results
+     * Returns counts per status
+     */
+    async validateBatch(contacts) {
+        const results = await this.validateMany([...new Set(contacts.map(c => c.email))]);
+        const byStatus = {};
+
+        const operations = contacts.map(contact => {
+            const result = results.get(contact.email);
+            byStatus[result.status] = (byStatus[result.status] || 0) + 1;
+
+            return {
+                updateOne: {
+                    filter: { _id: contact._id },
+                    update: { 'deliverability.emailValidation': this.toValidationRecord(result) },
+                },
+            };
+        });
+
+        if (operations.length > 0) {
+            await Contact.bulkWrite(operations, { ordered: false });
+        }
+
+        return byStatus;
+    }
+
+    /**
+     * Shape a result for Contact.deliverability.emailValidation
+     */
+    toValidationRecord(result) {
+        return {
+            status: result.status,
+            reasons: result.reasons,
+            suggestion: result.suggestion || undefined,
+            validatedAt: new Date(),
+        };
+    }
+}
+
+/**
+ * Helper: Damerau-Levenshtein distance (adjacent transpositions count as one edit)
+ */
+function editDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return d[a.length][b.length];
+}
+
+module.exports = new EmailValidationService();
@@ -0,0 +1,201 @@
+/**
+ * Engagement Service
+ *
+ * Nightly engagement scoring: recomputes every contact's score and
+ * level with time decay since the last open/click, and emits an event
+ * when a contact's level changes (e.g. became cold) so automation
+ * triggers and segments can react.
+ */
+
+const Contact = require('../models/Contact.model');
+const Segment = require('../models/Segment.model');
+const EmailLog = require('../models/EmailLog.model');
+const { EVENTS, emitAndWait } = require('../utils/events');
+
+// Contacts updated per bulkWrite
+const UPDATE_BATCH_SIZE = 500;
+
+// Email types that don't count as received (as in the email worker)
+const UNCOUNTED_TYPES = ['transactional', 'test'];
+
+class EngagementService {
+    /**
+     * Recompute engagement score and level for all contacts that received email
+     * Returns { processed, updated, levelChanged }
+     */
+    async recalculateScores(options = {}) {
+        const { orgId, now = new Date() } = options;
+
+        await this.backfillEmailsReceived({ orgId });
+
+        const query = { 'engagement.emailsReceived': { $gt: 0 } };
+        if (orgId) query.orgId = orgId;
+
+        const cursor = Contact.find(query)
+            .select('orgId engagement')
+            .lean()
+            .cursor();
+
+        const changedOrgs = new Set();
+        let operations = [];
+        let levelChanges = [];
+        let processed = 0;
+        let updated = 0;
+        let levelChanged = 0;
+
+        const flush = async () => {
+            if (operations.length > 0) {
+                await Contact.bulkWrite(operations, { ordered: false });
+                updated += operations.length;
+            }
+
+            // Emit after the write so listeners see the new level; one
+            // change at a time so a large flush doesn't flood the listeners
+            for (const change of levelChanges) {
+                await emitAndWait(EVENTS.ENGAGEMENT_LEVEL_CHANGED, change);
+            }
+
+            levelChanged += levelChanges.length;
+            operations = [];
+            levelChanges = [];
+        };
+
+        for await (const contact of cursor) {
+            processed++;
+
+            const current = contact.engagement || {};
+            const result = Contact.calculateEngagement(current, now);
+
+            if (result.score === current.score
+                && result.level === current.level
+                && result.openRate === current.openRate
+                && result.clickRate === current.clickRate) {
+                continue;
+            }
+
+            const update = {
+                'engagement.score': result.score,
+                'engagement.level': result.level,
+                'engagement.openRate': result.openRate,
+                'engagement.clickRate': result.clickRate,
+                'engagement.scoreUpdatedAt': now,
+            };
+
+            if (result.level !== current.level) {
+                update['engagement.previousLevel'] = current.level;
+                update['engagement.levelChangedAt'] = now;
+
+                levelChanges.push({
+                    orgId: contact.orgId,
+                    contactId: contact._id,
+                    level: result.level,
+                    previousLevel: current.level,
+                    score: result.score,
+                });
+            }
+
+            changedOrgs.add(contact.orgId.toString());
+            operations.push({
+                updateOne: {
+                    filter: { _id: contact._id },
+                    update,
+                },
+            });
+
+            if (operations.length >= UPDATE_BATCH_SIZE) {
+                await flush();
+            }
+        }
+
+        await flush();
+
+        await this.markSegmentsStale([...changedOrgs]);
+
+        return { processed, updated, levelChanged };
+    }
+
+    /**
+     * Count emails received from the email log for contacts that were sent
+     * email before the email worker counted it (otherwise they're never scored)
+     * Returns the number of contacts backfilled
+     */
+    async backfillEmailsReceived({ orgId } = {}) {
+        const query = {
+            'engagement.emailsReceived': 0,
+            'engagement.lastEmailSentAt': null,
+        };
+        if (orgId) query.orgId = orgId;
+
+        const cursor = Contact.find(query).select('_id orgId').lean().cursor();
+
+        let backfilled = 0;
+        let batch = [];
+
+        const flush = async () => {
+            if (batch.length === 0) return;
+
+            // orgId keeps the lookup on the { orgId, contactId } index
+            const orgIds = [...new Map(batch.map(c => [c.orgId.toString(), c.orgId])).values()];
+
+            const received = await EmailLog.aggregate([
+                {
+                    $match: {
+                        orgId: { $in: orgIds },
+                        contactId: { $in: batch.map(c => c._id) },
+                        sentAt: { $ne: null },
+                        type: { $nin: UNCOUNTED_TYPES },
+                        isSeed: { $ne: true },
+                    },
+                },
+                { $group: { _id: '$contactId', count: { $sum: 1 }, lastSentAt: { $max: '$sentAt' } } },
+            ]);
+
+            if (received.length > 0) {
+                // Skip contacts the email worker counted in the meantime
+                const result = await Contact.bulkWrite(received.map(r => ({
+                    updateOne: {
+                        filter: { _id: r._id, 'engagement.emailsReceived': 0 },
+                        update: {
+                            'engagement.emailsReceived': r.count,
+                            'engagement.lastEmailSentAt': r.lastSentAt,
+                        },
+                    },
+                })), { ordered: false });
+
+                backfilled += result.modifiedCount;
+            }
+
+            batch = [];
+        };
+
+        for await (const contact of cursor) {
+            batch.push(contact);
+
+            if (batch.length >= UPDATE_BATCH_SIZE) {
+                await flush();
+            }
+        }
+
+        await flush();
+
+        return backfilled;
+    }
+
+    /**
+     * Invalidate cached counts of segments filtering on engagement
+     */
+    async markSegmentsStale(orgIds) {
+        if (orgIds.length === 0) return;
+
+        await Segment.updateMany(
+            {
+                orgId: { $in: orgIds },
+                status: { $ne: 'deleted' },
+                'conditionGroups.conditions.field': /^engagement\./,
+            },
+            { 'cache.isStale': true }
+        );
+    }
+}
+
+module.exports = new EngagementService();
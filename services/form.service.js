@@ -0,0 +1,438 @@
+/**
+ * Form Service
+ *
+ * Public subscribe forms: CRUD, handling submissions (honeypot,
+ * field mapping, source/UTM attribution, opt-in rules) and the
+ * embeddable HTML snippet.
+ */
+
+const Form = require('../models/Form.model');
+const List = require('../models/List.model');
+const Contact = require('../models/Contact.model');
+const Suppression = require('../models/Suppression.model');
+const contactService = require('./contact.service');
+const optInService = require('./optIn.service');
+const customFieldService = require('./customField.service');
+const trackingService = require('./tracking.service');
+const { escapeHtml } = require('../utils/sanitize');
+
+// Submitted values are trimmed and capped at this length
+const MAX_VALUE_LENGTH = 500;
+
+const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign'];
+
+class FormService {
+    /**
+     * Create a new form
+     */
+    async create(orgId, formData, userId) {
+        await this.assertList(orgId, formData.listId);
+
+        const form = await Form.create({
+            orgId,
+            ...formData,
+            status: 'active',
+            createdBy: userId,
+        });
+
+        return form;
+    }
+
+    /**
+     * Get form by ID
+     */
+    async getById(orgId, formId) {
+        const form = await Form.findOne({
+            _id: formId,
+            orgId,
+            status: { $ne: 'deleted' },
+        }).populate('listId', 'name');
+
+        if (!form) {
+            throw new Error('Form not found');
+        }
+
+        return form;
+    }
+
+    /**
+     * Get all forms with pagination
+     */
+    async getAll(orgId, options = {}) {
+        const {
+            page = 1,
+            limit = 20,
+            status,
+            listId,
+        } = options;
+
+        const query = {
+            orgId,
+            status: { $ne: 'deleted' },
+        };
+
+        if (status && status !== 'all') {
+            query.status = status;
+        }
+
+        if (listId) {
+            query.listId = listId;
+        }
+
+        const skip = (page - 1) * limit;
+
+        const [forms, total] = await Promise.all([
+            Form.find(query)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('listId', 'name'),
+            Form.countDocuments(query),
+        ]);
+
+        return {
+            forms,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit),
+            },
+        };
+    }
+
+    /**
+     * Update form
+     */
+    async update(orgId, formId, updateData) {
+        const form = await Form.findOne({
+            _id: formId,
+            orgId,
+            status: { $ne: 'deleted' },
+        });
+
+        if (!form) {
+            throw new Error('Form not found');
+        }
+
+        if (updateData.listId && !form.listId.equals(updateData.listId)) {
+            await this.assertList(orgId, updateData.listId);
+        }
+
+        // Stats are only changed by submissions
+        const { stats, orgId: _orgId, createdBy, ...allowed } = updateData;
+
+        Object.assign(form, allowed);
+        await form.save();
+
+        return form;
+    }
+
+    /**
+     * Delete form (soft delete - submissions stop being accepted)
+     */
+    async delete(orgId, formId) {
+        const form = await Form.findOneAndUpdate(
+            { _id: formId, orgId, status: { $ne: 'deleted' } },
+            { status: 'deleted' },
+            { new: true }
+        );
+
+        if (!form) {
+            throw new Error('Form not found');
+        }
+
+        return form;
+    }
+
+    /**
+     * Ensure the target list exists and is active
+     */
+    async assertList(orgId, listId) {
+        const list = await List.findOne({ _id: listId, orgId, status: 'active' });
+
+        if (!list) {
+            throw new Error('List not found');
+        }
+
+        return list;
+    }
+
+    /**
+     * Handle a public form submission
+     * meta: { ipAddress, userAgent, referer }
+     * Returns { form, outcome } where outcome is 'subscribed', 'pending' or 'rejected'.
+     * Honeypot hits and blocked addresses are 'rejected' but look like success
+     * to the submitter, so bots and address probing learn nothing.
+     */
+    async submit(formId, body = {}, meta = {}) {
+        const form = await Form.findOne({ _id: formId, status: 'active' });
+
+        if (!form) {
+            throw new Error('Form not found');
+        }
+
+        if (body[form.honeypotField]) {
+            await form.recordSubmission('rejected');
+            return { form, outcome: 'rejected' };
+        }
+
+        const { contactData, errors } = this.parseSubmission(form, body);
+
+        if (contactData.customFields) {
+            const definitions = await customFieldService.getDefinitions(form.orgId);
+            const custom = customFieldService.validateValues(definitions, contactData.customFields);
+            errors.push(...custom.errors);
+            contactData.customFields = custom.values;
+        }
+
+        if (errors.length > 0) {
+            const error = new Error('Invalid form submission');
+            error.errors = errors;
+            throw error;
+        }
+
+        const list = await List.findOne({ _id: form.listId, orgId: form.orgId, status: 'active' });
+
+        if (!list) {
+            throw new Error('Form not found');
+        }
+
+        if (await Suppression.isSuppressed(form.orgId, contactData.email)) {
+            await form.recordSubmission('rejected');
+            return { form, outcome: 'rejected' };
+        }
+
+        const existing = await Contact.findOne({ orgId: form.orgId, email: contactData.email });
+
+        const outcome = existing
+            ? await this.subscribeExisting(form, existing, contactData)
+            : await this.subscribeNew(form, contactData, this.buildSource(form, body, meta), meta);
+
+        await form.recordSubmission(outcome);
+
+        return { form, outcome };
+    }
+
+    /**
+     * Create the contact on the form's list (opt-in rules apply in contactService.create)
+     */
+    async subscribeNew(form, contactData, source, meta) {
+        const contact = await contactService.create(form.orgId, {
+            ...contactData,
+            tags: form.tags,
+            lists: [{ listId: form.listId }],
+            optIn: {
+                type: 'single',
+                ipAddress: meta.ipAddress,
+                userAgent: meta.userAgent,
+            },
+        }, null, source);
+
+        return contact.status === 'pending' ? 'pending' : 'subscribed';
+    }
+
+    /**
+     * Add an existing contact to the form's list
+     * Only blank fields are filled in - a public form can't overwrite contact data.
+     * Unsubscribed, bounced and complained contacts are not re-subscribed.
+     */
+    async subscribeExisting(form, contact, contactData) {
+        if (!['subscribed', 'pending'].includes(contact.status)) {
+            return 'rejected';
+        }
+
+        const { email, location = {}, customFields = {}, ...fields } = contactData;
+
+        Object.entries(fields).forEach(([key, value]) => {
+            if (!contact[key]) contact[key] = value;
+        });
+
+        Object.entries(location).forEach(([key, value]) => {
+            if (!contact.location?.[key]) contact.set(`location.${key}`, value);
+        });
+
+        Object.entries(customFields).forEach(([key, value]) => {
+            if (!contact.customFields.has(key)) contact.customFields.set(key, value);
+        });
+
+        // Pending contacts fire their triggers once they confirm
+        if (contact.status === 'pending') {
+            contact.tags = [...new Set([...contact.tags, ...form.tags])];
+            await contact.addToList(form.listId);
+            await contactService.updateListStats([form.listId]);
+            await optInService.resendConfirmation(form.orgId, contact._id);
+            return 'pending';
+        }
+
+        await contact.save();
+
+        if (form.tags.length > 0) {
+            await contactService.addTags(form.orgId, contact._id, form.tags);
+        }
+
+        // Double opt-in lists hold the membership until it's confirmed
+        const updated = await contactService.addToList(form.orgId, contact._id, form.listId);
+        const membership = updated.lists.find(l => l.listId.equals(form.listId));
+
+        return membership?.status === 'pending' ? 'pending' : 'subscribed';
+    }
+
+    /**
+     * Map submitted values onto contact fields and check required ones
+     * Only fields defined on the form (plus email) are read.
+     */
+    parseSubmission(form, body) {
+        const contactData = {};
+        const errors = [];
+
+        const fields = form.fields.some(f => f.name === 'email')
+            ? form.fields
+            : [{ name: 'email', label: 'Email', type: 'email', required: true }, ...form.fields];
+
+        for (const field of fields) {
+            let value = body[field.name];
+            if (Array.isArray(value)) value = value[0];
+            if (typeof value === 'number') value = String(value);
+            value = typeof value === 'string' ? value.trim().slice(0, MAX_VALUE_LENGTH) : '';
+
+            const label = field.label || field.name;
+
+            if (!value) {
+                if (field.required || field.name === 'email') {
+                    errors.push(`${label} is required`);
+                }
+                continue;
+            }
+
+            if (field.name === 'email' || field.type === 'email') {
+                if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+                    errors.push(`${label} must be a valid email address`);
+                    continue;
+                }
+            }
+
+            if (field.type === 'number') {
+                if (isNaN(Number(value))) {
+                    errors.push(`${label} must be a number`);
+                    continue;
+                }
+                value = Number(value);
+            }
+
+            if (field.type === 'date') {
+                if (isNaN(new Date(value).getTime())) {
+                    errors.push(`${label} must be a valid date`);
+                    continue;
+                }
+                value = new Date(value);
+            }
+
+            const [root, key] = field.name.split(/\.(.+)/);
+
+            if (root === 'location' || root === 'customFields') {
+                contactData[root] = { ...contactData[root], [key]: value };
+            } else {
+                contactData[root] = value;
+            }
+        }
+
+        if (contactData.email) {
+            contactData.email = contactData.email.toLowerCase();
+        }
+
+        return { contactData, errors };
+    }
+
+    /**
+     * Build contact source attribution from the submission
+     * The embed snippet posts the page URL and UTM params; the Referer
+     * header is the fallback (browsers often reduce it to the origin).
+     */
+    buildSource(form, body, meta) {
+        const referrer = typeof body.referrer === 'string' && body.referrer
+            ? body.referrer.slice(0, MAX_VALUE_LENGTH)
+            : meta.referer;
+
+        let referrerParams = new URLSearchParams();
+        try {
+            if (referrer) referrerParams = new URL(referrer).searchParams;
+        } catch (error) {
+            // Not a URL - keep it as is without UTM params
+        }
+
+        const utm = {};
+        for (const param of UTM_PARAMS) {
+            const value = typeof body[param] === 'string' && body[param]
+                ? body[param]
+                : referrerParams.get(param);
+
+            if (value) utm[param] = value.trim().slice(0, 200);
+        }
+
+        return {
+            type: 'form',
+            detail: `form_${form._id}`,
+            referrer,
+            utmSource: utm.utm_source,
+            medium: utm.utm_medium,
+            campaign: utm.utm_campaign,
+        };
+    }
+
+    /**
+     * Generate the embeddable HTML snippet for a form
+     */
+    async getEmbedCode(orgId, formId) {
+        const form = await this.getById(orgId, formId);
+
+        const action = `${trackingService.baseUrl}/f/${form._id}`;
+        const prefix = `mf-${form._id}`;
+
+        const fields = form.fields.some(f => f.name === 'email')
+            ? form.fields
+            : [{ name: 'email', label: 'Email', type: 'email', required: true }, ...form.fields];
+
+        const inputs = fields.map((field, index) => {
+            const id = `${prefix}-${index}`;
+            const value = field.value ? ` value="${escapeHtml(field.value)}"` : '';
+            const attrs = `type="${field.type}" id="${id}" name="${escapeHtml(field.name)}"${value}${field.required || field.name === 'email' ? ' required' : ''}`;
+
+            if (field.type === 'hidden') {
+                return `  <input ${attrs}>`;
+            }
+
+            return [
+                '  <p>',
+                `    <label for="${id}">${escapeHtml(field.label || field.name)}</label>`,
+                `    <input ${attrs}>`,
+                '  </p>',
+            ].join('\n');
+        });
+
+        const tracking = ['referrer', ...UTM_PARAMS]
+            .map(name => `  <input type="hidden" name="${name}">`);
+
+        return [
+            `<form action="${escapeHtml(action)}" method="POST" accept-charset="UTF-8">`,
+            ...inputs,
+            `  <div style="position:absolute;left:-5000px" aria-hidden="true">`,
+            `    <input type="text" name="${escapeHtml(form.honeypotField)}" tabindex="-1" autocomplete="off">`,
+            '  </div>',
+            ...tracking,
+            '  <button type="submit">Subscribe</button>',
+            '</form>',
+            '<script>',
+            '(function (form) {',
+            '  var params = new URLSearchParams(window.location.search);',
+            '  form.elements.referrer.value = window.location.href;',
+            `  ${JSON.stringify(UTM_PARAMS)}.forEach(function (name) {`,
+            '    if (params.get(name)) form.elements[name].value = params.get(name);',
+            '  });',
+            '})(document.currentScript.previousElementSibling);',
+            '</script>',
+        ].join('\n');
+    }
+}
+
+module.exports = new FormService();
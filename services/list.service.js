@@ -0,0 +1,498 @@
+/**
+ * List Service
+ *
+ * Business logic for list management including CRUD, archiving,
+ * membership (single and bulk), and stats refresh.
+ */
+
+const List = require('../models/List.model');
+const Contact = require('../models/Contact.model');
+const Organization = require('../models/Organization.model');
+const contactService = require('./contact.service');
+const optInService = require('./optIn.service');
+const { EVENTS, emitAndWait } = require('../utils/events');
+
+// Contacts changed per membership batch (events fire per batch)
+const MEMBERSHIP_BATCH_SIZE = 500;
+
+class ListService {
+    /**
+     * Create a new list
+     */
+    async create(orgId, listData, userId) {
+        // Check for duplicate name
+        const existing = await List.findOne({
+            orgId,
+            name: listData.name,
+        });
+
+        if (existing) {
+            throw new Error('List with this name already exists');
+        }
+
+        const list = await List.create({
+            orgId,
+            ...listData,
+            status: 'active',
+            createdBy: userId,
+        });
+
+        return list;
+    }
+
+    /**
+     * Get list by ID
+     */
+    async getById(orgId, listId) {
+        const list = await List.findOne({
+            _id: listId,
+            orgId,
+            status: { $ne: 'deleted' },
+        })
+            .populate('doubleOptIn.templateId', 'name')
+            .populate('welcomeEmail.templateId', 'name');
+
+        if (!list) {
+            throw new Error('List not found');
+        }
+
+        return list;
+    }
+
+    /**
+     * Get all lists with pagination and filters
+     */
+    async getAll(orgId, options = {}) {
+        const {
+            page = 1,
+            limit = 20,
+            search,
+            status = 'active',
+            type,
+            sortBy = 'createdAt',
+            sortOrder = 'desc',
+        } = options;
+
+        const query = {
+            orgId,
+            status: { $ne: 'deleted' },
+        };
+
+        if (status && status !== 'all') {
+            query.status = status;
+        }
+
+        if (type) {
+            query.type = type;
+        }
+
+        if (search) {
+            query.$or = [
+                { name: { $regex: search, $options: 'i' } },
+                { description: { $regex: search, $options: 'i' } },
+            ];
+        }
+
+        const skip = (page - 1) * limit;
+        const sort = { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
+
+        const [lists, total] = await Promise.all([
+            List.find(query)
+                .sort(sort)
+                .skip(skip)
+                .limit(limit),
+            List.countDocuments(query),
+        ]);
+
+        return {
+            lists,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit),
+            },
+        };
+    }
+
+    /**
+     * Update list
+     */
+    async update(orgId, listId, updateData, userId) {
+        const list = await List.findOne({
+            _id: listId,
+            orgId,
+            status: { $ne: 'deleted' },
+        });
+
+        if (!list) {
+            throw new Error('List not found');
+        }
+
+        // Check name uniqueness if name is being changed
+        if (updateData.name && updateData.name !== list.name) {
+            const existing = await List.findOne({
+                orgId,
+                name: updateData.name,
+                _id: { $ne: listId },
+            });
+
+            if (existing) {
+                throw new Error('List with this name already exists');
+            }
+        }
+
+        // Status and stats are managed through dedicated endpoints
+        const { status, stats, orgId: _orgId, ...allowed } = updateData;
+
+        Object.assign(list, allowed);
+        list.lastModifiedBy = userId;
+
+        await list.save();
+
+        return list;
+    }
+
+    /**
+     * Archive list
+     */
+    async archive(orgId, listId, userId) {
+        const list = await List.findOne({
+            _id: listId,
+            orgId,
+            status: 'active',
+        });
+
+        if (!list) {
+            throw new Error('List not found or already archived');
+        }
+
+        list.lastModifiedBy = userId;
+        await list.archive();
+
+        return list;
+    }
+
+    /**
+     * Restore archived list
+     */
+    async restore(orgId, listId, userId) {
+        const list = await List.findOneAndUpdate(
+            { _id: listId, orgId, status: 'archived' },
+            { status: 'active', lastModifiedBy: userId },
+            { new: true }
+        );
+
+        if (!list) {
+            throw new Error('List not found or not archived');
+        }
+
+        return list;
+    }
+
+    /**
+     * Get contacts belonging to a list
+     */
+    async getMembers(orgId, listId, options = {}) {
+        const {
+            page = 1,
+            limit = 50,
+            status = 'active',
+            search,
+        } = options;
+
+        await this.getById(orgId, listId);
+
+        const query = {
+            orgId,
+            lists: { $elemMatch: { listId, status } },
+        };
+
+        if (search) {
+            query.$or = [
+                { email: { $regex: search, $options: 'i' } },
+                { firstName: { $regex: search, $options: 'i' } },
+                { lastName: { $regex: search, $options: 'i' } },
+            ];
+        }
+
+        const skip = (page - 1) * limit;
+
+        const [contacts, total] = await Promise.all([
+            Contact.find(query)
+                .select('email firstName lastName status tags engagement.score engagement.level lists')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            Contact.countDocuments(query),
+        ]);
+
+        // Expose membership details for this list only
+        const members = contacts.map(({ lists, ...contact }) => {
+            const membership = lists.find(l => l.listId.toString() === listId.toString());
+            return {
+                ...contact,
+                membership: {
+                    status: membership?.status,
+                    addedAt: membership?.addedAt,
+                },
+            };
+        });
+
+        return {
+            contacts: members,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit),
+            },
+        };
+    }
+
+    /**
+     * Bulk add contacts to list (by IDs or filter)
+     * Runs in the request - filter selections go through a bulk operation.
+     */
+    async addMembers(orgId, listId, selection) {
+        const list = await List.findOne({ _id: listId, orgId, status: 'active' });
+
+        if (!list) {
+            throw new Error('List not found or not active');
+        }
+
+        const addedCount = await this.activateMemberships(list, this.buildSelectionQuery(orgId, selection));
+        await list.refreshStats();
+
+        return {
+            message: `${addedCount} contacts added to list`,
+            addedCount,
+        };
+    }
+
+    /**
+     * Bulk remove contacts from list (by IDs or filter)
+     * Runs in the request - filter selections go through a bulk operation.
+     */
+    async removeMembers(orgId, listId, selection) {
+        const list = await this.getById(orgId, listId);
+
+        const removedCount = await this.deactivateMemberships(list, this.buildSelectionQuery(orgId, selection));
+        await list.refreshStats();
+
+        return {
+            message: `${removedCount} contacts removed from list`,
+            removedCount,
+        };
+    }
+
+    /**
+     * Make matching contacts active members and apply list defaults to them
+     * Unconfirmed contacts joining a double opt-in list are held for
+     * confirmation; the others fire LIST_SUBSCRIBED (welcome email, list
+     * triggers, timeline). Contacts are handled in _id batches.
+     * Returns the number of contacts added (stats are left to the caller)
+     */
+    async activateMemberships(list, contactQuery) {
+        const now = new Date();
+        let changed = 0;
+
+        // Contacts this call adds (not yet active members), walked in _id batches
+        const joiningQuery = {
+            $and: [
+                contactQuery,
+                { lists: { $not: { $elemMatch: { listId: list._id, status: 'active' } } } },
+            ],
+        };
+
+        for await (const contactIds of idBatches(joiningQuery)) {
+            const joining = { _id: { $in: contactIds } };
+
+            // Reactivate existing memberships
+            const reactivated = await Contact.updateMany(
+                {
+                    $and: [
+                        joining,
+                        { lists: { $elemMatch: { listId: list._id, status: { $ne: 'active' } } } },
+                    ],
+                },
+                {
+                    $set: {
+                        'lists.$[entry].status': 'active',
+                        'lists.$[entry].addedAt': now,
+                    },
+                },
+                { arrayFilters: [{ 'entry.listId': list._id }] }
+            );
+
+            // Add new memberships
+            const added = await Contact.updateMany(
+                {
+                    $and: [
+                        joining,
+                        { 'lists.listId': { $ne: list._id } },
+                    ],
+                },
+                {
+                    $push: { lists: { listId: list._id, status: 'active', addedAt: now } },
+                }
+            );
+
+            changed += reactivated.modifiedCount + added.modifiedCount;
+
+            await this.applyDefaults(list, joining);
+
+            const held = await optInService.holdForConfirmation(list.orgId, list._id, contactIds);
+
+            // Held contacts are notified once they confirm
+            for (const contactId of contactIds) {
+                if (held.has(contactId.toString())) continue;
+                await emitAndWait(EVENTS.LIST_SUBSCRIBED, { orgId: list.orgId, contactId, listId: list._id });
+            }
+        }
+
+        return changed;
+    }
+
+    /**
+     * Mark matching contacts' active memberships as removed
+     * Each removed contact fires LIST_REMOVED (automation exits, timeline).
+     * Contacts are handled in _id batches.
+     * Returns the number of contacts removed (stats are left to the caller)
+     */
+    async deactivateMemberships(list, contactQuery) {
+        let removed = 0;
+
+        const leavingQuery = {
+            $and: [
+                contactQuery,
+                { lists: { $elemMatch: { listId: list._id, status: 'active' } } },
+            ],
+        };
+
+        for await (const contactIds of idBatches(leavingQuery)) {
+            const result = await Contact.updateMany(
+                { _id: { $in: contactIds } },
+                { $set: { 'lists.$[entry].status': 'removed' } },
+                { arrayFilters: [{ 'entry.listId': list._id }] }
+            );
+
+            removed += result.modifiedCount;
+
+            for (const contactId of contactIds) {
+                await emitAndWait(EVENTS.LIST_REMOVED, { orgId: list.orgId, contactId, listId: list._id });
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Recalculate list stats from contacts
+     */
+    async refreshStats(orgId, listId) {
+        const list = await this.getById(orgId, listId);
+        await list.refreshStats();
+        return list;
+    }
+
+    /**
+     * Get the organization's seed lists (copied on every campaign send)
+     */
+    async getSeedLists(orgId) {
+        const org = await Organization.findById(orgId)
+            .select('settings.seedLists')
+            .populate('settings.seedLists', 'name status stats.totalContacts');
+
+        if (!org) {
+            throw new Error('Organization not found');
+        }
+
+        return org.settings.seedLists;
+    }
+
+    /**
+     * Replace the organization's seed lists (active lists of type 'seed')
+     */
+    async setSeedLists(orgId, listIds) {
+        const validLists = await List.countDocuments({
+            _id: { $in: listIds },
+            orgId,
+            type: 'seed',
+            status: 'active',
+        });
+
+        if (validLists !== new Set(listIds).size) {
+            throw new Error('One or more seed lists are invalid');
+        }
+
+        await Organization.updateOne(
+            { _id: orgId },
+            { 'settings.seedLists': [...new Set(listIds)] }
+        );
+
+        return this.getSeedLists(orgId);
+    }
+
+    /**
+     * Build contact query from a { contactIds } or { filter } selection
+     */
+    buildSelectionQuery(orgId, selection = {}) {
+        if (Array.isArray(selection.contactIds)) {
+            return { orgId, _id: { $in: selection.contactIds } };
+        }
+
+        return contactService.buildFilterQuery(orgId, selection.filter || {});
+    }
+
+    /**
+     * Apply list default tags and custom fields to members
+     */
+    async applyDefaults(list, contactQuery) {
+        const memberQuery = {
+            $and: [
+                contactQuery,
+                { lists: { $elemMatch: { listId: list._id, status: 'active' } } },
+            ],
+        };
+
+        if (list.defaults?.tags?.length > 0) {
+            await Contact.updateMany(memberQuery, {
+                $addToSet: { tags: { $each: list.defaults.tags.map(t => t.toLowerCase().trim()) } },
+            });
+        }
+
+        // Only fill custom fields the contact doesn't already have
+        for (const [key, value] of list.defaults?.customFields || new Map()) {
+            await Contact.updateMany(
+                { $and: [memberQuery, { [`customFields.${key}`]: { $exists: false } }] },
+                { $set: { [`customFields.${key}`]: value } }
+            );
+        }
+    }
+}
+
+/**
+ * Helper: Yield the IDs of matching contacts in _id order, a batch at a time
+ * The query is re-run per batch, so contacts changed by a batch are skipped
+ * by the _id cursor rather than by the query.
+ */
+async function* idBatches(query) {
+    let lastId = null;
+
+    for (;;) {
+        const contacts = await Contact.find(lastId ? { $and: [query, { _id: { $gt: lastId } }] } : query)
+            .select('_id')
+            .sort({ _id: 1 })
+            .limit(MEMBERSHIP_BATCH_SIZE)
+            .lean();
+
+        if (contacts.length === 0) return;
+
+        lastId = contacts[contacts.length - 1]._id;
+        yield contacts.map(c => c._id);
+    }
+}
+
+module.exports = new ListService();
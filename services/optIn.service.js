@@ -0,0 +1,390 @@
+/**
+ * Opt-In Service
+ *
+ * Double opt-in: decides when a new contact needs confirmation,
+ * sends the confirmation email, confirms tokens and purges contacts
+ * that never confirmed. New contacts are held as pending; existing
+ * contacts joining a double opt-in list only get a pending membership
+ * for that list and keep their status.
+ */
+
+const Contact = require('../models/Contact.model');
+const List = require('../models/List.model');
+const Organization = require('../models/Organization.model');
+const Template = require('../models/Template.model');
+const EmailLog = require('../models/EmailLog.model');
+const trackingService = require('./tracking.service');
+const { emailQueue } = require('../queues');
+const { domainEvents, EVENTS } = require('../utils/events');
+const { generateRandomToken, hashToken } = require('../utils/token.utils');
+const { escapeHtml } = require('../utils/sanitize');
+
+// How long a confirmation link stays valid
+const CONFIRMATION_TTL_HOURS = parseInt(process.env.DOI_CONFIRMATION_TTL_HOURS) || 72;
+
+class OptInService {
+    /**
+     * Resolve double opt-in for the lists a new contact joins
+     * A list's own setting wins; null falls back to the organization default.
+     * Contacts created without a list are never held for confirmation.
+     * Returns { required, templateId }
+     */
+    async getPolicy(orgId, listIds = []) {
+        const org = await Organization.findById(orgId).select('settings.doubleOptIn');
+        const orgPolicy = org?.settings?.doubleOptIn || {};
+
+        const lists = listIds.length > 0
+            ? await List.find({ _id: { $in: listIds }, orgId }).select('doubleOptIn')
+            : [];
+
+        for (const list of lists) {
+            const enabled = list.doubleOptIn?.enabled ?? orgPolicy.enabled;
+            if (enabled) {
+                return {
+                    required: true,
+                    templateId: list.doubleOptIn?.templateId || orgPolicy.templateId,
+                };
+            }
+        }
+
+        return { required: false };
+    }
+
+    /**
+     * Hold contacts that just joined a list for confirmation, if the list
+     * requires double opt-in. Only contacts in createdIds (created by the
+     * calling operation) are held as pending contacts; existing subscribers
+     * that never confirmed get a pending membership for this list instead.
+     * Contacts already pending confirm through their own link, and contacts
+     * with a confirmed opt-in join directly.
+     * Returns the IDs of the contacts held (as strings)
+     */
+    async holdForConfirmation(orgId, listId, contactIds, { createdIds = [] } = {}) {
+        if (contactIds.length === 0) return new Set();
+
+        const policy = await this.getPolicy(orgId, [listId]);
+        if (!policy.required) return new Set();
+
+        const created = new Set(createdIds.map(String));
+        const contacts = await Contact.find({
+            _id: { $in: contactIds },
+            orgId,
+            status: { $in: ['subscribed', 'pending'] },
+            'optIn.confirmedAt': null,
+        });
+
+        for (const contact of contacts) {
+            if (created.has(contact._id.toString())) {
+                await this.requestConfirmation(contact, policy.templateId);
+            } else if (contact.status === 'subscribed') {
+                await this.requestListConfirmation(contact, listId, policy.templateId);
+            }
+        }
+
+        return new Set(contacts.map(c => c._id.toString()));
+    }
+
+    /**
+     * Issue a confirmation token and send the confirmation email
+     * A contact that wasn't pending keeps its status in optIn.previousStatus,
+     * so purgeExpired restores it instead of deleting the contact.
+     */
+    async requestConfirmation(contact, templateId) {
+        const { token, hashedToken } = generateRandomToken();
+        const expiresAt = new Date(Date.now() + CONFIRMATION_TTL_HOURS * 60 * 60 * 1000);
+
+        await Contact.updateOne(
+            { _id: contact._id },
+            {
+                status: 'pending',
+                'optIn.type': 'double',
+                'optIn.confirmationToken': hashedToken,
+                'optIn.confirmationExpires': expiresAt,
+                ...(contact.status !== 'pending' && { 'optIn.previousStatus': contact.status }),
+            }
+        );
+
+        await this.sendConfirmationEmail(contact, token, templateId);
+
+        return { expiresAt };
+    }
+
+    /**
+     * Hold an existing contact's membership of a list as pending and send
+     * the confirmation email (the contact's status is left alone)
+     */
+    async requestListConfirmation(contact, listId, templateId) {
+        const { token, hashedToken } = generateRandomToken();
+        const expiresAt = new Date(Date.now() + CONFIRMATION_TTL_HOURS * 60 * 60 * 1000);
+
+        await Contact.updateOne(
+            { _id: contact._id },
+            {
+                $set: {
+                    'lists.$[entry].status': 'pending',
+                    'lists.$[entry].confirmationToken': hashedToken,
+                    'lists.$[entry].confirmationExpires': expiresAt,
+                },
+            },
+            { arrayFilters: [{ 'entry.listId': listId }] }
+        );
+
+        await this.sendConfirmationEmail(contact, token, templateId);
+
+        return { expiresAt };
+    }
+
+    /**
+     * Queue the confirmation email (org template or built-in fallback)
+     */
+    async sendConfirmationEmail(contact, token, templateId) {
+        const confirmUrl = `${trackingService.baseUrl}/t/confirm/${token}`;
+        const org = await Organization.findById(contact.orgId).select('name');
+
+        const data = {
+            contact: {
+                firstName: contact.firstName || '',
+                lastName: contact.lastName || '',
+                email: contact.email,
+                ...Object.fromEntries(contact.customFields || new Map()),
+            },
+            organization: { name: org?.name || '' },
+            confirm_link: confirmUrl,
+            current_year: new Date().getFullYear().toString(),
+        };
+
+        const template = templateId
+            ? await Template.findOne({ _id: templateId, orgId: contact.orgId })
+            : null;
+
+        const rendered = template
+            ? template.render(data)
+            : this.renderDefaultConfirmation(data);
+
+        const trackingId = EmailLog.generateTrackingId();
+
+        await EmailLog.create({
+            orgId: contact.orgId,
+            contactId: contact._id,
+            email: contact.email,
+            trackingId,
+            type: 'transactional',
+            status: 'queued',
+        });
+
+        await emailQueue.add('send-email', {
+            orgId: contact.orgId.toString(),
+            contactId: contact._id.toString(),
+            email: contact.email,
+            subject: rendered.subject,
+            html: rendered.html,
+            text: rendered.text,
+            from: process.env.EMAIL_FROM_ADDRESS,
+            fromName: org?.name || process.env.EMAIL_FROM_NAME,
+            trackingId,
+        }, {
+            priority: 1,
+        });
+
+        console.log(`📨 Queued confirmation email to ${contact.email}`);
+    }
+
+    /**
+     * Built-in confirmation email when no template is configured
+     */
+    renderDefaultConfirmation(data) {
+        const name = data.organization.name || 'our mailing list';
+
+        return {
+            subject: `Please confirm your subscription to ${name}`,
+            html: `
+                <p>Hi ${escapeHtml(data.contact.firstName) || 'there'},</p>
+                <p>Please confirm that you want to receive emails from ${escapeHtml(name)}.</p>
+                <p><a href="${data.confirm_link}">Confirm my subscription</a></p>
+                <p>If you didn't sign up, you can ignore this email.</p>
+            `,
+            text: `Please confirm your subscription to ${name}: ${data.confirm_link}`,
+        };
+    }
+
+    /**
+     * Confirm a pending contact (or a pending list membership) from a
+     * confirmation link
+     */
+    async confirm(token, { ipAddress, userAgent } = {}) {
+        const hashedToken = hashToken(token);
+        const consent = {
+            'optIn.confirmedAt': new Date(),
+            'optIn.ipAddress': ipAddress,
+            'optIn.userAgent': userAgent,
+        };
+
+        const contact = await Contact.findOneAndUpdate(
+            {
+                'optIn.confirmationToken': hashedToken,
+                'optIn.confirmationExpires': { $gt: new Date() },
+                status: 'pending',
+            },
+            {
+                status: 'subscribed',
+                statusChangedAt: new Date(),
+                ...consent,
+                $unset: {
+                    'optIn.confirmationToken': 1,
+                    'optIn.confirmationExpires': 1,
+                    'optIn.previousStatus': 1,
+                },
+            },
+            { new: true }
+        );
+
+        if (!contact) {
+            return this.confirmMembership(hashedToken, consent);
+        }
+
+        const activeLists = contact.lists.filter(l => l.status === 'active').map(l => l.listId);
+        for (const listId of activeLists) {
+            const list = await List.findById(listId);
+            if (list) await list.refreshStats();
+        }
+
+        // Triggers held back while the contact was pending
+        const payload = { orgId: contact.orgId, contactId: contact._id };
+        domainEvents.emit(EVENTS.CONTACT_STATUS_CHANGED, {
+            ...payload,
+            status: 'subscribed',
+            reason: 'Double opt-in confirmed',
+        });
+        domainEvents.emit(EVENTS.CONTACT_CREATED, payload);
+
+        if (contact.tags.length > 0) {
+            domainEvents.emit(EVENTS.TAG_ADDED, { ...payload, tags: contact.tags });
+        }
+
+        activeLists.forEach(listId => domainEvents.emit(EVENTS.LIST_SUBSCRIBED, { ...payload, listId }));
+
+        return contact;
+    }
+
+    /**
+     * Confirm a pending list membership from its hashed token
+     */
+    async confirmMembership(hashedToken, consent) {
+        const pending = {
+            confirmationToken: hashedToken,
+            confirmationExpires: { $gt: new Date() },
+            status: 'pending',
+        };
+
+        const contact = await Contact.findOneAndUpdate(
+            { lists: { $elemMatch: pending } },
+            {
+                $set: {
+                    'lists.$.status': 'active',
+                    'lists.$.addedAt': new Date(),
+                    ...consent,
+                },
+                $unset: {
+                    'lists.$.confirmationToken': 1,
+                    'lists.$.confirmationExpires': 1,
+                },
+            }
+        );
+
+        if (!contact) {
+            throw new Error('Confirmation link is invalid or has expired');
+        }
+
+        const { listId } = contact.lists.find(l => l.confirmationToken === hashedToken);
+
+        const list = await List.findById(listId);
+        if (list) await list.refreshStats();
+
+        domainEvents.emit(EVENTS.LIST_SUBSCRIBED, { orgId: contact.orgId, contactId: contact._id, listId });
+
+        return Contact.findById(contact._id);
+    }
+
+    /**
+     * Resend the confirmation email to a pending contact
+     */
+    async resendConfirmation(orgId, contactId) {
+        const contact = await Contact.findOne({ _id: contactId, orgId, status: 'pending' });
+
+        if (!contact) {
+            throw new Error('Pending contact not found');
+        }
+
+        const { templateId } = await this.getPolicy(
+            orgId,
+            contact.lists.filter(l => l.status === 'active').map(l => l.listId)
+        );
+
+        return this.requestConfirmation(contact, templateId);
+    }
+
+    /**
+     * Clean up confirmation links that expired: contacts created as pending
+     * are deleted, contacts that had another status get it back, and
+     * pending list memberships are dropped
+     */
+    async purgeExpired() {
+        const now = new Date();
+        const expired = {
+            status: 'pending',
+            'optIn.type': 'double',
+            'optIn.confirmationExpires': { $lt: now },
+        };
+
+        const listIds = await Contact.distinct('lists.listId', expired);
+
+        // Contacts that had a status before the request get it back
+        const restored = await Contact.find({ ...expired, 'optIn.previousStatus': { $ne: null } })
+            .select('optIn.previousStatus');
+
+        for (const contact of restored) {
+            await Contact.updateOne(
+                { _id: contact._id, status: 'pending' },
+                {
+                    status: contact.optIn.previousStatus,
+                    statusReason: 'Double opt-in expired',
+                    statusChangedAt: now,
+                    $unset: {
+                        'optIn.confirmationToken': 1,
+                        'optIn.confirmationExpires': 1,
+                        'optIn.previousStatus': 1,
+                    },
+                }
+            );
+        }
+
+        const { deletedCount } = await Contact.deleteMany({ ...expired, 'optIn.previousStatus': null });
+
+        const memberships = await Contact.updateMany(
+            { lists: { $elemMatch: { status: 'pending', confirmationExpires: { $lt: now } } } },
+            {
+                $set: { 'lists.$[entry].status': 'removed' },
+                $unset: {
+                    'lists.$[entry].confirmationToken': 1,
+                    'lists.$[entry].confirmationExpires': 1,
+                },
+            },
+            { arrayFilters: [{ 'entry.status': 'pending', 'entry.confirmationExpires': { $lt: now } }] }
+        );
+
+        if (deletedCount > 0 || restored.length > 0) {
+            for (const listId of listIds) {
+                const list = await List.findById(listId);
+                if (list) await list.refreshStats();
+            }
+        }
+
+        return {
+            deleted: deletedCount,
+            restored: restored.length,
+            expiredMemberships: memberships.modifiedCount,
+        };
+    }
+}
+
+module.exports = new OptInService();
@@ -0,0 +1,203 @@
+/**
+ * Privacy Service
+ *
+ * GDPR data subject requests for an email address: an access archive of
+ * everything held about it (contact, automation state, activity, email
+ * logs, SES events and audit entries) and erasure across the same
+ * collections. Erased addresses are kept only as a salted hash in the
+ * suppression store, so they can't be re-imported or mailed.
+ */
+
+const Contact = require('../models/Contact.model');
+const ContactActivity = require('../models/ContactActivity.model');
+const EmailLog = require('../models/EmailLog.model');
+const SESLog = require('../models/SESLog.model');
+const AuditLog = require('../models/AuditLog.model');
+const Automation = require('../models/Automation.model');
+const List = require('../models/List.model');
+const Segment = require('../models/Segment.model');
+const Organization = require('../models/Organization.model');
+const Suppression = require('../models/Suppression.model');
+const contactService = require('./contact.service');
+
+// Written over the address in email logs kept for campaign analytics
+const ERASED_EMAIL = 'erased@erased.invalid';
+
+// Contact fields that are internal and not personal data
+const INTERNAL_CONTACT_FIELDS = '-__v -importId';
+
+class PrivacyService {
+    /**
+     * Compile everything held about an address into one archive
+     */
+    async getAccessArchive(orgId, email) {
+        const address = this.normalize(email);
+
+        const org = await Organization.findById(orgId).select('name');
+
+        if (!org) {
+            throw new Error('Organization not found');
+        }
+
+        const contact = await Contact.findOne({ orgId, email: address })
+            .select(INTERNAL_CONTACT_FIELDS)
+            .lean();
+        const filters = await this.buildFilters(orgId, address, contact?._id);
+
+        const [emails, deliveryEvents, activity, auditLog, lists, automations] = await Promise.all([
+            EmailLog.find(filters.emailLogs).select('-__v').sort({ createdAt: 1 }).lean(),
+            SESLog.find(filters.sesLogs).select('-__v').sort({ timestamp: 1 }).lean(),
+            ContactActivity.find(filters.activity).sort({ occurredAt: 1 }).lean(),
+            AuditLog.find(filters.auditLog).select('-__v').sort({ createdAt: 1 }).lean(),
+            List.find({ orgId, _id: { $in: (contact?.lists || []).map(l => l.listId) } }).select('name').lean(),
+            Automation.find({ orgId, _id: { $in: (contact?.automations || []).map(a => a.automationId) } })
+                .select('name')
+                .lean(),
+        ]);
+
+        const listNames = new Map(lists.map(l => [l._id.toString(), l.name]));
+        const automationNames = new Map(automations.map(a => [a._id.toString(), a.name]));
+
+        return {
+            generatedAt: new Date(),
+            email: address,
+            organization: { _id: org._id, name: org.name },
+            contact: contact && {
+                ...contact,
+                lists: contact.lists.map(l => ({ ...l, name: listNames.get(l.listId.toString()) || null })),
+                automations: contact.automations.map(a => ({
+                    ...a,
+                    name: automationNames.get(a.automationId.toString()) || null,
+                })),
+            },
+            activity,
+            emails,
+            deliveryEvents,
+            auditLog,
+        };
+    }
+
+    /**
+     * Erase an address: delete the contact, its activity and SES events,
+     * anonymize email logs and audit entries, and suppress the address
+     * The contact is deleted last, so a failed erasure leaves it in place
+     * and the request can simply be repeated.
+     * Returns counts per collection
+     */
+    async erase(orgId, email, userId = null) {
+        const address = this.normalize(email);
+
+        const contact = await Contact.findOne({ orgId, email: address }).select('_id lists');
+        const filters = await this.buildFilters(orgId, address, contact?._id);
+
+        // Suppress first so an import running meanwhile can't bring the address back
+        await Suppression.suppressErased(orgId, address, userId);
+
+        const [emailLogs, deliveryEvents, activity, auditEntries] = await Promise.all([
+            EmailLog.updateMany(filters.emailLogs, {
+                $set: { email: ERASED_EMAIL },
+                $unset: {
+                    'content.personalizedSubject': 1,
+                    'delivery.bounceReason': 1,
+                    'delivery.smtpResponse': 1,
+                    error: 1,
+                    'events.$[].data.ip': 1,
+                    'events.$[].data.city': 1,
+                    'events.$[].data.userAgent': 1,
+                },
+            }),
+            SESLog.deleteMany(filters.sesLogs),
+            contact
+                ? ContactActivity.deleteMany({ orgId, contactId: contact._id })
+                : { deletedCount: 0 },
+            AuditLog.updateMany(filters.auditLog, { $unset: { changes: 1, 'resource.name': 1 } }),
+        ]);
+
+        // Contacts the address was merged into keep the merge, not the address
+        await ContactActivity.updateMany(
+            { orgId, 'data.mergedEmails': address },
+            { $pull: { 'data.mergedEmails': address } }
+        );
+
+        if (contact) {
+            await Segment.updateMany(
+                { orgId },
+                {
+                    $pull: {
+                        'staticMembers.included': contact._id,
+                        'staticMembers.excluded': contact._id,
+                        'cache.sampleIds': contact._id,
+                    },
+                }
+            );
+
+            await Contact.deleteOne({ _id: contact._id });
+
+            await contactService.updateListStats(
+                contact.lists.filter(l => l.status === 'active').map(l => l.listId)
+            );
+        }
+
+        return {
+            contactDeleted: Boolean(contact),
+            emailLogsAnonymized: emailLogs.modifiedCount,
+            deliveryEventsDeleted: deliveryEvents.deletedCount,
+            activityDeleted: activity.deletedCount,
+            auditEntriesAnonymized: auditEntries.modifiedCount,
+            suppressed: true,
+        };
+    }
+
+    /**
+     * Queries for the records held about an address
+     * SES events only carry an orgId when it was known at delivery (the
+     * webhook stores them without one), so they're also matched through
+     * the organization's own message IDs.
+     */
+    async buildFilters(orgId, address, contactId) {
+        const emailLogs = {
+            orgId,
+            $or: [
+                { email: address },
+                ...(contactId ? [{ contactId }] : []),
+            ],
+        };
+
+        const messageIds = await EmailLog.distinct('messageId', emailLogs);
+
+        return {
+            emailLogs,
+            sesLogs: {
+                email: address,
+                $or: [
+                    { orgId },
+                    { messageId: { $in: messageIds.filter(Boolean) } },
+                ],
+            },
+            activity: {
+                orgId,
+                $or: [
+                    ...(contactId ? [{ contactId }] : []),
+                    { 'data.mergedEmails': address },
+                ],
+            },
+            auditLog: {
+                orgId,
+                $or: [
+                    ...(contactId ? [{ 'resource.type': 'contact', 'resource.id': contactId }] : []),
+                    { 'changes.before.email': address },
+                    { 'changes.after.email': address },
+                ],
+            },
+        };
+    }
+
+    /**
+     * Addresses are stored lowercased
+     */
+    normalize(email) {
+        return email.trim().toLowerCase();
+    }
+}
+
+module.exports = new PrivacyService();
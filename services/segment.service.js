@@ -0,0 +1,303 @@
+/**
+ * Segment Service
+ *
+ * Business logic for segment management including CRUD,
+ * live preview of unsaved conditions, cached counts, and
+ * instantiation of pre-built segment templates.
+ */
+
+const Segment = require('../models/Segment.model');
+const List = require('../models/List.model');
+
+// Number of sample contacts returned by previews
+const PREVIEW_SAMPLE_SIZE = 10;
+
+// Fields returned for preview/sample contacts
+const PREVIEW_FIELDS = 'email firstName lastName status tags engagement.score engagement.level';
+
+class SegmentService {
+    /**
+     * Create a new segment
+     */
+    async create(orgId, segmentData, userId) {
+        // Check for duplicate name
+        const existing = await Segment.findOne({
+            orgId,
+            name: segmentData.name,
+        });
+
+        if (existing) {
+            throw new Error('Segment with this name already exists');
+        }
+
+        await this.validateBaseFilter(orgId, segmentData.baseFilter);
+
+        const segment = new Segment({
+            orgId,
+            ...segmentData,
+            status: 'active',
+            createdBy: userId,
+        });
+
+        await segment.resolveFieldTypes();
+        await segment.refreshCache();
+
+        return segment;
+    }
+
+    /**
+     * Get segment by ID
+     */
+    async getById(orgId, segmentId) {
+        const segment = await Segment.findOne({
+            _id: segmentId,
+            orgId,
+            status: { $ne: 'deleted' },
+        }).populate('baseFilter.lists', 'name');
+
+        if (!segment) {
+            throw new Error('Segment not found');
+        }
+
+        return segment;
+    }
+
+    /**
+     * Get all segments with pagination and filters
+     */
+    async getAll(orgId, options = {}) {
+        const {
+            page = 1,
+            limit = 20,
+            search,
+            status,
+            type,
+            sortBy = 'updatedAt',
+            sortOrder = 'desc',
+        } = options;
+
+        const query = {
+            orgId,
+            status: { $ne: 'deleted' },
+        };
+
+        if (status && status !== 'all') {
+            query.status = status;
+        }
+
+        if (type) {
+            query.type = type;
+        }
+
+        if (search) {
+            query.$or = [
+                { name: { $regex: search, $options: 'i' } },
+                { description: { $regex: search, $options: 'i' } },
+            ];
+        }
+
+        const skip = (page - 1) * limit;
+        const sort = { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
+
+        const [segments, total] = await Promise.all([
+            Segment.find(query)
+                .select('-staticMembers -cache.sampleIds')
+                .sort(sort)
+                .skip(skip)
+                .limit(limit),
+            Segment.countDocuments(query),
+        ]);
+
+        return {
+            segments,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit),
+            },
+        };
+    }
+
+    /**
+     * Update segment
+     */
+    async update(orgId, segmentId, updateData, userId) {
+        const segment = await Segment.findOne({
+            _id: segmentId,
+            orgId,
+            status: { $ne: 'deleted' },
+        });
+
+        if (!segment) {
+            throw new Error('Segment not found');
+        }
+
+        // Check name uniqueness if name is being changed
+        if (updateData.name && updateData.name !== segment.name) {
+            const existing = await Segment.findOne({
+                orgId,
+                name: updateData.name,
+                _id: { $ne: segmentId },
+            });
+
+            if (existing) {
+                throw new Error('Segment with this name already exists');
+            }
+        }
+
+        await this.validateBaseFilter(orgId, updateData.baseFilter);
+
+        // Cache and usage are maintained by the system
+        const { cache, usedInCampaigns, lastUsedAt, orgId: _orgId, ...allowed } = updateData;
+
+        Object.assign(segment, allowed);
+        segment.lastModifiedBy = userId;
+
+        if (allowed.conditionGroups) {
+            await segment.resolveFieldTypes();
+        }
+
+        await segment.save();
+
+        // Recalculate count when the audience definition changed
+        if (segment.cache.isStale) {
+            await segment.refreshCache();
+        }
+
+        return segment;
+    }
+
+    /**
+     * Delete segment (soft delete)
+     */
+    async delete(orgId, segmentId) {
+        const segment = await Segment.findOne({
+            _id: segmentId,
+            orgId,
+            status: { $ne: 'deleted' },
+        });
+
+        if (!segment) {
+            throw new Error('Segment not found');
+        }
+
+        segment.status = 'deleted';
+        await segment.save();
+
+        return { message: 'Segment deleted successfully' };
+    }
+
+    /**
+     * Preview unsaved segment conditions (count + sample contacts)
+     */
+    async preview(orgId, definition, options = {}) {
+        const { limit = PREVIEW_SAMPLE_SIZE } = options;
+
+        await this.validateBaseFilter(orgId, definition.baseFilter);
+
+        // Build an unsaved segment so the model's query builder is reused
+        const segment = new Segment({
+            orgId,
+            name: 'preview',
+            type: definition.type,
+            rootOperator: definition.rootOperator,
+            conditionGroups: definition.conditionGroups || [],
+            baseFilter: definition.baseFilter,
+            staticMembers: definition.staticMembers,
+        });
+
+        await segment.resolveFieldTypes();
+
+        const [count, contacts] = await Promise.all([
+            segment.countContacts(),
+            segment.getContacts({ limit, select: PREVIEW_FIELDS, sort: { createdAt: -1 } }),
+        ]);
+
+        return { count, contacts };
+    }
+
+    /**
+     * Get contacts matching a saved segment
+     */
+    async getContacts(orgId, segmentId, options = {}) {
+        const { page = 1, limit = 50 } = options;
+
+        const segment = await this.getById(orgId, segmentId);
+        const skip = (page - 1) * limit;
+
+        const [contacts, total] = await Promise.all([
+            segment.getContacts({ skip, limit, select: PREVIEW_FIELDS, sort: { createdAt: -1 } }),
+            segment.countContacts(),
+        ]);
+
+        return {
+            contacts,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit),
+            },
+        };
+    }
+
+    /**
+     * Recalculate cached count and sample
+     */
+    async refresh(orgId, segmentId) {
+        const segment = await this.getById(orgId, segmentId);
+        await segment.refreshCache();
+        return segment;
+    }
+
+    /**
+     * List available segment templates
+     */
+    getTemplates() {
+        return Object.entries(Segment.TEMPLATES).map(([key, template]) => ({
+            key,
+            name: template.name,
+            description: template.description,
+            conditionGroups: template.conditionGroups,
+        }));
+    }
+
+    /**
+     * Create a segment from a pre-built template
+     */
+    async createFromTemplate(orgId, templateKey, overrides, userId) {
+        const template = Segment.TEMPLATES[templateKey];
+
+        if (!template) {
+            throw new Error('Segment template not found');
+        }
+
+        return this.create(orgId, {
+            ...template,
+            ...overrides,
+            conditionGroups: template.conditionGroups,
+        }, userId);
+    }
+
+    /**
+     * Validate base filter lists belong to organization
+     */
+    async validateBaseFilter(orgId, baseFilter) {
+        if (!baseFilter?.lists || baseFilter.lists.length === 0) {
+            return;
+        }
+
+        const validLists = await List.countDocuments({
+            _id: { $in: baseFilter.lists },
+            orgId,
+            status: { $ne: 'deleted' },
+        });
+
+        if (validLists !== baseFilter.lists.length) {
+            throw new Error('One or more lists are invalid');
+        }
+    }
+}
+
+module.exports = new SegmentService();
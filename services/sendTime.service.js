@@ -0,0 +1,181 @@
+/**
+ * Send Time Service
+ *
+ * Send-time optimization: learns each contact's preferred open hour
+ * from email open history, and computes per-contact send delays for
+ * campaigns using schedule.type 'optimal' / optimizeSendTime.
+ */
+
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact.model');
+const Campaign = require('../models/Campaign.model');
+const EmailLog = require('../models/EmailLog.model');
+const Organization = require('../models/Organization.model');
+const { getZonedParts, isValidTimezone, nextOccurrenceOfHour } = require('../utils/timezone');
+
+// Open history window used for learning
+const LEARNING_WINDOW_DAYS = 90;
+
+// Minimum opens before a contact gets a personal send hour
+const MIN_OPENS = 2;
+
+// Contacts updated per bulkWrite
+const UPDATE_BATCH_SIZE = 500;
+
+class SendTimeService {
+    /**
+     * Recompute engagement.preferredSendHour from recent opens
+     */
+    async learnPreferredHours(options = {}) {
+        const { days = LEARNING_WINDOW_DAYS, minOpens = MIN_OPENS } = options;
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+        const cursor = EmailLog.aggregate([
+            { $match: { 'engagement.opened': true, 'engagement.firstOpenedAt': { $gte: since } } },
+            {
+                $group: {
+                    _id: '$contactId',
+                    orgId: { $first: '$orgId' },
+                    opens: { $push: '$engagement.firstOpenedAt' },
+                },
+            },
+            { $match: { [`opens.${minOpens - 1}`]: { $exists: true } } },
+        ])
+            .allowDiskUse(true)
+            .cursor();
+
+        const orgTimezones = new Map();
+        let batch = [];
+        let updated = 0;
+
+        const flush = async () => {
+            if (batch.length === 0) return;
+
+            const contacts = await Contact.find({ _id: { $in: batch.map(b => b._id) } })
+                .select('_id location.timezone');
+            const timezones = new Map(contacts.map(c => [c._id.toString(), c.location?.timezone]));
+
+            const operations = [];
+            for (const entry of batch) {
+                if (!timezones.has(entry._id.toString())) continue;
+
+                const timezone = await this.resolveTimezone(
+                    timezones.get(entry._id.toString()),
+                    entry.orgId,
+                    orgTimezones
+                );
+
+                operations.push({
+                    updateOne: {
+                        filter: { _id: entry._id },
+                        update: {
+                            'engagement.preferredSendHour': this.getPeakHour(entry.opens, timezone),
+                            'engagement.preferredSendHourUpdatedAt': new Date(),
+                        },
+                    },
+                });
+            }
+
+            if (operations.length > 0) {
+                await Contact.bulkWrite(operations, { ordered: false });
+                updated += operations.length;
+            }
+
+            batch = [];
+        };
+
+        for await (const entry of cursor) {
+            batch.push(entry);
+            if (batch.length >= UPDATE_BATCH_SIZE) {
+                await flush();
+            }
+        }
+        await flush();
+
+        return { updated };
+    }
+
+    /**
+     * Most frequent local hour among open timestamps
+     */
+    getPeakHour(timestamps, timezone) {
+        const counts = new Array(24).fill(0);
+
+        for (const timestamp of timestamps) {
+            counts[getZonedParts(new Date(timestamp), timezone).hour]++;
+        }
+
+        return counts.indexOf(Math.max(...counts));
+    }
+
+    /**
+     * Org-wide best open hour (UTC) from campaign opensByHour, or null
+     */
+    async getOrgBestHour(orgId, days = LEARNING_WINDOW_DAYS) {
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+        const campaigns = await Campaign.find({
+            orgId: new mongoose.Types.ObjectId(orgId),
+            status: 'sent',
+            updatedAt: { $gte: since },
+        }).select('analytics.opensByHour');
+
+        const counts = new Array(24).fill(0);
+        for (const campaign of campaigns) {
+            for (const [hour, opens] of campaign.analytics?.opensByHour || new Map()) {
+                counts[parseInt(hour)] += opens || 0;
+            }
+        }
+
+        const max = Math.max(...counts);
+        return max > 0 ? counts.indexOf(max) : null;
+    }
+
+    /**
+     * Build a per-contact delay function for a campaign send
+     * Delay lands on the contact's preferred local hour within the next 24 hours.
+     */
+    async createDelayResolver(orgId) {
+        const orgTimezones = new Map();
+        const orgTimezone = await this.resolveTimezone(null, orgId, orgTimezones);
+        const orgBestHour = await this.getOrgBestHour(orgId);
+
+        return (contact, now = new Date()) => {
+            const preferredHour = contact.engagement?.preferredSendHour;
+
+            let sendAt;
+            if (preferredHour !== undefined && preferredHour !== null) {
+                const timezone = isValidTimezone(contact.location?.timezone)
+                    ? contact.location.timezone
+                    : orgTimezone;
+                sendAt = nextOccurrenceOfHour(preferredHour, timezone, now);
+            } else if (orgBestHour !== null) {
+                sendAt = nextOccurrenceOfHour(orgBestHour, 'UTC', now);
+            } else {
+                return 0;
+            }
+
+            return Math.max(0, sendAt.getTime() - now.getTime());
+        };
+    }
+
+    /**
+     * Contact timezone, falling back to the organization's (cached per org)
+     */
+    async resolveTimezone(contactTimezone, orgId, cache) {
+        if (isValidTimezone(contactTimezone)) {
+            return contactTimezone;
+        }
+
+        const key = orgId?.toString();
+        if (!cache.has(key)) {
+            const org = key ? await Organization.findById(orgId).select('settings.timezone') : null;
+            const timezone = org?.settings?.timezone;
+            cache.set(key, isValidTimezone(timezone) ? timezone : 'UTC');
+        }
+
+        return cache.get(key);
+    }
+}
+
+module.exports = new SendTimeService();
@@ -0,0 +1,400 @@
+/**
+ * Sunset Service
+ *
+ * Organization sunset policy: contacts with no opens or clicks in
+ * inactiveDays, after at least minEmailsReceived emails, optionally get
+ * a re-engagement email and are then cleaned (status 'cleaned').
+ * Inactivity is read from Contact.engagement and confirmed against
+ * EmailLog history.
+ */
+
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact.model');
+const Organization = require('../models/Organization.model');
+const Template = require('../models/Template.model');
+const EmailLog = require('../models/EmailLog.model');
+const contactService = require('./contact.service');
+const trackingService = require('./tracking.service');
+const { emailQueue } = require('../queues');
+const { domainEvents, EVENTS } = require('../utils/events');
+const AppError = require('../utils/AppError');
+
+// Contacts evaluated per batch
+const BATCH_SIZE = 500;
+
+// Contacts listed in a dry-run report
+const REPORT_SAMPLE_SIZE = 100;
+
+// Email types that count as received mail
+const COUNTED_TYPES = ['campaign', 'automation', 'welcome', 'reengagement'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SunsetService {
+    /**
+     * Get an organization's sunset policy (with defaults)
+     */
+    async getPolicy(orgId) {
+        const org = await Organization.findById(orgId).select('settings.sunsetPolicy');
+
+        if (!org) {
+            throw new Error('Organization not found');
+        }
+
+        return org.toObject().settings.sunsetPolicy;
+    }
+
+    /**
+     * Update an organization's sunset policy
+     */
+    async updatePolicy(orgId, policyData) {
+        const org = await Organization.findById(orgId).select('settings.sunsetPolicy');
+
+        if (!org) {
+            throw new Error('Organization not found');
+        }
+
+        // Run stats are only written by the job
+        const { lastRunAt, lastRunStats, reengagement = {}, ...allowed } = policyData;
+
+        Object.entries(allowed).forEach(([key, value]) => {
+            org.set(`settings.sunsetPolicy.${key}`, value);
+        });
+        Object.entries(reengagement).forEach(([key, value]) => {
+            org.set(`settings.sunsetPolicy.reengagement.${key}`, value);
+        });
+
+        const policy = org.toObject().settings.sunsetPolicy;
+        if (policy.reengagement.enabled) {
+            await this.getReengagementTemplate(orgId, policy.reengagement.templateId);
+        }
+
+        await org.save();
+
+        return policy;
+    }
+
+    /**
+     * Dry run: report which contacts the policy would email or clean, without changing anything
+     * overrides: policy values to preview before saving them
+     */
+    async preview(orgId, overrides = {}) {
+        const saved = await this.getPolicy(orgId);
+        const policy = {
+            ...saved,
+            ...overrides,
+            reengagement: { ...saved.reengagement, ...overrides.reengagement },
+        };
+
+        return this.apply(orgId, policy, { dryRun: true });
+    }
+
+    /**
+     * Apply the saved policy now (also used by the scheduled job)
+     */
+    async run(orgId) {
+        const policy = await this.getPolicy(orgId);
+        const report = await this.apply(orgId, policy);
+
+        await Organization.updateOne(
+            { _id: orgId },
+            {
+                'settings.sunsetPolicy.lastRunAt': new Date(),
+                'settings.sunsetPolicy.lastRunStats': {
+                    reengaged: report.reengaged,
+                    cleaned: report.cleaned,
+                },
+            }
+        );
+
+        return report;
+    }
+
+    /**
+     * Apply the policy for every organization that enabled it
+     */
+    async runAll() {
+        const orgs = await Organization.find({
+            'settings.sunsetPolicy.enabled': true,
+            status: { $in: ['active', 'trial'] },
+        }).select('_id name');
+
+        const totals = { organizations: 0, reengaged: 0, cleaned: 0 };
+
+        for (const org of orgs) {
+            try {
+                const report = await this.run(org._id);
+                totals.organizations++;
+                totals.reengaged += report.reengaged;
+                totals.cleaned += report.cleaned;
+            } catch (error) {
+                console.error(`❌ Sunset policy failed for ${org.name}:`, error.message);
+            }
+        }
+
+        return totals;
+    }
+
+    /**
+     * Evaluate inactive contacts and email or clean them
+     * Returns counts plus a sample of affected contacts (dry run only)
+     */
+    async apply(orgId, policy, { dryRun = false } = {}) {
+        const now = new Date();
+        const cutoff = new Date(now.getTime() - policy.inactiveDays * DAY_MS);
+        const reengagement = policy.reengagement || {};
+
+        const template = reengagement.enabled
+            ? await this.getReengagementTemplate(orgId, reengagement.templateId)
+            : null;
+        const org = template && !dryRun ? await Organization.findById(orgId).select('name') : null;
+
+        const report = {
+            dryRun,
+            cutoff,
+            scanned: 0,
+            reengaged: 0,
+            awaitingReengagement: 0,
+            cleaned: 0,
+            contacts: [],
+        };
+
+        // Joined before the cutoff and no recorded open or click since
+        const cursor = Contact.find({
+            orgId,
+            status: 'subscribed',
+            createdAt: { $lt: cutoff },
+            $and: [
+                { $or: [{ 'engagement.lastOpenedAt': null }, { 'engagement.lastOpenedAt': { $lt: cutoff } }] },
+                { $or: [{ 'engagement.lastClickedAt': null }, { 'engagement.lastClickedAt': { $lt: cutoff } }] },
+            ],
+        })
+            .select('orgId email firstName lastName company customFields engagement lists')
+            .cursor();
+
+        let batch = [];
+
+        const flush = async () => {
+            if (batch.length === 0) return;
+
+            const history = await this.getHistory(orgId, batch.map(c => c._id), cutoff);
+            const toClean = [];
+
+            for (const contact of batch) {
+                const entry = history.get(contact._id.toString()) || {};
+                const received = Math.max(contact.engagement?.emailsReceived || 0, entry.received || 0);
+
+                if (received < policy.minEmailsReceived || entry.engagedSince) {
+                    continue;
+                }
+
+                let action = 'clean';
+                if (template) {
+                    if (!entry.reengagementAt) {
+                        action = 'reengage';
+                    } else if (now - entry.reengagementAt < reengagement.waitDays * DAY_MS) {
+                        action = 'wait';
+                    }
+                }
+
+                if (action === 'wait') {
+                    report.awaitingReengagement++;
+                    continue;
+                }
+
+                if (dryRun && report.contacts.length < REPORT_SAMPLE_SIZE) {
+                    report.contacts.push({
+                        _id: contact._id,
+                        email: contact.email,
+                        action,
+                        emailsReceived: received,
+                        lastOpenedAt: contact.engagement?.lastOpenedAt,
+                        lastClickedAt: contact.engagement?.lastClickedAt,
+                    });
+                }
+
+                if (action === 'reengage') {
+                    report.reengaged++;
+                    if (!dryRun) await this.sendReengagementEmail(contact, template, org);
+                } else {
+                    report.cleaned++;
+                    toClean.push(contact);
+                }
+            }
+
+            if (!dryRun) {
+                await this.clean(orgId, toClean, policy);
+            }
+
+            batch = [];
+        };
+
+        for await (const contact of cursor) {
+            report.scanned++;
+            batch.push(contact);
+
+            if (batch.length >= BATCH_SIZE) {
+                await flush();
+            }
+        }
+
+        await flush();
+
+        return report;
+    }
+
+    /**
+     * EmailLog history per contact: emails received, engagement since the
+     * cutoff and the latest re-engagement email in the current inactivity window
+     */
+    async getHistory(orgId, contactIds, cutoff) {
+        const rows = await EmailLog.aggregate([
+            {
+                $match: {
+                    orgId: new mongoose.Types.ObjectId(String(orgId)),
+                    contactId: { $in: contactIds },
+                    type: { $in: COUNTED_TYPES },
+                },
+            },
+            {
+                $group: {
+                    _id: '$contactId',
+                    received: { $sum: { $cond: [{ $ifNull: ['$sentAt', false] }, 1, 0] } },
+                    lastOpenedAt: { $max: '$engagement.firstOpenedAt' },
+                    lastClickedAt: { $max: '$engagement.firstClickedAt' },
+                    lastEventAt: {
+                        $max: {
+                            $max: {
+                                $map: {
+                                    input: {
+                                        $filter: {
+                                            input: { $ifNull: ['$events', []] },
+                                            cond: { $in: ['$$this.type', ['opened', 'clicked']] },
+                                        },
+                                    },
+                                    in: '$$this.timestamp',
+                                },
+                            },
+                        },
+                    },
+                    reengagementAt: {
+                        $max: {
+                            $cond: [
+                                { $and: [{ $eq: ['$type', 'reengagement'] }, { $gte: ['$createdAt', cutoff] }] },
+                                '$createdAt',
+                                null,
+                            ],
+                        },
+                    },
+                },
+            },
+        ]);
+
+        return new Map(rows.map(row => [row._id.toString(), {
+            received: row.received,
+            engagedSince: [row.lastOpenedAt, row.lastClickedAt, row.lastEventAt]
+                .some(date => date && date >= cutoff),
+            reengagementAt: row.reengagementAt,
+        }]));
+    }
+
+    /**
+     * Move contacts to 'cleaned' and refresh their lists' stats
+     */
+    async clean(orgId, contacts, policy) {
+        if (contacts.length === 0) return;
+
+        const reason = `Sunset policy: no opens or clicks in ${policy.inactiveDays} days`;
+
+        await Contact.updateMany(
+            { _id: { $in: contacts.map(c => c._id) }, orgId, status: 'subscribed' },
+            { status: 'cleaned', statusReason: reason, statusChangedAt: new Date() }
+        );
+
+        for (const contact of contacts) {
+            domainEvents.emit(EVENTS.CONTACT_STATUS_CHANGED, {
+                orgId,
+                contactId: contact._id,
+                status: 'cleaned',
+                reason,
+            });
+        }
+
+        const listIds = new Set(
+            contacts.flatMap(c => c.lists.filter(l => l.status === 'active').map(l => l.listId.toString()))
+        );
+        await contactService.updateListStats([...listIds]);
+    }
+
+    /**
+     * Queue the re-engagement email for a contact
+     */
+    async sendReengagementEmail(contact, template, org) {
+        const trackingId = EmailLog.generateTrackingId();
+
+        await EmailLog.create({
+            orgId: contact.orgId,
+            contactId: contact._id,
+            email: contact.email,
+            trackingId,
+            type: 'reengagement',
+            status: 'queued',
+            content: {
+                subject: template.subject,
+                templateId: template._id,
+            },
+        });
+
+        const rendered = template.render({
+            contact: {
+                firstName: contact.firstName || '',
+                lastName: contact.lastName || '',
+                email: contact.email,
+                company: contact.company || '',
+                ...Object.fromEntries(contact.customFields || new Map()),
+            },
+            organization: { name: org?.name || '' },
+            unsubscribe_link: `${trackingService.baseUrl}/t/u/${trackingId}`,
+            current_year: new Date().getFullYear().toString(),
+        });
+
+        const processed = trackingService.processEmailContent(rendered.html, { trackingId });
+
+        await EmailLog.updateOne(
+            { trackingId },
+            { 'content.personalizedSubject': rendered.subject }
+        );
+
+        await emailQueue.add('send-email', {
+            orgId: contact.orgId.toString(),
+            contactId: contact._id.toString(),
+            email: contact.email,
+            subject: rendered.subject,
+            html: processed.html,
+            text: rendered.text,
+            from: process.env.EMAIL_FROM_ADDRESS,
+            fromName: org?.name || process.env.EMAIL_FROM_NAME,
+            trackingId,
+            headers: trackingService.createListUnsubscribeHeader(trackingId, contact.email),
+        }, {
+            priority: 3,
+        });
+    }
+
+    /**
+     * Load the re-engagement template, which must belong to the organization
+     */
+    async getReengagementTemplate(orgId, templateId) {
+        const template = templateId
+            ? await Template.findOne({ _id: templateId, orgId })
+            : null;
+
+        if (!template) {
+            throw new AppError('Re-engagement requires a valid template', 400, 'INVALID_SUNSET_POLICY');
+        }
+
+        return template;
+    }
+}
+
+module.exports = new SunsetService();
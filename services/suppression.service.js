@@ -0,0 +1,375 @@
+/**
+ * Suppression Service
+ *
+ * Organization suppression list: CRUD for address and domain entries,
+ * CSV import/export, and the send-time check used by the email worker.
+ * The check also covers SES hard bounces/complaints and members of the
+ * organization's 'suppression' list.
+ */
+
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const Suppression = require('../models/Suppression.model');
+const SESLog = require('../models/SESLog.model');
+const List = require('../models/List.model');
+const Contact = require('../models/Contact.model');
+const emailValidationService = require('./emailValidation.service');
+const AppError = require('../utils/AppError');
+const { toCSVLine } = require('../utils/csv');
+
+// Reasons that can be set through the API (erasure entries come from privacy requests)
+const REASONS = ['manual', 'bounce', 'complaint', 'unsubscribe', 'legal'];
+
+// Columns of exported files (also accepted on import)
+const CSV_FIELDS = ['type', 'email', 'domain', 'reason', 'note', 'expiresAt', 'createdAt'];
+
+// Rows accepted per import file
+const MAX_IMPORT_ROWS = 50000;
+
+// Row errors returned by an import
+const MAX_IMPORT_ERRORS = 100;
+
+class SuppressionService {
+    /**
+     * Get suppression entries with pagination and filters
+     */
+    async getAll(orgId, options = {}) {
+        const { page = 1, limit = 50 } = options;
+
+        const query = this.buildQuery(orgId, options);
+        const skip = (page - 1) * limit;
+
+        const [entries, total] = await Promise.all([
+            Suppression.find(query)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            Suppression.countDocuments(query),
+        ]);
+
+        return {
+            entries,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit),
+            },
+        };
+    }
+
+    /**
+     * Build MongoDB query from entry filter options
+     */
+    buildQuery(orgId, filters = {}) {
+        const { type, reason, search } = filters;
+
+        const query = { orgId };
+
+        if (type) query.type = type;
+        if (reason) query.reason = reason;
+
+        if (search) {
+            const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+            query.$or = [{ email: pattern }, { domain: pattern }];
+        }
+
+        return query;
+    }
+
+    /**
+     * Get suppression entry by ID
+     */
+    async getById(orgId, entryId) {
+        const entry = await Suppression.findOne({ _id: entryId, orgId });
+
+        if (!entry) {
+            throw new Error('Suppression entry not found');
+        }
+
+        return entry;
+    }
+
+    /**
+     * Suppress an address or domain
+     */
+    async create(orgId, entryData, userId) {
+        const target = this.resolveTarget(orgId, entryData);
+
+        const existing = await Suppression.findOne({ orgId, ...this.keyOf(target) });
+
+        if (existing) {
+            throw new Error('Suppression entry already exists');
+        }
+
+        return Suppression.create({
+            orgId,
+            ...target,
+            reason: entryData.reason,
+            note: entryData.note,
+            expiresAt: entryData.expiresAt,
+            createdBy: userId,
+        });
+    }
+
+    /**
+     * Update an entry's reason, note or expiry
+     */
+    async update(orgId, entryId, updateData) {
+        const entry = await this.getById(orgId, entryId);
+
+        if (entry.reason === 'erasure') {
+            throw new AppError('Erasure entries cannot be changed', 400, 'ERASURE_SUPPRESSION');
+        }
+
+        ['reason', 'note', 'expiresAt'].forEach(field => {
+            if (updateData[field] !== undefined) {
+                entry[field] = updateData[field];
+            }
+        });
+
+        return entry.save();
+    }
+
+    /**
+     * Remove an entry (the address or domain can be mailed again)
+     */
+    async delete(orgId, entryId) {
+        const entry = await this.getById(orgId, entryId);
+
+        if (entry.reason === 'erasure') {
+            throw new AppError('Erasure entries cannot be removed', 400, 'ERASURE_SUPPRESSION');
+        }
+
+        await entry.deleteOne();
+
+        return { deleted: true };
+    }
+
+    /**
+     * Import entries from a CSV buffer (columns: email or domain, reason, note, expiresAt)
+     * Existing entries get the file's reason, note and expiry.
+     * Returns { processed, created, updated, skipped, errors }
+     */
+    async importCSV(orgId, buffer, userId, defaults = {}) {
+        const results = {
+            processed: 0,
+            created: 0,
+            updated: 0,
+            skipped: 0,
+            errors: [],
+        };
+
+        const skip = (row, error) => {
+            if (results.errors.length < MAX_IMPORT_ERRORS) {
+                results.errors.push({ row, error });
+            }
+            results.skipped++;
+        };
+
+        const operations = [];
+        const operationRows = [];
+        let rowNumber = 1;
+
+        const rows = Readable.from(buffer).pipe(csv({
+            mapHeaders: ({ header }) => header.trim().toLowerCase().replace(/[\s_]/g, ''),
+        }));
+
+        for await (const row of rows) {
+            rowNumber++;
+            results.processed++;
+
+            if (results.processed > MAX_IMPORT_ROWS) {
+                throw new AppError(`Import files are limited to ${MAX_IMPORT_ROWS} rows`, 400, 'IMPORT_TOO_LARGE');
+            }
+
+            const entryData = {
+                email: row.email || undefined,
+                domain: row.email ? undefined : row.domain || undefined,
+                reason: row.reason || defaults.reason || 'manual',
+                note: row.note || defaults.note || undefined,
+                expiresAt: row.expiresat || undefined,
+            };
+
+            let target;
+            try {
+                target = this.resolveTarget(orgId, entryData);
+                this.validateAttributes(entryData);
+            } catch (error) {
+                skip(rowNumber, error.message);
+                continue;
+            }
+
+            const update = {
+                $set: { reason: entryData.reason },
+                $setOnInsert: { ...(target.email && { email: target.email }), createdBy: userId },
+            };
+            const $unset = {};
+
+            if (entryData.note) {
+                update.$set.note = entryData.note;
+            } else {
+                $unset.note = 1;
+            }
+            if (entryData.expiresAt) {
+                update.$set.expiresAt = new Date(entryData.expiresAt);
+            } else {
+                $unset.expiresAt = 1;
+            }
+            if (Object.keys($unset).length > 0) {
+                update.$unset = $unset;
+            }
+
+            operations.push({
+                updateOne: {
+                    // Erasure entries never match, so their rows fail as duplicates
+                    filter: { orgId, ...this.keyOf(target), reason: { $ne: 'erasure' } },
+                    update,
+                    upsert: true,
+                },
+            });
+            operationRows.push(rowNumber);
+        }
+
+        if (operations.length === 0) {
+            return results;
+        }
+
+        // Unordered so one bad row doesn't fail the file
+        let result;
+        try {
+            result = await Suppression.bulkWrite(operations, { ordered: false });
+        } catch (error) {
+            if (!error.writeErrors) throw error;
+
+            for (const writeError of [].concat(error.writeErrors)) {
+                skip(
+                    operationRows[writeError.index],
+                    writeError.code === 11000 ? 'Address was erased and cannot be changed' : writeError.errmsg
+                );
+            }
+            result = error.result;
+        }
+
+        results.created = result?.upsertedCount || 0;
+        results.updated = result?.matchedCount || 0;
+
+        return results;
+    }
+
+    /**
+     * Stream entries as CSV lines (erasure entries hold no address and are left out)
+     */
+    async *exportCSV(orgId, filters = {}) {
+        yield toCSVLine(CSV_FIELDS);
+
+        const query = {
+            ...this.buildQuery(orgId, filters),
+            reason: filters.reason || { $ne: 'erasure' },
+        };
+
+        const cursor = Suppression.find(query)
+            .sort({ createdAt: -1 })
+            .lean()
+            .cursor();
+
+        for await (const entry of cursor) {
+            yield toCSVLine(CSV_FIELDS.map(field => entry[field]));
+        }
+    }
+
+    /**
+     * Send-time check: why an address must not be mailed, or null
+     * Returns { source: 'suppression' | 'ses' | 'list', reason }
+     */
+    async check(orgId, email) {
+        const entry = await Suppression.findMatch(orgId, email);
+        if (entry) {
+            return { source: 'suppression', reason: entry.reason };
+        }
+
+        const sesEvent = await SESLog.findOne({
+            email: email.toLowerCase(),
+            $or: [
+                { type: 'complaint' },
+                { type: 'bounce', 'details.bounceType': 'Permanent' },
+            ],
+        }).select('type');
+        if (sesEvent) {
+            return { source: 'ses', reason: sesEvent.type === 'complaint' ? 'complaint' : 'bounce' };
+        }
+
+        const list = await List.getSuppressionList(orgId);
+        if (list) {
+            const member = await Contact.exists({
+                orgId,
+                email: email.toLowerCase(),
+                lists: { $elemMatch: { listId: list._id, status: 'active' } },
+            });
+
+            if (member) {
+                return { source: 'list', reason: 'suppression_list' };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Normalize the address or domain an entry blocks
+     * Returns the stored fields ({ type, email, emailHash } or { type, domain })
+     */
+    resolveTarget(orgId, { email, domain }) {
+        if (email) {
+            const parts = emailValidationService.parse(String(email).trim());
+
+            if (!parts) {
+                throw new AppError('Invalid email address', 400, 'INVALID_SUPPRESSION');
+            }
+
+            const address = `${parts.local}@${parts.domain}`.toLowerCase();
+
+            return { type: 'email', email: address, emailHash: Suppression.hashEmail(orgId, address) };
+        }
+
+        if (domain) {
+            const name = String(domain).trim().toLowerCase().replace(/^@/, '');
+
+            if (!emailValidationService.parse(`postmaster@${name}`)) {
+                throw new AppError('Invalid domain', 400, 'INVALID_SUPPRESSION');
+            }
+
+            return { type: 'domain', domain: name };
+        }
+
+        throw new AppError('Either email or domain is required', 400, 'INVALID_SUPPRESSION');
+    }
+
+    /**
+     * Unique key of an entry
+     */
+    keyOf(target) {
+        return target.type === 'email'
+            ? { type: 'email', emailHash: target.emailHash }
+            : { type: 'domain', domain: target.domain };
+    }
+
+    /**
+     * Validate reason and expiry of an imported row
+     */
+    validateAttributes({ reason, expiresAt }) {
+        if (!REASONS.includes(reason)) {
+            throw new Error(`reason must be one of: ${REASONS.join(', ')}`);
+        }
+
+        if (expiresAt !== undefined) {
+            const date = new Date(expiresAt);
+
+            if (isNaN(date.getTime()) || date <= new Date()) {
+                throw new Error('expiresAt must be a future date');
+            }
+        }
+    }
+}
+
+module.exports = new SuppressionService();
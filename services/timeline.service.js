@@ -0,0 +1,307 @@
+/**
+ * Timeline Service
+ *
+ * Records contact activity from domain events and builds the contact
+ * timeline: recorded activity, email events (EmailLog) and audit
+ * entries merged into one chronological, paginated feed.
+ */
+
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact.model');
+const ContactActivity = require('../models/ContactActivity.model');
+const EmailLog = require('../models/EmailLog.model');
+const AuditLog = require('../models/AuditLog.model');
+const List = require('../models/List.model');
+const Automation = require('../models/Automation.model');
+const Campaign = require('../models/Campaign.model');
+const { domainEvents, EVENTS } = require('../utils/events');
+
+// Domain event -> recorded activity
+const RECORDED_EVENTS = {
+    [EVENTS.TAG_ADDED]: ({ tags }) => ({ type: 'tag_added', data: { tags } }),
+    [EVENTS.TAG_REMOVED]: ({ tags }) => ({ type: 'tag_removed', data: { tags } }),
+    [EVENTS.LIST_SUBSCRIBED]: ({ listId }) => ({ type: 'list_joined', listId }),
+    [EVENTS.LIST_REMOVED]: ({ listId }) => ({ type: 'list_left', listId }),
+    [EVENTS.CONTACT_UPDATED]: ({ fields }) => ({ type: 'contact_updated', data: { fields } }),
+    [EVENTS.CONTACT_MERGED]: ({ mergedContactIds, mergedEmails }) => ({
+        type: 'contact_merged',
+        data: { mergedContactIds, mergedEmails },
+    }),
+    [EVENTS.CONTACT_STATUS_CHANGED]: ({ status, reason, campaignId }) => ({
+        type: 'status_changed',
+        campaignId,
+        data: { status, reason },
+    }),
+    [EVENTS.ENGAGEMENT_LEVEL_CHANGED]: ({ level, previousLevel, score }) => ({
+        type: 'engagement_level_changed',
+        data: { level, previousLevel, score },
+    }),
+    [EVENTS.AUTOMATION_ENTERED]: ({ automationId, trigger }) => ({
+        type: 'automation_entered',
+        automationId,
+        data: { trigger },
+    }),
+    [EVENTS.AUTOMATION_STEP_COMPLETED]: ({ automationId, stepId, stepName, action, branch }) => ({
+        type: 'automation_step',
+        automationId,
+        data: { stepId, stepName, action, branch },
+    }),
+    [EVENTS.AUTOMATION_EXITED]: ({ automationId, reason }) => ({
+        type: 'automation_exited',
+        automationId,
+        data: { reason },
+    }),
+};
+
+// EmailLog events shown on the timeline ('sent' comes from sentAt)
+const EMAIL_EVENT_TYPES = ['delivered', 'opened', 'clicked', 'bounced', 'complained', 'unsubscribed', 'failed'];
+
+// Timeline categories by entry type prefix
+const CATEGORIES = {
+    email: /^email_/,
+    list: /^list_/,
+    tag: /^tag_/,
+    status: /^status_/,
+    engagement: /^engagement_/,
+    automation: /^automation_/,
+    contact: /^contact_/,
+    audit: /^audit_/,
+};
+
+class TimelineService {
+    constructor() {
+        this.registered = false;
+    }
+
+    /**
+     * Record activity from domain events (once per process)
+     */
+    register() {
+        if (this.registered) return;
+        this.registered = true;
+
+        for (const [event, toActivity] of Object.entries(RECORDED_EVENTS)) {
+            domainEvents.on(event, (payload) => {
+                return this.record(payload, toActivity(payload)).catch((error) => {
+                    console.error(`❌ Timeline error on ${event}:`, error.message);
+                });
+            });
+        }
+    }
+
+    /**
+     * Store one activity entry
+     * Some emitters only know the contact, so orgId is looked up when missing.
+     */
+    async record({ orgId, contactId }, activity) {
+        if (!contactId) return null;
+
+        if (!orgId) {
+            const contact = await Contact.findById(contactId).select('orgId').lean();
+            if (!contact) return null;
+            orgId = contact.orgId;
+        }
+
+        return ContactActivity.create({
+            orgId,
+            contactId,
+            occurredAt: new Date(),
+            ...activity,
+        });
+    }
+
+    /**
+     * Get a contact's timeline, newest first
+     * categories: optional subset of email/list/tag/status/engagement/automation/contact/audit
+     */
+    async getTimeline(orgId, contactId, options = {}) {
+        const { page = 1, limit = 50, categories = [] } = options;
+
+        const contact = await Contact.findOne({ _id: contactId, orgId }).select('_id').lean();
+
+        if (!contact) {
+            throw new Error('Contact not found');
+        }
+
+        const orgObjectId = new mongoose.Types.ObjectId(String(orgId));
+        const contactObjectId = contact._id;
+
+        const pipeline = [
+            { $match: { orgId: orgObjectId, contactId: contactObjectId } },
+            {
+                $project: {
+                    _id: 0,
+                    type: 1,
+                    occurredAt: 1,
+                    listId: 1,
+                    automationId: 1,
+                    campaignId: 1,
+                    data: 1,
+                },
+            },
+            { $unionWith: { coll: Contact.collection.name, pipeline: this.createdPipeline(orgObjectId, contactObjectId) } },
+            { $unionWith: { coll: EmailLog.collection.name, pipeline: this.emailPipeline(orgObjectId, contactObjectId) } },
+            { $unionWith: { coll: AuditLog.collection.name, pipeline: this.auditPipeline(orgObjectId, contactObjectId) } },
+        ];
+
+        const patterns = categories.map(c => CATEGORIES[c]).filter(Boolean);
+        if (patterns.length > 0) {
+            pipeline.push({ $match: { type: { $in: patterns } } });
+        }
+
+        const skip = (page - 1) * limit;
+
+        pipeline.push(
+            { $sort: { occurredAt: -1 } },
+            {
+                $facet: {
+                    entries: [{ $skip: skip }, { $limit: limit }],
+                    total: [{ $count: 'count' }],
+                },
+            }
+        );
+
+        const [result] = await ContactActivity.aggregate(pipeline);
+        const total = result.total[0]?.count || 0;
+
+        return {
+            entries: await this.attachNames(orgId, result.entries),
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit),
+            },
+        };
+    }
+
+    /**
+     * Contact creation entry (covers imports and other bulk inserts)
+     */
+    createdPipeline(orgId, contactId) {
+        return [
+            { $match: { _id: contactId, orgId } },
+            {
+                $project: {
+                    _id: 0,
+                    type: { $literal: 'contact_created' },
+                    occurredAt: '$createdAt',
+                    data: { source: '$source', optIn: '$optIn.type' },
+                },
+            },
+        ];
+    }
+
+    /**
+     * One entry per email event (sent, delivered, opened, clicked...)
+     */
+    emailPipeline(orgId, contactId) {
+        return [
+            { $match: { orgId, contactId } },
+            {
+                $project: {
+                    campaignId: 1,
+                    automationId: 1,
+                    listId: 1,
+                    emailType: '$type',
+                    subject: { $ifNull: ['$content.personalizedSubject', '$content.subject'] },
+                    variant: '$abVariant',
+                    items: {
+                        $concatArrays: [
+                            {
+                                $cond: [
+                                    { $ifNull: ['$sentAt', false] },
+                                    [{ type: 'sent', timestamp: '$sentAt' }],
+                                    [],
+                                ],
+                            },
+                            {
+                                $filter: {
+                                    input: { $ifNull: ['$events', []] },
+                                    cond: { $in: ['$$this.type', EMAIL_EVENT_TYPES] },
+                                },
+                            },
+                        ],
+                    },
+                },
+            },
+            { $unwind: '$items' },
+            {
+                $project: {
+                    _id: 0,
+                    type: { $concat: ['email_', '$items.type'] },
+                    occurredAt: '$items.timestamp',
+                    campaignId: 1,
+                    automationId: 1,
+                    listId: 1,
+                    data: {
+                        emailLogId: '$_id',
+                        emailType: '$emailType',
+                        subject: '$subject',
+                        variant: '$variant',
+                        url: { $ifNull: ['$items.data.url', '$items.metadata.url'] },
+                        bounceType: '$items.data.bounceType',
+                        bounceReason: '$items.data.bounceReason',
+                    },
+                },
+            },
+        ];
+    }
+
+    /**
+     * Audit entries about the contact (who changed what through the API)
+     */
+    auditPipeline(orgId, contactId) {
+        return [
+            { $match: { orgId, 'resource.type': 'contact', 'resource.id': contactId } },
+            {
+                $project: {
+                    _id: 0,
+                    type: { $concat: ['audit_', '$action'] },
+                    occurredAt: '$createdAt',
+                    data: {
+                        userId: '$userId',
+                        userEmail: '$userEmail',
+                        status: '$status',
+                        changes: '$changes',
+                        metadata: '$metadata',
+                    },
+                },
+            },
+        ];
+    }
+
+    /**
+     * Replace list/automation/campaign IDs with { _id, name }
+     */
+    async attachNames(orgId, entries) {
+        const idsOf = field => [...new Set(entries.map(e => e[field]?.toString()).filter(Boolean))];
+
+        const [lists, automations, campaigns] = await Promise.all([
+            List.find({ _id: { $in: idsOf('listId') }, orgId }).select('name').lean(),
+            Automation.find({ _id: { $in: idsOf('automationId') }, orgId }).select('name').lean(),
+            Campaign.find({ _id: { $in: idsOf('campaignId') }, orgId }).select('name').lean(),
+        ]);
+
+        const byId = docs => new Map(docs.map(d => [d._id.toString(), d]));
+        const names = {
+            listId: ['list', byId(lists)],
+            automationId: ['automation', byId(automations)],
+            campaignId: ['campaign', byId(campaigns)],
+        };
+
+        return entries.map(entry => {
+            const result = { ...entry };
+
+            for (const [field, [key, docs]] of Object.entries(names)) {
+                if (!entry[field]) continue;
+                result[key] = docs.get(entry[field].toString()) || { _id: entry[field], name: null };
+                delete result[field];
+            }
+
+            return result;
+        });
+    }
+}
+
+module.exports = new TimelineService();
@@ -0,0 +1,286 @@
+/**
+ * Trigger Service
+ *
+ * Listens for domain events (contact changes, email engagement) and
+ * enrolls matching contacts into active automations, or exits them
+ * when a goal or exit condition is met. Also evaluates time-based
+ * date_field triggers.
+ */
+
+const Automation = require('../models/Automation.model');
+const Contact = require('../models/Contact.model');
+const Segment = require('../models/Segment.model');
+const automationService = require('./automation.service');
+const { domainEvents, EVENTS } = require('../utils/events');
+
+// Default hour for date_field triggers without a time
+const DEFAULT_DATE_TRIGGER_HOUR = 9;
+
+class TriggerService {
+    constructor() {
+        this.registered = false;
+    }
+
+    /**
+     * Subscribe to domain events (once per process)
+     */
+    register() {
+        if (this.registered) return;
+        this.registered = true;
+
+        const listen = (event, handler) => {
+            domainEvents.on(event, (payload) => {
+                return handler.call(this, payload).catch((error) => {
+                    console.error(`❌ Trigger error on ${event}:`, error.message);
+                });
+            });
+        };
+
+        listen(EVENTS.CONTACT_CREATED, this.onContactCreated);
+        listen(EVENTS.CONTACT_UPDATED, this.onContactUpdated);
+        listen(EVENTS.TAG_ADDED, this.onTagAdded);
+        listen(EVENTS.TAG_REMOVED, this.onTagRemoved);
+        listen(EVENTS.LIST_SUBSCRIBED, this.onListSubscribed);
+        listen(EVENTS.EMAIL_OPENED, this.onEmailOpened);
+        listen(EVENTS.EMAIL_CLICKED, this.onEmailClicked);
+        listen(EVENTS.ENGAGEMENT_LEVEL_CHANGED, this.onEngagementLevelChanged);
+
+        // Events that can satisfy a goal or exit condition
+        [
+            EVENTS.TAG_ADDED,
+            EVENTS.TAG_REMOVED,
+            EVENTS.LIST_SUBSCRIBED,
+            EVENTS.LIST_REMOVED,
+            EVENTS.CONTACT_UNSUBSCRIBED,
+            EVENTS.EMAIL_OPENED,
+            EVENTS.EMAIL_CLICKED,
+        ].forEach(event => listen(event, this.checkEnrollments));
+    }
+
+    /**
+     * Exit a contact's active enrollments whose goal or exit condition now matches
+     */
+    async checkEnrollments({ contactId }) {
+        const contact = await Contact.findById(contactId);
+        if (!contact) return;
+
+        const enrollments = (contact.automations || []).filter(
+            a => ['active', 'waiting'].includes(a.status)
+        );
+        if (enrollments.length === 0) return;
+
+        const automations = await Automation.find({
+            _id: { $in: enrollments.map(e => e.automationId) },
+            status: 'active',
+        });
+
+        for (const automation of automations) {
+            const enrollment = enrollments.find(e => e.automationId.equals(automation._id));
+            const reason = await automationService.getExitReason(automation, contact, enrollment);
+
+            if (reason && await automationService.exitContact(automation, contact._id, reason)) {
+                console.log(`🏁 ${contact.email} left automation ${automation.name}: ${reason}`);
+            }
+        }
+    }
+
+    /**
+     * contact_created trigger
+     */
+    async onContactCreated({ orgId, contactId }) {
+        const automations = await Automation.findByTrigger(orgId, 'contact_created');
+        await this.enrollMatching(automations, contactId);
+    }
+
+    /**
+     * contact_updated trigger
+     */
+    async onContactUpdated({ orgId, contactId }) {
+        const automations = await Automation.findByTrigger(orgId, 'contact_updated');
+        await this.enrollMatching(automations, contactId);
+    }
+
+    /**
+     * tag_added trigger
+     */
+    async onTagAdded({ orgId, contactId, tags }) {
+        for (const tag of tags) {
+            const automations = await Automation.findByTagAdded(orgId, tag);
+            await this.enrollMatching(automations, contactId);
+        }
+    }
+
+    /**
+     * tag_removed trigger
+     */
+    async onTagRemoved({ orgId, contactId, tags }) {
+        for (const tag of tags) {
+            const automations = await Automation.findByTrigger(orgId, 'tag_removed', { tag });
+            await this.enrollMatching(automations, contactId);
+        }
+    }
+
+    /**
+     * list_subscription trigger
+     */
+    async onListSubscribed({ orgId, contactId, listId }) {
+        const automations = await Automation.findByListSubscription(orgId, listId);
+        await this.enrollMatching(automations, contactId);
+    }
+
+    /**
+     * email_opened trigger (optionally scoped to a campaign)
+     */
+    async onEmailOpened({ orgId, contactId, campaignId }) {
+        const automations = await Automation.findByTrigger(orgId, 'email_opened');
+        await this.enrollMatching(
+            automations.filter(a => this.matchesCampaign(a, campaignId)),
+            contactId
+        );
+    }
+
+    /**
+     * email_clicked and link_clicked triggers
+     */
+    async onEmailClicked({ orgId, contactId, campaignId, url }) {
+        const [clicked, linkClicked] = await Promise.all([
+            Automation.findByTrigger(orgId, 'email_clicked'),
+            Automation.findByTrigger(orgId, 'link_clicked'),
+        ]);
+
+        const automations = [
+            ...clicked.filter(a => this.matchesCampaign(a, campaignId)),
+            ...linkClicked.filter(a =>
+                this.matchesCampaign(a, campaignId)
+                && (!a.trigger.linkUrl || a.trigger.linkUrl === url)
+            ),
+        ];
+
+        await this.enrollMatching(automations, contactId);
+    }
+
+    /**
+     * engagement_level_changed trigger (optionally scoped to the new level)
+     */
+    async onEngagementLevelChanged({ orgId, contactId, level }) {
+        const automations = await Automation.findByTrigger(orgId, 'engagement_level_changed');
+        await this.enrollMatching(
+            automations.filter(a => !a.trigger.engagementLevel || a.trigger.engagementLevel === level),
+            contactId
+        );
+    }
+
+    /**
+     * Enroll contacts whose date field (month/day) plus offset falls on today.
+     * Runs hourly; each automation fires in the hour set by dateField.time.
+     */
+    async checkDateTriggers() {
+        const now = new Date();
+        const automations = await Automation.find({
+            status: 'active',
+            'trigger.type': 'date_field',
+            'trigger.dateField.field': { $exists: true },
+        });
+
+        for (const automation of automations) {
+            const { field, offset = 0, time } = automation.trigger.dateField;
+            const hour = time ? parseInt(time.split(':')[0]) : DEFAULT_DATE_TRIGGER_HOUR;
+
+            if (hour !== now.getUTCHours() || field.startsWith('$')) {
+                continue;
+            }
+
+            // Offset is days relative to the date (negative = before)
+            const target = new Date(now.getTime() - offset * 24 * 60 * 60 * 1000);
+
+            const cursor = Contact.find({
+                orgId: automation.orgId,
+                status: 'subscribed',
+                [field]: { $exists: true, $ne: null },
+            }).cursor();
+
+            let enrolled = 0;
+            for await (const contact of cursor) {
+                const value = field.startsWith('customFields.')
+                    ? contact.customFields?.get(field.slice('customFields.'.length))
+                    : contact.get(field);
+                const date = value ? new Date(value) : null;
+
+                if (!date || isNaN(date)
+                    || date.getUTCMonth() !== target.getUTCMonth()
+                    || date.getUTCDate() !== target.getUTCDate()) {
+                    continue;
+                }
+
+                if (await this.matchesFilter(automation, contact)
+                    && await automationService.enroll(automation, contact)) {
+                    enrolled++;
+                }
+            }
+
+            if (enrolled > 0) {
+                console.log(`📅 Enrolled ${enrolled} contacts into ${automation.name} (date trigger)`);
+            }
+        }
+    }
+
+    /**
+     * Enroll a contact into each automation whose filter it passes
+     */
+    async enrollMatching(automations, contactId) {
+        if (automations.length === 0) return;
+
+        const contact = await Contact.findById(contactId);
+        if (!contact) return;
+
+        for (const automation of automations) {
+            if (await this.matchesFilter(automation, contact)) {
+                const enrolled = await automationService.enroll(automation, contact);
+                if (enrolled) {
+                    console.log(`🎯 ${contact.email} entered automation: ${automation.name}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Check trigger.filter (lists / segment) against the contact
+     */
+    async matchesFilter(automation, contact) {
+        const filter = automation.trigger?.filter;
+        if (!filter) return true;
+
+        if (filter.lists?.length > 0) {
+            const onList = contact.lists.some(l =>
+                l.status === 'active' && filter.lists.some(id => id.equals(l.listId))
+            );
+            if (!onList) return false;
+        }
+
+        if (filter.segmentId) {
+            const segment = await Segment.findOne({
+                _id: filter.segmentId,
+                orgId: automation.orgId,
+                status: 'active',
+            });
+            if (!segment) return false;
+
+            const match = await Contact.exists({
+                $and: [segment.buildQuery(), { _id: contact._id }],
+            });
+            if (!match) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Campaign-scoped triggers only fire for that campaign
+     */
+    matchesCampaign(automation, campaignId) {
+        const triggerCampaign = automation.trigger?.campaignId;
+        return !triggerCampaign || (campaignId && triggerCampaign.toString() === campaignId.toString());
+    }
+}
+
+module.exports = new TriggerService();
@@ -0,0 +1,122 @@
+/**
+ * Welcome Email Service
+ *
+ * Sends a list's welcome email (List.welcomeEmail) when a contact
+ * becomes active on the list. Each contact gets it at most once per list.
+ */
+
+const Contact = require('../models/Contact.model');
+const List = require('../models/List.model');
+const Template = require('../models/Template.model');
+const EmailLog = require('../models/EmailLog.model');
+const Organization = require('../models/Organization.model');
+const trackingService = require('./tracking.service');
+const { emailQueue } = require('../queues');
+const { domainEvents, EVENTS } = require('../utils/events');
+
+class WelcomeService {
+    constructor() {
+        this.registered = false;
+    }
+
+    /**
+     * Subscribe to list subscription events (once per process)
+     */
+    register() {
+        if (this.registered) return;
+        this.registered = true;
+
+        domainEvents.on(EVENTS.LIST_SUBSCRIBED, ({ contactId, listId }) => {
+            return this.sendWelcomeEmail(contactId, listId).catch((error) => {
+                console.error('❌ Welcome email error:', error.message);
+            });
+        });
+    }
+
+    /**
+     * Queue the list's welcome email for a contact (delayed by delayMinutes)
+     * Returns false if the list has none or the contact already got it.
+     */
+    async sendWelcomeEmail(contactId, listId) {
+        const list = await List.findById(listId).select('orgId name welcomeEmail status');
+        const welcome = list?.welcomeEmail;
+
+        if (!list || list.status !== 'active' || !welcome?.enabled || !welcome.templateId) {
+            return false;
+        }
+
+        const contact = await Contact.findOne({ _id: contactId, orgId: list.orgId, status: 'subscribed' });
+        if (!contact) return false;
+
+        const template = await Template.findOne({ _id: welcome.templateId, orgId: list.orgId });
+        if (!template) {
+            console.warn(`⚠️ Welcome template ${welcome.templateId} not found for list ${list.name}`);
+            return false;
+        }
+
+        const trackingId = EmailLog.generateTrackingId();
+
+        // The unique (listId, contactId) welcome index makes this the dedupe point
+        try {
+            await EmailLog.create({
+                orgId: list.orgId,
+                listId: list._id,
+                contactId: contact._id,
+                email: contact.email,
+                trackingId,
+                type: 'welcome',
+                status: 'queued',
+                content: {
+                    subject: template.subject,
+                    templateId: template._id,
+                },
+            });
+        } catch (error) {
+            if (error.code === 11000) return false;
+            throw error;
+        }
+
+        const org = await Organization.findById(list.orgId).select('name');
+
+        const rendered = template.render({
+            contact: {
+                firstName: contact.firstName || '',
+                lastName: contact.lastName || '',
+                email: contact.email,
+                company: contact.company || '',
+                ...Object.fromEntries(contact.customFields || new Map()),
+            },
+            list: { name: list.name },
+            organization: { name: org?.name || '' },
+            current_year: new Date().getFullYear().toString(),
+        });
+
+        const processed = trackingService.processEmailContent(rendered.html, { trackingId });
+
+        await EmailLog.updateOne(
+            { trackingId },
+            { 'content.personalizedSubject': rendered.subject }
+        );
+
+        await emailQueue.add('send-email', {
+            orgId: list.orgId.toString(),
+            contactId: contact._id.toString(),
+            email: contact.email,
+            subject: rendered.subject,
+            html: processed.html,
+            text: rendered.text,
+            from: process.env.EMAIL_FROM_ADDRESS,
+            fromName: org?.name || process.env.EMAIL_FROM_NAME,
+            trackingId,
+        }, {
+            priority: 2,
+            delay: Math.max(0, welcome.delayMinutes || 0) * 60 * 1000,
+        });
+
+        console.log(`👋 Queued welcome email for ${list.name} to ${contact.email}`);
+
+        return true;
+    }
+}
+
+module.exports = new WelcomeService();
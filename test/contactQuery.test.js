@@ -0,0 +1,136 @@
+/**
+ * Contact query language: parsing, compiling and limits
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseQuery,
+    compileQuery,
+    customFieldKeys,
+    isQueryField,
+    fieldPath,
+} = require('../utils/contactQuery');
+
+const compile = (expression, options) => compileQuery(parseQuery(expression), options);
+
+// Rejects with a 400 INVALID_QUERY whose message matches the pattern
+function assertInvalid(expression, pattern) {
+    assert.throws(() => compile(expression), (error) => {
+        assert.equal(error.statusCode, 400);
+        assert.equal(error.code, 'INVALID_QUERY');
+        assert.match(error.message, pattern);
+        return true;
+    });
+}
+
+test('AND binds tighter than OR', () => {
+    assert.deepEqual(compile('tag:vip AND engagement.score>70 OR status:pending'), {
+        $or: [
+            { $and: [{ tags: 'vip' }, { 'engagement.score': { $gt: 70 } }] },
+            { status: 'pending' },
+        ],
+    });
+});
+
+test('parentheses and NOT group conditions', () => {
+    assert.deepEqual(compile('NOT (status:unsubscribed OR status:bounced)'), {
+        $nor: [{ $or: [{ status: 'unsubscribed' }, { status: 'bounced' }] }],
+    });
+});
+
+test('keywords are case-insensitive', () => {
+    assert.deepEqual(compile('firstName:ann and not lastName:lee'), {
+        $and: [{ firstName: 'ann' }, { $nor: [{ lastName: 'lee' }] }],
+    });
+});
+
+test('field aliases map to their document paths', () => {
+    assert.deepEqual(compile('tag:VIP'), { tags: 'vip' });
+    assert.deepEqual(compile('source:import'), { 'source.type': 'import' });
+    assert.equal(fieldPath('tag'), 'tags');
+    assert.equal(fieldPath('customFields.plan'), 'customFields.plan');
+});
+
+test('email and tag values are lowercased', () => {
+    assert.deepEqual(compile('email="Ann@Example.com"'), { email: 'ann@example.com' });
+});
+
+test('contains escapes regex characters', () => {
+    assert.deepEqual(compile('company~"a.b (c)"'), {
+        company: { $regex: 'a\\.b \\(c\\)', $options: 'i' },
+    });
+});
+
+test('numbers and dates are typed', () => {
+    assert.deepEqual(compile('engagement.openRate<=12.5'), { 'engagement.openRate': { $lte: 12.5 } });
+    assert.deepEqual(compile('createdAt>=2024-01-31'), { createdAt: { $gte: new Date('2024-01-31') } });
+    assertInvalid('engagement.score>high', /expects a number/);
+    assertInvalid('createdAt<yesterday', /expects a date/);
+});
+
+test('list conditions match active memberships', () => {
+    const listId = '65a1b2c3d4e5f60718293a4b';
+
+    assert.deepEqual(compile(`list:${listId}`), {
+        lists: { $elemMatch: { listId, status: 'active' } },
+    });
+    assert.deepEqual(compile(`list!=${listId}`), {
+        lists: { $not: { $elemMatch: { listId, status: 'active' } } },
+    });
+    assertInvalid('list:newsletter', /expects a list ID/);
+});
+
+test('undeclared custom fields compare unquoted numbers as numbers', () => {
+    assert.deepEqual(compile('customFields.seats>=5'), { 'customFields.seats': { $gte: 5 } });
+    assert.deepEqual(compile('customFields.zip="02134"'), { 'customFields.zip': '02134' });
+});
+
+test('declared custom fields use their key and type', () => {
+    const customFields = new Map([
+        ['plan', { key: 'Plan', type: 'enum' }],
+        ['active', { key: 'active', type: 'boolean' }],
+    ]);
+
+    assert.deepEqual(compile('customFields.plan:pro', { customFields }), { 'customFields.Plan': 'pro' });
+    assert.deepEqual(compile('customFields.active=TRUE', { customFields }), { 'customFields.active': true });
+});
+
+test('custom field keys are collected from the tree', () => {
+    const ast = parseQuery('customFields.plan:pro AND (customFields.seats>1 OR NOT customFields.plan:free)');
+    assert.deepEqual(customFieldKeys(ast), ['plan', 'seats']);
+});
+
+test('only whitelisted fields can be queried', () => {
+    assert.equal(isQueryField('engagement.score'), true);
+    assert.equal(isQueryField('customFields.plan'), true);
+    assert.equal(isQueryField('orgId'), false);
+    assert.equal(isQueryField('customFields.$where'), false);
+    assertInvalid('orgId:abc', /Unknown field "orgId"/);
+});
+
+test('operators are checked per field type', () => {
+    assertInvalid('engagement.score~5', /Operator "~" is not supported/);
+    assertInvalid('tags>vip', /Operator ">" is not supported/);
+});
+
+test('values are always literals', () => {
+    assert.deepEqual(compile('firstName:"$where"'), { firstName: '$where' });
+    assertInvalid('firstName:{"$ne":1}', /Unexpected/);
+});
+
+test('syntax errors report their position', () => {
+    assertInvalid('', /Query is empty/);
+    assertInvalid('status:', /Expected a value after "status:"/);
+    assertInvalid('status', /Expected an operator after "status"/);
+    assertInvalid('(status:pending', /Missing closing parenthesis/);
+    assertInvalid('status:pending)', /Unexpected "\)" at position 15/);
+    assertInvalid('firstName:"ann', /Unterminated string at position 11/);
+});
+
+test('expression size and nesting are limited', () => {
+    assertInvalid('a'.repeat(2001), /cannot exceed 2000 characters/);
+    assertInvalid(Array.from({ length: 51 }, () => 'status:pending').join(' OR '), /more than 50 conditions/);
+    assertInvalid(`${'('.repeat(11)}status:pending${')'.repeat(11)}`, /nest deeper than 10 levels/);
+    assertInvalid(`${'NOT '.repeat(11)}status:pending`, /nest deeper than 10 levels/);
+});
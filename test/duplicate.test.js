@@ -0,0 +1,114 @@
+/**
+ * Duplicate detection: email normalization, fuzzy matching and merge plans
+ */
+
+require('./support/stubQueues');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact.model');
+const duplicateService = require('../services/duplicate.service');
+
+const orgId = new mongoose.Types.ObjectId();
+const contact = fields => new Contact({ orgId, ...fields });
+
+test('normalizeEmail lowercases and strips plus-addressing', () => {
+    assert.equal(duplicateService.normalizeEmail('Ann.Lee+news@Example.com'), 'ann.lee@example.com');
+});
+
+test('normalizeEmail drops Gmail dots and folds googlemail.com', () => {
+    assert.equal(duplicateService.normalizeEmail('a.n.n+x@gmail.com'), 'ann@gmail.com');
+    assert.equal(duplicateService.normalizeEmail('Ann.Lee@googlemail.com'), 'annlee@gmail.com');
+});
+
+test('isSimilarPerson tolerates accents, typos and company suffixes', () => {
+    assert.equal(duplicateService.isSimilarPerson(
+        { firstName: 'José', lastName: 'García', company: 'Acme Inc.' },
+        { firstName: 'Jose', lastName: 'Garcia', company: 'ACME' }
+    ), true);
+    assert.equal(duplicateService.isSimilarPerson(
+        { firstName: 'Jonathan', lastName: 'Smith', company: 'Globex' },
+        { firstName: 'Jonathon', lastName: 'Smith', company: 'Globex Corp' }
+    ), true);
+});
+
+test('isSimilarPerson requires both name and company to match', () => {
+    assert.equal(duplicateService.isSimilarPerson(
+        { firstName: 'Ann', lastName: 'Lee', company: 'Acme' },
+        { firstName: 'Ann', lastName: 'Lee', company: 'Initech' }
+    ), false);
+    assert.equal(duplicateService.isSimilarPerson(
+        { firstName: 'Ann', lastName: 'Lee', company: 'Acme' },
+        { firstName: 'Bob', lastName: 'Stone', company: 'Acme' }
+    ), false);
+});
+
+test('mergeLists keeps opt-outs and the earliest addedAt', () => {
+    const listId = new mongoose.Types.ObjectId();
+    const earlier = new Date('2024-01-01');
+    const later = new Date('2024-06-01');
+
+    const merged = duplicateService.mergeLists([
+        contact({ email: 'a@example.com', lists: [{ listId, status: 'active', addedAt: later }] }),
+        contact({ email: 'b@example.com', lists: [{ listId, status: 'unsubscribed', addedAt: earlier }] }),
+    ]);
+
+    assert.equal(merged.length, 1);
+    assert.equal(merged[0].status, 'unsubscribed');
+    assert.deepEqual(merged[0].addedAt, earlier);
+});
+
+test('mergeLists prefers an active membership over a pending one', () => {
+    const listId = new mongoose.Types.ObjectId();
+    const addedAt = new Date('2024-01-01');
+
+    const [merged] = duplicateService.mergeLists([
+        contact({
+            email: 'a@example.com',
+            lists: [{ listId, status: 'pending', addedAt, confirmationToken: 'hash' }],
+        }),
+        contact({ email: 'b@example.com', lists: [{ listId, status: 'active', addedAt }] }),
+    ]);
+
+    assert.equal(merged.status, 'active');
+    assert.equal(merged.confirmationToken, undefined);
+});
+
+test('buildMergePlan reports conflicts and keeps the most restrictive status', () => {
+    const primary = contact({ email: 'ann@example.com', firstName: 'Ann', status: 'subscribed', tags: ['a'] });
+    const duplicate = contact({
+        email: 'ann.lee@example.com',
+        firstName: 'Annie',
+        lastName: 'Lee',
+        status: 'unsubscribed',
+        statusReason: 'Clicked unsubscribe',
+        tags: ['a', 'b'],
+    });
+
+    const { conflicts, merged } = duplicateService.buildMergePlan(primary, [duplicate]);
+
+    assert.deepEqual(conflicts.map(c => c.field).sort(), ['email', 'firstName', 'status']);
+    assert.equal(merged.email, 'ann@example.com');
+    assert.equal(merged.lastName, 'Lee');
+    assert.equal(merged.status, 'unsubscribed');
+    assert.equal(merged.statusReason, 'Clicked unsubscribe');
+    assert.deepEqual(merged.tags, ['a', 'b']);
+});
+
+test('buildMergePlan applies resolutions and rejects unknown fields', () => {
+    const primary = contact({ email: 'ann@example.com', firstName: 'Ann' });
+    const duplicate = contact({ email: 'ann.lee@example.com', firstName: 'Annie' });
+
+    const { merged } = duplicateService.buildMergePlan(primary, [duplicate], { firstName: duplicate._id });
+    assert.equal(merged.firstName, 'Annie');
+
+    assert.throws(
+        () => duplicateService.buildMergePlan(primary, [duplicate], { orgId: duplicate._id }),
+        { statusCode: 400, code: 'INVALID_MERGE' }
+    );
+    assert.throws(
+        () => duplicateService.buildMergePlan(primary, [duplicate], { firstName: new mongoose.Types.ObjectId() }),
+        { statusCode: 400, code: 'INVALID_MERGE' }
+    );
+});
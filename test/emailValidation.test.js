@@ -0,0 +1,131 @@
+/**
+ * Email validation: syntax, disposable and role checks, typo suggestions and MX results
+ */
+
+require('./support/stubQueues');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const emailValidationService = require('../services/emailValidation.service');
+
+// Resolver answering from a fixed table; unknown domains fail the lookup
+function fakeResolver(table) {
+    const calls = [];
+    return {
+        calls,
+        async resolve(domain) {
+            calls.push(domain);
+            if (!(domain in table)) throw new Error('SERVFAIL');
+            return { hasMx: table[domain] };
+        },
+    };
+}
+
+test('isValidSyntax accepts RFC addresses', () => {
+    for (const email of [
+        'ann@example.com',
+        'ann.lee+news@mail.example.co.uk',
+        "o'brien@example.ie",
+        '"ann lee"@example.com',
+        'ann@xn--bcher-kva.example',
+    ]) {
+        assert.equal(emailValidationService.isValidSyntax(email), true, email);
+    }
+});
+
+test('isValidSyntax rejects malformed addresses', () => {
+    for (const email of [
+        'ann',
+        '@example.com',
+        'ann@',
+        'ann@localhost',
+        'ann..lee@example.com',
+        '.ann@example.com',
+        'ann lee@example.com',
+        'ann@-example.com',
+        'ann@example.c0m',
+        `${'a'.repeat(65)}@example.com`,
+        null,
+    ]) {
+        assert.equal(emailValidationService.isValidSyntax(email), false, String(email));
+    }
+});
+
+test('parse lowercases only the domain', () => {
+    assert.deepEqual(emailValidationService.parse('Ann.Lee@Example.COM'), { local: 'Ann.Lee', domain: 'example.com' });
+});
+
+test('isDisposable matches listed domains and their subdomains', () => {
+    assert.equal(emailValidationService.isDisposable('mailinator.com'), true);
+    assert.equal(emailValidationService.isDisposable('x.mailinator.com'), true);
+    assert.equal(emailValidationService.isDisposable('example.com'), false);
+});
+
+test('suggestDomain fixes provider and TLD typos', () => {
+    assert.equal(emailValidationService.suggestDomain('gmial.com'), 'gmail.com');
+    assert.equal(emailValidationService.suggestDomain('gmail.con'), 'gmail.com');
+    assert.equal(emailValidationService.suggestDomain('hotmial.co.uk'), 'hotmail.co.uk');
+    assert.equal(emailValidationService.suggestDomain('example.con'), 'example.com');
+});
+
+test('suggestDomain leaves real domains alone', () => {
+    assert.equal(emailValidationService.suggestDomain('gmail.com'), null);
+    assert.equal(emailValidationService.suggestDomain('hotmail.fr'), null);
+    assert.equal(emailValidationService.suggestDomain('example.com'), null);
+});
+
+test('validate grades addresses by their reasons', async () => {
+    emailValidationService.setResolver(fakeResolver({
+        'example.com': true,
+        'gmail.com': true,
+        'mailinator.com': true,
+        'nomx.example': false,
+    }));
+
+    assert.deepEqual(await emailValidationService.validate('ann@example.com'), {
+        status: 'valid', reasons: [], suggestion: null,
+    });
+    assert.deepEqual(await emailValidationService.validate('not an email'), {
+        status: 'invalid', reasons: ['syntax'], suggestion: null,
+    });
+    assert.deepEqual(await emailValidationService.validate('ann@nomx.example'), {
+        status: 'invalid', reasons: ['no_mx'], suggestion: null,
+    });
+    assert.deepEqual(await emailValidationService.validate('Support+x@example.com'), {
+        status: 'risky', reasons: ['role_account'], suggestion: null,
+    });
+    assert.deepEqual(await emailValidationService.validate('ann@mailinator.com'), {
+        status: 'risky', reasons: ['disposable'], suggestion: null,
+    });
+    assert.deepEqual(await emailValidationService.validate('ann@down.example'), {
+        status: 'unknown', reasons: ['mx_lookup_failed'], suggestion: null,
+    });
+    assert.deepEqual(await emailValidationService.validate('ann@gmial.com', { checkMx: false }), {
+        status: 'risky', reasons: ['possible_typo'], suggestion: 'ann@gmail.com',
+    });
+});
+
+test('validateMany looks each domain up once and retries failed lookups', async () => {
+    const resolver = fakeResolver({ 'example.com': true });
+    emailValidationService.setResolver(resolver);
+
+    const results = await emailValidationService.validateMany([
+        'a@example.com', 'b@example.com', 'c@example.com', 'a@down.example',
+    ]);
+
+    assert.equal(results.size, 4);
+    assert.equal(results.get('b@example.com').status, 'valid');
+    assert.equal(results.get('a@down.example').status, 'unknown');
+    assert.deepEqual(resolver.calls.sort(), ['down.example', 'example.com']);
+
+    await emailValidationService.validate('b@down.example');
+    assert.equal(resolver.calls.filter(d => d === 'down.example').length, 2);
+});
+
+test('toValidationRecord drops an empty suggestion', () => {
+    const record = emailValidationService.toValidationRecord({ status: 'valid', reasons: [], suggestion: null });
+
+    assert.equal(record.status, 'valid');
+    assert.equal(record.suggestion, undefined);
+    assert.ok(record.validatedAt instanceof Date);
+});
@@ -0,0 +1,111 @@
+/**
+ * Public form submissions: field parsing and source attribution
+ */
+
+require('./support/stubQueues');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const formService = require('../services/form.service');
+
+const form = fields => ({ _id: 'f1', fields });
+
+test('email is always read and lowercased', () => {
+    const { contactData, errors } = formService.parseSubmission(form([]), { email: '  Ann@Example.COM ' });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(contactData, { email: 'ann@example.com' });
+});
+
+test('email is required and must be valid', () => {
+    assert.deepEqual(formService.parseSubmission(form([]), {}).errors, ['Email is required']);
+    assert.deepEqual(
+        formService.parseSubmission(form([]), { email: 'not-an-email' }).errors,
+        ['Email must be a valid email address']
+    );
+});
+
+test('only fields defined on the form are read', () => {
+    const { contactData } = formService.parseSubmission(
+        form([{ name: 'firstName', type: 'text' }]),
+        { email: 'ann@example.com', firstName: 'Ann', status: 'subscribed', orgId: 'x' }
+    );
+
+    assert.deepEqual(contactData, { email: 'ann@example.com', firstName: 'Ann' });
+});
+
+test('required fields use their label in errors', () => {
+    const { errors } = formService.parseSubmission(
+        form([{ name: 'company', label: 'Company name', type: 'text', required: true }]),
+        { email: 'ann@example.com', company: '   ' }
+    );
+
+    assert.deepEqual(errors, ['Company name is required']);
+});
+
+test('number and date fields are converted and checked', () => {
+    const fields = [
+        { name: 'customFields.seats', label: 'Seats', type: 'number' },
+        { name: 'customFields.renewal', label: 'Renewal', type: 'date' },
+    ];
+
+    const valid = formService.parseSubmission(form(fields), {
+        email: 'ann@example.com',
+        'customFields.seats': '12',
+        'customFields.renewal': '2025-03-01',
+    });
+    assert.deepEqual(valid.errors, []);
+    assert.deepEqual(valid.contactData.customFields, { seats: 12, renewal: new Date('2025-03-01') });
+
+    const invalid = formService.parseSubmission(form(fields), {
+        email: 'ann@example.com',
+        'customFields.seats': 'many',
+        'customFields.renewal': 'soon',
+    });
+    assert.deepEqual(invalid.errors, ['Seats must be a number', 'Renewal must be a valid date']);
+});
+
+test('location fields are nested', () => {
+    const { contactData } = formService.parseSubmission(
+        form([{ name: 'location.city', type: 'text' }, { name: 'location.country', type: 'text' }]),
+        { email: 'ann@example.com', 'location.city': 'Lisbon', 'location.country': 'PT' }
+    );
+
+    assert.deepEqual(contactData.location, { city: 'Lisbon', country: 'PT' });
+});
+
+test('repeated, numeric and oversized values are normalized', () => {
+    const { contactData } = formService.parseSubmission(
+        form([{ name: 'firstName', type: 'text' }, { name: 'phone', type: 'text' }, { name: 'company', type: 'text' }]),
+        { email: ['ann@example.com', 'other@example.com'], phone: 5551234, company: 'x'.repeat(600), firstName: { $ne: 1 } }
+    );
+
+    assert.equal(contactData.email, 'ann@example.com');
+    assert.equal(contactData.phone, '5551234');
+    assert.equal(contactData.company.length, 500);
+    assert.equal(contactData.firstName, undefined);
+});
+
+test('buildSource prefers posted UTM params over the referrer', () => {
+    const source = formService.buildSource(form([]), {
+        referrer: 'https://example.com/pricing?utm_source=ads&utm_medium=cpc',
+        utm_source: 'newsletter',
+    }, {});
+
+    assert.deepEqual(source, {
+        type: 'form',
+        detail: 'form_f1',
+        referrer: 'https://example.com/pricing?utm_source=ads&utm_medium=cpc',
+        utmSource: 'newsletter',
+        medium: 'cpc',
+        campaign: undefined,
+    });
+});
+
+test('buildSource falls back to the Referer header and tolerates non-URLs', () => {
+    assert.equal(
+        formService.buildSource(form([]), {}, { referer: 'https://example.com/' }).referrer,
+        'https://example.com/'
+    );
+    assert.equal(formService.buildSource(form([]), { referrer: 'not a url' }, {}).utmSource, undefined);
+});
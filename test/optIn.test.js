@@ -0,0 +1,88 @@
+/**
+ * Double opt-in: who is held for confirmation and what expiry does to them
+ */
+
+require('./support/stubQueues');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact.model');
+const List = require('../models/List.model');
+const optInService = require('../services/optIn.service');
+
+const orgId = new mongoose.Types.ObjectId();
+const listId = new mongoose.Types.ObjectId();
+const contact = fields => new Contact({ orgId, email: `${new mongoose.Types.ObjectId()}@example.com`, ...fields });
+
+// Query stand-in for chains ending in .select()
+const query = result => ({ select: async () => result });
+
+test('holdForConfirmation holds new contacts and only the membership of existing ones', async (t) => {
+    const created = contact({ status: 'subscribed' });
+    const existing = contact({ status: 'subscribed', lists: [{ listId, status: 'active' }] });
+    const alreadyPending = contact({ status: 'pending' });
+
+    t.mock.method(optInService, 'getPolicy', async () => ({ required: true, templateId: null }));
+    t.mock.method(optInService, 'sendConfirmationEmail', async () => {});
+    t.mock.method(Contact, 'find', async () => [created, existing, alreadyPending]);
+    const updateOne = t.mock.method(Contact, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const held = await optInService.holdForConfirmation(
+        orgId,
+        listId,
+        [created._id, existing._id, alreadyPending._id],
+        { createdIds: [created._id] }
+    );
+
+    assert.deepEqual(held, new Set([created._id, existing._id, alreadyPending._id].map(String)));
+    assert.equal(updateOne.mock.callCount(), 2);
+
+    const [contactFilter, contactUpdate] = updateOne.mock.calls[0].arguments;
+    assert.deepEqual(contactFilter, { _id: created._id });
+    assert.equal(contactUpdate.status, 'pending');
+    assert.equal(contactUpdate['optIn.previousStatus'], 'subscribed');
+
+    const [membershipFilter, membershipUpdate, options] = updateOne.mock.calls[1].arguments;
+    assert.deepEqual(membershipFilter, { _id: existing._id });
+    assert.equal(membershipUpdate.status, undefined);
+    assert.equal(membershipUpdate.$set['lists.$[entry].status'], 'pending');
+    assert.deepEqual(options, { arrayFilters: [{ 'entry.listId': listId }] });
+});
+
+test('holdForConfirmation does nothing when the lists do not require it', async (t) => {
+    t.mock.method(optInService, 'getPolicy', async () => ({ required: false }));
+    const find = t.mock.method(Contact, 'find', async () => []);
+
+    const held = await optInService.holdForConfirmation(orgId, listId, [new mongoose.Types.ObjectId()]);
+
+    assert.equal(held.size, 0);
+    assert.equal(find.mock.callCount(), 0);
+});
+
+test('purgeExpired restores prior subscribers and deletes only never-confirmed contacts', async (t) => {
+    const returning = contact({ status: 'pending', optIn: { type: 'double', previousStatus: 'subscribed' } });
+    const refreshStats = t.mock.fn(async () => {});
+
+    t.mock.method(Contact, 'distinct', async () => [listId]);
+    t.mock.method(Contact, 'find', () => query([returning]));
+    const updateOne = t.mock.method(Contact, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const deleteMany = t.mock.method(Contact, 'deleteMany', async () => ({ deletedCount: 2 }));
+    t.mock.method(Contact, 'updateMany', async () => ({ modifiedCount: 3 }));
+    t.mock.method(List, 'findById', async () => ({ refreshStats }));
+
+    const result = await optInService.purgeExpired();
+
+    assert.deepEqual(result, { deleted: 2, restored: 1, expiredMemberships: 3 });
+
+    const [restoreFilter, restoreUpdate] = updateOne.mock.calls[0].arguments;
+    assert.deepEqual(restoreFilter, { _id: returning._id, status: 'pending' });
+    assert.equal(restoreUpdate.status, 'subscribed');
+    assert.equal(restoreUpdate.statusReason, 'Double opt-in expired');
+
+    const [deleteFilter] = deleteMany.mock.calls[0].arguments;
+    assert.equal(deleteFilter['optIn.previousStatus'], null);
+    assert.equal(deleteFilter.status, 'pending');
+
+    assert.equal(refreshStats.mock.callCount(), 1);
+});
@@ -0,0 +1,16 @@
+/**
+ * Replace queues/index.js with an empty module so services load without Redis
+ *
+ * Require this before any service under test.
+ */
+
+const path = require('path');
+
+const queuesPath = require.resolve(path.join(__dirname, '../../queues'));
+
+require.cache[queuesPath] = {
+    id: queuesPath,
+    filename: queuesPath,
+    loaded: true,
+    exports: {},
+};
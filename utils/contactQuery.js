@@ -0,0 +1,416 @@
+/**
+ * Contact Query Language
+ *
+ * Parses filter expressions such as
+ *   tag:vip AND engagement.score>70 AND customFields.plan="pro"
+ * into MongoDB contact queries. Only whitelisted fields (and
+ * customFields.<key>) can be queried and values are always literals,
+ * so an expression can't inject query operators.
+ *
+ * Grammar (AND binds tighter than OR; keywords are case-insensitive):
+ *   expression := and ( OR and )*
+ *   and        := unary ( AND unary )*
+ *   unary      := NOT unary | '(' expression ')' | field operator value
+ *   operator   := ':' | '=' | '!=' | '>' | '>=' | '<' | '<=' | '~' (contains)
+ *   value      := word | "quoted string"
+ */
+
+const AppError = require('./AppError');
+
+// Limits on a single expression
+const MAX_LENGTH = 2000;
+const MAX_CONDITIONS = 50;
+const MAX_DEPTH = 10;
+
+// Queryable fields: name -> { path (defaults to the name), type }
+const FIELDS = {
+    email: { type: 'text' },
+    firstName: { type: 'text' },
+    lastName: { type: 'text' },
+    phone: { type: 'text' },
+    company: { type: 'text' },
+    jobTitle: { type: 'text' },
+    status: { type: 'text' },
+    tag: { path: 'tags', type: 'tags' },
+    tags: { type: 'tags' },
+    list: { path: 'lists', type: 'list' },
+    source: { path: 'source.type', type: 'text' },
+    'location.city': { type: 'text' },
+    'location.state': { type: 'text' },
+    'location.country': { type: 'text' },
+    'location.zipCode': { type: 'text' },
+    'location.timezone': { type: 'text' },
+    'engagement.score': { type: 'number' },
+    'engagement.level': { type: 'text' },
+    'engagement.emailsReceived': { type: 'number' },
+    'engagement.emailsOpened': { type: 'number' },
+    'engagement.emailsClicked': { type: 'number' },
+    'engagement.openRate': { type: 'number' },
+    'engagement.clickRate': { type: 'number' },
+    'engagement.lastEmailSentAt': { type: 'date' },
+    'engagement.lastOpenedAt': { type: 'date' },
+    'engagement.lastClickedAt': { type: 'date' },
+    'deliverability.emailValidation.status': { type: 'text' },
+    createdAt: { type: 'date' },
+    updatedAt: { type: 'date' },
+    statusChangedAt: { type: 'date' },
+};
+
+// Operators allowed per field type (':' and '=' both mean equals)
+const OPERATORS = {
+    text: [':', '=', '!=', '~'],
+    tags: [':', '=', '!=', '~'],
+    number: [':', '=', '!=', '>', '>=', '<', '<='],
+    date: [':', '=', '!=', '>', '>=', '<', '<='],
+    boolean: [':', '=', '!='],
+    list: [':', '=', '!='],
+};
+
+// Stored lowercased, so values are lowercased to match
+const LOWERCASE_PATHS = ['email', 'tags'];
+
+// Custom field definition type -> query type
+const CUSTOM_FIELD_TYPES = {
+    text: 'text',
+    enum: 'text',
+    number: 'number',
+    date: 'date',
+    boolean: 'boolean',
+};
+
+const CUSTOM_FIELD_PATTERN = /^customFields\.([A-Za-z0-9_-]+)$/;
+
+// One token: ( ) "string" operator word
+const TOKEN_PATTERN = /\s*(?:(\()|(\))|("(?:[^"\\]|\\.)*")|(>=|<=|!=|[:=<>~])|([^\s()"=:<>!~]+))/y;
+
+/**
+ * Parse an expression into a syntax tree
+ * Nodes: { type: 'and' | 'or', children }, { type: 'not', child },
+ * { type: 'condition', field, operator, value, quoted }
+ */
+function parseQuery(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw invalid('Query is empty');
+    }
+
+    if (expression.length > MAX_LENGTH) {
+        throw invalid(`Query cannot exceed ${MAX_LENGTH} characters`);
+    }
+
+    const parser = new Parser(tokenize(expression));
+    const ast = parser.parseExpression(0);
+
+    if (!parser.done()) {
+        throw parser.unexpected();
+    }
+
+    return ast;
+}
+
+/**
+ * Compile a syntax tree into a MongoDB query
+ * customFields: Map of lowercased key -> { key, type } from the
+ * organization's definitions; undeclared custom fields compare unquoted
+ * numbers as numbers and everything else as text.
+ */
+function compileQuery(ast, { customFields = new Map() } = {}) {
+    switch (ast.type) {
+        case 'and':
+            return { $and: ast.children.map(child => compileQuery(child, { customFields })) };
+        case 'or':
+            return { $or: ast.children.map(child => compileQuery(child, { customFields })) };
+        case 'not':
+            return { $nor: [compileQuery(ast.child, { customFields })] };
+        default:
+            return compileCondition(ast, customFields);
+    }
+}
+
+/**
+ * Custom field keys referenced by a syntax tree
+ */
+function customFieldKeys(ast) {
+    if (ast.type === 'condition') {
+        const match = CUSTOM_FIELD_PATTERN.exec(ast.field);
+        return match ? [match[1]] : [];
+    }
+
+    const children = ast.type === 'not' ? [ast.child] : ast.children;
+    return [...new Set(children.flatMap(customFieldKeys))];
+}
+
+/**
+ * Whether a field can be queried (also used for view columns and sort)
+ */
+function isQueryField(field) {
+    return Object.hasOwn(FIELDS, field) || CUSTOM_FIELD_PATTERN.test(field);
+}
+
+/**
+ * Document path of a field (tag -> tags, source -> source.type)
+ */
+function fieldPath(field) {
+    return (Object.hasOwn(FIELDS, field) && FIELDS[field].path) || field;
+}
+
+/**
+ * Split an expression into tokens with their positions
+ */
+function tokenize(expression) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+
+    while (TOKEN_PATTERN.lastIndex < expression.length) {
+        const start = TOKEN_PATTERN.lastIndex;
+        const match = TOKEN_PATTERN.exec(expression);
+
+        if (!match) {
+            const position = start + (expression.slice(start).length - expression.slice(start).trimStart().length);
+
+            if (position >= expression.length) break;
+
+            throw invalid(expression[position] === '"'
+                ? `Unterminated string at position ${position + 1}`
+                : `Unexpected "${expression[position]}" at position ${position + 1}`);
+        }
+
+        const [text, open, close, string, operator, word] = match;
+        const position = start + text.length - text.trimStart().length;
+
+        if (open) tokens.push({ type: '(', value: open, position });
+        else if (close) tokens.push({ type: ')', value: close, position });
+        else if (string) tokens.push({ type: 'string', value: string.slice(1, -1).replace(/\\(.)/g, '$1'), position });
+        else if (operator) tokens.push({ type: 'operator', value: operator, position });
+        else tokens.push({ type: 'word', value: word, position });
+    }
+
+    return tokens;
+}
+
+/**
+ * Recursive descent parser over a token list
+ */
+class Parser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.index = 0;
+        this.conditions = 0;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    done() {
+        return this.index >= this.tokens.length;
+    }
+
+    isKeyword(keyword) {
+        const token = this.peek();
+        return token?.type === 'word' && token.value.toUpperCase() === keyword;
+    }
+
+    unexpected(token = this.peek()) {
+        return token
+            ? invalid(`Unexpected "${token.value}" at position ${token.position + 1}`)
+            : invalid('Unexpected end of query');
+    }
+
+    parseExpression(depth) {
+        const children = [this.parseAnd(depth)];
+
+        while (this.isKeyword('OR')) {
+            this.next();
+            children.push(this.parseAnd(depth));
+        }
+
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    parseAnd(depth) {
+        const children = [this.parseUnary(depth)];
+
+        while (this.isKeyword('AND')) {
+            this.next();
+            children.push(this.parseUnary(depth));
+        }
+
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    parseUnary(depth) {
+        if (depth > MAX_DEPTH) {
+            throw invalid(`Query cannot nest deeper than ${MAX_DEPTH} levels`);
+        }
+
+        if (this.isKeyword('NOT')) {
+            this.next();
+            return { type: 'not', child: this.parseUnary(depth + 1) };
+        }
+
+        if (this.peek()?.type === '(') {
+            this.next();
+            const node = this.parseExpression(depth + 1);
+
+            if (this.peek()?.type !== ')') {
+                throw this.peek() ? this.unexpected() : invalid('Missing closing parenthesis');
+            }
+            this.next();
+
+            return node;
+        }
+
+        return this.parseCondition();
+    }
+
+    parseCondition() {
+        const field = this.next();
+        if (field?.type !== 'word') {
+            throw this.unexpected(field);
+        }
+
+        const operator = this.next();
+        if (operator?.type !== 'operator') {
+            throw invalid(`Expected an operator after "${field.value}" at position ${field.position + 1}`);
+        }
+
+        const value = this.next();
+        if (value?.type !== 'word' && value?.type !== 'string') {
+            throw invalid(`Expected a value after "${field.value}${operator.value}" at position ${operator.position + 1}`);
+        }
+
+        if (++this.conditions > MAX_CONDITIONS) {
+            throw invalid(`Query cannot have more than ${MAX_CONDITIONS} conditions`);
+        }
+
+        return {
+            type: 'condition',
+            field: field.value,
+            operator: operator.value,
+            value: value.value,
+            quoted: value.type === 'string',
+        };
+    }
+}
+
+/**
+ * Compile one field/operator/value condition
+ */
+function compileCondition(condition, customFields) {
+    const { field, operator } = condition;
+    const { path, type } = resolveField(condition, customFields);
+
+    if (!OPERATORS[type].includes(operator)) {
+        throw invalid(`Operator "${operator}" is not supported for ${field}`);
+    }
+
+    let value = toValue(type, condition);
+
+    if (type === 'list') {
+        const membership = { $elemMatch: { listId: value, status: 'active' } };
+        return operator === '!=' ? { [path]: { $not: membership } } : { [path]: membership };
+    }
+
+    if (LOWERCASE_PATHS.includes(path)) {
+        value = value.toLowerCase();
+    }
+
+    switch (operator) {
+        case '!=':
+            return { [path]: { $ne: value } };
+        case '~':
+            return { [path]: { $regex: value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' } };
+        case '>':
+            return { [path]: { $gt: value } };
+        case '>=':
+            return { [path]: { $gte: value } };
+        case '<':
+            return { [path]: { $lt: value } };
+        case '<=':
+            return { [path]: { $lte: value } };
+        default:
+            return { [path]: value };
+    }
+}
+
+/**
+ * Resolve a field name to its document path and type
+ */
+function resolveField({ field, value, quoted }, customFields) {
+    if (Object.hasOwn(FIELDS, field)) {
+        return { path: FIELDS[field].path || field, type: FIELDS[field].type };
+    }
+
+    const match = CUSTOM_FIELD_PATTERN.exec(field);
+    if (!match) {
+        throw invalid(`Unknown field "${field}"`);
+    }
+
+    // Declared keys are matched case-insensitively and rewritten to the stored key
+    const definition = customFields.get(match[1].toLowerCase());
+    if (definition) {
+        return { path: `customFields.${definition.key}`, type: CUSTOM_FIELD_TYPES[definition.type] || 'text' };
+    }
+
+    const numeric = !quoted && value.trim() !== '' && Number.isFinite(Number(value));
+    return { path: field, type: numeric ? 'number' : 'text' };
+}
+
+/**
+ * Convert a literal to the field's type
+ */
+function toValue(type, { field, value }) {
+    switch (type) {
+        case 'number': {
+            const number = Number(value);
+            if (value.trim() === '' || !Number.isFinite(number)) {
+                throw invalid(`${field} expects a number, got "${value}"`);
+            }
+            return number;
+        }
+
+        case 'date': {
+            const date = new Date(value);
+            if (isNaN(date.getTime())) {
+                throw invalid(`${field} expects a date (e.g. 2024-01-31), got "${value}"`);
+            }
+            return date;
+        }
+
+        case 'boolean': {
+            const normalized = value.toLowerCase();
+            if (normalized !== 'true' && normalized !== 'false') {
+                throw invalid(`${field} expects true or false, got "${value}"`);
+            }
+            return normalized === 'true';
+        }
+
+        case 'list':
+            if (!/^[a-fA-F0-9]{24}$/.test(value)) {
+                throw invalid(`${field} expects a list ID, got "${value}"`);
+            }
+            return value;
+
+        default:
+            return value;
+    }
+}
+
+/**
+ * Query errors are client errors
+ */
+function invalid(message) {
+    return new AppError(`Invalid query: ${message}`, 400, 'INVALID_QUERY');
+}
+
+module.exports = {
+    parseQuery,
+    compileQuery,
+    customFieldKeys,
+    isQueryField,
+    fieldPath,
+};
@@ -0,0 +1,42 @@
+/**
+ * CSV Utilities
+ *
+ * Serializing values for CSV files (contact exports, suppression exports).
+ */
+
+/**
+ * Serialize values as one CSV line
+ */
+function toCSVLine(values) {
+    return values.map(toCSVValue).join(',') + '\n';
+}
+
+/**
+ * Quote a CSV value; arrays are comma-joined and dates ISO formatted
+ */
+function toCSVValue(value) {
+    if (value === null || value === undefined) return '""';
+
+    let text;
+    if (Array.isArray(value)) {
+        text = value.join(', ');
+    } else if (value instanceof Date) {
+        text = value.toISOString();
+    } else if (typeof value === 'object') {
+        text = JSON.stringify(value);
+    } else {
+        text = String(value);
+    }
+
+    // Neutralise spreadsheet formulas
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+module.exports = {
+    toCSVLine,
+    toCSVValue,
+};
@@ -0,0 +1,73 @@
+/**
+ * Disposable Email Domains
+ *
+ * Bundled list of common throwaway/temporary mailbox providers used by
+ * email validation. Matching also covers subdomains (e.g. x.mailinator.com).
+ */
+
+module.exports = new Set([
+    '10minutemail.com',
+    '10minutemail.net',
+    '20minutemail.com',
+    '33mail.com',
+    'anonbox.net',
+    'burnermail.io',
+    'discard.email',
+    'discardmail.com',
+    'dispostable.com',
+    'dropmail.me',
+    'emailondeck.com',
+    'fakeinbox.com',
+    'fakemail.net',
+    'getairmail.com',
+    'getnada.com',
+    'guerrillamail.biz',
+    'guerrillamail.com',
+    'guerrillamail.de',
+    'guerrillamail.info',
+    'guerrillamail.net',
+    'guerrillamail.org',
+    'guerrillamailblock.com',
+    'harakirimail.com',
+    'incognitomail.org',
+    'inboxbear.com',
+    'jetable.org',
+    'mailcatch.com',
+    'maildrop.cc',
+    'mailinator.com',
+    'mailinator.net',
+    'mailinator2.com',
+    'mailnesia.com',
+    'mailnull.com',
+    'mailpoof.com',
+    'mailsac.com',
+    'mintemail.com',
+    'moakt.com',
+    'mohmal.com',
+    'mytemp.email',
+    'mytrashmail.com',
+    'nada.email',
+    'sharklasers.com',
+    'spam4.me',
+    'spambog.com',
+    'spamgourmet.com',
+    'spamex.com',
+    'tempail.com',
+    'tempinbox.com',
+    'tempmail.com',
+    'tempmail.net',
+    'tempmail.plus',
+    'tempmailo.com',
+    'temp-mail.io',
+    'temp-mail.org',
+    'tempr.email',
+    'throwawaymail.com',
+    'trashmail.com',
+    'trashmail.de',
+    'trashmail.net',
+    'trbvm.com',
+    'yopmail.com',
+    'yopmail.fr',
+    'yopmail.net',
+    'zetmail.com',
+]);
@@ -0,0 +1,43 @@
+/**
+ * Domain Events
+ *
+ * In-process event bus for contact and engagement events.
+ * Each process (API server, workers) registers its own listeners.
+ * Listeners return their handler's promise, so bulk emitters can use
+ * emitAndWait to handle one event at a time instead of flooding them.
+ */
+
+const { EventEmitter } = require('events');
+
+const EVENTS = {
+    CONTACT_CREATED: 'contact.created',
+    CONTACT_UPDATED: 'contact.updated',
+    CONTACT_MERGED: 'contact.merged',
+    TAG_ADDED: 'contact.tag_added',
+    TAG_REMOVED: 'contact.tag_removed',
+    LIST_SUBSCRIBED: 'contact.list_subscribed',
+    LIST_REMOVED: 'contact.list_removed',
+    CONTACT_UNSUBSCRIBED: 'contact.unsubscribed',
+    CONTACT_STATUS_CHANGED: 'contact.status_changed',
+    ENGAGEMENT_LEVEL_CHANGED: 'contact.engagement_level_changed',
+    AUTOMATION_ENTERED: 'automation.entered',
+    AUTOMATION_STEP_COMPLETED: 'automation.step_completed',
+    AUTOMATION_EXITED: 'automation.exited',
+    EMAIL_OPENED: 'email.opened',
+    EMAIL_CLICKED: 'email.clicked',
+};
+
+const domainEvents = new EventEmitter();
+
+/**
+ * Emit an event and wait until every listener has finished with it
+ */
+async function emitAndWait(event, payload) {
+    await Promise.allSettled(domainEvents.listeners(event).map(listener => listener(payload)));
+}
+
+module.exports = {
+    domainEvents,
+    EVENTS,
+    emitAndWait,
+};
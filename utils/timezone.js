@@ -0,0 +1,139 @@
+/**
+ * Timezone Utilities
+ *
+ * IANA timezone helpers built on Intl (no external dependencies).
+ */
+
+// Step used when searching for the next allowed time
+const SEARCH_STEP_MS = 15 * 60 * 1000;
+
+// Cache formatters - constructing Intl.DateTimeFormat is expensive
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            weekday: 'long',
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * Check a timezone name is supported
+ */
+function isValidTimezone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Get wall-clock parts of a date in a timezone
+ */
+function getZonedParts(date, timeZone = 'UTC') {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        parts[type] = value;
+    }
+
+    return {
+        year: parseInt(parts.year),
+        month: parseInt(parts.month),
+        day: parseInt(parts.day),
+        hour: parseInt(parts.hour),
+        minute: parseInt(parts.minute),
+        weekday: parts.weekday.toLowerCase(),
+    };
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC Date
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone = 'UTC') {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Offset between the wall clock and UTC at the guessed instant
+    const zoned = getZonedParts(new Date(guess), timeZone);
+    const asUtc = Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute);
+
+    return new Date(guess - (asUtc - guess));
+}
+
+/**
+ * Check whether a date falls inside an hour/day window
+ * Window: { startHour, endHour, days } - endHour is exclusive, overnight windows allowed
+ */
+function isWithinWindow(date, window, timeZone = 'UTC') {
+    const { hour, weekday } = getZonedParts(date, timeZone);
+    const { startHour = 0, endHour = 24, days } = window;
+
+    if (days && days.length > 0 && !days.includes(weekday)) {
+        return false;
+    }
+
+    if (startHour === endHour) return true;
+
+    return startHour < endHour
+        ? hour >= startHour && hour < endHour
+        : hour >= startHour || hour < endHour;
+}
+
+/**
+ * Find the earliest time at or after `from` inside the window
+ * Returns `from` if already inside, or null if no time matches within 8 days
+ */
+function nextTimeInWindow(window, timeZone = 'UTC', from = new Date()) {
+    if (isWithinWindow(from, window, timeZone)) {
+        return from;
+    }
+
+    // Align to the next quarter hour, then walk forward
+    let candidate = Math.ceil(from.getTime() / SEARCH_STEP_MS) * SEARCH_STEP_MS;
+    const limit = from.getTime() + 8 * 24 * 60 * 60 * 1000;
+
+    for (; candidate <= limit; candidate += SEARCH_STEP_MS) {
+        if (isWithinWindow(new Date(candidate), window, timeZone)) {
+            return new Date(candidate);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Next occurrence of a local hour (HH:00) at or after `from`, within 24 hours
+ */
+function nextOccurrenceOfHour(hour, timeZone = 'UTC', from = new Date()) {
+    const today = getZonedParts(from, timeZone);
+    let candidate = zonedTimeToUtc({ ...today, hour, minute: 0 }, timeZone);
+
+    if (candidate < from) {
+        // Same wall-clock hour on the next local day
+        const tomorrow = getZonedParts(new Date(from.getTime() + 24 * 60 * 60 * 1000), timeZone);
+        candidate = zonedTimeToUtc({ ...tomorrow, hour, minute: 0 }, timeZone);
+    }
+
+    return candidate;
+}
+
+module.exports = {
+    isValidTimezone,
+    getZonedParts,
+    zonedTimeToUtc,
+    isWithinWindow,
+    nextTimeInWindow,
+    nextOccurrenceOfHour,
+};
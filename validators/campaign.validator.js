@@ -4,6 +4,11 @@
  * Request validation for campaign endpoints.
  */
 
+const { isValidTimezone } = require('../utils/timezone');
+
+// Email validation statuses a campaign can leave out
+const EXCLUDABLE_EMAIL_STATUSES = ['invalid', 'risky', 'catch-all', 'unknown'];
+
 /**
  * Validate create campaign request
  */
@@ -86,6 +91,22 @@ const validateRecipients = (req, res, next) => {
         errors.push('Segments must be an array');
     }
 
+    const { seedLists } = req.body;
+    if (seedLists !== undefined && (
+        !Array.isArray(seedLists)
+        || seedLists.some(id => !/^[a-fA-F0-9]{24}$/.test(id))
+    )) {
+        errors.push('seedLists must be an array of list IDs');
+    }
+
+    const { excludeEmailStatuses } = req.body;
+    if (excludeEmailStatuses !== undefined && (
+        !Array.isArray(excludeEmailStatuses)
+        || excludeEmailStatuses.some(s => !EXCLUDABLE_EMAIL_STATUSES.includes(s))
+    )) {
+        errors.push(`excludeEmailStatuses must be an array of: ${EXCLUDABLE_EMAIL_STATUSES.join(', ')}`);
+    }
+
     if (errors.length > 0) {
         return res.status(400).json({
             success: false,
@@ -101,7 +122,7 @@ const validateRecipients = (req, res, next) => {
  * Validate schedule request
  */
 const validateSchedule = (req, res, next) => {
-    const { scheduledAt } = req.body;
+    const { scheduledAt, timezone, useRecipientTimezone } = req.body;
     const errors = [];
 
     if (!scheduledAt) {
@@ -115,6 +136,14 @@ const validateSchedule = (req, res, next) => {
         }
     }
 
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+        errors.push('Invalid timezone');
+    }
+
+    if (useRecipientTimezone !== undefined && typeof useRecipientTimezone !== 'boolean') {
+        errors.push('useRecipientTimezone must be a boolean');
+    }
+
     if (errors.length > 0) {
         return res.status(400).json({
             success: false,
@@ -72,6 +72,169 @@ const validateUpdateContact = (req, res, next) => {
     next();
 };
 
+// Contact fields that can be exported (plus customFields / customFields.<key>)
+const EXPORT_FIELDS = [
+    'email', 'firstName', 'lastName', 'phone', 'company', 'jobTitle',
+    'location.city', 'location.state', 'location.country', 'location.zipCode', 'location.timezone',
+    'tags', 'status', 'source.type',
+    'engagement.score', 'engagement.level', 'engagement.lastOpenedAt', 'engagement.lastClickedAt',
+    'createdAt', 'updatedAt',
+];
+
+/**
+ * Validate create export request
+ */
+const validateCreateExport = (req, res, next) => {
+    const { listId, segmentId, tags, status, fields, format } = req.body;
+    const errors = [];
+
+    if (format !== undefined && !['csv', 'json', 'ndjson'].includes(format)) {
+        errors.push('Format must be one of: csv, json, ndjson');
+    }
+
+    if (fields !== undefined) {
+        if (!Array.isArray(fields) || fields.length === 0) {
+            errors.push('Fields must be a non-empty array');
+        } else {
+            const invalid = fields.filter(field => !(
+                EXPORT_FIELDS.includes(field)
+                || field === 'customFields'
+                || /^customFields\.[^.$]+$/.test(field)
+            ));
+            if (invalid.length > 0) {
+                errors.push(`Invalid export fields: ${invalid.join(', ')}`);
+            }
+        }
+    }
+
+    if (listId !== undefined && !isValidObjectId(listId)) {
+        errors.push('Invalid listId');
+    }
+
+    if (segmentId !== undefined && !isValidObjectId(segmentId)) {
+        errors.push('Invalid segmentId');
+    }
+
+    if (tags !== undefined && (!Array.isArray(tags) || tags.some(t => typeof t !== 'string'))) {
+        errors.push('Tags must be an array of strings');
+    }
+
+    if (status !== undefined) {
+        const validStatuses = ['subscribed', 'unsubscribed', 'cleaned', 'pending', 'bounced', 'complained'];
+        if (!validStatuses.includes(status)) {
+            errors.push(`Invalid status. Must be one of: ${validStatuses.join(', ')}`);
+        }
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors,
+        });
+    }
+
+    next();
+};
+
+// Contact statuses (filter.status)
+const CONTACT_STATUSES = ['subscribed', 'unsubscribed', 'cleaned', 'pending', 'bounced', 'complained'];
+
+// Statuses set_status can apply - subscribing in bulk would reverse
+// opt-outs and skip double opt-in
+const BULK_STATUSES = ['unsubscribed', 'cleaned', 'bounced', 'complained'];
+
+// Bulk actions and the contact fields set_field can change (plus customFields.<key>)
+const BULK_ACTIONS = ['set_status', 'set_field', 'add_tags', 'remove_tags', 'add_to_list', 'remove_from_list', 'delete'];
+const BULK_SETTABLE_FIELDS = [
+    'firstName', 'lastName', 'phone', 'company', 'jobTitle',
+    'location.city', 'location.state', 'location.country', 'location.zipCode', 'location.timezone',
+];
+
+/**
+ * Validate bulk operation target ({ segmentId } or { filter })
+ * Shared by preview and create; create also checks action and params.
+ */
+const validateBulkTarget = (req, res, next) => {
+    const errors = validateTarget(req.body.target);
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors,
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate create bulk operation request
+ */
+const validateBulkOperation = (req, res, next) => {
+    const { target, action, params = {} } = req.body;
+    const errors = validateTarget(target);
+
+    if (!BULK_ACTIONS.includes(action)) {
+        errors.push(`Invalid action. Must be one of: ${BULK_ACTIONS.join(', ')}`);
+    } else if (typeof params !== 'object' || params === null || Array.isArray(params)) {
+        errors.push('params must be an object');
+    } else {
+        switch (action) {
+            case 'set_status':
+                if (!BULK_STATUSES.includes(params.status)) {
+                    errors.push(`params.status must be one of: ${BULK_STATUSES.join(', ')}`);
+                }
+                if (params.reason !== undefined && (typeof params.reason !== 'string' || params.reason.length > 200)) {
+                    errors.push('params.reason must be a string of at most 200 characters');
+                }
+                break;
+
+            case 'set_field':
+                if (!(BULK_SETTABLE_FIELDS.includes(params.field) || /^customFields\.[^.$]+$/.test(params.field))) {
+                    errors.push(`params.field must be one of: ${BULK_SETTABLE_FIELDS.join(', ')}, customFields.<key>`);
+                }
+                if (params.value !== undefined && params.value !== null && typeof params.value === 'object') {
+                    errors.push('params.value must be a string, number or boolean (null clears the field)');
+                }
+                break;
+
+            case 'add_tags':
+            case 'remove_tags':
+                if (!Array.isArray(params.tags) || params.tags.length === 0
+                    || params.tags.some(t => typeof t !== 'string' || !t.trim())) {
+                    errors.push('params.tags must be a non-empty array of strings');
+                }
+                break;
+
+            case 'add_to_list':
+            case 'remove_from_list':
+                if (!isValidObjectId(params.listId)) {
+                    errors.push('params.listId must be a valid list ID');
+                }
+                break;
+
+            case 'delete':
+                // An empty filter matches every contact in the organization
+                if (!target?.segmentId && Object.values(target?.filter || {}).every(v => !v)) {
+                    errors.push('Deleting requires a segmentId or at least one filter');
+                }
+                break;
+        }
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors,
+        });
+    }
+
+    next();
+};
+
 /**
  * Validate MongoDB ObjectId
  */
@@ -96,6 +259,52 @@ function isValidEmail(email) {
     return emailRegex.test(email);
 }
 
+/**
+ * Helper: Validate a bulk operation target
+ */
+function validateTarget(target) {
+    const errors = [];
+
+    if (typeof target !== 'object' || target === null || Array.isArray(target)) {
+        return ['target must be an object with segmentId or filter'];
+    }
+
+    const { segmentId, filter } = target;
+
+    if (segmentId === undefined && filter === undefined) {
+        errors.push('target requires either segmentId or filter');
+    }
+
+    if (segmentId !== undefined && !isValidObjectId(segmentId)) {
+        errors.push('Invalid target.segmentId');
+    }
+
+    if (filter !== undefined) {
+        if (typeof filter !== 'object' || filter === null || Array.isArray(filter)) {
+            errors.push('target.filter must be an object');
+        } else {
+            const { status, listId, tag, engagementLevel, search } = filter;
+            const unknown = Object.keys(filter)
+                .filter(k => !['status', 'listId', 'tag', 'engagementLevel', 'search'].includes(k));
+
+            if (unknown.length > 0) {
+                errors.push(`Unknown filters: ${unknown.join(', ')}`);
+            }
+            if (status !== undefined && !CONTACT_STATUSES.includes(status)) {
+                errors.push(`Invalid filter.status. Must be one of: ${CONTACT_STATUSES.join(', ')}`);
+            }
+            if (listId !== undefined && !isValidObjectId(listId)) {
+                errors.push('Invalid filter.listId');
+            }
+            if ([tag, engagementLevel, search].some(v => v !== undefined && typeof v !== 'string')) {
+                errors.push('filter.tag, filter.engagementLevel and filter.search must be strings');
+            }
+        }
+    }
+
+    return errors;
+}
+
 /**
  * Helper: Validate MongoDB ObjectId
  */
@@ -106,5 +315,8 @@ function isValidObjectId(id) {
 module.exports = {
     validateCreateContact,
     validateUpdateContact,
+    validateCreateExport,
+    validateBulkTarget,
+    validateBulkOperation,
     validateObjectId,
 };
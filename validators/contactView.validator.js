@@ -0,0 +1,99 @@
+/**
+ * Contact View Validators
+ *
+ * Request validation for saved contact view endpoints. Expressions are
+ * parsed by the service (syntax errors come back with their position).
+ */
+
+const { isQueryField } = require('../utils/contactQuery');
+
+// Most columns a view can show
+const MAX_COLUMNS = 30;
+
+/**
+ * Validate create contact view request
+ */
+const validateCreateView = (req, res, next) => {
+    const errors = [];
+
+    if (!req.body.name) {
+        errors.push('name is required');
+    }
+
+    errors.push(...validateViewFields(req.body));
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors,
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate update contact view request
+ */
+const validateUpdateView = (req, res, next) => {
+    const errors = validateViewFields(req.body);
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors,
+        });
+    }
+
+    next();
+};
+
+/**
+ * Helper: Validate name, expression, columns and sort
+ */
+function validateViewFields({ name, expression, columns, sort }) {
+    const errors = [];
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 100)) {
+        errors.push('name must be a non-empty string of up to 100 characters');
+    }
+
+    if (expression !== undefined && (typeof expression !== 'string' || expression.length > 2000)) {
+        errors.push('expression must be a string of up to 2000 characters');
+    }
+
+    if (columns !== undefined) {
+        if (!Array.isArray(columns) || columns.length > MAX_COLUMNS) {
+            errors.push(`columns must be an array of up to ${MAX_COLUMNS} fields`);
+        } else {
+            const unknown = columns.filter(c => typeof c !== 'string' || !isQueryField(c));
+
+            if (unknown.length > 0) {
+                errors.push(`Unknown columns: ${unknown.join(', ')}`);
+            }
+        }
+    }
+
+    if (sort !== undefined) {
+        if (typeof sort !== 'object' || sort === null || Array.isArray(sort)) {
+            errors.push('sort must be an object with field and order');
+        } else {
+            if (sort.field !== undefined && (typeof sort.field !== 'string' || !isQueryField(sort.field))) {
+                errors.push('sort.field must be a queryable contact field');
+            }
+
+            if (sort.order !== undefined && !['asc', 'desc'].includes(sort.order)) {
+                errors.push('sort.order must be asc or desc');
+            }
+        }
+    }
+
+    return errors;
+}
+
+module.exports = {
+    validateCreateView,
+    validateUpdateView,
+};
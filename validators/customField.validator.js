@@ -0,0 +1,100 @@
+/**
+ * Custom Field Validators
+ *
+ * Request validation for custom field definition endpoints.
+ */
+
+const FIELD_TYPES = ['text', 'number', 'date', 'boolean', 'enum'];
+
+/**
+ * Validate create custom field request
+ */
+const validateCreateCustomField = (req, res, next) => {
+    const { key, label } = req.body;
+    const errors = [];
+
+    if (!key) {
+        errors.push('Field key is required');
+    } else if (typeof key !== 'string' || key.length > 50 || !/^[^.$][^.]*$/.test(key)) {
+        errors.push('Field key must be up to 50 characters, without dots or a leading $');
+    }
+
+    if (!label) {
+        errors.push('Field label is required');
+    }
+
+    if (req.body.type === 'enum' && (!Array.isArray(req.body.options) || req.body.options.length === 0)) {
+        errors.push('Enum fields require at least one option');
+    }
+
+    errors.push(...validateDefinition(req.body));
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors,
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate update custom field request
+ */
+const validateUpdateCustomField = (req, res, next) => {
+    const errors = [];
+
+    if (req.body.key !== undefined) {
+        errors.push('Field key cannot be changed');
+    }
+
+    if (req.body.label !== undefined && !req.body.label) {
+        errors.push('Field label cannot be empty');
+    }
+
+    errors.push(...validateDefinition(req.body));
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors,
+        });
+    }
+
+    next();
+};
+
+/**
+ * Helper: Validate label, type, options and flags
+ */
+function validateDefinition({ label, type, options, required }) {
+    const errors = [];
+
+    if (label !== undefined && String(label).length > 100) {
+        errors.push('Field label cannot exceed 100 characters');
+    }
+
+    if (type !== undefined && !FIELD_TYPES.includes(type)) {
+        errors.push(`Type must be one of: ${FIELD_TYPES.join(', ')}`);
+    }
+
+    if (options !== undefined) {
+        if (!Array.isArray(options) || options.some(o => typeof o !== 'string' || !o.trim())) {
+            errors.push('Options must be an array of non-empty strings');
+        }
+    }
+
+    if (required !== undefined && typeof required !== 'boolean') {
+        errors.push('Required must be a boolean');
+    }
+
+    return errors;
+}
+
+module.exports = {
+    validateCreateCustomField,
+    validateUpdateCustomField,
+};
@@ -0,0 +1,140 @@
+/**
+ * Form Validators
+ *
+ * Request validation for subscribe form endpoints.
+ */
+
+// Contact fields a form can collect (plus customFields.<key>)
+const FORM_FIELDS = [
+    'email', 'firstName', 'lastName', 'phone', 'company', 'jobTitle',
+    'location.city', 'location.state', 'location.country', 'location.zipCode', 'location.timezone',
+];
+
+const FIELD_TYPES = ['text', 'email', 'tel', 'number', 'date', 'hidden'];
+
+/**
+ * Validate create form request
+ */
+const validateCreateForm = (req, res, next) => {
+    const { name, listId } = req.body;
+    const errors = [];
+
+    if (!name) {
+        errors.push('Form name is required');
+    } else if (name.length > 100) {
+        errors.push('Form name cannot exceed 100 characters');
+    }
+
+    if (!listId) {
+        errors.push('List is required');
+    }
+
+    errors.push(...validateDefinition(req.body));
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors,
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate update form request
+ */
+const validateUpdateForm = (req, res, next) => {
+    const errors = [];
+
+    if (req.body.name !== undefined && (!req.body.name || req.body.name.length > 100)) {
+        errors.push('Form name must be between 1 and 100 characters');
+    }
+
+    if (req.body.status !== undefined && !['active', 'inactive'].includes(req.body.status)) {
+        errors.push('Status must be active or inactive');
+    }
+
+    errors.push(...validateDefinition(req.body));
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors,
+        });
+    }
+
+    next();
+};
+
+/**
+ * Helper: Validate list, fields, redirect URL and honeypot
+ */
+function validateDefinition({ listId, fields, redirectUrl, honeypotField, tags }) {
+    const errors = [];
+
+    if (listId !== undefined && !/^[a-fA-F0-9]{24}$/.test(listId)) {
+        errors.push('Invalid list ID');
+    }
+
+    if (fields !== undefined) {
+        if (!Array.isArray(fields)) {
+            errors.push('Fields must be an array');
+        } else {
+            const names = new Set();
+
+            fields.forEach((field, index) => {
+                const name = field?.name;
+
+                if (!FORM_FIELDS.includes(name) && !/^customFields\.[^.$]+$/.test(name || '')) {
+                    errors.push(`Field ${index + 1}: unknown contact field "${name}"`);
+                } else if (names.has(name)) {
+                    errors.push(`Field ${index + 1}: "${name}" is used twice`);
+                }
+                names.add(name);
+
+                if (field?.type !== undefined && !FIELD_TYPES.includes(field.type)) {
+                    errors.push(`Field ${index + 1}: type must be one of ${FIELD_TYPES.join(', ')}`);
+                }
+
+                if (field?.label !== undefined && String(field.label).length > 100) {
+                    errors.push(`Field ${index + 1}: label cannot exceed 100 characters`);
+                }
+            });
+        }
+    }
+
+    if (redirectUrl !== undefined && redirectUrl !== null && redirectUrl !== '') {
+        try {
+            const url = new URL(redirectUrl);
+            if (!['http:', 'https:'].includes(url.protocol)) {
+                errors.push('Redirect URL must use http or https');
+            }
+        } catch (error) {
+            errors.push('Redirect URL must be a valid URL');
+        }
+    }
+
+    if (honeypotField !== undefined) {
+        const reserved = ['referrer', 'utm_source', 'utm_medium', 'utm_campaign', ...FORM_FIELDS];
+
+        if (!/^[a-zA-Z][\w-]{0,49}$/.test(honeypotField || '')) {
+            errors.push('Honeypot field must be a simple input name');
+        } else if (reserved.includes(honeypotField) || fields?.some?.(f => f?.name === honeypotField)) {
+            errors.push('Honeypot field cannot be the name of a form field');
+        }
+    }
+
+    if (tags !== undefined && !Array.isArray(tags)) {
+        errors.push('Tags must be an array');
+    }
+
+    return errors;
+}
+
+module.exports = {
+    validateCreateForm,
+    validateUpdateForm,
+};
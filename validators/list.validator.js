@@ -0,0 +1,152 @@
+/**
+ * List Validators
+ *
+ * Request validation for list endpoints.
+ */
+
+const VALID_TYPES = ['standard', 'seed', 'suppression'];
+const VALID_VISIBILITY = ['public', 'private', 'team'];
+
+// Contacts added or removed by ID in one request (filters run as a bulk operation)
+const MAX_MEMBERSHIP_IDS = 1000;
+
+/**
+ * Validate create list request
+ */
+const validateCreateList = (req, res, next) => {
+    const { name } = req.body;
+    const errors = [];
+
+    if (!name) {
+        errors.push('List name is required');
+    } else if (name.length > 100) {
+        errors.push('List name cannot exceed 100 characters');
+    }
+
+    errors.push(...validateListFields(req.body));
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors,
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate update list request
+ */
+const validateUpdateList = (req, res, next) => {
+    const errors = [];
+
+    if (req.body.name !== undefined && (!req.body.name || req.body.name.length > 100)) {
+        errors.push('List name must be between 1 and 100 characters');
+    }
+
+    errors.push(...validateListFields(req.body));
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors,
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate bulk membership request (contactIds or filter)
+ */
+const validateMembership = (req, res, next) => {
+    const { contactIds, filter } = req.body;
+    const errors = [];
+
+    if (contactIds === undefined && filter === undefined) {
+        errors.push('Either contactIds array or filter object is required');
+    }
+
+    if (contactIds !== undefined) {
+        if (!Array.isArray(contactIds) || contactIds.length === 0) {
+            errors.push('contactIds must be a non-empty array');
+        } else if (contactIds.length > MAX_MEMBERSHIP_IDS) {
+            errors.push(`contactIds cannot exceed ${MAX_MEMBERSHIP_IDS} IDs - use a filter for larger selections`);
+        } else if (contactIds.some(id => !/^[a-fA-F0-9]{24}$/.test(id))) {
+            errors.push('contactIds contains invalid IDs');
+        }
+    }
+
+    if (filter !== undefined && (typeof filter !== 'object' || filter === null || Array.isArray(filter))) {
+        errors.push('filter must be an object');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors,
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate organization seed lists request
+ */
+const validateSeedLists = (req, res, next) => {
+    const { listIds } = req.body;
+    const errors = [];
+
+    if (!Array.isArray(listIds)) {
+        errors.push('listIds must be an array');
+    } else if (listIds.some(id => !/^[a-fA-F0-9]{24}$/.test(id))) {
+        errors.push('listIds contains invalid IDs');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors,
+        });
+    }
+
+    next();
+};
+
+/**
+ * Helper: Validate optional list fields
+ */
+function validateListFields(body) {
+    const errors = [];
+
+    if (body.description && body.description.length > 500) {
+        errors.push('Description cannot exceed 500 characters');
+    }
+
+    if (body.type && !VALID_TYPES.includes(body.type)) {
+        errors.push(`Invalid type. Must be one of: ${VALID_TYPES.join(', ')}`);
+    }
+
+    if (body.visibility && !VALID_VISIBILITY.includes(body.visibility)) {
+        errors.push(`Invalid visibility. Must be one of: ${VALID_VISIBILITY.join(', ')}`);
+    }
+
+    if (body.welcomeEmail?.delayMinutes !== undefined && body.welcomeEmail.delayMinutes < 0) {
+        errors.push('Welcome email delay cannot be negative');
+    }
+
+    return errors;
+}
+
+module.exports = {
+    validateCreateList,
+    validateUpdateList,
+    validateMembership,
+    validateSeedLists,
+};
@@ -0,0 +1,40 @@
+/**
+ * Privacy Validators
+ *
+ * Request validation for GDPR data subject request endpoints.
+ */
+
+/**
+ * Validate an access or erasure request
+ */
+const validateSubjectRequest = (req, res, next) => {
+    const { email } = req.body;
+    const errors = [];
+
+    if (!email) {
+        errors.push('Email is required');
+    } else if (typeof email !== 'string' || !isValidEmail(email.trim())) {
+        errors.push('Invalid email format');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors,
+        });
+    }
+
+    next();
+};
+
+/**
+ * Helper: Validate email format (loose - requests may name addresses we never accepted)
+ */
+function isValidEmail(email) {
+    return /^[^\s@]+@[^\s@]+$/.test(email);
+}
+
+module.exports = {
+    validateSubjectRequest,
+};
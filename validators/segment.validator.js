@@ -0,0 +1,157 @@
+/**
+ * Segment Validators
+ *
+ * Request validation for segment endpoints.
+ */
+
+const VALID_OPERATORS = [
+    'equals', 'not_equals', 'contains', 'not_contains', 'starts_with', 'ends_with',
+    'greater_than', 'less_than', 'greater_than_or_equals', 'less_than_or_equals',
+    'is_empty', 'is_not_empty', 'in_list', 'not_in_list',
+    'before', 'after', 'between', 'within_last',
+];
+
+// Operators that take an array of values
+const LIST_OPERATORS = ['in_list', 'not_in_list'];
+
+/**
+ * Validate create segment request
+ */
+const validateCreateSegment = (req, res, next) => {
+    const { name } = req.body;
+    const errors = [];
+
+    if (!name) {
+        errors.push('Segment name is required');
+    } else if (name.length > 100) {
+        errors.push('Segment name cannot exceed 100 characters');
+    }
+
+    errors.push(...validateDefinition(req.body));
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors,
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate update segment request
+ */
+const validateUpdateSegment = (req, res, next) => {
+    const errors = [];
+
+    if (req.body.name !== undefined && (!req.body.name || req.body.name.length > 100)) {
+        errors.push('Segment name must be between 1 and 100 characters');
+    }
+
+    errors.push(...validateDefinition(req.body));
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors,
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate segment preview request
+ */
+const validatePreviewSegment = (req, res, next) => {
+    const errors = validateDefinition(req.body);
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors,
+        });
+    }
+
+    next();
+};
+
+/**
+ * Helper: Validate segment definition (type, operators, condition groups)
+ */
+function validateDefinition(body) {
+    const errors = [];
+
+    if (body.description && body.description.length > 500) {
+        errors.push('Description cannot exceed 500 characters');
+    }
+
+    if (body.type && !['dynamic', 'static'].includes(body.type)) {
+        errors.push('Invalid type. Must be one of: dynamic, static');
+    }
+
+    if (body.rootOperator && !['AND', 'OR'].includes(body.rootOperator)) {
+        errors.push('Invalid rootOperator. Must be one of: AND, OR');
+    }
+
+    if (body.conditionGroups === undefined) {
+        return errors;
+    }
+
+    if (!Array.isArray(body.conditionGroups)) {
+        errors.push('conditionGroups must be an array');
+        return errors;
+    }
+
+    body.conditionGroups.forEach((group, g) => {
+        if (group.operator && !['AND', 'OR'].includes(group.operator)) {
+            errors.push(`Group ${g + 1}: operator must be AND or OR`);
+        }
+
+        if (!Array.isArray(group.conditions) || group.conditions.length === 0) {
+            errors.push(`Group ${g + 1}: at least one condition is required`);
+            return;
+        }
+
+        group.conditions.forEach((cond, c) => {
+            const label = `Group ${g + 1}, condition ${c + 1}`;
+
+            if (!cond.field || typeof cond.field !== 'string' || cond.field.startsWith('$')) {
+                errors.push(`${label}: invalid field`);
+            }
+
+            if (!VALID_OPERATORS.includes(cond.operator)) {
+                errors.push(`${label}: invalid operator`);
+            }
+
+            // Values become part of the query - objects could carry operators
+            const listValue = LIST_OPERATORS.includes(cond.operator) && Array.isArray(cond.value);
+            if (listValue ? !cond.value.every(isLiteral) : !isLiteral(cond.value)) {
+                errors.push(`${label}: value must be a string, number or boolean${LIST_OPERATORS.includes(cond.operator) ? ' (or an array of them)' : ''}`);
+            }
+
+            if (!isLiteral(cond.valueEnd)) {
+                errors.push(`${label}: valueEnd must be a string, number or boolean`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Helper: Plain condition value (missing values are checked by the operator)
+ */
+function isLiteral(value) {
+    return value === undefined || value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+module.exports = {
+    validateCreateSegment,
+    validateUpdateSegment,
+    validatePreviewSegment,
+};
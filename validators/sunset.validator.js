@@ -0,0 +1,67 @@
+/**
+ * Sunset Policy Validators
+ *
+ * Request validation for sunset policy endpoints.
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Validate sunset policy update / preview overrides
+ */
+const validateSunsetPolicy = (req, res, next) => {
+    const { enabled, inactiveDays, minEmailsReceived, reengagement } = req.body;
+    const errors = [];
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        errors.push('enabled must be true or false');
+    }
+
+    if (inactiveDays !== undefined && !isIntegerAtLeast(inactiveDays, 30)) {
+        errors.push('inactiveDays must be a whole number of at least 30');
+    }
+
+    if (minEmailsReceived !== undefined && !isIntegerAtLeast(minEmailsReceived, 1)) {
+        errors.push('minEmailsReceived must be a whole number of at least 1');
+    }
+
+    if (reengagement !== undefined) {
+        if (typeof reengagement !== 'object' || reengagement === null || Array.isArray(reengagement)) {
+            errors.push('reengagement must be an object');
+        } else {
+            if (reengagement.enabled !== undefined && typeof reengagement.enabled !== 'boolean') {
+                errors.push('reengagement.enabled must be true or false');
+            }
+
+            if (reengagement.templateId !== undefined && reengagement.templateId !== null
+                && !mongoose.Types.ObjectId.isValid(reengagement.templateId)) {
+                errors.push('reengagement.templateId must be a valid ID');
+            }
+
+            if (reengagement.waitDays !== undefined && !isIntegerAtLeast(reengagement.waitDays, 1)) {
+                errors.push('reengagement.waitDays must be a whole number of at least 1');
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors,
+        });
+    }
+
+    next();
+};
+
+/**
+ * Helper: Integer no smaller than min
+ */
+function isIntegerAtLeast(value, min) {
+    return Number.isInteger(value) && value >= min;
+}
+
+module.exports = {
+    validateSunsetPolicy,
+};
@@ -0,0 +1,115 @@
+/**
+ * Suppression Validators
+ *
+ * Request validation for suppression list endpoints.
+ */
+
+// Reasons that can be set through the API (erasure entries come from privacy requests)
+const REASONS = ['manual', 'bounce', 'complaint', 'unsubscribe', 'legal'];
+
+/**
+ * Validate create suppression entry request
+ */
+const validateCreateSuppression = (req, res, next) => {
+    const { email, domain } = req.body;
+    const errors = [];
+
+    if (!email && !domain) {
+        errors.push('Either email or domain is required');
+    } else if (email && domain) {
+        errors.push('An entry suppresses either an email or a domain, not both');
+    } else if (typeof (email || domain) !== 'string') {
+        errors.push(`${email ? 'email' : 'domain'} must be a string`);
+    }
+
+    errors.push(...validateAttributes(req.body));
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors,
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate update suppression entry request
+ */
+const validateUpdateSuppression = (req, res, next) => {
+    const errors = [];
+
+    ['type', 'email', 'domain'].forEach(field => {
+        if (req.body[field] !== undefined) {
+            errors.push(`${field} cannot be changed`);
+        }
+    });
+
+    errors.push(...validateAttributes(req.body));
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors,
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate suppression CSV import request (file plus optional default reason/note)
+ */
+const validateImportSuppressions = (req, res, next) => {
+    const errors = [];
+
+    if (!req.file) {
+        errors.push('CSV file is required');
+    }
+
+    errors.push(...validateAttributes({ reason: req.body.reason, note: req.body.note }));
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors,
+        });
+    }
+
+    next();
+};
+
+/**
+ * Helper: Validate reason, note and expiry
+ */
+function validateAttributes({ reason, note, expiresAt }) {
+    const errors = [];
+
+    if (reason !== undefined && !REASONS.includes(reason)) {
+        errors.push(`reason must be one of: ${REASONS.join(', ')}`);
+    }
+
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 500)) {
+        errors.push('note must be a string of up to 500 characters');
+    }
+
+    if (expiresAt !== undefined && expiresAt !== null) {
+        const date = new Date(expiresAt);
+
+        if (isNaN(date.getTime()) || date <= new Date()) {
+            errors.push('expiresAt must be a future date');
+        }
+    }
+
+    return errors;
+}
+
+module.exports = {
+    validateCreateSuppression,
+    validateUpdateSuppression,
+    validateImportSuppressions,
+};
@@ -8,6 +8,7 @@ const { analyticsQueue } = require('../queues');
 const EmailLog = require('../models/EmailLog.model');
 const Contact = require('../models/Contact.model');
 const Campaign = require('../models/Campaign.model');
+const { domainEvents, EVENTS } = require('../utils/events');
 
 const CONCURRENCY = parseInt(process.env.ANALYTICS_WORKER_CONCURRENCY) || 20;
 
@@ -64,27 +65,39 @@ async function processOpen(data) {
     // Record open
     await emailLog.recordOpen(metadata);
 
+    // Opens bucketed by UTC hour (feeds send-time optimization)
+    const openHour = new Date(timestamp || Date.now()).getUTCHours();
+
+    // Seed copies are left out of campaign analytics
+    const countsForCampaign = emailLog.campaignId && !emailLog.isSeed;
+
     // Update campaign analytics (only for first open)
-    if (!emailLog.engagement.opened && emailLog.campaignId) {
+    if (!emailLog.engagement.opened && countsForCampaign) {
         await Campaign.updateOne(
             { _id: emailLog.campaignId },
             {
                 $inc: {
                     'analytics.opens': 1,
                     'analytics.uniqueOpens': 1,
+                    [`analytics.opensByHour.${openHour}`]: 1,
                 },
             }
         );
-    } else if (emailLog.campaignId) {
+    } else if (countsForCampaign) {
         // Subsequent opens
         await Campaign.updateOne(
             { _id: emailLog.campaignId },
-            { $inc: { 'analytics.opens': 1 } }
+            {
+                $inc: {
+                    'analytics.opens': 1,
+                    [`analytics.opensByHour.${openHour}`]: 1,
+                },
+            }
         );
     }
 
-    // Update contact engagement
-    if (emailLog.contactId) {
+    // Update contact engagement (seed copies don't count towards the contact)
+    if (emailLog.contactId && !emailLog.isSeed) {
         await Contact.updateOne(
             { _id: emailLog.contactId },
             {
@@ -92,6 +105,12 @@ async function processOpen(data) {
                 'engagement.lastOpenedAt': new Date(),
             }
         );
+
+        domainEvents.emit(EVENTS.EMAIL_OPENED, {
+            orgId: emailLog.orgId,
+            contactId: emailLog.contactId,
+            campaignId: emailLog.campaignId,
+        });
     }
 
     return { success: true, type: 'open' };
@@ -117,15 +136,17 @@ async function processClick(data) {
     // Record click
     await emailLog.recordClick(url, metadata);
 
-    // Update campaign analytics
-    if (emailLog.campaignId) {
+    // Update campaign analytics (seed copies are left out)
+    if (emailLog.campaignId && !emailLog.isSeed) {
         const isFirstClick = !emailLog.engagement.clicked;
+        const clickHour = new Date(timestamp || Date.now()).getUTCHours();
 
         await Campaign.updateOne(
             { _id: emailLog.campaignId },
             {
                 $inc: {
                     'analytics.clicks': 1,
+                    [`analytics.clicksByHour.${clickHour}`]: 1,
                     ...(isFirstClick && { 'analytics.uniqueClicks': 1 }),
                 },
             }
@@ -152,8 +173,8 @@ async function processClick(data) {
         );
     }
 
-    // Update contact engagement
-    if (emailLog.contactId) {
+    // Update contact engagement (seed copies don't count towards the contact)
+    if (emailLog.contactId && !emailLog.isSeed) {
         await Contact.updateOne(
             { _id: emailLog.contactId },
             {
@@ -161,6 +182,13 @@ async function processClick(data) {
                 'engagement.lastClickedAt': new Date(),
             }
         );
+
+        domainEvents.emit(EVENTS.EMAIL_CLICKED, {
+            orgId: emailLog.orgId,
+            contactId: emailLog.contactId,
+            campaignId: emailLog.campaignId,
+            url,
+        });
     }
 
     return { success: true, type: 'click', url };
@@ -177,8 +205,8 @@ async function processBounce(data) {
     if (emailLog) {
         await emailLog.recordBounce(bounceType, bounceSubType);
 
-        // Update campaign analytics
-        if (emailLog.campaignId) {
+        // Update campaign analytics (seed copies are left out)
+        if (emailLog.campaignId && !emailLog.isSeed) {
             await Campaign.updateOne(
                 { _id: emailLog.campaignId },
                 {
@@ -204,6 +232,14 @@ async function processBounce(data) {
                     'deliverability.lastBounceType': bounceType,
                 }
             );
+
+            domainEvents.emit(EVENTS.CONTACT_STATUS_CHANGED, {
+                orgId: emailLog.orgId,
+                contactId: emailLog.contactId,
+                status: 'bounced',
+                reason: `Hard bounce: ${bounceSubType}`,
+                campaignId: emailLog.campaignId,
+            });
         }
     }
 
@@ -223,8 +259,8 @@ async function processComplaint(data) {
         await emailLog.recordEvent('complained', { timestamp });
         await emailLog.save();
 
-        // Update campaign
-        if (emailLog.campaignId) {
+        // Update campaign (seed copies are left out)
+        if (emailLog.campaignId && !emailLog.isSeed) {
             await Campaign.updateOne(
                 { _id: emailLog.campaignId },
                 { $inc: { 'analytics.complained': 1 } }
@@ -242,6 +278,18 @@ async function processComplaint(data) {
                     'deliverability.complaintCount': { $inc: 1 },
                 }
             );
+
+            domainEvents.emit(EVENTS.CONTACT_UNSUBSCRIBED, {
+                orgId: emailLog.orgId,
+                contactId: emailLog.contactId,
+            });
+            domainEvents.emit(EVENTS.CONTACT_STATUS_CHANGED, {
+                orgId: emailLog.orgId,
+                contactId: emailLog.contactId,
+                status: 'complained',
+                reason: 'Spam complaint',
+                campaignId: emailLog.campaignId,
+            });
         }
     }
 
@@ -262,8 +310,8 @@ async function processDelivery(data) {
         await emailLog.recordEvent('delivered', { timestamp });
         await emailLog.save();
 
-        // Update campaign
-        if (emailLog.campaignId) {
+        // Update campaign (seed copies are left out)
+        if (emailLog.campaignId && !emailLog.isSeed) {
             await Campaign.updateOne(
                 { _id: emailLog.campaignId },
                 { $inc: { 'analytics.delivered': 1 } }
@@ -278,7 +326,7 @@ async function processDelivery(data) {
  * Process unsubscribe event
  */
 async function processUnsubscribe(data) {
-    const { contactId, campaignId, reason } = data;
+    const { contactId, campaignId, reason, isSeed } = data;
 
     if (contactId) {
         await Contact.updateOne(
@@ -293,13 +341,21 @@ async function processUnsubscribe(data) {
             }
         );
 
-        // Update campaign
-        if (campaignId) {
+        // Update campaign (seed copies are left out)
+        if (campaignId && !isSeed) {
             await Campaign.updateOne(
                 { _id: campaignId },
                 { $inc: { 'analytics.unsubscribed': 1 } }
             );
         }
+
+        domainEvents.emit(EVENTS.CONTACT_UNSUBSCRIBED, { contactId });
+        domainEvents.emit(EVENTS.CONTACT_STATUS_CHANGED, {
+            contactId,
+            status: 'unsubscribed',
+            reason: reason || 'Unsubscribed via link',
+            campaignId,
+        });
     }
 
     return { success: true, type: 'unsubscribe' };
@@ -1,8 +1,11 @@
 /**
  * Automation Worker
  * 
- * Processes automation workflows - executes triggers, checks conditions,
- * sends emails, and handles delays.
+ * Processes automation workflows as a graph - starts each contact at
+ * entryStepId, executes step actions, and follows nextSteps edges
+ * ('true'/'false' for conditions, 'default' otherwise; a condition's
+ * trueBranch/falseBranch wins) until a wait step or the end of the
+ * workflow.
  */
 
 const cron = require('node-cron');
@@ -10,13 +13,25 @@ const Automation = require('../models/Automation.model');
 const Contact = require('../models/Contact.model');
 const Template = require('../models/Template.model');
 const EmailLog = require('../models/EmailLog.model');
+const List = require('../models/List.model');
 const { emailQueue } = require('../queues');
 const trackingService = require('../services/tracking.service');
+const triggerService = require('../services/trigger.service');
+const automationService = require('../services/automation.service');
+const listService = require('../services/list.service');
+const { nextTimeInWindow } = require('../utils/timezone');
+const { domainEvents, EVENTS } = require('../utils/events');
 const mongoose = require('mongoose');
 
 // Batch size for processing contacts
 const BATCH_SIZE = 100;
 
+// Max steps executed per contact in one run (longer workflows resume on the next run)
+const MAX_STEPS_PER_RUN = 25;
+
+// Sentinel returned by executeStep when the contact is parked (wait step or send window)
+const WAITING = Symbol('waiting');
+
 class AutomationWorker {
     constructor() {
         this.running = false;
@@ -40,6 +55,15 @@ class AutomationWorker {
             }
         });
 
+        // Evaluate date_field triggers hourly
+        cron.schedule('0 * * * *', async () => {
+            try {
+                await triggerService.checkDateTriggers();
+            } catch (error) {
+                console.error('❌ Date trigger error:', error.message);
+            }
+        });
+
         console.log('🤖 Automation worker started');
     }
 
@@ -72,7 +96,7 @@ class AutomationWorker {
             'automations': {
                 $elemMatch: {
                     automationId: automation._id,
-                    status: 'active',
+                    status: { $in: ['active', 'waiting'] },
                     nextActionAt: { $lte: now },
                 },
             },
@@ -95,119 +119,210 @@ class AutomationWorker {
                     'error',
                     { error: error.message }
                 );
+
+                await Automation.updateOne(
+                    { _id: automation._id },
+                    { $inc: { 'stats.currentlyActive': -1 } }
+                );
             }
         }
     }
 
     /**
-     * Process a contact's next step in automation
+     * Walk the workflow graph for a contact until it waits or finishes
      */
     async processContactInAutomation(automation, contact) {
         // Get contact's automation state
         const autoState = contact.automations.find(
             a => a.automationId.toString() === automation._id.toString()
+                && ['active', 'waiting'].includes(a.status)
         );
 
         if (!autoState) return;
 
-        const currentStepIndex = autoState.currentStep || 0;
-        const steps = automation.steps || [];
+        let step = automation.getStep(autoState.currentStepId || automation.entryStepId);
+        let resumingWait = autoState.status === 'waiting';
 
-        // Check if automation is complete
-        if (currentStepIndex >= steps.length) {
-            await this.completeAutomation(contact, automation);
-            return;
-        }
+        // Steps run so far - reaching one again before a wait step parks the
+        // contact is a cycle that would repeat its actions on every run
+        const visited = new Set();
 
-        const step = steps[currentStepIndex];
+        for (let hops = 0; step && hops < MAX_STEPS_PER_RUN; hops++) {
+            if (visited.has(step.stepId) && step.action?.type !== 'wait') {
+                throw new Error(`Workflow cycle at step ${step.stepId} without a wait step - contact stopped`);
+            }
+            visited.add(step.stepId);
 
-        // Check step conditions
-        const conditionsMet = await this.checkConditions(step.conditions, contact, automation);
-        if (!conditionsMet) {
-            // Skip to next step or exit based on condition settings
-            if (step.conditionAction === 'skip') {
-                await this.advanceToNextStep(contact, automation, currentStepIndex);
-            } else {
-                await this.updateContactAutomationStatus(
-                    contact._id,
-                    automation._id,
-                    'exited',
-                    { exitReason: 'condition_not_met' }
-                );
+            // Re-read so earlier steps in this run (tags, lists) are visible
+            if (hops > 0) {
+                contact = await Contact.findById(contact._id);
+                if (!contact) return;
+            }
+
+            // Goal reached or exit condition met - leave the workflow
+            const exitReason = await automationService.getExitReason(automation, contact, autoState);
+            if (exitReason) {
+                await automationService.exitContact(automation, contact._id, exitReason);
+                console.log(`🏁 ${contact.email} left automation ${automation.name}: ${exitReason}`);
+                return;
+            }
+
+            if (!resumingWait) {
+                await this.incrementStepStat(automation, step.stepId, 'entered');
+            }
+
+            let branch;
+            try {
+                branch = await this.executeStep(step, contact, automation, resumingWait);
+            } catch (error) {
+                await this.incrementStepStat(automation, step.stepId, 'failed');
+                throw error;
+            }
+
+            // Contact parked until nextActionAt - stop here
+            if (branch === WAITING) {
+                return;
+            }
+
+            resumingWait = false;
+            await this.incrementStepStat(automation, step.stepId, 'completed');
+
+            domainEvents.emit(EVENTS.AUTOMATION_STEP_COMPLETED, {
+                orgId: automation.orgId,
+                contactId: contact._id,
+                automationId: automation._id,
+                stepId: step.stepId,
+                stepName: step.name,
+                action: step.action?.type,
+                branch,
+            });
+
+            // End step - the workflow is finished
+            if (step.action?.type === 'end') {
+                step = null;
+                break;
+            }
+
+            step = automation.resolveNextStep(step.stepId, branch);
+
+            if (step) {
+                await this.setContactPosition(contact._id, automation._id, step.stepId, {
+                    status: 'active',
+                    nextActionAt: new Date(),
+                });
             }
-            return;
         }
 
-        // Execute the step
-        await this.executeStep(step, contact, automation);
+        // Step budget exhausted on a long workflow - resume on next run
+        if (step) {
+            return;
+        }
 
-        // Advance to next step
-        await this.advanceToNextStep(contact, automation, currentStepIndex);
+        await this.completeAutomation(contact, automation);
     }
 
     /**
      * Execute an automation step
+     * Returns the branch to follow ('true'/'false'/'default') or WAITING
      */
-    async executeStep(step, contact, automation) {
-        console.log(`▶️ Executing step: ${step.name} (${step.type}) for ${contact.email}`);
+    async executeStep(step, contact, automation, resumingWait = false) {
+        const action = step.action || {};
+
+        console.log(`▶️ Executing step: ${step.name || step.stepId} (${action.type}) for ${contact.email}`);
+
+        switch (action.type) {
+            case 'send_email': {
+                // Outside the send window - park until it opens
+                const sendAt = this.getNextSendTime(automation);
+                if (sendAt) {
+                    await this.setContactPosition(contact._id, automation._id, step.stepId, {
+                        status: 'waiting',
+                        nextActionAt: sendAt,
+                    });
+                    return WAITING;
+                }
 
-        switch (step.type) {
-            case 'email':
-                await this.executeSendEmail(step, contact, automation);
+                await this.executeSendEmail(action, contact, automation);
                 break;
+            }
 
-            case 'delay':
-                // Delay is handled in advanceToNextStep
+            case 'wait':
+                // First visit schedules the delay; the next visit continues
+                if (!resumingWait) {
+                    await this.setContactPosition(contact._id, automation._id, step.stepId, {
+                        status: 'waiting',
+                        nextActionAt: this.calculateDelay(action.wait || {}),
+                    });
+                    return WAITING;
+                }
                 break;
 
-            case 'condition':
-                // Already checked in processContactInAutomation
-                break;
+            case 'condition': {
+                const result = await this.evaluateCondition(action.condition || {}, contact);
+                return result ? 'true' : 'false';
+            }
 
             case 'update_contact':
-                await this.executeUpdateContact(step, contact);
+                await this.executeUpdateContact(action, contact);
                 break;
 
             case 'add_tag':
-                await this.executeAddTag(step, contact);
+                await this.executeAddTag(action, contact);
                 break;
 
             case 'remove_tag':
-                await this.executeRemoveTag(step, contact);
+                await this.executeRemoveTag(action, contact);
                 break;
 
             case 'add_to_list':
-                await this.executeAddToList(step, contact);
+                await this.executeAddToList(action, contact);
                 break;
 
             case 'remove_from_list':
-                await this.executeRemoveFromList(step, contact);
+                await this.executeRemoveFromList(action, contact);
                 break;
 
             case 'webhook':
                 await this.executeWebhook(step, contact, automation);
                 break;
 
-            case 'notify':
-                await this.executeNotify(step, contact, automation);
+            case 'notify_team':
+                await this.executeNotify(action, contact, automation);
+                break;
+
+            case 'end':
                 break;
 
             default:
-                console.warn(`Unknown step type: ${step.type}`);
+                console.warn(`Unknown action type: ${action.type}`);
         }
 
-        // Update step stats
-        await Automation.updateOne(
-            { _id: automation._id, 'steps._id': step._id },
-            { $inc: { 'steps.$.stats.executed': 1 } }
-        );
+        return 'default';
+    }
+
+    /**
+     * Get the next allowed send time, or null if sending is allowed now
+     */
+    getNextSendTime(automation) {
+        const window = automation.settings?.sendWindow;
+        if (!window?.enabled) return null;
+
+        const now = new Date();
+        const timezone = automation.settings.timezone || 'UTC';
+        const next = nextTimeInWindow(window, timezone, now);
+
+        if (!next) {
+            throw new Error('Send window has no allowed time');
+        }
+
+        return next > now ? next : null;
     }
 
     /**
      * Execute send email step
      */
-    async executeSendEmail(step, contact, automation) {
-        const template = await Template.findById(step.config.templateId);
+    async executeSendEmail(action, contact, automation) {
+        const template = await Template.findById(action.email?.templateId);
         if (!template) {
             throw new Error('Template not found');
         }
@@ -229,7 +344,7 @@ class AutomationWorker {
         };
 
         let html = template.htmlContent;
-        let subject = step.config.subject || template.subject;
+        let subject = action.email.subject || template.subject;
 
         // Replace variables
         html = this.replaceVariables(html, contactData);
@@ -262,9 +377,8 @@ class AutomationWorker {
             subject,
             html: processed.html,
             text: template.textContent,
-            from: step.config.fromEmail || process.env.EMAIL_FROM_ADDRESS,
-            fromName: step.config.fromName || process.env.EMAIL_FROM_NAME,
-            replyTo: step.config.replyTo,
+            from: process.env.EMAIL_FROM_ADDRESS,
+            fromName: action.email.fromName || process.env.EMAIL_FROM_NAME,
             trackingId,
             automationId: automation._id.toString(),
         }, {
@@ -283,60 +397,68 @@ class AutomationWorker {
     /**
      * Execute update contact step
      */
-    async executeUpdateContact(step, contact) {
-        const updates = step.config.updates || {};
-        await Contact.updateOne({ _id: contact._id }, updates);
+    async executeUpdateContact(action, contact) {
+        const { field, value } = action.updateContact || {};
+
+        // Only plain field paths - never operators
+        if (!field || field.startsWith('$')) {
+            throw new Error('Invalid update_contact field');
+        }
+
+        await Contact.updateOne({ _id: contact._id }, { $set: { [field]: value } });
     }
 
     /**
      * Execute add tag step
      */
-    async executeAddTag(step, contact) {
-        const tags = step.config.tags || [];
+    async executeAddTag(action, contact) {
+        if (!action.tag) return;
+
         await Contact.updateOne(
             { _id: contact._id },
-            { $addToSet: { tags: { $each: tags } } }
+            { $addToSet: { tags: action.tag.toLowerCase().trim() } }
         );
     }
 
     /**
      * Execute remove tag step
      */
-    async executeRemoveTag(step, contact) {
-        const tags = step.config.tags || [];
+    async executeRemoveTag(action, contact) {
+        if (!action.tag) return;
+
         await Contact.updateOne(
             { _id: contact._id },
-            { $pull: { tags: { $in: tags } } }
+            { $pull: { tags: action.tag.toLowerCase().trim() } }
         );
     }
 
     /**
      * Execute add to list step
      */
-    async executeAddToList(step, contact) {
-        const listId = step.config.listId;
-        await Contact.updateOne(
-            { _id: contact._id },
-            {
-                $addToSet: {
-                    lists: {
-                        listId,
-                        status: 'active',
-                        addedAt: new Date(),
-                    },
-                },
-            }
-        );
+    async executeAddToList(action, contact) {
+        const listId = action.listId;
+        if (!listId) return;
+
+        const list = await List.findOne({ _id: listId, orgId: contact.orgId, status: { $ne: 'deleted' } });
+        if (!list) {
+            console.warn(`List ${listId} not found, skipping add_to_list`);
+            return;
+        }
+
+        // Same path as list bulk add: double opt-in, list defaults, LIST_SUBSCRIBED
+        await listService.activateMemberships(list, { _id: contact._id, orgId: contact.orgId });
     }
 
     /**
      * Execute remove from list step
      */
-    async executeRemoveFromList(step, contact) {
-        const listId = step.config.listId;
+    async executeRemoveFromList(action, contact) {
+        const listId = action.listId;
+        if (!listId) return;
+
         await Contact.updateOne(
-            { _id: contact._id },
-            { $pull: { lists: { listId } } }
+            { _id: contact._id, 'lists.listId': listId },
+            { $set: { 'lists.$.status': 'removed' } }
         );
     }
 
@@ -345,11 +467,12 @@ class AutomationWorker {
      */
     async executeWebhook(step, contact, automation) {
         const { webhookQueue } = require('../queues');
+        const webhook = step.action.webhook || {};
 
         await webhookQueue.add('send-webhook', {
-            url: step.config.url,
-            method: step.config.method || 'POST',
-            headers: step.config.headers || {},
+            url: webhook.url,
+            method: webhook.method || 'POST',
+            headers: webhook.headers ? Object.fromEntries(webhook.headers) : {},
             payload: {
                 contact: {
                     id: contact._id,
@@ -361,7 +484,7 @@ class AutomationWorker {
                     id: automation._id,
                     name: automation.name,
                 },
-                step: step.name,
+                step: step.name || step.stepId,
                 timestamp: new Date().toISOString(),
             },
         });
@@ -370,67 +493,63 @@ class AutomationWorker {
     /**
      * Execute notify step (internal notification)
      */
-    async executeNotify(step, contact, automation) {
+    async executeNotify(action, contact, automation) {
         // This would integrate with notification system
-        console.log(`📢 Notification: ${step.config.message} for ${contact.email}`);
+        console.log(`📢 Notification: ${action.notification?.message} for ${contact.email}`);
     }
 
     /**
-     * Advance contact to next step
+     * Persist the contact's current position in the workflow
      */
-    async advanceToNextStep(contact, automation, currentStepIndex) {
-        const steps = automation.steps || [];
-        const nextStepIndex = currentStepIndex + 1;
-
-        // Check if automation is complete
-        if (nextStepIndex >= steps.length) {
-            await this.completeAutomation(contact, automation);
-            return;
-        }
-
-        const nextStep = steps[nextStepIndex];
-
-        // Calculate next action time
-        let nextActionAt = new Date();
-
-        if (nextStep.type === 'delay') {
-            nextActionAt = this.calculateDelay(nextStep.config);
-        }
-
-        // Update contact's automation state
+    async setContactPosition(contactId, automationId, stepId, { status, nextActionAt }) {
         await Contact.updateOne(
-            {
-                _id: contact._id,
-                'automations.automationId': automation._id,
-            },
+            { _id: contactId },
             {
                 $set: {
-                    'automations.$.currentStep': nextStepIndex,
-                    'automations.$.nextActionAt': nextActionAt,
-                    'automations.$.lastActionAt': new Date(),
+                    'automations.$[auto].currentStepId': stepId,
+                    'automations.$[auto].status': status,
+                    'automations.$[auto].nextActionAt': nextActionAt,
+                    'automations.$[auto].lastActionAt': new Date(),
                 },
+            },
+            {
+                arrayFilters: [{
+                    'auto.automationId': automationId,
+                    'auto.status': { $in: ['active', 'waiting'] },
+                }],
             }
         );
     }
 
     /**
-     * Calculate delay based on config
+     * Increment a per-step counter (entered/completed/failed)
+     */
+    async incrementStepStat(automation, stepId, stat) {
+        await Automation.updateOne(
+            { _id: automation._id },
+            { $inc: { [`steps.$[step].stats.${stat}`]: 1 } },
+            { arrayFilters: [{ 'step.stepId': stepId }] }
+        );
+    }
+
+    /**
+     * Calculate delay based on wait config
      */
-    calculateDelay(config) {
+    calculateDelay(wait) {
         const now = new Date();
-        const { value, unit } = config;
+        const { duration = 0, unit } = wait;
 
         switch (unit) {
             case 'minutes':
-                return new Date(now.getTime() + value * 60 * 1000);
+                return new Date(now.getTime() + duration * 60 * 1000);
             case 'hours':
-                return new Date(now.getTime() + value * 60 * 60 * 1000);
+                return new Date(now.getTime() + duration * 60 * 60 * 1000);
             case 'days':
-                return new Date(now.getTime() + value * 24 * 60 * 60 * 1000);
+                return new Date(now.getTime() + duration * 24 * 60 * 60 * 1000);
             case 'weeks':
-                return new Date(now.getTime() + value * 7 * 24 * 60 * 60 * 1000);
+                return new Date(now.getTime() + duration * 7 * 24 * 60 * 60 * 1000);
             default:
-                return new Date(now.getTime() + value * 60 * 1000); // Default to minutes
+                return new Date(now.getTime() + duration * 60 * 1000); // Default to minutes
         }
     }
 
@@ -451,11 +570,18 @@ class AutomationWorker {
             {
                 $inc: {
                     'stats.currentlyActive': -1,
-                    'stats.totalCompleted': 1,
+                    'stats.completed': 1,
                 },
             }
         );
 
+        domainEvents.emit(EVENTS.AUTOMATION_EXITED, {
+            orgId: automation.orgId,
+            contactId: contact._id,
+            automationId: automation._id,
+            reason: 'completed',
+        });
+
         console.log(`✅ Automation completed for ${contact.email}`);
     }
 
@@ -464,47 +590,32 @@ class AutomationWorker {
      */
     async updateContactAutomationStatus(contactId, automationId, status, extra = {}) {
         await Contact.updateOne(
-            {
-                _id: contactId,
-                'automations.automationId': automationId,
-            },
+            { _id: contactId },
             {
                 $set: {
-                    'automations.$.status': status,
+                    'automations.$[auto].status': status,
                     ...Object.fromEntries(
-                        Object.entries(extra).map(([k, v]) => [`automations.$.${k}`, v])
+                        Object.entries(extra).map(([k, v]) => [`automations.$[auto].${k}`, v])
                     ),
                 },
+            },
+            {
+                arrayFilters: [{
+                    'auto.automationId': automationId,
+                    'auto.status': { $in: ['active', 'waiting'] },
+                }],
             }
         );
     }
 
     /**
-     * Check step conditions
-     */
-    async checkConditions(conditions, contact, automation) {
-        if (!conditions || conditions.length === 0) {
-            return true;
-        }
-
-        for (const condition of conditions) {
-            const result = await this.evaluateCondition(condition, contact);
-            if (!result) {
-                return false; // AND logic - all conditions must pass
-            }
-        }
-
-        return true;
-    }
-
-    /**
-     * Evaluate a single condition
+     * Evaluate a condition step against the contact
      */
     async evaluateCondition(condition, contact) {
         const { field, operator, value } = condition;
 
         // Get field value from contact
-        let fieldValue = this.getNestedValue(contact, field);
+        const fieldValue = field ? this.getContactValue(contact, field) : undefined;
 
         switch (operator) {
             case 'equals':
@@ -512,28 +623,38 @@ class AutomationWorker {
             case 'not_equals':
                 return fieldValue !== value;
             case 'contains':
-                return String(fieldValue).includes(value);
-            case 'not_contains':
-                return !String(fieldValue).includes(value);
+                return String(fieldValue ?? '').includes(value);
             case 'greater_than':
                 return Number(fieldValue) > Number(value);
             case 'less_than':
                 return Number(fieldValue) < Number(value);
-            case 'is_set':
-                return fieldValue !== undefined && fieldValue !== null && fieldValue !== '';
-            case 'is_not_set':
+            case 'is_empty':
                 return fieldValue === undefined || fieldValue === null || fieldValue === '';
-            case 'in_list':
-                return Array.isArray(value) && value.includes(fieldValue);
+            case 'is_not_empty':
+                return fieldValue !== undefined && fieldValue !== null && fieldValue !== '';
             case 'has_tag':
-                return contact.tags?.includes(value);
+                return contact.tags?.includes(String(value).toLowerCase());
+            case 'on_list':
+                return contact.lists?.some(
+                    l => l.listId.toString() === String(value) && l.status === 'active'
+                );
             case 'opened_email':
                 return contact.engagement?.emailsOpened > 0;
             case 'clicked_email':
                 return contact.engagement?.emailsClicked > 0;
             default:
-                return true;
+                return false;
+        }
+    }
+
+    /**
+     * Read a contact field, resolving customFields.* from the Map
+     */
+    getContactValue(contact, field) {
+        if (field.startsWith('customFields.')) {
+            return contact.customFields?.get(field.slice('customFields.'.length));
         }
+        return this.getNestedValue(contact, field);
     }
 
     /**
@@ -0,0 +1,178 @@
+/**
+ * Bulk Worker
+ *
+ * Processes filter-based bulk contact operations - walks the matching
+ * contacts in _id order in batches, applies the action and records
+ * progress. A retried job resumes after the last finished batch.
+ */
+
+const { bulkQueue } = require('../queues');
+const Contact = require('../models/Contact.model');
+const BulkOperation = require('../models/BulkOperation.model');
+const AuditLog = require('../models/AuditLog.model');
+const bulkOperationService = require('../services/bulkOperation.service');
+const contactService = require('../services/contact.service');
+
+// One operation at a time per worker
+const CONCURRENCY = 1;
+
+// Contacts changed per batch (progress is saved after each)
+const BATCH_SIZE = parseInt(process.env.BULK_BATCH_SIZE) || 500;
+
+// Actions that change list stats of every list the contact belongs to
+const MEMBER_STATS_ACTIONS = ['set_status', 'delete'];
+
+/**
+ * Process bulk operation jobs
+ */
+bulkQueue.process('bulk-operation', CONCURRENCY, async (job) => {
+    const { bulkOperationId } = job.data;
+
+    const operation = await BulkOperation.findById(bulkOperationId).select('+progress.lastContactId');
+
+    if (!operation) {
+        throw new Error('Bulk operation not found');
+    }
+
+    if (operation.status === 'completed') {
+        return { skipped: true, reason: 'Already completed' };
+    }
+
+    console.log(`🧰 Processing bulk operation ${bulkOperationId} (${operation.action})`);
+
+    try {
+        const query = await bulkOperationService.buildTargetQuery(operation.orgId, operation.toObject().target);
+
+        let { processed, affected, lastContactId, total } = operation.progress;
+
+        // Fresh run (a retry keeps the progress of finished batches)
+        if (!lastContactId) {
+            total = await Contact.countDocuments(query);
+            processed = 0;
+            affected = 0;
+        }
+
+        await BulkOperation.updateOne(
+            { _id: operation._id },
+            {
+                status: 'processing',
+                startedAt: operation.startedAt || new Date(),
+                'progress.total': total,
+                $unset: { failedReason: 1 },
+            }
+        );
+
+        const listIds = new Set();
+        if (operation.params.listId) {
+            listIds.add(operation.params.listId.toString());
+        }
+
+        for (;;) {
+            // The query is re-run per batch; the _id cursor keeps changed contacts from matching twice
+            const contacts = await Contact.find(withCursor(query, lastContactId))
+                .select('_id lists.listId')
+                .sort({ _id: 1 })
+                .limit(BATCH_SIZE)
+                .lean();
+
+            if (contacts.length === 0) break;
+
+            if (MEMBER_STATS_ACTIONS.includes(operation.action)) {
+                contacts.forEach(c => (c.lists || []).forEach(l => listIds.add(l.listId.toString())));
+            }
+
+            affected += await bulkOperationService.applyAction(operation, contacts.map(c => c._id));
+            processed += contacts.length;
+            lastContactId = contacts[contacts.length - 1]._id;
+
+            const percentage = Math.min(99, Math.round((processed / Math.max(total, processed, 1)) * 100));
+            await BulkOperation.updateOne(
+                { _id: operation._id },
+                {
+                    'progress.processed': processed,
+                    'progress.affected': affected,
+                    'progress.percentage': percentage,
+                    'progress.lastContactId': lastContactId,
+                }
+            );
+            job.progress(percentage);
+
+            if (contacts.length < BATCH_SIZE) break;
+        }
+
+        if (listIds.size > 0) {
+            await contactService.updateListStats([...listIds]);
+        }
+
+        await BulkOperation.updateOne(
+            { _id: operation._id },
+            {
+                status: 'completed',
+                completedAt: new Date(),
+                'progress.processed': processed,
+                'progress.affected': affected,
+                'progress.percentage': 100,
+            }
+        );
+
+        await logOperation(operation, 'success', { matched: processed, affected });
+
+        console.log(`✅ Bulk operation ${bulkOperationId} completed: ${affected}/${processed} contacts changed`);
+
+        return { success: true, processed, affected };
+
+    } catch (error) {
+        console.error(`❌ Bulk operation ${bulkOperationId} failed:`, error.message);
+
+        await BulkOperation.updateOne(
+            { _id: operation._id },
+            { status: 'failed', failedReason: error.message }
+        );
+
+        await logOperation(operation, 'failure', { error: error.message });
+
+        throw error;
+    }
+});
+
+/**
+ * Restrict a contact query to contacts after the batch cursor
+ */
+function withCursor(query, lastContactId) {
+    if (!lastContactId) return query;
+    return { $and: [query, { _id: { $gt: lastContactId } }] };
+}
+
+/**
+ * Record the operation in the audit log
+ */
+function logOperation(operation, status, metadata) {
+    const { action, params, target } = operation.toObject();
+
+    return AuditLog.log({
+        userId: operation.createdBy,
+        orgId: operation.orgId,
+        action: 'contact_bulk_operation',
+        resource: { type: 'contact' },
+        status,
+        metadata: {
+            bulkOperationId: operation._id,
+            bulkAction: action,
+            params,
+            target,
+            ...metadata,
+        },
+    });
+}
+
+/**
+ * Event Handlers
+ */
+
+bulkQueue.on('failed', (job, err) => {
+    console.error(`💥 Bulk job ${job.id} failed:`, err.message);
+});
+
+console.log(`🧰 Bulk worker started`);
+
+module.exports = bulkQueue;
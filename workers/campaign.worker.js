@@ -2,7 +2,9 @@
  * Campaign Worker
  * 
  * Processes campaign send jobs - fetches recipients and
- * queues individual email jobs for each contact.
+ * queues individual email jobs for each contact. Throttled
+ * campaigns send one batch per job and chain delayed jobs.
+ * Seed list members get a copy of every variant instead.
  */
 
 const { campaignQueue, emailQueue } = require('../queues');
@@ -10,7 +12,12 @@ const Campaign = require('../models/Campaign.model');
 const Contact = require('../models/Contact.model');
 const Template = require('../models/Template.model');
 const Segment = require('../models/Segment.model');
+const List = require('../models/List.model');
 const EmailLog = require('../models/EmailLog.model');
+const Organization = require('../models/Organization.model');
+const sendTimeService = require('../services/sendTime.service');
+const trackingService = require('../services/tracking.service');
+const { getZonedParts, isValidTimezone, zonedTimeToUtc } = require('../utils/timezone');
 
 // Process one campaign at a time per worker
 const CONCURRENCY = 1;
@@ -18,6 +25,9 @@ const CONCURRENCY = 1;
 // Batch size for queuing emails
 const BATCH_SIZE = parseInt(process.env.CAMPAIGN_BATCH_SIZE) || 100;
 
+// Contact fields needed to render and schedule an email
+const RECIPIENT_FIELDS = '_id email firstName lastName customFields engagement.preferredSendHour location.timezone';
+
 /**
  * Process campaign send jobs
  */
@@ -41,8 +51,17 @@ campaignQueue.process(CONCURRENCY, async (job) => {
             return { skipped: true, reason: 'Invalid status' };
         }
 
-        // Update status to sending
-        if (campaign.status !== 'sending') {
+        const abTest = campaign.abTest?.enabled ? campaign.abTest : null;
+
+        // Test group already out - the scheduler re-queues once a winner is picked
+        if (abTest?.testStartedAt && !abTest.winnerSelectedAt) {
+            return { skipped: true, reason: 'Awaiting A/B test winner' };
+        }
+
+        const localTime = campaign.schedule?.useRecipientTimezone;
+
+        // Update status to sending (timezone waves switch over when the first wave goes out)
+        if (campaign.status !== 'sending' && !localTime) {
             campaign.status = 'sending';
             campaign.startedAt = new Date();
             await campaign.save();
@@ -62,6 +81,8 @@ campaignQueue.process(CONCURRENCY, async (job) => {
             }
         }
 
+        const content = { subject, html: htmlContent, text: textContent };
+
         // Build recipient query
         const recipientQuery = await buildRecipientQuery(campaign);
 
@@ -81,92 +102,45 @@ campaignQueue.process(CONCURRENCY, async (job) => {
             return { success: true, sent: 0 };
         }
 
-        // Process recipients in batches using cursor
-        let processed = 0;
-        let queued = 0;
+        // Recipient-timezone send: release each wave once its local time arrives
+        if (localTime) {
+            return await sendDueWaves(job, campaign, content, recipientQuery, totalRecipients);
+        }
 
-        const cursor = Contact.find(recipientQuery)
-            .select('_id email firstName lastName customFields')
-            .cursor();
+        await queueSeedCopies(campaign, content);
 
-        let batch = [];
+        // A/B test phase: send variants to a random test group only
+        if (abTest && !abTest.winnerSelectedAt) {
+            return await sendABTestGroup(job, campaign, content, recipientQuery, totalRecipients);
+        }
 
-        for await (const contact of cursor) {
-            // Check if campaign was paused/cancelled
-            const freshCampaign = await Campaign.findById(campaignId).select('status');
-            if (['paused', 'cancelled'].includes(freshCampaign?.status)) {
-                console.log(`Campaign ${campaignId} was ${freshCampaign.status}, stopping`);
-                break;
-            }
+        // Regular send, or the A/B winner to everyone not yet emailed
+        const winner = abTest ? campaign.getWinningVariant() : null;
 
-            // Check if already sent to this contact
-            const alreadySent = await EmailLog.exists({
-                campaignId,
-                contactId: contact._id,
-            });
-
-            if (alreadySent) {
-                processed++;
-                continue;
-            }
+        // Send-time optimization: hold each email until the contact's best hour
+        const delayFor = campaign.schedule?.optimizeSendTime || campaign.schedule?.type === 'optimal'
+            ? await sendTimeService.createDelayResolver(campaign.orgId)
+            : null;
 
-            // Render email for this contact
-            const rendered = renderEmail(subject, htmlContent, textContent, contact, campaign);
-
-            // Generate tracking ID
-            const trackingId = EmailLog.generateTrackingId();
-
-            // Add to batch
-            batch.push({
-                name: 'send-email',
-                data: {
-                    orgId,
-                    campaignId,
-                    contactId: contact._id,
-                    email: contact.email,
-                    subject: rendered.subject,
-                    html: rendered.html,
-                    text: rendered.text,
-                    from: campaign.email.fromEmail || process.env.EMAIL_FROM_ADDRESS,
-                    fromName: campaign.email.fromName || process.env.EMAIL_FROM_NAME,
-                    replyTo: campaign.email.replyTo,
-                    trackingId,
-                    variant: null, // For A/B testing
-                },
-                opts: {
-                    priority: 1,
-                    attempts: 5,
-                },
-            });
+        // Throttled delivery: one batch per job, next batch as a delayed job
+        if (campaign.schedule?.batchSending?.enabled) {
+            return await sendNextBatch(job, campaign, content, recipientQuery, totalRecipients, winner, delayFor);
+        }
 
-            queued++;
-            processed++;
+        const cursor = Contact.find(recipientQuery)
+            .select(RECIPIENT_FIELDS)
+            .cursor();
 
-            // Queue batch when full
-            if (batch.length >= BATCH_SIZE) {
-                await emailQueue.addBulk(batch);
-                batch = [];
-
-                // Update progress
-                const percentage = Math.round((processed / totalRecipients) * 100);
-                await Campaign.updateOne(
-                    { _id: campaignId },
-                    {
-                        'progress.percentage': percentage,
-                        'progress.processed': processed,
-                    }
-                );
-
-                // Report progress
-                job.progress(percentage);
-
-                console.log(`📤 Campaign ${campaignId}: ${processed}/${totalRecipients} (${percentage}%)`);
-            }
-        }
+        const { processed, queued, stopped } = await queueRecipients(job, campaign, cursor, {
+            total: totalRecipients,
+            variantFor: () => winner,
+            abPhase: winner ? 'winner' : null,
+            delayFor,
+            content,
+        });
 
-        // Queue remaining batch
-        if (batch.length > 0) {
-            await emailQueue.addBulk(batch);
+        if (stopped) {
+            return { success: true, stopped: true, queued, processed };
         }
 
         // Update campaign status
@@ -181,6 +155,7 @@ campaignQueue.process(CONCURRENCY, async (job) => {
             success: true,
             queued,
             total: totalRecipients,
+            ...(winner && { winner: winner.name }),
         };
 
     } catch (error) {
@@ -205,6 +180,505 @@ campaignQueue.process(CONCURRENCY, async (job) => {
     }
 });
 
+/**
+ * Send A/B variants to a random testSize% sample, split by variant percentage
+ */
+async function sendABTestGroup(job, campaign, content, recipientQuery, totalRecipients) {
+    const { variants, testSize } = campaign.abTest;
+
+    const testCount = Math.min(
+        totalRecipients,
+        Math.max(variants.length, Math.round(totalRecipients * testSize / 100))
+    );
+
+    // Random sample - $sample keeps selection unbiased by insertion order
+    const sample = await Contact.aggregate([
+        { $match: recipientQuery },
+        { $sample: { size: testCount } },
+        { $project: { _id: 1 } },
+    ]);
+    const ids = sample.map(c => c._id);
+
+    // Cumulative cut-offs, normalised in case percentages don't sum to 100
+    const totalWeight = variants.reduce((sum, v) => sum + (v.percentage || 0), 0);
+    let cumulative = 0;
+    const cutoffs = variants.map(v => {
+        cumulative += v.percentage || 0;
+        return Math.round((cumulative / totalWeight) * ids.length);
+    });
+
+    // Sample order is random, so positional assignment is a random split
+    const variantById = new Map();
+    ids.forEach((id, index) => {
+        const variantIndex = cutoffs.findIndex(cutoff => index < cutoff);
+        variantById.set(id.toString(), variants[variantIndex === -1 ? variants.length - 1 : variantIndex]);
+    });
+
+    const { queued, stopped } = await queueRecipients(job, campaign, contactsByIds(ids), {
+        total: totalRecipients,
+        variantFor: contact => variantById.get(contact._id.toString()),
+        abPhase: 'test',
+        content,
+    });
+
+    if (stopped) {
+        return { success: true, stopped: true, queued };
+    }
+
+    // Winner selection is picked up by the scheduler after testDurationHours
+    await Campaign.updateOne(
+        { _id: campaign._id },
+        {
+            'abTest.testStartedAt': new Date(),
+            'abTest.testRecipients': queued,
+        }
+    );
+
+    console.log(`🧪 Campaign ${campaign._id}: A/B test group queued (${queued}/${totalRecipients})`);
+
+    return { success: true, abTest: true, queued, total: totalRecipients };
+}
+
+/**
+ * Send the next batch of a throttled campaign and schedule the one after
+ */
+async function sendNextBatch(job, campaign, content, recipientQuery, totalRecipients, winner, delayFor) {
+    const { batchSize, intervalMinutes } = campaign.schedule.batchSending;
+    const batchNumber = (campaign.progress.currentBatch || 0) + 1;
+
+    // A delayed job made stale by pause/resume - the resume job owns this batch
+    if (job.data.batch && job.data.batch !== batchNumber) {
+        return { skipped: true, reason: `Batch ${job.data.batch} already processed` };
+    }
+
+    const totalBatches = (campaign.progress.currentBatch || 0)
+        + Math.ceil(await Contact.countDocuments(withCursor(recipientQuery, campaign.progress.lastContactId)) / batchSize);
+
+    // Stable _id order so the cursor survives pause/resume
+    const contacts = await Contact.find(withCursor(recipientQuery, campaign.progress.lastContactId))
+        .select(RECIPIENT_FIELDS)
+        .sort({ _id: 1 })
+        .limit(batchSize);
+
+    const { queued, stopped } = await queueRecipients(job, campaign, contacts, {
+        total: totalRecipients,
+        progressOffset: (batchNumber - 1) * batchSize,
+        variantFor: () => winner,
+        abPhase: winner ? 'winner' : null,
+        delayFor,
+        content,
+    });
+
+    // Paused mid-batch: contacts already queued or sent are skipped when resumed
+    if (stopped) {
+        return { success: true, stopped: true, batch: batchNumber, queued };
+    }
+
+    const now = new Date();
+    const isLastBatch = contacts.length < batchSize || batchNumber >= totalBatches;
+    const intervalMs = intervalMinutes * 60 * 1000;
+
+    const update = {
+        'progress.currentBatch': batchNumber,
+        'progress.totalBatches': Math.max(totalBatches, batchNumber),
+        'progress.lastProcessedAt': now,
+        'progress.estimatedCompletion': new Date(now.getTime() + (totalBatches - batchNumber) * intervalMs),
+    };
+
+    if (contacts.length > 0) {
+        update['progress.lastContactId'] = contacts[contacts.length - 1]._id;
+    }
+
+    if (isLastBatch) {
+        Object.assign(update, {
+            status: 'sent',
+            completedAt: now,
+            'progress.percentage': 100,
+            'progress.completedAt': now,
+        });
+    }
+
+    await Campaign.updateOne({ _id: campaign._id }, update);
+
+    if (isLastBatch) {
+        console.log(`✅ Campaign ${campaign._id} completed: batch ${batchNumber}/${totalBatches}`);
+        return { success: true, batch: batchNumber, totalBatches, queued };
+    }
+
+    await campaignQueue.add(
+        'process-campaign',
+        {
+            campaignId: campaign._id.toString(),
+            orgId: campaign.orgId.toString(),
+            batch: batchNumber + 1,
+        },
+        {
+            priority: 1,
+            delay: intervalMs,
+        }
+    );
+
+    console.log(`⏱️ Campaign ${campaign._id}: batch ${batchNumber}/${totalBatches} queued, next in ${intervalMinutes}m`);
+
+    return { success: true, batch: batchNumber, totalBatches, queued };
+}
+
+/**
+ * Send every timezone wave whose local send time has passed,
+ * then schedule a job for the next pending wave
+ */
+async function sendDueWaves(job, campaign, content, recipientQuery, totalRecipients) {
+    if (!campaign.progress.waves?.length) {
+        campaign.progress.waves = await planTimezoneWaves(campaign, recipientQuery);
+        await campaign.save();
+    }
+
+    const waves = campaign.progress.waves;
+    const now = new Date();
+    const due = waves.filter(w => w.status === 'pending' && w.sendAt <= now);
+
+    if (due.length > 0 && campaign.status !== 'sending') {
+        await Campaign.updateOne(
+            { _id: campaign._id },
+            { status: 'sending', startedAt: now, 'progress.startedAt': now }
+        );
+
+        await queueSeedCopies(campaign, content);
+    }
+
+    // Contacts without a valid timezone are everyone outside the known zones
+    const knownTimezones = waves.flatMap(w => w.timezones);
+    let progressOffset = waves
+        .filter(w => w.status === 'sent')
+        .reduce((sum, w) => sum + w.recipients, 0);
+
+    for (const wave of due) {
+        const cursor = Contact.find({ $and: [recipientQuery, waveQuery(wave, knownTimezones)] })
+            .select(RECIPIENT_FIELDS)
+            .cursor();
+
+        const { queued, stopped } = await queueRecipients(job, campaign, cursor, {
+            total: totalRecipients,
+            progressOffset,
+            variantFor: () => null,
+            content,
+        });
+
+        if (stopped) {
+            return { success: true, stopped: true, queued };
+        }
+
+        await Campaign.updateOne(
+            { _id: campaign._id },
+            {
+                'progress.waves.$[wave].status': 'sent',
+                'progress.waves.$[wave].sentAt': new Date(),
+                'progress.waves.$[wave].queued': queued,
+                'progress.lastProcessedAt': new Date(),
+            },
+            { arrayFilters: [{ 'wave._id': wave._id }] }
+        );
+
+        wave.status = 'sent';
+        progressOffset += wave.recipients;
+
+        console.log(`🌍 Campaign ${campaign._id}: wave ${wave.sendAt.toISOString()} queued (${queued} emails)`);
+    }
+
+    const pending = waves.filter(w => w.status === 'pending');
+
+    if (pending.length === 0) {
+        const completedAt = new Date();
+        await Campaign.updateOne(
+            { _id: campaign._id },
+            {
+                status: 'sent',
+                completedAt,
+                'progress.percentage': 100,
+                'progress.completedAt': completedAt,
+            }
+        );
+
+        console.log(`✅ Campaign ${campaign._id} completed: ${waves.length} timezone waves`);
+        return { success: true, waves: waves.length };
+    }
+
+    const nextWaveAt = pending[0].sendAt;
+
+    await Campaign.updateOne(
+        { _id: campaign._id },
+        { 'progress.estimatedCompletion': pending[pending.length - 1].sendAt }
+    );
+
+    // jobId dedupes the wave job when a resume re-queues the campaign
+    await campaignQueue.add(
+        'process-campaign',
+        {
+            campaignId: campaign._id.toString(),
+            orgId: campaign.orgId.toString(),
+        },
+        {
+            jobId: `${campaign._id}:wave:${nextWaveAt.getTime()}`,
+            priority: 1,
+            delay: Math.max(0, nextWaveAt.getTime() - Date.now()),
+        }
+    );
+
+    return { success: true, wavesSent: due.length, wavesPending: pending.length, nextWaveAt };
+}
+
+/**
+ * Group recipients into waves by the UTC instant their local clock reaches scheduledAt
+ * scheduledAt's wall-clock time is read in schedule.timezone; contacts without a
+ * valid timezone use the organization's.
+ */
+async function planTimezoneWaves(campaign, recipientQuery) {
+    const { scheduledAt, timezone } = campaign.schedule;
+
+    const org = await Organization.findById(campaign.orgId).select('settings.timezone');
+    const orgTimezone = isValidTimezone(org?.settings?.timezone) ? org.settings.timezone : 'UTC';
+
+    const wallClock = getZonedParts(scheduledAt || new Date(), isValidTimezone(timezone) ? timezone : 'UTC');
+
+    const groups = await Contact.aggregate([
+        { $match: recipientQuery },
+        { $group: { _id: '$location.timezone', count: { $sum: 1 } } },
+    ]);
+
+    const waves = new Map();
+    for (const { _id: contactTimezone, count } of groups) {
+        const valid = isValidTimezone(contactTimezone);
+        const sendAt = zonedTimeToUtc(wallClock, valid ? contactTimezone : orgTimezone);
+
+        if (!waves.has(sendAt.getTime())) {
+            waves.set(sendAt.getTime(), { sendAt, timezones: [], includesDefault: false, recipients: 0 });
+        }
+
+        const wave = waves.get(sendAt.getTime());
+        wave.recipients += count;
+        if (valid) {
+            wave.timezones.push(contactTimezone);
+        } else {
+            wave.includesDefault = true;
+        }
+    }
+
+    // Organization timezone wave always exists so late-added contacts without a timezone are covered
+    const defaultSendAt = zonedTimeToUtc(wallClock, orgTimezone);
+    if (!waves.has(defaultSendAt.getTime())) {
+        waves.set(defaultSendAt.getTime(), { sendAt: defaultSendAt, timezones: [], includesDefault: true, recipients: 0 });
+    }
+    waves.get(defaultSendAt.getTime()).includesDefault = true;
+
+    return [...waves.values()].sort((a, b) => a.sendAt - b.sendAt);
+}
+
+/**
+ * Contact query for one timezone wave
+ */
+function waveQuery(wave, knownTimezones) {
+    const conditions = [{ 'location.timezone': { $in: wave.timezones } }];
+
+    if (wave.includesDefault) {
+        conditions.push({ 'location.timezone': { $nin: knownTimezones } });
+    }
+
+    return { $or: conditions };
+}
+
+/**
+ * Restrict a recipient query to contacts after the batch cursor
+ */
+function withCursor(recipientQuery, lastContactId) {
+    if (!lastContactId) return recipientQuery;
+    return { $and: [recipientQuery, { _id: { $gt: lastContactId } }] };
+}
+
+/**
+ * Queue send jobs for an iterable of contacts
+ * Skips contacts already emailed for this campaign and stops if paused/cancelled.
+ * Send jobs waiting in the email queue are deduped by their jobId.
+ * delayFor(contact), when given, returns a per-contact send delay in ms.
+ */
+async function queueRecipients(job, campaign, contacts, { total, variantFor, abPhase = null, delayFor, content, progressOffset = 0 }) {
+    const campaignId = campaign._id.toString();
+
+    let processed = 0;
+    let queued = 0;
+    let stopped = false;
+    let batch = [];
+
+    for await (const contact of contacts) {
+        // Check if campaign was paused/cancelled
+        const freshCampaign = await Campaign.findById(campaignId).select('status');
+        if (['paused', 'cancelled'].includes(freshCampaign?.status)) {
+            console.log(`Campaign ${campaignId} was ${freshCampaign.status}, stopping`);
+            stopped = true;
+            break;
+        }
+
+        // Check if already sent to this contact
+        const alreadySent = await EmailLog.exists({
+            campaignId,
+            contactId: contact._id,
+        });
+
+        if (alreadySent) {
+            processed++;
+            continue;
+        }
+
+        // Add to batch
+        const emailJob = buildEmailJob(campaign, contact, variantFor(contact), content, abPhase);
+        if (delayFor) {
+            emailJob.opts.delay = delayFor(contact);
+        }
+        batch.push(emailJob);
+
+        queued++;
+        processed++;
+
+        // Queue batch when full
+        if (batch.length >= BATCH_SIZE) {
+            await emailQueue.addBulk(batch);
+            batch = [];
+
+            // Update progress
+            const done = progressOffset + processed;
+            const percentage = Math.min(100, Math.round((done / total) * 100));
+            await Campaign.updateOne(
+                { _id: campaignId },
+                {
+                    'progress.percentage': percentage,
+                    'progress.processed': done,
+                }
+            );
+
+            // Report progress
+            job.progress(percentage);
+
+            console.log(`📤 Campaign ${campaignId}: ${done}/${total} (${percentage}%)`);
+        }
+    }
+
+    // Queue remaining batch
+    if (batch.length > 0) {
+        await emailQueue.addBulk(batch);
+    }
+
+    return { processed, queued, stopped };
+}
+
+/**
+ * Build the send job for one contact
+ * Variant content overrides the base content where set. Winner-phase sends
+ * use the winning variant's content but aren't tagged with its name.
+ */
+function buildEmailJob(campaign, contact, variant, content, abPhase = null) {
+    const rendered = renderEmail(
+        variant?.subject || content.subject,
+        variant?.htmlContent || content.html,
+        content.text,
+        contact,
+        campaign
+    );
+
+    const trackingId = EmailLog.generateTrackingId();
+
+    return {
+        name: 'send-email',
+        data: {
+            orgId: campaign.orgId.toString(),
+            campaignId: campaign._id.toString(),
+            contactId: contact._id,
+            email: contact.email,
+            subject: rendered.subject,
+            html: rendered.html,
+            text: rendered.text,
+            from: campaign.email.fromEmail || process.env.EMAIL_FROM_ADDRESS,
+            fromName: variant?.fromName || campaign.email.fromName || process.env.EMAIL_FROM_NAME,
+            replyTo: campaign.email.replyTo,
+            trackingId,
+            variant: abPhase === 'winner' ? null : variant?.name || null,
+            abPhase,
+            headers: trackingService.createListUnsubscribeHeader(trackingId, contact.email),
+        },
+        opts: {
+            priority: 1,
+            attempts: 5,
+            // One send per contact: a re-run (resume, stalled re-queue) can't
+            // add a second job while the first is still waiting to be sent
+            jobId: `${campaign._id}:${contact._id}`,
+        },
+    };
+}
+
+/**
+ * Queue seed copies: each member of the campaign's and organization's
+ * seed lists gets every A/B variant (or the single version) once.
+ * Seed logs are flagged isSeed and stay out of campaign analytics.
+ */
+async function queueSeedCopies(campaign, content) {
+    const seedListIds = await List.getSeedListIds(campaign.orgId, campaign.recipients.seedLists);
+
+    if (seedListIds.length === 0) {
+        return 0;
+    }
+
+    const variants = campaign.abTest?.enabled && campaign.abTest.variants?.length > 0
+        ? campaign.abTest.variants
+        : [null];
+
+    const seeds = await Contact.find({
+        orgId: campaign.orgId,
+        status: 'subscribed',
+        lists: { $elemMatch: { listId: { $in: seedListIds }, status: 'active' } },
+    }).select(RECIPIENT_FIELDS);
+
+    const jobs = [];
+
+    for (const contact of seeds) {
+        for (const variant of variants) {
+            const variantName = variant?.name || null;
+
+            // Re-runs (resume, A/B winner, next batch) only add missing copies
+            const alreadySent = await EmailLog.exists({
+                campaignId: campaign._id,
+                contactId: contact._id,
+                isSeed: true,
+                abVariant: variantName,
+            });
+
+            if (alreadySent) continue;
+
+            const emailJob = buildEmailJob(campaign, contact, variant, content);
+            emailJob.data.isSeed = true;
+            // jobId dedupes copies queued but not yet logged
+            emailJob.opts.jobId = `${campaign._id}:seed:${contact._id}:${variantName || 'default'}`;
+            jobs.push(emailJob);
+        }
+    }
+
+    if (jobs.length > 0) {
+        await emailQueue.addBulk(jobs);
+        console.log(`🌱 Campaign ${campaign._id}: ${jobs.length} seed copies queued`);
+    }
+
+    return jobs.length;
+}
+
+/**
+ * Iterate contacts for a list of IDs in chunks
+ */
+async function* contactsByIds(ids) {
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+        const contacts = await Contact.find({ _id: { $in: ids.slice(i, i + BATCH_SIZE) } })
+            .select(RECIPIENT_FIELDS);
+
+        yield* contacts;
+    }
+}
+
 /**
  * Build MongoDB query for campaign recipients
  */
@@ -251,6 +725,16 @@ async function buildRecipientQuery(campaign) {
         };
     }
 
+    // Seed list members get seed copies instead
+    const seedListIds = await List.getSeedListIds(campaign.orgId, campaign.recipients.seedLists);
+    if (seedListIds.length > 0) {
+        query.lists = { $not: { $elemMatch: { listId: { $in: seedListIds }, status: 'active' } } };
+    }
+
+    if (campaign.recipients.excludeEmailStatuses?.length > 0) {
+        query['deliverability.emailValidation.status'] = { $nin: campaign.recipients.excludeEmailStatuses };
+    }
+
     return query;
 }
 
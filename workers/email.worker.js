@@ -10,10 +10,14 @@ const emailProvider = require('../providers/email.provider');
 const EmailLog = require('../models/EmailLog.model');
 const Contact = require('../models/Contact.model');
 const Campaign = require('../models/Campaign.model');
+const suppressionService = require('../services/suppression.service');
 
 // Worker concurrency - adjust based on server capacity
 const CONCURRENCY = parseInt(process.env.EMAIL_WORKER_CONCURRENCY) || 10;
 
+// Email types that don't count towards contact engagement
+const UNCOUNTED_TYPES = ['transactional', 'test'];
+
 /**
  * Process email send jobs
  */
@@ -31,11 +35,28 @@ emailQueue.process(CONCURRENCY, async (job) => {
         replyTo,
         trackingId,
         variant,
+        abPhase,
+        isSeed,
+        headers,
     } = job.data;
 
     console.log(`📧 Processing email job ${job.id} to ${email}`);
 
     try {
+        // Mandatory gate: suppressed addresses are never mailed, whoever queued the job
+        const suppression = await suppressionService.check(orgId, email);
+
+        if (suppression) {
+            await markSuppressed(job.data, suppression);
+            console.log(`⛔ Job ${job.id} skipped: suppressed (${suppression.source}: ${suppression.reason})`);
+
+            return {
+                success: false,
+                suppressed: true,
+                ...suppression,
+            };
+        }
+
         // Create or get email log
         let emailLog = await EmailLog.findOne({ trackingId });
 
@@ -47,7 +68,9 @@ emailQueue.process(CONCURRENCY, async (job) => {
                 email,
                 trackingId,
                 type: campaignId ? 'campaign' : 'transactional',
-                variant,
+                abVariant: variant,
+                abPhase,
+                isSeed,
                 status: 'queued',
             });
         }
@@ -64,6 +87,7 @@ emailQueue.process(CONCURRENCY, async (job) => {
             html,
             text,
             replyTo,
+            headers,
             trackingId,
         });
 
@@ -71,8 +95,20 @@ emailQueue.process(CONCURRENCY, async (job) => {
             // Mark as sent
             await emailLog.markSent(result.messageId);
 
-            // Update campaign analytics
-            if (campaignId) {
+            // Count marketing emails received (engagement score, sunset policy)
+            // Seed copies don't count, so seed addresses are never sunset
+            if (contactId && !isSeed && !UNCOUNTED_TYPES.includes(emailLog.type)) {
+                await Contact.updateOne(
+                    { _id: contactId },
+                    {
+                        $inc: { 'engagement.emailsReceived': 1 },
+                        'engagement.lastEmailSentAt': new Date(),
+                    }
+                );
+            }
+
+            // Update campaign analytics (seed copies are left out)
+            if (campaignId && !isSeed) {
                 await Campaign.updateOne(
                     { _id: campaignId },
                     {
@@ -124,7 +160,7 @@ emailQueue.process(CONCURRENCY, async (job) => {
             }
 
             // Update campaign failed count
-            if (campaignId) {
+            if (campaignId && !isSeed) {
                 await Campaign.updateOne(
                     { _id: campaignId },
                     {
@@ -153,6 +189,42 @@ emailQueue.process(CONCURRENCY, async (job) => {
     }
 });
 
+/**
+ * Record a send skipped by the suppression gate
+ * Erased addresses only update logs that already exist (which erasure anonymized).
+ */
+async function markSuppressed({ orgId, campaignId, contactId, email, trackingId, variant, abPhase, isSeed }, suppression) {
+    const error = {
+        message: `Suppressed (${suppression.source}: ${suppression.reason})`,
+        code: 'SUPPRESSED',
+    };
+
+    const { matchedCount } = await EmailLog.updateOne({ trackingId }, { status: 'suppressed', error });
+
+    if (matchedCount === 0 && suppression.reason !== 'erasure') {
+        await EmailLog.create({
+            orgId,
+            campaignId,
+            contactId,
+            email,
+            trackingId,
+            type: campaignId ? 'campaign' : 'transactional',
+            abVariant: variant,
+            abPhase,
+            isSeed,
+            status: 'suppressed',
+            error,
+        });
+    }
+
+    if (campaignId && !isSeed) {
+        await Campaign.updateOne(
+            { _id: campaignId },
+            { $inc: { 'analytics.suppressed': 1 } }
+        );
+    }
+}
+
 /**
  * Event Handlers
  */
@@ -166,7 +238,7 @@ emailQueue.on('completed', (job, result) => {
 emailQueue.on('failed', async (job, err) => {
     console.error(`💥 Job ${job.id} failed permanently:`, err.message);
 
-    const { trackingId, campaignId, email } = job.data;
+    const { trackingId, campaignId, email, isSeed } = job.data;
 
     // Update email log
     const emailLog = await EmailLog.findOne({ trackingId });
@@ -181,7 +253,7 @@ emailQueue.on('failed', async (job, err) => {
     }
 
     // Update campaign
-    if (campaignId) {
+    if (campaignId && !isSeed) {
         await Campaign.updateOne(
             { _id: campaignId },
             {
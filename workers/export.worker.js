@@ -0,0 +1,199 @@
+/**
+ * Export Worker
+ *
+ * Processes contact export jobs - streams matching contacts to a
+ * CSV, JSON or NDJSON file in storage and records progress.
+ */
+
+const { once } = require('events');
+const { finished } = require('stream/promises');
+const { exportQueue } = require('../queues');
+const Contact = require('../models/Contact.model');
+const ExportJob = require('../models/ExportJob.model');
+const AuditLog = require('../models/AuditLog.model');
+const contactService = require('../services/contact.service');
+const storage = require('../providers/storage.provider');
+const { toCSVLine } = require('../utils/csv');
+
+// One export at a time per worker
+const CONCURRENCY = 1;
+
+// Progress is saved every N contacts
+const PROGRESS_INTERVAL = 1000;
+
+/**
+ * Output formats: header, per-record serializer and footer
+ */
+const FORMATS = {
+    csv: {
+        header: fields => toCSVLine(fields),
+        record: (record, fields) => toCSVLine(fields.map(f => record[f])),
+        footer: () => '',
+    },
+    json: {
+        header: () => '[\n',
+        record: (record, fields, index) => `${index > 0 ? ',\n' : ''}${JSON.stringify(record)}`,
+        footer: () => '\n]\n',
+    },
+    ndjson: {
+        header: () => '',
+        record: record => `${JSON.stringify(record)}\n`,
+        footer: () => '',
+    },
+};
+
+/**
+ * Process contact export jobs
+ */
+exportQueue.process('export-contacts', CONCURRENCY, async (job) => {
+    const { exportJobId } = job.data;
+
+    const exportJob = await ExportJob.findById(exportJobId);
+
+    if (!exportJob) {
+        throw new Error('Export job not found');
+    }
+
+    if (exportJob.status === 'completed') {
+        return { skipped: true, reason: 'Already completed' };
+    }
+
+    console.log(`📤 Processing export ${exportJobId}`);
+
+    const key = `exports/${exportJob.orgId}/${exportJob._id}.${exportJob.format}`;
+    let output;
+
+    try {
+        const query = await contactService.buildExportQuery(exportJob.orgId, exportJob.filter);
+        const fields = await contactService.resolveExportFields(query, exportJob.fields);
+        const total = await Contact.countDocuments(query);
+
+        exportJob.status = 'processing';
+        exportJob.startedAt = new Date();
+        exportJob.failedReason = undefined;
+        exportJob.progress = { total, processed: 0, percentage: 0 };
+        await exportJob.save();
+
+        const format = FORMATS[exportJob.format];
+        output = storage.createWriteStream(key);
+
+        // A disk error fails the job through write()/finish instead of
+        // being raised as an uncaught stream error
+        output.on('error', () => {});
+
+        await write(output, format.header(fields));
+
+        const cursor = Contact.find(query)
+            .select(Object.fromEntries(fields.map(field => [field, 1])))
+            .sort({ _id: 1 })
+            .lean()
+            .cursor();
+
+        let processed = 0;
+        for await (const contact of cursor) {
+            const record = contactService.toExportRecord(contact, fields);
+            await write(output, format.record(record, fields, processed));
+            processed++;
+
+            if (processed % PROGRESS_INTERVAL === 0) {
+                const percentage = Math.min(99, Math.round((processed / Math.max(total, 1)) * 100));
+                await ExportJob.updateOne(
+                    { _id: exportJob._id },
+                    { 'progress.processed': processed, 'progress.percentage': percentage }
+                );
+                job.progress(percentage);
+            }
+        }
+
+        await write(output, format.footer(fields));
+        output.end();
+        await once(output, 'finish');
+
+        const completedAt = new Date();
+        await ExportJob.updateOne(
+            { _id: exportJob._id },
+            {
+                status: 'completed',
+                completedAt,
+                'progress.processed': processed,
+                'progress.percentage': 100,
+                'file.key': key,
+                'file.name': `contacts_${completedAt.toISOString().slice(0, 10)}.${exportJob.format}`,
+                'file.size': await storage.size(key),
+            }
+        );
+
+        await logExport(exportJob, 'success', { count: processed });
+
+        console.log(`✅ Export ${exportJobId} completed: ${processed} contacts`);
+
+        return { success: true, exported: processed };
+
+    } catch (error) {
+        console.error(`❌ Export ${exportJobId} failed:`, error.message);
+
+        await ExportJob.updateOne(
+            { _id: exportJob._id },
+            { status: 'failed', failedReason: error.message }
+        );
+
+        // Close the file handle before removing the partial file
+        if (output) {
+            output.destroy();
+            await finished(output).catch(() => {});
+        }
+
+        await storage.remove(key).catch(() => {});
+        await logExport(exportJob, 'failure', { error: error.message });
+
+        throw error;
+    }
+});
+
+/**
+ * Write to a stream, waiting for drain when the buffer is full
+ * Throws the stream's error if it has failed.
+ */
+async function write(stream, chunk) {
+    if (stream.errored) {
+        throw stream.errored;
+    }
+
+    if (chunk && !stream.write(chunk)) {
+        await once(stream, 'drain');
+    }
+}
+
+/**
+ * Record the export in the audit log
+ */
+function logExport(exportJob, status, metadata) {
+    const { fields, filter } = exportJob.toObject();
+
+    return AuditLog.log({
+        userId: exportJob.createdBy,
+        orgId: exportJob.orgId,
+        action: 'contact_export',
+        resource: { type: 'contact' },
+        status,
+        metadata: {
+            exportJobId: exportJob._id,
+            format: exportJob.format,
+            fields,
+            filter,
+            ...metadata,
+        },
+    });
+}
+
+/**
+ * Event Handlers
+ */
+
+exportQueue.on('failed', (job, err) => {
+    console.error(`💥 Export job ${job.id} failed:`, err.message);
+});
+
+console.log(`📤 Export worker started`);
+
+module.exports = exportQueue;
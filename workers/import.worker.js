@@ -0,0 +1,162 @@
+/**
+ * Import Worker
+ *
+ * Processes CSV contact imports - streams the uploaded file,
+ * upserts contacts in chunks and records progress on the ImportJob.
+ */
+
+const fs = require('fs');
+const csv = require('csv-parser');
+const { importQueue } = require('../queues');
+const ImportJob = require('../models/ImportJob.model');
+const contactService = require('../services/contact.service');
+
+// One import at a time per worker (imports are long running)
+const CONCURRENCY = 1;
+
+// Rows per bulkWrite
+const CHUNK_SIZE = parseInt(process.env.IMPORT_CHUNK_SIZE) || 1000;
+
+/**
+ * Process CSV import jobs
+ */
+importQueue.process('import-contacts', CONCURRENCY, async (job) => {
+    const { importJobId } = job.data;
+
+    const importJob = await ImportJob.findById(importJobId).select('+file.path');
+
+    if (!importJob) {
+        throw new Error('Import job not found');
+    }
+
+    if (importJob.status === 'completed') {
+        return { skipped: true, reason: 'Already completed' };
+    }
+
+    console.log(`📥 Processing import ${importJobId}`);
+
+    try {
+        if (!fs.existsSync(importJob.file.path)) {
+            throw new Error('Import file not found');
+        }
+
+        importJob.status = 'processing';
+        importJob.startedAt = importJob.startedAt || new Date();
+        importJob.failedReason = undefined;
+
+        if (!importJob.progress.total) {
+            importJob.progress.total = await countRows(importJob.file.path);
+        }
+
+        await importJob.save();
+
+        // A retried job resumes after the rows it already processed
+        const resumeAfter = importJob.progress.processed;
+
+        let rowNumber = 0;
+        let chunk = [];
+
+        const flush = async () => {
+            if (chunk.length === 0) return;
+
+            // CSV line number of the first row in the chunk (header is line 1)
+            const firstRow = rowNumber - chunk.length + 2;
+            const results = await contactService.importRows(importJob, chunk, firstRow);
+            await importJob.recordChunk(results);
+
+            job.progress(importJob.progress.percentage);
+            chunk = [];
+        };
+
+        for await (const row of fs.createReadStream(importJob.file.path).pipe(csv())) {
+            rowNumber++;
+            if (rowNumber <= resumeAfter) continue;
+
+            chunk.push(row);
+            if (chunk.length >= CHUNK_SIZE) {
+                await flush();
+                console.log(`📥 Import ${importJobId}: ${importJob.progress.processed}/${importJob.progress.total}`);
+            }
+        }
+        await flush();
+
+        // Update list stats
+        if (importJob.options.listId) {
+            await contactService.updateListStats([importJob.options.listId]);
+        }
+
+        const completed = await ImportJob.findByIdAndUpdate(
+            importJobId,
+            {
+                status: 'completed',
+                completedAt: new Date(),
+                'progress.percentage': 100,
+            },
+            { new: true }
+        );
+
+        removeFile(importJob.file.path);
+
+        const { created, updated, skipped } = completed.progress;
+        console.log(`✅ Import ${importJobId} completed: ${created} created, ${updated} updated, ${skipped} skipped`);
+
+        return { success: true, created, updated, skipped };
+
+    } catch (error) {
+        console.error(`❌ Import ${importJobId} failed:`, error.message);
+
+        await ImportJob.updateOne(
+            { _id: importJobId },
+            { status: 'failed', failedReason: error.message }
+        );
+
+        // No more retries - the upload is no longer needed
+        if (job.attemptsMade + 1 >= (job.opts.attempts || 1)) {
+            removeFile(importJob.file.path);
+        }
+
+        throw error;
+    }
+});
+
+/**
+ * Count data rows in a CSV file
+ */
+function countRows(filePath) {
+    return new Promise((resolve, reject) => {
+        let count = 0;
+
+        fs.createReadStream(filePath)
+            .pipe(csv())
+            .on('data', () => count++)
+            .on('end', () => resolve(count))
+            .on('error', (error) => reject(error));
+    });
+}
+
+/**
+ * Delete an uploaded file, ignoring missing files
+ */
+function removeFile(filePath) {
+    fs.unlink(filePath, (error) => {
+        if (error && error.code !== 'ENOENT') {
+            console.warn(`⚠️ Could not remove import file ${filePath}:`, error.message);
+        }
+    });
+}
+
+/**
+ * Event Handlers
+ */
+
+importQueue.on('failed', (job, err) => {
+    console.error(`💥 Import job ${job.id} failed:`, err.message);
+});
+
+importQueue.on('stalled', (job) => {
+    console.warn(`⚠️ Import job ${job.id} stalled`);
+});
+
+console.log(`📥 Import worker started`);
+
+module.exports = importQueue;
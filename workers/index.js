@@ -30,6 +30,19 @@ async function startWorkers() {
     require('./email.worker');
     require('./campaign.worker');
     require('./analytics.worker');
+    require('./import.worker');
+    require('./export.worker');
+    require('./bulk.worker');
+    require('./validation.worker');
+
+    // Enroll contacts into automations on domain events
+    require('../services/trigger.service').register();
+
+    // Send list welcome emails on subscription
+    require('../services/welcome.service').register();
+
+    // Record contact activity for the timeline
+    require('../services/timeline.service').register();
 
     // Start automation worker
     const automationWorker = require('./automation.worker');
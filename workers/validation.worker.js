@@ -0,0 +1,140 @@
+/**
+ * Validation Worker
+ *
+ * Processes bulk email validation jobs - walks the matching contacts
+ * in _id order in batches, validates each address (syntax, disposable,
+ * role, typo, MX) and stores the results. A retried job resumes after
+ * the last finished batch.
+ */
+
+const { validationQueue } = require('../queues');
+const Contact = require('../models/Contact.model');
+const ValidationJob = require('../models/ValidationJob.model');
+const emailValidationService = require('../services/emailValidation.service');
+
+// One validation at a time per worker (lookups are already parallel)
+const CONCURRENCY = 1;
+
+// Contacts validated per batch (progress is saved after each)
+const BATCH_SIZE = parseInt(process.env.VALIDATION_BATCH_SIZE) || 500;
+
+/**
+ * Process bulk validation jobs
+ */
+validationQueue.process('validate-emails', CONCURRENCY, async (job) => {
+    const { validationJobId } = job.data;
+
+    const validationJob = await ValidationJob.findById(validationJobId).select('+progress.lastContactId');
+
+    if (!validationJob) {
+        throw new Error('Validation job not found');
+    }
+
+    if (validationJob.status === 'completed') {
+        return { skipped: true, reason: 'Already completed' };
+    }
+
+    console.log(`🔎 Processing email validation ${validationJobId}`);
+
+    try {
+        const query = emailValidationService.buildValidationQuery(validationJob.orgId, validationJob);
+
+        let { processed, total, lastContactId } = validationJob.progress;
+        const byStatus = Object.fromEntries(validationJob.byStatus || new Map());
+
+        // Fresh run (a retry keeps the progress of finished batches)
+        if (!lastContactId) {
+            total = await Contact.countDocuments(query);
+            processed = 0;
+            Object.keys(byStatus).forEach(status => delete byStatus[status]);
+        }
+
+        await ValidationJob.updateOne(
+            { _id: validationJob._id },
+            {
+                status: 'processing',
+                startedAt: validationJob.startedAt || new Date(),
+                'progress.total': total,
+                $unset: { failedReason: 1 },
+            }
+        );
+
+        for (;;) {
+            // The _id cursor keeps contacts that stay 'unknown' from matching twice
+            const contacts = await Contact.find(withCursor(query, lastContactId))
+                .select('_id email')
+                .sort({ _id: 1 })
+                .limit(BATCH_SIZE)
+                .lean();
+
+            if (contacts.length === 0) break;
+
+            const counts = await emailValidationService.validateBatch(contacts);
+            for (const [status, count] of Object.entries(counts)) {
+                byStatus[status] = (byStatus[status] || 0) + count;
+            }
+
+            processed += contacts.length;
+            lastContactId = contacts[contacts.length - 1]._id;
+
+            const percentage = Math.min(99, Math.round((processed / Math.max(total, processed, 1)) * 100));
+            await ValidationJob.updateOne(
+                { _id: validationJob._id },
+                {
+                    byStatus,
+                    'progress.processed': processed,
+                    'progress.percentage': percentage,
+                    'progress.lastContactId': lastContactId,
+                }
+            );
+            job.progress(percentage);
+
+            if (contacts.length < BATCH_SIZE) break;
+        }
+
+        await ValidationJob.updateOne(
+            { _id: validationJob._id },
+            {
+                status: 'completed',
+                completedAt: new Date(),
+                byStatus,
+                'progress.processed': processed,
+                'progress.percentage': 100,
+            }
+        );
+
+        console.log(`✅ Email validation ${validationJobId} completed: ${processed} contacts`);
+
+        return { success: true, processed, byStatus };
+
+    } catch (error) {
+        console.error(`❌ Email validation ${validationJobId} failed:`, error.message);
+
+        await ValidationJob.updateOne(
+            { _id: validationJob._id },
+            { status: 'failed', failedReason: error.message }
+        );
+
+        throw error;
+    }
+});
+
+/**
+ * Restrict a contact query to contacts after the batch cursor
+ */
+function withCursor(query, lastContactId) {
+    if (!lastContactId) return query;
+    return { $and: [query, { _id: { $gt: lastContactId } }] };
+}
+
+/**
+ * Event Handlers
+ */
+
+validationQueue.on('failed', (job, err) => {
+    console.error(`💥 Validation job ${job.id} failed:`, err.message);
+});
+
+console.log(`🔎 Validation worker started`);
+
+module.exports = validationQueue;